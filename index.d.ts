@@ -0,0 +1,639 @@
+import { Code, ValueSet } from 'cql-execution';
+
+// Value sets
+
+/** A cql-execution ValueSet whose codes are of type C (cql-execution types them as any[]). */
+export type VSACValueSet<C extends Code = Code> = ValueSet & { codes: C[] };
+
+/** The value set database: value sets keyed by OID (or canonical URL) and then version. */
+export interface ValueSetDB<C extends Code = Code> {
+  [oid: string]: { [version: string]: VSACValueSet<C> };
+}
+
+/** A value set reference, as found in a CQL library. */
+export interface ValueSetReference {
+  name?: string;
+  /** An OID, a urn:oid: URN, a VSAC FHIR URL or a canonical URL (optionally followed by |version) */
+  id: string;
+  version?: string;
+}
+
+export interface OidAndVersion {
+  oid: string;
+  version?: string;
+}
+
+/** The download metadata stored with each value set. */
+export interface ValueSetMeta {
+  /** When the value set was downloaded (in ms since the epoch) */
+  fetchedAt?: number;
+  /** The FHIR meta.lastUpdated date */
+  lastUpdated?: string;
+  /** The date the version took effect (the FHIR valueset-effectiveDate extension) */
+  effectiveDate?: string;
+  /** The release and manifest the value set was downloaded from, if pinned (see setPinning) */
+  release?: string;
+  manifest?: string;
+  /** The name of the router source the value set was downloaded from */
+  source?: string;
+  /** Whether the value set is a placeholder for one that failed to download */
+  placeholder?: boolean;
+}
+
+// Access callbacks and apis
+
+/** A UMLS API key or an auth strategy. */
+export type Credentials = string | AuthStrategy;
+
+/** A FHIR ValueSet, as returned by $expand. */
+export interface FHIRValueSet {
+  resourceType: 'ValueSet';
+  id?: string;
+  url?: string;
+  version?: string;
+  meta?: { lastUpdated?: string; [key: string]: unknown };
+  expansion?: {
+    total?: number;
+    offset?: number;
+    contains?: Array<{ system?: string; code?: string; version?: string; display?: string }>;
+    [key: string]: unknown;
+  };
+  [key: string]: unknown;
+}
+
+/** What a resolver is asked for. */
+export interface ValueSetRequest {
+  oid: string;
+  version: string | undefined;
+  /** The offset of the requested page of a FHIR expansion (0 for the first page). */
+  offset: number;
+  /** The requested page size (the pageSize download option), if any. */
+  count: number | undefined;
+  auth: Credentials;
+  signal: AbortSignal | undefined;
+}
+
+/** A value set returned by a resolver; the oid and version default to the request's. */
+export interface ResolvedValueSet {
+  oid?: string;
+  version?: string;
+  codes: Array<Code | { code: string; system: string; version?: string }>;
+}
+
+/**
+ * A function that resolves value sets in place of a URL, returning a value set, a FHIR ValueSet
+ * (as an object or JSON), SVS XML, or nothing if it doesn't have the value set.  Resolvers must be
+ * marked with defineResolver; other functions are called as (deprecated) access functions.
+ */
+export type ValueSetResolver = (
+  request: ValueSetRequest
+) =>
+  | ResolvedValueSet
+  | FHIRValueSet
+  | string
+  | null
+  | undefined
+  | Promise<ResolvedValueSet | FHIRValueSet | string | null | undefined>;
+
+/** Marks a function as a resolver, to be called with a single request object. */
+export declare function defineResolver<R extends ValueSetResolver>(resolve: R): R;
+
+/**
+ * A function that returns a page of a FHIR ValueSet expansion, in place of a FHIR URL.
+ * @deprecated Use a ValueSetResolver instead.
+ */
+export type FHIRAccessFunction = (
+  oid: string,
+  version: string | undefined,
+  offset: number,
+  apiKey: Credentials,
+  signal?: AbortSignal
+) => FHIRValueSet | Promise<FHIRValueSet>;
+
+/**
+ * A function that returns the XML of an SVS RetrieveValueSet response, in place of an SVS URL.
+ * @deprecated Use a ValueSetResolver instead.
+ */
+export type SVSAccessFunction = (
+  oid: string,
+  version: string | undefined,
+  apiKey: Credentials,
+  signal?: AbortSignal
+) => string | Promise<string>;
+
+/** A URL (or URL template, for FHIR), a resolver or a (deprecated) access function. */
+export type VsacAccess = string | ValueSetResolver | FHIRAccessFunction | SVSAccessFunction;
+
+/** The name of an api, in any case: 'auto' detects the protocol from the URL or response. */
+export type ApiName = 'FHIR' | 'SVS' | 'auto' | 'fhir' | 'svs' | 'AUTO';
+
+/** What a downloaded value set was stored under. */
+export interface DownloadInfo {
+  oid: string;
+  version: string;
+  lastUpdated?: string;
+  /** The date the version took effect (the FHIR valueset-effectiveDate extension) */
+  effectiveDate?: string;
+  source?: string;
+}
+
+/** An api: the fhir and svs modules, the 'auto' api and TerminologyRouter implement it. */
+export interface Api {
+  name: string;
+  downloadValueSet(
+    apiKey: Credentials,
+    oid: string,
+    version: string | undefined,
+    vsacAccess: VsacAccess,
+    vsDB?: ValueSetDB,
+    options?: DownloadOptions
+  ): Promise<DownloadInfo | undefined>;
+}
+
+/** How SVS code systems are identified: by their URI (if known), their OID, or both. */
+export type SvsCodeSystemType = 'url' | 'oid' | 'both';
+
+// Requests
+
+export interface FetchResponse {
+  ok: boolean;
+  status: number;
+  headers: { get(name: string): string | null };
+  text(): Promise<string>;
+  json(): Promise<any>;
+}
+
+export interface FetchInit {
+  method?: string;
+  headers?: Record<string, string>;
+  body?: string;
+  signal?: AbortSignal;
+}
+
+/** A fetch implementation, such as the global fetch or node-fetch. */
+export type FetchFunction = (url: string, init?: FetchInit) => Promise<FetchResponse>;
+
+export interface RetryPolicy {
+  retries?: number;
+  minDelay?: number;
+  maxDelay?: number;
+  factor?: number;
+  jitter?: boolean;
+  retryOn?: number[];
+  /** Whether requests that fail altogether (network errors and timeouts) are retried; default true. */
+  networkErrors?: boolean;
+}
+
+export interface RequestLimits {
+  concurrency?: number;
+  requestsPerSecond?: number;
+}
+
+export type FailurePolicy = 'collect' | 'fail-fast' | 'tolerate';
+
+/** The options of the ensure* and refresh* methods. */
+export interface DownloadOptions {
+  api?: ApiName | Api;
+  vsacAccess?: VsacAccess;
+  svsCodeSystemType?: SvsCodeSystemType;
+  retry?: RetryPolicy | false;
+  signal?: AbortSignal;
+  timeout?: number;
+  requestTimeout?: number;
+  pageSize?: number;
+  failurePolicy?: FailurePolicy;
+  placeholders?: boolean;
+  fetch?: FetchFunction;
+}
+
+export interface FailedDownload extends OidAndVersion {
+  error: ValueSetDownloadError;
+}
+
+export interface DownloadReport {
+  succeeded: OidAndVersion[];
+  cached: OidAndVersion[];
+  failed: FailedDownload[];
+  /** The errors of the failed downloads, with the 'tolerate' failure policy */
+  warnings?: ValueSetDownloadError[];
+}
+
+/** What ensure* methods reject with when downloads fail (except with the 'tolerate' policy). */
+export type DownloadErrors = ValueSetDownloadError[] & { report: DownloadReport };
+
+// Caching
+
+export interface CachedCode {
+  code: string;
+  system?: string;
+  version?: string;
+  display?: string;
+}
+
+export interface CacheEntry extends OidAndVersion {
+  codes: CachedCode[];
+  fetchedAt?: number;
+  lastUpdated?: string;
+  effectiveDate?: string;
+  source?: string;
+  release?: string;
+  manifest?: string;
+}
+
+/** A cache adapter, which persists downloaded value sets. */
+export interface CacheAdapter {
+  load(): Promise<{ [oid: string]: { [version: string]: CacheEntry } }>;
+  save(valueSet: ValueSet, meta?: ValueSetMeta): Promise<void>;
+  clear(): Promise<void>;
+}
+
+export interface CachePolicy {
+  /** ms after which unversioned value sets are re-downloaded (default Infinity); an object may have a "default" */
+  ttl?: number | { [oidOrDefault: string]: number } | ((oid: string) => number);
+  revalidate?: 'blocking' | 'background';
+}
+
+export declare class MemoryCache implements CacheAdapter {
+  constructor();
+  load(): Promise<{ [oid: string]: { [version: string]: CacheEntry } }>;
+  save(valueSet: ValueSet, meta?: ValueSetMeta): Promise<void>;
+  clear(): Promise<void>;
+}
+
+export interface StorageLike {
+  readonly length: number;
+  key(index: number): string | null;
+  getItem(key: string): string | null;
+  setItem(key: string, value: string): void;
+  removeItem(key: string): void;
+}
+
+export declare class LocalStorageCache implements CacheAdapter {
+  constructor(storage?: StorageLike, prefix?: string);
+  load(): Promise<{ [oid: string]: { [version: string]: CacheEntry } }>;
+  save(valueSet: ValueSet, meta?: ValueSetMeta): Promise<void>;
+  clear(): Promise<void>;
+}
+
+export declare class IndexedDBCache implements CacheAdapter {
+  /** @param indexedDB - an IDBFactory (defaults to globalThis.indexedDB) */
+  constructor(indexedDB?: object, dbName?: string, storeName?: string);
+  load(): Promise<{ [oid: string]: { [version: string]: CacheEntry } }>;
+  save(valueSet: ValueSet, meta?: ValueSetMeta): Promise<void>;
+  clear(): Promise<void>;
+  close(): void;
+}
+
+// Routing
+
+export interface RouterSource {
+  name?: string;
+  api: 'FHIR' | 'SVS' | 'fhir' | 'svs' | Api;
+  vsacAccess: VsacAccess;
+}
+
+export interface RouterRule {
+  match: string | RegExp | ((oid: string) => boolean);
+  sources: string[];
+}
+
+export interface RouterConfig {
+  sources: RouterSource[];
+  rules?: RouterRule[];
+}
+
+export declare class TerminologyRouter implements Api {
+  constructor(config: RouterConfig);
+  name: string;
+  sourcesFor(oid: string): Array<{ name: string; api: Api; vsacAccess: VsacAccess }>;
+  downloadValueSet(
+    apiKey: Credentials,
+    oid: string,
+    version: string | undefined,
+    vsacAccess: VsacAccess,
+    vsDB?: ValueSetDB,
+    options?: DownloadOptions
+  ): Promise<DownloadInfo | undefined>;
+}
+
+// Auth
+
+export interface AuthStrategy {
+  headers(options?: { fetch?: FetchFunction }): Promise<Record<string, string>>;
+  refresh?(options?: { fetch?: FetchFunction }): Promise<boolean>;
+}
+
+export declare class ApiKeyAuth implements AuthStrategy {
+  constructor(apiKey: string);
+  headers(): Promise<Record<string, string>>;
+}
+
+export declare class BearerTokenAuth implements AuthStrategy {
+  constructor(token: string | ((options: { forceRefresh: boolean }) => string | Promise<string>));
+  headers(): Promise<Record<string, string>>;
+  refresh(): Promise<boolean>;
+}
+
+export interface OAuth2Config {
+  tokenUrl: string;
+  clientId: string;
+  clientSecret: string;
+  scope?: string;
+  clientAuthentication?: 'basic' | 'body';
+  expirySkew?: number;
+}
+
+export declare class OAuth2ClientCredentialsAuth implements AuthStrategy {
+  constructor(config: OAuth2Config);
+  headers(options?: { fetch?: FetchFunction }): Promise<Record<string, string>>;
+  refresh(options?: { fetch?: FetchFunction }): Promise<boolean>;
+}
+
+export declare class HeaderAuth implements AuthStrategy {
+  constructor(
+    headers:
+      Record<string, string> | (() => Record<string, string> | Promise<Record<string, string>>)
+  );
+  headers(): Promise<Record<string, string>>;
+}
+
+// Errors
+
+export interface DownloadErrorDetails {
+  oid?: string;
+  version?: string;
+  url?: string;
+  status?: number;
+  attempts?: number;
+  cause?: unknown;
+}
+
+export declare class ValueSetDownloadError extends Error {
+  constructor(message: string, details?: DownloadErrorDetails);
+  oid?: string;
+  version?: string;
+  url?: string;
+  status?: number;
+  attempts?: number;
+  cause?: unknown;
+}
+
+export declare class AuthenticationError extends ValueSetDownloadError {}
+export declare class ValueSetNotFoundError extends ValueSetDownloadError {}
+export declare class RateLimitedError extends ValueSetDownloadError {
+  constructor(message: string, details?: DownloadErrorDetails & { retryAfter?: number });
+  /** The delay (in ms) the server asked for, if it sent a Retry-After header */
+  retryAfter?: number;
+}
+export declare class NetworkError extends ValueSetDownloadError {}
+export declare class ParseError extends ValueSetDownloadError {}
+export declare class TimeoutError extends ValueSetDownloadError {
+  constructor(message: string, details?: DownloadErrorDetails & { timeout?: number });
+  timeout?: number;
+}
+export declare class CancellationError extends Error {
+  constructor(message?: string, options?: { cause?: unknown });
+  cause?: unknown;
+}
+
+// Logging
+
+export type LogLevel = 'debug' | 'info' | 'warn' | 'error' | 'silent';
+
+export interface LogEntry {
+  level: Exclude<LogLevel, 'silent'>;
+  namespace: string;
+  message: string;
+  data?: unknown;
+}
+
+/** A console-like object (e.g., console, or a pino or winston logger). */
+export interface ConsoleLike {
+  debug?(...args: unknown[]): void;
+  info?(...args: unknown[]): void;
+  warn?(...args: unknown[]): void;
+  error?(...args: unknown[]): void;
+  log?(...args: unknown[]): void;
+}
+
+export type LogSink = ConsoleLike | ((entry: LogEntry) => void) | null;
+
+export interface LoggerOptions {
+  level?: LogLevel;
+  namespace?: string;
+}
+
+export declare class Logger {
+  constructor(sink?: LogSink, options?: LoggerOptions);
+  readonly level: LogLevel;
+  readonly namespace: string;
+  child(name: string): Logger;
+  debug(message: string, data?: unknown): void;
+  info(message: string, data?: unknown): void;
+  warn(message: string, data?: unknown): void;
+  error(message: string, data?: unknown): void;
+  log(level: Exclude<LogLevel, 'silent'>, message: string, data?: unknown): void;
+}
+
+// Versions
+
+/**
+ * Compares two value set versions: negative if a is older than b, positive if it's more recent, and 0
+ * if they're equivalent.
+ */
+export type VersionComparator = (a: string | undefined, b: string | undefined) => number;
+
+/** The default version comparator, which understands dates, numbers and semantic versions */
+export declare function compareVersions(a?: string, b?: string): number;
+
+// The code service
+
+/**
+ * A code to look up in a value set: a code (matched by system and code, and by version if it has
+ * one), a bare code string (matching any system), a concept, or an array of these.
+ */
+export type CodeLike =
+  | Code
+  | { code: string; system: string; version?: string }
+  | string
+  | { codes: CodeLike[] }
+  | CodeLike[];
+
+/** A code to validate against a value set. */
+export interface Coding {
+  code: string;
+  system?: string;
+  version?: string;
+  display?: string;
+}
+
+export interface ValidateCodeOptions extends Pick<
+  DownloadOptions,
+  'retry' | 'signal' | 'requestTimeout' | 'fetch'
+> {
+  /** The version of the value set. */
+  version?: string;
+  /** The FHIR $expand URL template of the server to ask, if the value set isn't loaded. */
+  url?: string;
+  /** Which of the server's answers to remember. */
+  cacheResults?: boolean | 'positive' | 'negative';
+}
+
+/** The result of validating a code, as returned by FHIR's ValueSet/$validate-code. */
+export interface ValidateCodeResult {
+  result: boolean;
+  message?: string;
+  display?: string;
+}
+
+/** A loaded value set containing a code; the name is known if it was passed to an ensure call. */
+export interface ContainingValueSet extends OidAndVersion {
+  name?: string;
+}
+
+export interface CodeServiceOptions {
+  api?: ApiName | Api;
+  urls?: {
+    fhir?: string | ValueSetResolver | FHIRAccessFunction;
+    svs?: string | ValueSetResolver | SVSAccessFunction;
+  };
+  url?: VsacAccess;
+  auth?: Credentials;
+  cache?: CacheAdapter | null;
+  cachePolicy?: CachePolicy;
+  logger?: Logger | LogSink | false;
+  logLevel?: LogLevel;
+  concurrency?: number;
+  requestsPerSecond?: number;
+  retry?: RetryPolicy | false;
+  codeSystemMapping?: { [oid: string]: string | { uri: string } };
+  fetch?: FetchFunction;
+  compareVersions?: VersionComparator;
+  pinning?: Pinning | null;
+}
+
+/** Pins value sets to a VSAC release or manifest, or to versions, for reproducible results */
+export interface Pinning {
+  /** Value set oids mapped to the version used when a value set is referenced without one */
+  versions?: { [oid: string]: string };
+  /** The VSAC release SVS downloads use, e.g. 'eCQM Update 2021-05-06' */
+  release?: string;
+  /** The manifest FHIR expansions use, e.g. 'http://cts.nlm.nih.gov/fhir/Library/ecqm-update-2021-05-06' */
+  manifest?: string;
+  /** Code system URIs mapped to the versions FHIR expansions use */
+  systemVersions?: { [system: string]: string };
+}
+
+export interface ValueSetEvent extends OidAndVersion {}
+
+/** The events of a CodeService, and their data. */
+export interface CodeServiceEvents {
+  'download-start': ValueSetEvent;
+  'page-fetched': ValueSetEvent & { offset: number; count: number; total?: number };
+  'download-complete': ValueSetEvent & { codes: number; source?: string; duration: number };
+  'download-failed': ValueSetEvent & { error: ValueSetDownloadError };
+  'cache-hit': ValueSetEvent;
+  retry: ValueSetEvent & {
+    url: string;
+    attempt: number;
+    delay: number;
+    status?: number;
+    error?: Error;
+  };
+}
+
+export declare class CodeService<C extends Code = Code> {
+  constructor(options?: CodeServiceOptions);
+  /** @deprecated Pass an options object instead. */
+  constructor(
+    useDefaultUrl?: boolean,
+    useFHIR?: boolean,
+    vsacSvsUrl?: string | SVSAccessFunction,
+    vsacFhirUrl?: string | FHIRAccessFunction,
+    cache?: CacheAdapter | null,
+    cachePolicy?: CachePolicy
+  );
+
+  api: Api;
+  vsacAccess: VsacAccess;
+  valueSets: ValueSetDB<C>;
+  valueSetMeta: { [oid: string]: { [version: string]: ValueSetMeta } };
+  cache: CacheAdapter | null;
+  cachePolicy: Required<CachePolicy>;
+  /** Resolves once the value sets in the cache have been loaded */
+  cacheLoaded: Promise<void>;
+  logger: Logger;
+  compareVersions: VersionComparator;
+  pinning: Pinning;
+
+  on<E extends keyof CodeServiceEvents>(
+    event: E,
+    listener: (data: CodeServiceEvents[E]) => void
+  ): this;
+  once<E extends keyof CodeServiceEvents>(
+    event: E,
+    listener: (data: CodeServiceEvents[E]) => void
+  ): this;
+  off<E extends keyof CodeServiceEvents>(
+    event: E,
+    listener: (data: CodeServiceEvents[E]) => void
+  ): this;
+
+  loadCache(): Promise<void>;
+  ensureValueSetsWithAPIKey(
+    valueSetList?: ValueSetReference[],
+    umlsAPIKey?: Credentials,
+    options?: DownloadOptions
+  ): Promise<DownloadReport>;
+  refreshValueSetsWithAPIKey(
+    valueSetList?: ValueSetReference[],
+    umlsAPIKey?: Credentials,
+    options?: DownloadOptions
+  ): Promise<DownloadReport>;
+  ensureValueSetsInLibraryWithAPIKey(
+    library: object,
+    checkIncluded?: boolean,
+    umlsAPIKey?: Credentials,
+    options?: DownloadOptions
+  ): Promise<DownloadReport>;
+  waitForRevalidations(): Promise<void>;
+  isStale(id: string, version?: string): boolean;
+  registerPlaceholder(oid: string, version?: string): void;
+  isPlaceholder(valueSet: ValueSet): boolean;
+
+  setAuth(auth: AuthStrategy | null): void;
+  setRetryPolicy(retry: RetryPolicy | false): void;
+  setLogger(logger: Logger | LogSink | false, options?: LoggerOptions): void;
+  setFetch(fetch: FetchFunction | null): void;
+  setVersionComparator(compare: VersionComparator | null): void;
+  setPinning(pinning: Pinning | null): void;
+  pinnedVersion(id: string): string | undefined;
+  setRequestLimits(limits: RequestLimits): void;
+  setApi(api: ApiName | Api, vsacAccess?: VsacAccess): void;
+  setRouter(router: TerminologyRouter): void;
+
+  getValueSetMeta(id: string, version?: string): ValueSetMeta | undefined;
+  getValueSetSource(id: string, version?: string): string | undefined;
+  findValueSetsByOid(oid: string): VSACValueSet<C>[];
+  findValueSets(id: string, version?: string): VSACValueSet<C>[];
+  findValueSet(id: string, version?: string): VSACValueSet<C> | undefined;
+  isMoreRecent(a: VSACValueSet<C>, b: VSACValueSet<C>): boolean;
+  expandValueSet(oid: string, version?: string): C[];
+  isCodeInValueSet(id: string, version: string | undefined, code: CodeLike): boolean;
+  areCodesInValueSet(id: string, version: string | undefined, codes: CodeLike[]): boolean[];
+  areCodesInValueSets(checks: Array<{ id: string; version?: string; code: CodeLike }>): boolean[];
+  validateCode(
+    valueSetId: string,
+    coding: Coding,
+    umlsAPIKey?: Credentials | null,
+    options?: ValidateCodeOptions
+  ): Promise<ValidateCodeResult>;
+  clearValidatedCodes(): void;
+  findValueSetsContainingCode(
+    code: string | { code: string; system?: string },
+    system?: string
+  ): ContainingValueSet[];
+  findValueSetsContainingCodes(
+    codings: Array<{ code: string; system?: string }>
+  ): ContainingValueSet[][];
+}
@@ -1,3 +1,45 @@
-module.exports = require('./src/CodeService.js');
-
+const { CodeService } = require('./src/CodeService.js');
+const { MemoryCache, LocalStorageCache, IndexedDBCache } = require('./src/cache.js');
+const { TerminologyRouter } = require('./src/router.js');
+const {
+  ApiKeyAuth,
+  BearerTokenAuth,
+  OAuth2ClientCredentialsAuth,
+  HeaderAuth
+} = require('./src/auth.js');
+const {
+  ValueSetDownloadError,
+  AuthenticationError,
+  ValueSetNotFoundError,
+  RateLimitedError,
+  NetworkError,
+  ParseError,
+  TimeoutError,
+  CancellationError
+} = require('./src/errors.js');
+const { Logger } = require('./src/logger.js');
+const { compareVersions } = require('./src/versions.js');
+const { defineResolver } = require('./src/resolver.js');
 
+module.exports = {
+  CodeService,
+  MemoryCache,
+  LocalStorageCache,
+  IndexedDBCache,
+  TerminologyRouter,
+  ApiKeyAuth,
+  BearerTokenAuth,
+  OAuth2ClientCredentialsAuth,
+  HeaderAuth,
+  ValueSetDownloadError,
+  AuthenticationError,
+  ValueSetNotFoundError,
+  RateLimitedError,
+  NetworkError,
+  ParseError,
+  TimeoutError,
+  CancellationError,
+  Logger,
+  compareVersions,
+  defineResolver
+};
@@ -26,7 +26,7 @@ async function main() {
 async function run(useFHIR) {
   const api = useFHIR ? 'FHIR' : 'SVS';
   const start = new Date();
-  const codeService = new CodeService('manual-test-vsac-cache', false, useFHIR);
+  const codeService = new CodeService({ api });
   console.log(`${api} CALL: codeService.findValueSet(${VALUESET.id})`);
   console.log('EXPECT: undefined');
   let found = codeService.findValueSet(VALUESET.id);
@@ -0,0 +1,194 @@
+/**
+ * Builds the ES module version of the package (esm/), which the "import" condition of package.json's
+ * exports points to.  Each CommonJS module (index.js and src/*.js) is converted to its own ES module
+ * with named exports, so bundlers can tree-shake the parts of the package that aren't used, and JSON
+ * modules are converted to ES modules with a default export.
+ *
+ * The conversion only supports the CommonJS the package's modules use: top-level requires (of a
+ * module, or of properties of one), requires of packages inside functions, and a single
+ * "module.exports = { ... };" (which other functions may refer to, e.g. to return the module).  It
+ * fails on anything else, so a new kind of require can't silently end up in the ES modules.
+ *
+ * Usage: node scripts/build-esm.js
+ */
+const fs = require('fs');
+const path = require('path');
+
+const ROOT = path.join(__dirname, '..');
+const OUT_DIR = path.join(ROOT, 'esm');
+
+// The modules to convert, and whether they also get a default export of all of their exports
+const ENTRIES = [{ file: 'index.js', defaultExport: true }];
+
+// Top-level requires: "const { a, b: c } = require('x');", "const x = require('x');" and
+// "const { a } = require('x').b;"
+const TOP_LEVEL_REQUIRE = /^const (\{[^}]*\}|\w+) = require\('([^']+)'\)((?:\.\w+)*);$/gm;
+const INLINE_REQUIRE = /require\('([^']+)'\)/g;
+const MODULE_EXPORTS = /^module\.exports = \{([^}]*)\};$/m;
+
+/**
+ * Converts a CommonJS module to an ES module.
+ * @param {string} file - the path of the module, relative to the package root
+ * @param {Object} options - defaultExport: whether to also export the exports as the default export
+ * @returns {string} the ES module
+ */
+function convertModule(file, options = {}) {
+  const source = fs.readFileSync(path.join(ROOT, file), 'utf8').replace(/\r\n/g, '\n');
+  const fail = message => {
+    throw new Error(`Cannot convert ${file} to an ES module: ${message}`);
+  };
+  const imports = [];
+  const addImport = statement => {
+    if (!imports.includes(statement)) {
+      imports.push(statement);
+    }
+  };
+  // Packages are CommonJS, so only their default export (module.exports) is imported
+  const packageBinding = specifier => {
+    const name = `${specifier.replace(/[^\w]+(\w)/g, (match, c) => c.toUpperCase())}Module`;
+    addImport(`import ${name} from '${specifier}';`);
+    return name;
+  };
+
+  let code = source.replace(TOP_LEVEL_REQUIRE, (statement, binding, specifier, properties) => {
+    if (!specifier.startsWith('.')) {
+      if (properties === '' && !binding.startsWith('{')) {
+        addImport(`import ${binding} from '${specifier}';`);
+        return '';
+      }
+      return `const ${binding} = ${packageBinding(specifier)}${properties};`;
+    }
+    const { specifier: esmSpecifier, json } = resolveLocal(file, specifier, fail);
+    if (properties !== '') {
+      fail(`unsupported require of properties of ${specifier}`);
+    } else if (binding.startsWith('{')) {
+      addImport(`import ${toImportList(binding)} from '${esmSpecifier}';`);
+    } else {
+      addImport(`import ${json ? '' : '* as '}${binding} from '${esmSpecifier}';`);
+    }
+    return '';
+  });
+
+  code = code.replace(INLINE_REQUIRE, (call, specifier) => {
+    if (specifier.startsWith('.')) {
+      fail(`unsupported require of ${specifier} inside a function`);
+    }
+    return packageBinding(specifier);
+  });
+
+  const moduleExports = code.match(MODULE_EXPORTS);
+  if (moduleExports == null) {
+    fail('expected "module.exports = { ... };"');
+  }
+  code = code.replace(MODULE_EXPORTS, toExports(moduleExports[1], options.defaultExport, fail));
+  if (/\bmodule\.exports\b/.test(code)) {
+    // The module refers to its own exports, which its namespace object provides
+    addImport(`import * as thisModule from './${path.basename(file, '.js')}.mjs';`);
+    code = code.replace(/\bmodule\.exports\b/g, 'thisModule');
+  }
+  const leftover = code.match(/\b(require\(|module\.|exports\.|__dirname|__filename)/);
+  if (leftover != null) {
+    fail(`unsupported use of ${leftover[1]}`);
+  }
+  return [
+    `// Generated from ${file} by scripts/build-esm.js; do not edit.`,
+    ...imports,
+    code.replace(/^\n+/, '')
+  ].join('\n');
+}
+
+/**
+ * Resolves a relative require to the ES module it is converted to.
+ * @returns {Object} the specifier of the ES module, and whether it was converted from JSON
+ */
+function resolveLocal(file, specifier, fail) {
+  const base = path.join(path.dirname(path.join(ROOT, file)), specifier);
+  const candidates = [base, `${base}.js`, `${base}.json`].filter(
+    candidate => /\.(js|json)$/.test(candidate) && fs.existsSync(candidate)
+  );
+  if (candidates.length === 0) {
+    fail(`cannot find ${specifier}`);
+  }
+  const resolved = candidates[0];
+  const json = resolved.endsWith('.json');
+  const relative = path.relative(path.dirname(path.join(ROOT, file)), resolved).split(path.sep);
+  const esmSpecifier = `./${relative.join('/').replace(/\.(js|json)$/, '.mjs')}`;
+  return { specifier: esmSpecifier, json };
+}
+
+/**
+ * Converts the bindings of a destructuring require ({ a, b: c }) to an import list ({ a, b as c }).
+ */
+function toImportList(binding) {
+  const names = binding
+    .slice(1, -1)
+    .split(',')
+    .map(name => name.trim())
+    .filter(name => name.length > 0)
+    .map(name => name.replace(/^(\w+)\s*:\s*(\w+)$/, '$1 as $2'));
+  return `{ ${names.join(', ')} }`;
+}
+
+/**
+ * Converts the properties of "module.exports = { ... };" to exports.  Shorthand properties and
+ * properties whose value is a variable are exported by name, and properties whose value is a string
+ * are exported as constants.
+ */
+function toExports(properties, defaultExport, fail) {
+  const constants = [];
+  const names = [];
+  properties
+    .split(',')
+    .map(property => property.trim())
+    .filter(property => property.length > 0)
+    .forEach(property => {
+      let match;
+      if (/^\w+$/.test(property)) {
+        names.push(property);
+      } else if ((match = property.match(/^(\w+)\s*:\s*(\w+)$/))) {
+        names.push(`${match[2]} as ${match[1]}`);
+      } else if ((match = property.match(/^(\w+)\s*:\s*('[^']*')$/))) {
+        constants.push(`export const ${match[1]} = ${match[2]};`);
+      } else {
+        fail(`unsupported export ${property}`);
+      }
+    });
+  const statements = constants.concat(names.length > 0 ? `export { ${names.join(', ')} };` : []);
+  if (defaultExport) {
+    if (constants.length > 0 || names.some(name => name.includes(' as '))) {
+      fail('default exports only support shorthand properties');
+    }
+    statements.push(`export default { ${names.join(', ')} };`);
+  }
+  return statements.join('\n');
+}
+
+function build() {
+  fs.rmSync(OUT_DIR, { recursive: true, force: true });
+  fs.mkdirSync(path.join(OUT_DIR, 'src'), { recursive: true });
+  const sources = fs
+    .readdirSync(path.join(ROOT, 'src'))
+    .filter(name => name.endsWith('.js'))
+    .map(name => ({ file: `src/${name}` }));
+  ENTRIES.concat(sources).forEach(({ file, defaultExport }) => {
+    const out = path.join(OUT_DIR, file.replace(/\.js$/, '.mjs'));
+    fs.writeFileSync(out, convertModule(file, { defaultExport }));
+  });
+  fs.readdirSync(path.join(ROOT, 'src'))
+    .filter(name => name.endsWith('.json'))
+    .forEach(name => {
+      const json = fs.readFileSync(path.join(ROOT, 'src', name), 'utf8').replace(/^\uFEFF/, '');
+      const out = path.join(OUT_DIR, 'src', name.replace(/\.json$/, '.mjs'));
+      fs.writeFileSync(
+        out,
+        `// Generated from src/${name} by scripts/build-esm.js; do not edit.\n` +
+          `export default ${JSON.stringify(JSON.parse(json))};\n`
+      );
+    });
+}
+
+if (require.main === module) {
+  build();
+}
+
+module.exports = { build, convertModule };
@@ -1,109 +1,930 @@
-const proc = require('process');
-const env = proc.env;
-// const debug = require('debug')('vsac'); // To turn on DEBUG: $ export DEBUG=vsac
-const svs = require('./svs');
+const { toApi } = require('./protocol');
 const fhir = require('./fhir');
+const { apiForAccess } = require('./resolver');
+const { toAuth } = require('./auth');
+const { umlsApiKey } = require('./env');
+const { hydrateValueSetDB } = require('./cache');
+const { RequestLimiter } = require('./limiter');
+const { ValueSet } = require('cql-execution');
+const { CodeIndex, ValueSetIndex } = require('./code-index');
+const { compareVersions } = require('./versions');
+const { abortError, linkedSignal, raceSignal, throwIfAborted, timeoutSignal } = require('./abort');
+const { AuthenticationError, CancellationError, toDownloadError } = require('./errors');
+const { EventEmitter } = require('./events');
+const { Logger, toLogger } = require('./logger');
 
 const VSAC_SVS_URL_TEMPLATE = 'https://vsac.nlm.nih.gov/vsac/svs/RetrieveValueSet';
 const VSAC_FHIR_URL_TEMPLATE = 'https://cts.nlm.nih.gov/fhir/ValueSet/{{oid}}/$expand';
+const FAILURE_POLICIES = ['collect', 'fail-fast', 'tolerate'];
+const OPTIONS = [
+  'api',
+  'urls',
+  'url',
+  'auth',
+  'cache',
+  'cachePolicy',
+  'logger',
+  'logLevel',
+  'concurrency',
+  'requestsPerSecond',
+  'retry',
+  'codeSystemMapping',
+  'fetch',
+  'compareVersions',
+  'pinning'
+];
+const PINNING = ['versions', 'release', 'manifest', 'systemVersions'];
 
 
 /**
  * Constructs a code service with functions for downloading codes from the National Library of Medicine's
  * Value Set Authority Center.
  *
- * @param {boolean} useDefaultUrl - Flag to determine whether to use the default NIH's URL
- * @param {boolean} useFHIR - Flag to determine whether to use FHIR. If false, will use SVS api instead
- * @param {string} vsacSvsUrl - The URL template for SVS api. Only needed if useDefaultUrl is false
- * @param {string} vsacFhirUrl - The URL template for FHIR api.  Only needed if useDefaultUrl is false
+ * @param {Object} options - The code service options (all optional):
+ *   api - the api to download with: 'SVS' (default), 'FHIR', 'auto' (see protocol.js) or a
+ *     TerminologyRouter (see router.js)
+ *   urls - the URL templates (or vsacAccess functions) of the apis: { fhir, svs }.  Default to VSAC's.
+ *   url - the URL template (or vsacAccess function) for the chosen api, instead of urls; required when
+ *     api is 'auto'.  vsacAccess functions marked with defineResolver are resolvers, taking a single
+ *     request object and returning a value set, a FHIR ValueSet or SVS XML (see resolver.js).
+ *   auth - the UMLS API key or auth strategy (see auth.js) to download with, so ensure* calls don't
+ *     need one
+ *   cache - a cache adapter (see cache.js) used to persist downloaded value sets
+ *   cachePolicy - expiry settings for stored value sets:
+ *     ttl - the time (in ms) after which an unversioned ("latest") value set is re-downloaded; either
+ *       a number, an object mapping OIDs to numbers, or a function (oid) => number.  Defaults to never.
+ *     revalidate - 'blocking' (default) re-downloads stale value sets before ensure* resolves, while
+ *       'background' resolves immediately, serving the stale value set until the refresh completes.
+ *   logger, logLevel - the logger (see setLogger) and the least severe level it logs
+ *   concurrency, requestsPerSecond - the limits on requests (see setRequestLimits)
+ *   retry - the retry policy (see setRetryPolicy)
+ *   codeSystemMapping - an object mapping code system OIDs to URIs (or { uri } objects), used in
+ *     addition to the built-in VSAC mapping when converting SVS code systems
+ *   fetch - the fetch implementation used for all requests (see setFetch)
+ *   compareVersions - a function (a, b) => number that compares value set versions, used to find the
+ *     most recent version (see setVersionComparator)
+ *   pinning - pins value sets to a VSAC release or manifest, or to versions (see setPinning)
+ *
+ * Unknown or conflicting options throw an error.  For backwards compatibility, the code service can
+ * also be constructed with the deprecated positional arguments (useDefaultUrl = true,
+ * useFHIR = false, vsacSvsUrl, vsacFhirUrl, cache = null, cachePolicy = {}), where vsacSvsUrl and
+ * vsacFhirUrl are only used if useDefaultUrl is false.
+ *
+ * The code service is an event emitter (see events.js), so progress can be followed using on(event,
+ * listener).  Every event's data includes the oid and version of the value set:
+ *   download-start - a download has started
+ *   page-fetched - a page of the value set has been fetched: offset, count (the number of codes in the
+ *     page) and total (the number of codes in the FHIR expansion, if the server reports it)
+ *   download-complete - the value set has been downloaded and stored: codes (the number of codes),
+ *     source (if downloaded through a router) and duration (in ms)
+ *   download-failed - the download has failed: error
+ *   cache-hit - the value set was already loaded, so it wasn't downloaded
+ *   retry - a request is being retried: url, attempt, delay (in ms), and the status or error
  */
-class CodeService {
-  constructor(useDefaultUrl = true, useFHIR = false, vsacSvsUrl = VSAC_SVS_URL_TEMPLATE, vsacFhirUrl = VSAC_FHIR_URL_TEMPLATE) {
-    // this.api = useFHIR ? fhir : svs;
-    this.api = fhir;
-    if (useDefaultUrl) {
-      this.vsacAccess = useFHIR ? VSAC_FHIR_URL_TEMPLATE : VSAC_SVS_URL_TEMPLATE;
-    } else {
-      this.vsacAccess = useFHIR ? vsacFhirUrl : vsacSvsUrl;
+class CodeService extends EventEmitter {
+  constructor(...args) {
+    super();
+    const positional = args.length > 0 && !isOptionsObject(args[0]);
+    const options = positional ? fromPositionalArguments(...args) : checkOptions(args);
 
-    }
+    this.api = toApi(options.api != null ? options.api : 'SVS');
+    // The URL (or function) used for each api when it is chosen per ensure call
+    const urls = options.urls || {};
+    this.vsacUrls = {
+      FHIR: urls.fhir != null ? urls.fhir : VSAC_FHIR_URL_TEMPLATE,
+      SVS: urls.svs != null ? urls.svs : VSAC_SVS_URL_TEMPLATE
+    };
+    this.vsacAccess = options.url != null ? options.url : this.vsacUrls[this.api.name];
     // Initialize the local in-memory "database"
     this.valueSets = {}; // This will just be an object of objects.
+    // Download metadata (fetchedAt, lastUpdated, source) for each value set, keyed the same way as valueSets
+    this.valueSetMeta = {};
+    // Code indexes (see code-index.js), built on first use.  They're keyed by value set object, so a
+    // value set that's replaced (e.g., by a newer download) gets a new index.
+    this.codeIndexes = new WeakMap();
+    // The terminology server's answers to validateCode, if asked to remember them
+    this.validatedCodes = new Map();
+    // An inverted index of the codes of all loaded value sets, updated before each lookup
+    this.valueSetIndex = new ValueSetIndex();
+    // The names of value sets, by oid, from the value set references passed to ensure* methods
+    this.valueSetNames = {};
+
+    this.cachePolicy = Object.assign(
+      { ttl: Infinity, revalidate: 'blocking' },
+      options.cachePolicy
+    );
+    if (!['blocking', 'background'].includes(this.cachePolicy.revalidate)) {
+      throw new Error(
+        `Expected cachePolicy.revalidate to be 'blocking' or 'background', but was ${this.cachePolicy.revalidate}`
+      );
+    }
+    // Background revalidations currently in progress, keyed by oid
+    this.revalidations = new Map();
+    // Downloads currently in progress ({ promise, signal, settings }), listed by "oid|version"
+    this.inFlight = new Map();
+    // The auth strategy (see auth.js) used instead of the UMLS API key, if one is set
+    this.auth = null;
+    if (options.auth != null) {
+      this.setAuth(toAuth(options.auth));
+    }
+    // The retry policy (see retry.js) for failed requests; the defaults are used until one is set
+    this.retryPolicy = {};
+    if (options.retry != null) {
+      this.setRetryPolicy(options.retry);
+    }
+    // Limits the requests made by all downloads (see limiter.js)
+    this.limiter = new RequestLimiter({
+      concurrency: options.concurrency,
+      requestsPerSecond: options.requestsPerSecond
+    });
+    // Logs downloads and requests (see logger.js); by default, using the debug module
+    this.logger = toLogger(options.logger, { level: options.logLevel });
+    // Additional SVS code system OID -> { uri } mappings (see svs.js)
+    this.codeSystemMapping = toCodeSystemMapping(options.codeSystemMapping);
+    // The fetch implementation (see fetch.js); the default one is used until one is set
+    this.fetch = null;
+    if (options.fetch != null) {
+      this.setFetch(options.fetch);
+    }
+    // Compares the versions of a value set, to find the most recent one (see findValueSet)
+    this.compareVersions = compareVersions;
+    if (options.compareVersions != null) {
+      this.setVersionComparator(options.compareVersions);
+    }
+    // Pins value sets to a release, manifest or versions, for reproducible results (see setPinning)
+    this.pinning = {};
+    if (options.pinning != null) {
+      this.setPinning(options.pinning);
+    }
+    if (positional) {
+      this.logger
+        .child('CodeService')
+        .warn('Positional CodeService arguments are deprecated; pass an options object instead');
+    }
+
+    // Hydrate the in-memory "database" from the persistent cache, if one was supplied.  The ensure
+    // functions wait for this, but callers using findValueSet directly should await it first.
+    this.cache = options.cache != null ? options.cache : null;
+    this.cacheLoaded = this.loadCache();
+    // Avoid unhandled rejections; the error is surfaced to whoever awaits cacheLoaded
+    this.cacheLoaded.catch(() => {});
+  }
+
+  /**
+   * Loads the value sets stored in the cache adapter into the in-memory value set database.  Value
+   * sets already in memory are kept.
+   * @returns {Promise.<undefined,Error>} A promise that resolves when the cache has been loaded.
+   */
+  async loadCache() {
+    if (this.cache == null) {
+      return;
+    }
+    const entries = await this.cache.load();
+    const cached = hydrateValueSetDB(entries);
+    Object.keys(cached).forEach(oid => {
+      Object.keys(cached[oid]).forEach(version => {
+        this.valueSets[oid] = this.valueSets[oid] || {};
+        if (this.valueSets[oid][version] == null) {
+          this.valueSets[oid][version] = cached[oid][version];
+          this.setValueSetMeta(oid, version, toValueSetMeta(entries[oid][version]));
+        }
+      });
+    });
   }
 
 
   /**
    * Given a list of value set references, will ensure that each has a local
    * definition.  If a local definition does not exist, the value set will
-   * be downloaded using the VSAC API.
+   * be downloaded using the VSAC API.  Unversioned references to value sets
+   * that have outlived the cache policy's ttl are re-downloaded (or, when the
+   * policy revalidates in the background, re-downloaded after resolving).
    * @param {Object} valueSetList - an array of objects, each containing "name"
    *   and "id" properties, with an optional "version" property
-   * @returns {Promise.<undefined,Error>} A promise that returns nothing when
-   *   resolved and returns an error when rejected.
+   * @param {string|Object} umlsAPIKey - the UMLS API Key (or auth strategy) to use when
+   *   downloading value sets; not needed if an auth strategy was set using setAuth
+   * @param {Object} options - the download options:
+   *   api - the api to download with instead of the service's: 'FHIR', 'SVS' or 'auto' (which
+   *     detects the protocol from the URL or the response's content type; see protocol.js)
+   *   vsacAccess - the URL template (or function) to download from instead of the api's; by default,
+   *     the FHIR or SVS URL given to the constructor is used
+   *   pageSize - the number of codes per page requested from FHIR servers (as $expand's count) and
+   *     resolvers (see resolver.js); by default, the server or resolver decides
+   *   svsCodeSystemType - how SVS code systems are identified: 'url' (default), 'oid' or 'both'
+   *   retry - the retry policy (see setRetryPolicy), or false to not retry
+   *   signal - an AbortSignal that cancels the downloads, rejecting with a CancellationError
+   *   timeout - the time (in ms) after which all downloads are abandoned with a TimeoutError
+   *   requestTimeout - the time (in ms) after which each request times out (and may be retried)
+   *   failurePolicy - what to do when downloads fail: 'collect' (default) waits for all downloads
+   *     and then rejects with their errors, 'fail-fast' cancels the remaining downloads and rejects
+   *     as soon as one fails, and 'tolerate' resolves anyway, listing the errors as "warnings"
+   *   placeholders - if true, registers an empty ValueSet for each value set that failed to download
+   *     (and isn't already loaded), so CQL evaluation can continue; placeholders are not cached and
+   *     are downloaded again by the next ensure call
+   * @returns {Promise.<Object,Error>} A promise that resolves to a report of the value sets that were
+   *   downloaded ("succeeded") and that were already loaded ("cached"), each an array of objects
+   *   with "oid" and "version" properties.  If any download failed, it rejects with an array of
+   *   ValueSetDownloadErrors (see errors.js), whose "report" property also lists the failed value
+   *   sets ("failed", with an "error" property); with the 'fail-fast' policy, only the first failure
+   *   is listed.  It rejects with an AuthenticationError if there are no credentials, or a
+   *   CancellationError or TimeoutError if the downloads were aborted.
    */
   async ensureValueSetsWithAPIKey(
     valueSetList = [],
-    umlsAPIKey = env['UMLS_API_KEY'],
+    umlsAPIKey = umlsApiKey(),
     // caching = true,
     options = {svsCodeSystemType: 'url'}
   ) {
+    checkFailurePolicy(options);
+    this.rememberNames(valueSetList);
+    await this.cacheLoaded;
+    const credentials = this.credentialsFor(umlsAPIKey);
+    const report = { succeeded: [], cached: [], failed: [] };
 
-    // First, filter out the value sets we already have
+    // First, filter out the value sets we already have (and are still fresh)
+    const staleVSList = [];
     const filteredVSList = valueSetList.filter(vs => {
       const result = this.findValueSet(vs.id, vs.version);
-      return typeof result === 'undefined';
+      if (typeof result === 'undefined' || this.isPlaceholder(result)) {
+        return true;
+      } else if (this.isStale(vs.id, vs.version)) {
+        staleVSList.push(vs);
+        if (this.cachePolicy.revalidate !== 'background') {
+          return true;
+        }
+      }
+      report.cached.push({ oid: result.oid, version: result.version });
+      this.emit('cache-hit', { oid: result.oid, version: result.version });
+      return false;
     });
+    if (
+      staleVSList.length > 0 &&
+      this.cachePolicy.revalidate === 'background' &&
+      credentials != null
+    ) {
+      this.revalidateInBackground(this.toOidsAndVersions(staleVSList), credentials, options);
+    }
     // Now download from VSAC if necessary
     if (filteredVSList.length == 0) {
-      return;
-    } else if (typeof umlsAPIKey === 'undefined' || umlsAPIKey == null) {
-      // TODO: Throw error instead
-      throw 'Failed to download value sets since UMLS_API_KEY is not set.';
-    }
-    const oidsAndVersions = [];
-    Object.keys(filteredVSList).forEach(key => {
-      let [id, version] = [filteredVSList[key].id, filteredVSList[key].version];
-      const [oid, embeddedVersion] = extractOidAndVersion(id);
-      if (version == null && embeddedVersion != null) {
-        version = embeddedVersion;
-      }
-      if (this.valueSets[oid] == null || this.valueSets[oid][version] == null) {
-        oidsAndVersions.push({oid, version});
+      return report;
+    } else if (credentials == null) {
+      throw new AuthenticationError('Failed to download value sets since UMLS_API_KEY is not set.');
+    }
+    const oidsAndVersions = this.toOidsAndVersions(filteredVSList).filter(({ oid, version }) => {
+      const existing = this.valueSets[oid] != null ? this.valueSets[oid][version] : undefined;
+      if (existing == null || this.isPlaceholder(existing)) {
+        return true;
+      } else if (version == null && !this.matchesPinning(existing)) {
+        // Downloaded from another release or manifest (see setPinning)
+        return true;
       }
+      report.cached.push({ oid, version });
+      this.emit('cache-hit', { oid, version });
+      return false;
     });
 
     if (oidsAndVersions.length) {
+      const downloads = await this.downloadValueSets(oidsAndVersions, credentials, options);
+      report.succeeded.push(...downloads.succeeded);
+      report.failed.push(...downloads.failed);
+    }
+    return this.settle(report, options);
+  }
+
+  /**
+   * Re-downloads the given value sets, regardless of whether they are already loaded or fresh.
+   * @param {Object} valueSetList - an array of objects, each containing "name"
+   *   and "id" properties, with an optional "version" property
+   * @param {string|Object} umlsAPIKey - the UMLS API Key (or auth strategy) to use when downloading value sets
+   * @param {Object} options - the download options (see ensureValueSetsWithAPIKey)
+   * @returns {Promise.<Object,Error>} A promise that resolves to a report of the downloaded value sets,
+   *   or rejects with the download errors (see ensureValueSetsWithAPIKey).
+   */
+  async refreshValueSetsWithAPIKey(
+    valueSetList = [],
+    umlsAPIKey = umlsApiKey(),
+    options = { svsCodeSystemType: 'url' }
+  ) {
+    checkFailurePolicy(options);
+    this.rememberNames(valueSetList);
+    await this.cacheLoaded;
+    const credentials = this.credentialsFor(umlsAPIKey);
+    if (valueSetList.length == 0) {
+      return { succeeded: [], cached: [], failed: [] };
+    } else if (credentials == null) {
+      throw new AuthenticationError('Failed to download value sets since UMLS_API_KEY is not set.');
+    }
+    const downloads = await this.downloadValueSets(
+      this.toOidsAndVersions(valueSetList),
+      credentials,
+      options
+    );
+    return this.settle(Object.assign({ cached: [] }, downloads), options);
+  }
 
-      const promises = oidsAndVersions.map(({oid, version}) => {
-        // Catch errors and convert to resolutions returning an error.  This ensures Promise.all waits for all promises.
-        // See: http://stackoverflow.com/questions/31424561/wait-until-all-es6-promises-complete-even-rejected-promises
-
-        return this.api
-          .downloadValueSet(umlsAPIKey, oid, version, this.vsacAccess, this.valueSets, options)
-          .catch(err => {
-            // debug(
-            //   `Error downloading valueset ${oid}${version != null ? ` version ${version}` : ''}`,
-            //   err
-            // );
-            return new Error(
-              `Error downloading valueset: ${oid}${version != null ? ` version ${version}` : ''}`
+  /**
+   * Remembers the names of referenced value sets (e.g., from the valueset definitions of a library),
+   * for findValueSetsContainingCode.
+   * @param {Array<Object>} valueSetList - an array of objects with "id" and optional "name"
+   */
+  rememberNames(valueSetList) {
+    valueSetList.forEach(vs => {
+      if (vs != null && vs.id != null && vs.name != null) {
+        const [oid] = extractOidAndVersion(vs.id);
+        this.valueSetNames[oid] = vs.name;
+      }
+    });
+  }
+
+  /**
+   * Applies the failure policy to the report of an ensure (or refresh) call, registering placeholders
+   * for the failed value sets if requested.
+   * @param {Object} report - the report, with "succeeded", "cached" and "failed" arrays
+   * @param {Object} options - the download options, with the optional failurePolicy and placeholders
+   * @returns {Object} the report, with "warnings" if the policy tolerated failures
+   * @throws {Array<Error>} the errors of the failed downloads, unless the policy tolerates them
+   */
+  settle(report, options) {
+    if (options.placeholders) {
+      report.failed.forEach(({ oid, version }) => this.registerPlaceholder(oid, version));
+    }
+    if (options.failurePolicy === 'tolerate') {
+      report.warnings = report.failed.map(f => f.error);
+      return report;
+    }
+    return throwIfFailed(report);
+  }
+
+  /**
+   * Registers an empty value set for a value set that failed to download, unless a matching value set
+   * is already loaded.  Placeholders are not written to the cache, and are replaced by the next
+   * successful download of the value set.
+   * @param {string} oid - the value set's oid
+   * @param {string} version - the optional version
+   */
+  registerPlaceholder(oid, version) {
+    if (this.findValueSet(oid, version) != null) {
+      return;
+    }
+    const key = version != null ? version : '';
+    this.valueSets[oid] = this.valueSets[oid] || {};
+    this.valueSets[oid][key] = new ValueSet(oid, version, []);
+    this.setValueSetMeta(
+      oid,
+      key,
+      Object.assign({ placeholder: true }, version == null ? releaseOf(this.pinning) : {})
+    );
+  }
+
+  /**
+   * Determines if a loaded value set is a placeholder for one that failed to download.
+   * @param {ValueSet} valueSet - the value set
+   * @returns {boolean} true if the value set is a placeholder
+   */
+  isPlaceholder(valueSet) {
+    return this.metaFor(valueSet).placeholder === true;
+  }
+
+  /**
+   * Downloads the given value sets, storing the successful ones.
+   * @param {Array<Object>} oidsAndVersions - an array of objects with "oid" and optional "version"
+   * @param {string|Object} umlsAPIKey - the UMLS API Key (or auth strategy) to use when downloading value sets
+   * @param {Object} options - the download options (see ensureValueSetsWithAPIKey)
+   * @returns {Promise.<Object,Error>} A promise that resolves to the value sets that "succeeded"
+   *   and "failed" (see ensureValueSetsWithAPIKey), or rejects with a CancellationError or
+   *   TimeoutError if the downloads were aborted.
+   */
+  async downloadValueSets(oidsAndVersions, umlsAPIKey, options) {
+    options = Object.assign(
+      {
+        retry: this.retryPolicy,
+        limiter: this.limiter,
+        logger: this.logger,
+        codeSystemMapping: this.codeSystemMapping,
+        fetch: this.fetch,
+        pinning: this.pinning
+      },
+      options
+    );
+    throwIfAborted(options.signal);
+    // Check the api option before downloading anything
+    this.apiFor(options);
+    // Abort all of the downloads if the signal aborts or the overall timeout passes
+    const { signal, done } = timeoutSignal(options.signal, options.timeout);
+    options = Object.assign({}, options, { signal });
+    try {
+      return await this.downloadAll(oidsAndVersions, umlsAPIKey, options);
+    } finally {
+      done();
+    }
+  }
+
+  /**
+   * Downloads the given value sets using options whose signal already includes the overall timeout.
+   * With the 'fail-fast' failure policy, the first failure cancels the remaining downloads, and is the
+   * only failure returned.
+   * @see downloadValueSets
+   */
+  async downloadAll(oidsAndVersions, umlsAPIKey, options) {
+    const failFast = options.failurePolicy === 'fail-fast' ? linkedSignal(options.signal) : null;
+    const downloadOptions =
+      failFast != null ? Object.assign({}, options, { signal: failFast.signal }) : options;
+    let failed = false;
+    const promises = oidsAndVersions.map(({ oid, version }) => {
+      // Catch errors and convert to resolutions returning an error.  This ensures Promise.all waits for all promises.
+      // See: http://stackoverflow.com/questions/31424561/wait-until-all-es6-promises-complete-even-rejected-promises
+      return this.sharedDownload(oid, version, umlsAPIKey, downloadOptions).then(
+        info => ({ oid, version: info != null && info.version != null ? info.version : version }),
+        err => {
+          if (failFast != null && failed) {
+            // Cancelled because another value set failed first
+            return { oid, version, cancelled: true };
+          }
+          const error = downloadError(err, oid, version);
+          if (failFast != null) {
+            failed = true;
+            failFast.abort(
+              new CancellationError('Cancelled after another value set failed to download')
             );
+          }
+          return { oid, version, error };
+        }
+      );
+    });
+    let results;
+    try {
+      results = await Promise.all(promises);
+    } finally {
+      if (failFast != null) {
+        failFast.done();
+      }
+    }
+    if (options.signal != null && options.signal.aborted) {
+      // Reject with the cancellation or timeout rather than the resulting download errors
+      throw abortError(options.signal);
+    }
+    return {
+      succeeded: results.filter(r => r.error == null && !r.cancelled),
+      failed: results.filter(r => r.error != null)
+    };
+  }
+
+  /**
+   * Downloads and stores a value set, sharing the download with any other caller that requests the
+   * same oid and version while it is in progress, so concurrent ensure calls for overlapping value
+   * sets only download each value set once.  Downloads are only shared between callers whose options
+   * would download the same value set (see downloadSettings).  A failed download rejects for every caller sharing it,
+   * but if the caller that started it cancelled it, the other callers start a new download.
+   * @param {string} oid - the value set's oid
+   * @param {string} version - the optional version
+   * @param {string|Object} umlsAPIKey - the UMLS API Key (or auth strategy) to use when downloading value sets
+   * @param {Object} options - the download options
+   * @returns {Promise.<Object,Error>} A promise that resolves to the download info (see the api's
+   *   downloadValueSet) once the value set is stored.
+   */
+  sharedDownload(oid, version, umlsAPIKey, options) {
+    const key = `${oid}|${version != null ? version : ''}`;
+    const settings = downloadSettings(this.apiFor(options), options);
+    const downloads = this.inFlight.get(key) || [];
+    const inFlight = downloads.find(d => sameSettings(d.settings, settings));
+    if (inFlight != null) {
+      return raceSignal(inFlight.promise, options.signal).catch(err => {
+        const cancelledByOther =
+          inFlight.signal != null &&
+          inFlight.signal.aborted &&
+          (options.signal == null || !options.signal.aborted);
+        if (cancelledByOther) {
+          return this.sharedDownload(oid, version, umlsAPIKey, options);
+        }
+        throw err;
+      });
+    }
+
+    // Download into a scratch database so the new value sets can be merged and written through
+    const downloaded = {};
+    const start = Date.now();
+    const emit = (event, data) => this.emit(event, Object.assign({ oid, version }, data));
+    options = Object.assign({}, options, { emit });
+    emit('download-start');
+    const { api, vsacAccess } = settings;
+    const download = {
+      signal: options.signal,
+      settings,
+      promise: raceSignal(
+        apiForAccess(api, vsacAccess, options).downloadValueSet(
+          umlsAPIKey,
+          oid,
+          version,
+          vsacAccess,
+          downloaded,
+          options
+        ),
+        options.signal
+      )
+        .then(info => {
+          // Value sets downloaded without a version come from the pinned release or manifest, if any
+          const pinned = version == null ? releaseOf(options.pinning) : {};
+          return this.storeValueSets(downloaded, Object.assign({}, info, pinned)).then(() => info);
+        })
+        .then(
+          info => {
+            this.logger
+              .child('CodeService')
+              .debug(`Downloaded valueset ${oid}${version != null ? ` version ${version}` : ''}`);
+            emit('download-complete', {
+              oid: info != null && info.oid != null ? info.oid : oid,
+              version: info != null && info.version != null ? info.version : version,
+              codes: countCodes(downloaded),
+              source: info != null ? info.source : undefined,
+              duration: Date.now() - start
+            });
+            return info;
+          },
+          err => {
+            const error = err instanceof CancellationError ? err : downloadError(err, oid, version);
+            this.logger.child('CodeService').warn(error.message, { error });
+            emit('download-failed', { error });
+            throw err;
+          }
+        )
+    };
+    this.inFlight.set(key, downloads.concat(download));
+    const forget = () => {
+      const remaining = (this.inFlight.get(key) || []).filter(d => d !== download);
+      if (remaining.length > 0) {
+        this.inFlight.set(key, remaining);
+      } else {
+        this.inFlight.delete(key);
+      }
+    };
+    download.promise.then(forget, forget);
+    return download.promise;
+  }
+
+  /**
+   * Re-downloads stale value sets without waiting for them.  The stale value sets continue to be
+   * served by findValueSet until the download completes; if it fails, they are kept and the next
+   * ensure call will try again.  Value sets already being revalidated are skipped.
+   * @param {Array<Object>} oidsAndVersions - an array of objects with "oid" and optional "version"
+   * @param {string|Object} umlsAPIKey - the UMLS API Key (or auth strategy) to use when downloading value sets
+   */
+  revalidateInBackground(oidsAndVersions, umlsAPIKey, options) {
+    oidsAndVersions
+      .filter(({ oid }) => !this.revalidations.has(oid))
+      .forEach(({ oid, version }) => {
+        const revalidation = this.downloadValueSets([{ oid, version }], umlsAPIKey, options)
+          .catch(() => {})
+          .then(() => {
+            this.revalidations.delete(oid);
           });
+        this.revalidations.set(oid, revalidation);
       });
-      const results = await Promise.all(promises);
-      const errors = results.filter(r => r instanceof Error);
-      // if (caching && results.length - errors.length > 0) {
-      //   // There were results, so write the file first before resolving/rejecting
-      //   try {
-      //     // await fs.writeJson(path.join(output, 'valueset-db.json'), this.valueSets);
-      //   } catch (err) {
-      //     errors.push(err);
-      //   }
-      // }
-      if (errors.length > 0) {
-        throw errors;
+  }
+
+  /**
+   * Returns a promise that resolves once all background revalidations in progress have finished.
+   * @returns {Promise.<undefined>}
+   */
+  async waitForRevalidations() {
+    await Promise.all(Array.from(this.revalidations.values()));
+  }
+
+  /**
+   * Determines if the value set reference should be re-downloaded according to the cache policy.
+   * References with an explicit (or embedded) version are never stale, since a value set version is
+   * immutable.  Unversioned references are stale when the most recently downloaded version of the
+   * value set is older than the ttl (or when its download time is unknown).
+   * @param {string} id - the identifier for the value set (may be OID, URN, or VSAC FHIR URL)
+   * @param {string} version - the optional version
+   * @returns {boolean} true if the value set should be re-downloaded
+   */
+  isStale(id, version) {
+    const [oid, embeddedVersion] = extractOidAndVersion(id);
+    if (version != null || embeddedVersion != null || this.pinnedVersion(oid) != null) {
+      return false;
+    }
+    const ttl = this.ttlFor(oid);
+    if (ttl == null || ttl === Infinity) {
+      return false;
+    }
+    const fetchedAt = Object.values(this.valueSetMeta[oid] || {}).reduce(
+      (latest, meta) =>
+        meta.fetchedAt != null && meta.fetchedAt > latest ? meta.fetchedAt : latest,
+      -Infinity
+    );
+    return Date.now() - fetchedAt > ttl;
+  }
+
+  ttlFor(oid) {
+    const ttl = this.cachePolicy.ttl;
+    if (typeof ttl === 'function') {
+      return ttl(oid);
+    } else if (ttl != null && typeof ttl === 'object') {
+      return ttl[oid] != null ? ttl[oid] : ttl.default;
+    }
+    return ttl;
+  }
+
+  /**
+   * Merges downloaded value sets into the in-memory value set database and writes each of them
+   * through to the cache adapter (if there is one; failing to write to it is logged, but doesn't
+   * fail).  If a downloaded value set has the same version and lastUpdated date as the one already
+   * loaded, the loaded one is kept and only its download time is updated.  Downloads without a
+   * lastUpdated date (e.g., from SVS or resolvers) always replace the loaded value set.
+   * @param {Object} vsDB - the downloaded value sets, keyed by oid and then version
+   * @param {Object} info - the optional download info (e.g., lastUpdated, effectiveDate, source)
+   *   returned by the api, and the release and manifest it was downloaded from (see setPinning)
+   * @returns {Promise.<undefined,Error>} A promise that resolves when the value sets are stored.
+   */
+  async storeValueSets(vsDB, info) {
+    if (info == null || typeof info !== 'object') {
+      info = {};
+    }
+    const lastUpdated = info.lastUpdated;
+    const stored = [];
+    Object.keys(vsDB).forEach(oid => {
+      this.removePlaceholders(oid);
+      Object.keys(vsDB[oid]).forEach(version => {
+        this.valueSets[oid] = this.valueSets[oid] || {};
+        const existingMeta = this.valueSetMeta[oid] && this.valueSetMeta[oid][version];
+        const unchanged =
+          this.valueSets[oid][version] != null &&
+          existingMeta != null &&
+          lastUpdated != null &&
+          existingMeta.lastUpdated === lastUpdated;
+        if (!unchanged) {
+          this.valueSets[oid][version] = vsDB[oid][version];
+        }
+        const meta = this.setValueSetMeta(oid, version, {
+          fetchedAt: Date.now(),
+          lastUpdated,
+          effectiveDate: info.effectiveDate,
+          source: info.source,
+          release: info.release,
+          manifest: info.manifest
+        });
+        stored.push([this.valueSets[oid][version], meta]);
+      });
+    });
+    if (this.cache != null) {
+      // The value sets are loaded either way, so failing to cache them (e.g., when storage is full)
+      // only means they'll be downloaded again next time
+      await Promise.all(
+        stored.map(([vs, meta]) =>
+          Promise.resolve()
+            .then(() => this.cache.save(vs, meta))
+            .catch(error => {
+              const version = vs.version != null ? ` version ${vs.version}` : '';
+              this.logger
+                .child('CodeService')
+                .warn(`Failed to cache valueset ${vs.oid}${version}: ${error && error.message}`, {
+                  error
+                });
+            })
+        )
+      );
+    }
+  }
+
+  removePlaceholders(oid) {
+    Object.keys(this.valueSets[oid] || {}).forEach(version => {
+      if (this.isPlaceholder(this.valueSets[oid][version])) {
+        delete this.valueSets[oid][version];
+        delete this.valueSetMeta[oid][version];
       }
+    });
+  }
+
+  /**
+   * Authenticates all downloads using the given auth strategy (see auth.js) instead of the UMLS API
+   * key.  When a strategy is set, the API key is no longer required (and is ignored).
+   * @param {Object} auth - the auth strategy, or null to go back to using the UMLS API key
+   */
+  setAuth(auth) {
+    if (auth != null && typeof auth.headers !== 'function') {
+      throw new Error('Expected auth to be an auth strategy with a headers function');
     }
+    this.auth = auth;
+  }
+
+  /**
+   * Returns the credentials to download with: the configured auth strategy if there is one,
+   * otherwise the passed in UMLS API key (or auth strategy).
+   * @param {string|Object} umlsAPIKey - the UMLS API key (or auth strategy) passed to an ensure call
+   * @returns {string|Object} the credentials, or undefined if there are none
+   */
+  credentialsFor(umlsAPIKey) {
+    if (this.auth != null) {
+      return this.auth;
+    }
+    return umlsAPIKey != null ? umlsAPIKey : undefined;
+  }
+
+  /**
+   * Sets the retry policy for failed requests (see retry.js for the options and their defaults).
+   * A retry policy passed in the options of an ensure call takes precedence.
+   * @param {Object|boolean} retry - the (partial) retry policy, or false to not retry
+   */
+  setRetryPolicy(retry) {
+    if (retry !== false && (retry == null || typeof retry !== 'object')) {
+      throw new Error(`Expected retry policy to be an object or false, but was ${retry}`);
+    }
+    this.retryPolicy = retry;
+  }
+
+  /**
+   * Sets the logger for downloads and requests (see logger.js).  By default, messages are logged
+   * using the debug module (enable them with DEBUG=vsac:*).  API keys and tokens are redacted.
+   * @param {Logger|Object|Function|boolean} logger - a Logger, a console-like object with debug,
+   *   info, warn and error methods, a function called with each log entry, or false to log nothing
+   * @param {Object} options - the logger options, e.g. { level: 'warn' } (see Logger)
+   */
+  setLogger(logger, options) {
+    this.logger = toLogger(logger, options);
+  }
+
+  /**
+   * Sets the fetch implementation used for all requests, including token requests of auth strategies
+   * and each page of a FHIR expansion, e.g. to route them through a proxy, a service worker or a mock.
+   * By default, the global fetch is used where there is one, and node-fetch otherwise (see fetch.js).
+   * @param {Function} fetch - a function (url, init) => Promise<Response>, or null for the default
+   */
+  setFetch(fetch) {
+    if (fetch != null && typeof fetch !== 'function') {
+      throw new Error(`Expected fetch to be a function, but was ${typeof fetch}`);
+    }
+    this.fetch = fetch;
+  }
+
+  /**
+   * Sets the function used to compare the versions of a value set, to find the most recent one when
+   * no version is asked for (see findValueSet).  The default comparator (see versions.js) compares
+   * dates chronologically, and numbers and semantic versions numerically.
+   * @param {Function} compare - a function (a, b) => number that is negative if version a is older
+   *   than version b, positive if it's more recent, and 0 if they're equivalent; or null for the
+   *   default comparator
+   */
+  setVersionComparator(compare) {
+    if (compare != null && typeof compare !== 'function') {
+      throw new Error(`Expected compareVersions to be a function, but was ${typeof compare}`);
+    }
+    this.compareVersions = compare != null ? compare : compareVersions;
+  }
+
+  /**
+   * Pins value sets, so that results are reproducible (e.g., when evaluating a historical measure
+   * against the VSAC release used at the time).  The pinning configuration may include:
+   *   versions - an object mapping value set oids to versions; a reference to one of these value sets
+   *     without a version (e.g., in a library) is downloaded and looked up (see findValueSets) at that
+   *     version instead of the most recent one
+   *   release - the VSAC release (e.g., 'eCQM Update 2021-05-06') SVS downloads of value sets without
+   *     a version are requested from, using RetrieveMultipleValueSets
+   *   manifest - the manifest (e.g., 'http://cts.nlm.nih.gov/fhir/Library/ecqm-update-2021-05-06')
+   *     FHIR expansions of value sets without a version use, as $expand's manifest parameter
+   *   systemVersions - an object mapping code system URIs to the versions every FHIR expansion uses,
+   *     as $expand's system-version parameters
+   * The release and manifest a value set was downloaded from are kept with it (including in the
+   * cache), and a value set without a version only counts as loaded (see findValueSets) if it was
+   * downloaded from the pinned release and manifest, so a cache can be shared between releases.
+   * @param {Object} pinning - the pinning configuration, or null to not pin value sets
+   */
+  setPinning(pinning) {
+    this.pinning = toPinning(pinning);
+  }
+
+  /**
+   * Returns the version a value set is pinned to (see setPinning), if any.
+   * @param {string} id - the identifier for the value set (may be OID, URN, or VSAC FHIR URL)
+   * @returns {string} the pinned version, or undefined if the value set isn't pinned to one
+   */
+  pinnedVersion(id) {
+    const [oid] = extractOidAndVersion(id);
+    const versions = this.pinning.versions || {};
+    return Object.prototype.hasOwnProperty.call(versions, oid) ? versions[oid] : undefined;
+  }
+
+  /**
+   * Converts a list of value set references into a list of OIDs and (optional) versions, using the
+   * pinned version (see setPinning) of a value set referenced without one.
+   * @param {Array<Object>} valueSetList - an array of objects, each containing an "id" property and
+   *   an optional "version" property
+   * @returns {Array<Object>} an array of objects, each containing "oid" and "version" properties
+   */
+  toOidsAndVersions(valueSetList) {
+    return toOidsAndVersions(valueSetList).map(({ oid, version }) => ({
+      oid,
+      version: version != null ? version : this.pinnedVersion(oid)
+    }));
+  }
+
+  /**
+   * Sets the limits on the requests made by all downloads, including each page of a FHIR expansion
+   * (see limiter.js).  By default, at most 10 requests are in progress at once and there is no limit
+   * on the request rate.
+   * @param {Object} limits - the limits, with "concurrency" and/or "requestsPerSecond"
+   */
+  setRequestLimits(limits) {
+    this.limiter = new RequestLimiter(limits);
+  }
+
+  /**
+   * Returns the api and vsacAccess to download with, according to the api and vsacAccess options of an
+   * ensure call (see ensureValueSetsWithAPIKey), defaulting to the service's.
+   * @param {Object} options - the download options
+   * @returns {Object} { api, vsacAccess }
+   */
+  apiFor(options) {
+    if (options.api == null) {
+      return {
+        api: this.api,
+        vsacAccess: options.vsacAccess != null ? options.vsacAccess : this.vsacAccess
+      };
+    }
+    const api = toApi(options.api);
+    let vsacAccess = options.vsacAccess;
+    if (vsacAccess == null) {
+      vsacAccess = this.vsacUrls[api.name] != null ? this.vsacUrls[api.name] : this.vsacAccess;
+    }
+    return { api, vsacAccess };
+  }
+
+  /**
+   * Sets the api used to download value sets: 'FHIR' or 'SVS' (which also switch to that api's URL
+   * given to the constructor), or 'auto' to detect the protocol from the current URL (or, if the URL
+   * doesn't say, from the response's content type; see protocol.js).  An api can also be chosen per
+   * ensure call, using the api option.
+   * @param {string} api - 'FHIR', 'SVS' or 'auto'
+   * @param {string|Function} vsacAccess - the URL template (or function) to use (optional)
+   */
+  setApi(api, vsacAccess) {
+    this.api = toApi(api);
+    if (vsacAccess != null) {
+      this.vsacAccess = vsacAccess;
+    } else if (this.vsacUrls[this.api.name] != null) {
+      this.vsacAccess = this.vsacUrls[this.api.name];
+    }
+  }
+
+  /**
+   * Routes all downloads through the given router (see router.js), replacing the single API and
+   * vsacAccess chosen in the constructor.
+   * @param {TerminologyRouter} router - the router to use
+   */
+  setRouter(router) {
+    this.api = router;
+  }
+
+  /**
+   * Returns the metadata kept with a loaded value set: when it was downloaded ("fetchedAt", in ms since
+   * the epoch), and, if the server gave them, when it was last updated ("lastUpdated", FHIR's
+   * meta.lastUpdated), the date its version took effect ("effectiveDate", from FHIR's
+   * valueset-effectiveDate extension), the source it came from ("source"; see getValueSetSource), and
+   * the release and manifest it was downloaded from ("release" and "manifest"; see setPinning).
+   * If no version is passed in, the most recent version is used (see findValueSet).
+   * @param {string} id - the identifier for the value set (may be OID, URN, or VSAC FHIR URL)
+   * @param {string} version - the optional version
+   * @returns {Object} a copy of the metadata, or undefined if the value set isn't loaded
+   */
+  getValueSetMeta(id, version) {
+    const vs = this.findValueSet(id, version);
+    if (vs == null) {
+      return;
+    }
+    return Object.assign({}, this.metaFor(vs));
+  }
+
+  /**
+   * Returns the metadata of a loaded value set (see getValueSetMeta), or an empty object if it has none.
+   * @param {ValueSet} valueSet - the value set
+   * @returns {Object} the metadata
+   */
+  metaFor(valueSet) {
+    const metas = this.valueSetMeta[valueSet.oid] || {};
+    // Placeholders for unversioned value sets are kept under ''
+    const meta =
+      valueSet.version != null ? metas[valueSet.version] : metas[''] || metas[valueSet.version];
+    return meta != null ? meta : {};
+  }
+
+  /**
+   * Returns the name of the source that satisfied the download of a value set, if it was downloaded
+   * through a router.  If no version is passed in, the most recent version is used.
+   * @param {string} id - the identifier for the value set (may be OID, URN, or VSAC FHIR URL)
+   * @param {string} version - the optional version
+   * @returns {string} the source name, or undefined if unknown
+   */
+  getValueSetSource(id, version) {
+    const vs = this.findValueSet(id, version);
+    if (vs == null) {
+      return;
+    }
+    return this.metaFor(vs).source;
+  }
+
+  setValueSetMeta(oid, version, meta) {
+    this.valueSetMeta[oid] = this.valueSetMeta[oid] || {};
+    this.valueSetMeta[oid][version] = meta;
+    return meta;
   }
 
   /**
@@ -111,13 +932,14 @@ class CodeService {
    * does not exist, the value set will be downloaded using the VSAC API.
    * @param {Object} library - the CQL Library object to look for referenced value sets in
    * @param {boolean} checkIncluded - indicates if "included" libraries should also be checked
-   * @param {string} umlsAPIKey - the UMLS API Key to use when downloading value sets
-   * @returns {Promise.<undefined,Error>} A promise that returns nothing when resolved and returns an error when rejected.
+   * @param {string|Object} umlsAPIKey - the UMLS API Key (or auth strategy) to use when downloading value sets
+   * @returns {Promise.<Object,Error>} A promise that resolves to the report of the downloaded and cached
+   *   value sets, or rejects with the download errors (see ensureValueSetsWithAPIKey).
    */
   ensureValueSetsInLibraryWithAPIKey(
     library,
     checkIncluded = true,
-    umlsAPIKey = env['UMLS_API_KEY'],
+    umlsAPIKey = umlsApiKey(),
     // caching = true,
     options = {svsCodeSystemType: 'url'}
   ) {
@@ -139,7 +961,9 @@ class CodeService {
 
   /**
    * Returns a list of value sets matching the passed in identifier.  If version is passed in, it will also filter
-   * by version (resulting in a list of, at most, 1 item). If no version is passed in, all versions are returned.
+   * by version (resulting in a list of, at most, 1 item). If no version is passed in, all versions are returned,
+   * unless the value set is pinned to a version (see setPinning), and only the versions downloaded from the
+   * pinned release and manifest (if any) are returned.
    * Note that this does not do any network calls -- it operated only on the cached value sets.
    * @param {string} id - the identifier for the value set (may be OID, URN, or VSAC FHIR URL)
    * @param {string} version - the optional version; if blank, returns all versions
@@ -151,10 +975,13 @@ class CodeService {
     if (version == null && embeddedVersion != null) {
       version = embeddedVersion;
     }
+    if (version == null) {
+      version = this.pinnedVersion(oid);
+    }
     const vs = this.valueSets[oid];
     if (vs) {
       for (let foundVersion in vs) {
-        if (version == null || foundVersion === version) {
+        if (version == null ? this.matchesPinning(vs[foundVersion]) : foundVersion === version) {
           result.push(vs[foundVersion]);
         }
       }
@@ -162,11 +989,21 @@ class CodeService {
     return result;
   }
 
+  /**
+   * Determines if a loaded value set was downloaded from the pinned release and manifest (see
+   * setPinning), or, if none are pinned, from no release or manifest in particular.
+   * @param {ValueSet} valueSet - the value set
+   * @returns {boolean} true if the value set matches the pinning
+   */
+  matchesPinning(valueSet) {
+    const meta = this.metaFor(valueSet);
+    return meta.release === this.pinning.release && meta.manifest === this.pinning.manifest;
+  }
+
   /**
    * Returns the value set matching the passed in identifier and version (if applicable).  If no version is
-   * passed in, and multiple versions are found, it will attempt to return the most recent version using a
-   * simple string comparison of versions. Note that this does not do any network calls -- it operates only
-   * on the cached value sets.
+   * passed in, and multiple versions are found, it returns the most recent version (see isMoreRecent).
+   * Note that this does not do any network calls -- it operates only on the cached value sets.
    * @param {string} id - the identifier for the value set (may be OID, URN, or VSAC FHIR URL)
    * @param {string} version - the optional version; if blank, attempts to return the most recent version
    * @returns {Object} the matching value set or undefined (if no match is found)
@@ -178,34 +1015,249 @@ class CodeService {
     } else if (results.length === 1) {
       return results[0];
     } else {
-      return results.reduce(function (a, b) {
-        if (a.version > b.version) {
-          return a;
-        } else {
-          return b;
-        }
-      });
+      return results.reduce((a, b) => (this.isMoreRecent(a, b) ? a : b));
+    }
+  }
+
+  /**
+   * Determines if one version of a value set is more recent than another: the one that took effect
+   * later (if both have an effective date; see getValueSetMeta), or else the one with the more recent
+   * version according to the version comparator (see setVersionComparator).  Versions the comparator
+   * considers equivalent are compared as strings, so the result never depends on the load order.
+   * @param {ValueSet} a - a version of the value set
+   * @param {ValueSet} b - another version of the value set
+   * @returns {boolean} true if a is more recent than b
+   */
+  isMoreRecent(a, b) {
+    const dateA = Date.parse(this.metaFor(a).effectiveDate);
+    const dateB = Date.parse(this.metaFor(b).effectiveDate);
+    if (!Number.isNaN(dateA) && !Number.isNaN(dateB) && dateA !== dateB) {
+      return dateA > dateB;
+    }
+    const byVersion = this.compareVersions(a.version, b.version);
+    if (byVersion !== 0) {
+      return byVersion > 0;
     }
+    return String(a.version) > String(b.version);
   }
 
+  /**
+   * Returns the unique codes (by system, code and version) of the value set matching the passed in
+   * identifier and version (see findValueSet).
+   * @param {string} oid - the identifier for the value set (may be OID, URN, or VSAC FHIR URL)
+   * @param {string} version - the optional version; if blank, uses the most recent version
+   * @returns {Array<Code>} the codes, or an empty array if the value set isn't loaded
+   */
   expandValueSet(oid, version) {
-    const results = [];
     const valueSet = this.findValueSet(oid, version);
     if (valueSet == null) {
       return [];
     }
-    valueSet.codes.forEach(code => {
-      if (!results.find(result => {
-        result === code;
-      })) {
-        results.push(code);
+    return this.codeIndexFor(valueSet).codes.slice();
+  }
 
-      }
+  /**
+   * Determines if a code is in the value set matching the passed in identifier and version (see
+   * findValueSet), using an index of the value set's codes that is built the first time it's needed.
+   * Codes match by system and code; a code with a version only matches codes with the same version
+   * (or without one).  Note that this does not do any network calls.
+   * @param {string} id - the identifier for the value set (may be OID, URN, or VSAC FHIR URL)
+   * @param {string} version - the optional version; if blank, uses the most recent version
+   * @param {Code|Object|string|Array} code - a code (with "code", "system" and optional "version"), a
+   *   bare code string (which matches that code in any system), a concept (with "codes"), or an array
+   *   of these, which is in the value set if any of them is
+   * @returns {boolean} true if the code is in the value set, false if it isn't (or the value set isn't
+   *   loaded)
+   */
+  isCodeInValueSet(id, version, code) {
+    const valueSet = this.findValueSet(id, version);
+    return valueSet != null && this.codeIndexFor(valueSet).has(code);
+  }
+
+  /**
+   * Determines which of the codes are in the value set matching the passed in identifier and version
+   * (see isCodeInValueSet).  The value set is only looked up once.
+   * @param {string} id - the identifier for the value set (may be OID, URN, or VSAC FHIR URL)
+   * @param {string} version - the optional version; if blank, uses the most recent version
+   * @param {Array} codes - the codes to check (each as accepted by isCodeInValueSet)
+   * @returns {Array<boolean>} whether each code is in the value set
+   */
+  areCodesInValueSet(id, version, codes) {
+    const valueSet = this.findValueSet(id, version);
+    const index = valueSet != null ? this.codeIndexFor(valueSet) : null;
+    return codes.map(code => index != null && index.has(code));
+  }
+
+  /**
+   * Checks each of a list of codes against a value set (see isCodeInValueSet), e.g. the codes of a
+   * population's records against the value sets of a measure.
+   * @param {Array<Object>} checks - objects with "id", optional "version" and "code"
+   * @returns {Array<boolean>} whether each code is in its value set
+   */
+  areCodesInValueSets(checks) {
+    return checks.map(({ id, version, code }) => this.isCodeInValueSet(id, version, code));
+  }
+
+  /**
+   * Validates a code against a value set, like FHIR's ValueSet/$validate-code.  If the value set is
+   * loaded, the answer comes from its code index (see isCodeInValueSet).  Otherwise, the terminology
+   * server's $validate-code operation is asked, so that large value sets don't need to be downloaded.
+   * It uses the FHIR URL template: the service's URL if its api is FHIR, and otherwise the FHIR URL
+   * given to the constructor (by default, VSAC's).
+   * @param {string} valueSetId - the identifier for the value set (may be OID, URN, or VSAC FHIR URL)
+   * @param {Object} coding - the code to validate, with "code", "system", and optional "version" and
+   *   "display"
+   * @param {string|Object} umlsAPIKey - the UMLS API Key (or auth strategy) to use when asking the
+   *   server; not needed if an auth strategy was set using setAuth
+   * @param {Object} options - the options:
+   *   version - the version of the value set; if blank, uses the most recent (or the server's latest)
+   *   url - the FHIR $expand URL template of the server to ask instead
+   *   cacheResults - true to remember the server's answers, so the same question isn't asked twice,
+   *     or 'positive' or 'negative' to only remember those answers (see clearValidatedCodes)
+   *   retry, signal, requestTimeout, fetch - as for ensureValueSetsWithAPIKey
+   * @returns {Promise.<Object,Error>} A promise that resolves to the result: "result" (true if the code
+   *   is in the value set), and the "message" and "display" (of the code), if any.  It rejects with a
+   *   ValueSetDownloadError (see errors.js) if the server can't be asked, or an AuthenticationError if
+   *   there are no credentials.
+   */
+  async validateCode(valueSetId, coding, umlsAPIKey = umlsApiKey(), options = {}) {
+    await this.cacheLoaded;
+    const [oid, embeddedVersion] = extractOidAndVersion(valueSetId);
+    let version = options.version != null ? options.version : embeddedVersion;
+    if (version == null) {
+      version = this.pinnedVersion(oid);
+    }
+    const valueSet = this.findValueSet(oid, version);
+    if (valueSet != null && !this.isPlaceholder(valueSet)) {
+      return validateLocally(this.codeIndexFor(valueSet), valueSet, coding);
+    }
+
+    const key = JSON.stringify([
+      oid,
+      version,
+      coding.code,
+      coding.system,
+      coding.version,
+      coding.display
+    ]);
+    if (this.validatedCodes.has(key)) {
+      return Object.assign({}, this.validatedCodes.get(key));
+    }
+    const credentials = this.credentialsFor(umlsAPIKey);
+    if (credentials == null) {
+      throw new AuthenticationError('Failed to validate code since UMLS_API_KEY is not set.');
+    }
+    let url = options.url;
+    if (url == null) {
+      const fhirAccess = this.api === fhir && typeof this.vsacAccess === 'string';
+      url = fhirAccess ? this.vsacAccess : this.vsacUrls.FHIR;
+    }
+    options = Object.assign(
+      {
+        retry: this.retryPolicy,
+        limiter: this.limiter,
+        logger: this.logger,
+        fetch: this.fetch
+      },
+      options
+    );
+    const result = await fhir.validateCode(credentials, oid, version, coding, url, options);
+    const cacheResults = options.cacheResults;
+    if (cacheResults === true || cacheResults === (result.result ? 'positive' : 'negative')) {
+      this.validatedCodes.set(key, result);
+    }
+    return Object.assign({}, result);
+  }
+
+  /**
+   * Forgets the answers to validateCode that were remembered using its cacheResults option.
+   */
+  clearValidatedCodes() {
+    this.validatedCodes.clear();
+  }
+
+  /**
+   * Returns the loaded value sets containing a code, e.g. to explain why a record counted towards a
+   * measure.  All loaded versions of the value sets are searched (using an inverted index of their
+   * codes, which is kept up to date as value sets are loaded and replaced).  Note that this does not
+   * do any network calls.
+   * @param {string|Object} code - the code, or a code (or FHIR Coding) with "code" and "system"
+   * @param {string} system - the code system; if blank, the code may be in any system
+   * @returns {Array<Object>} the value sets containing the code, each with "oid", "version" and (if
+   *   it was referenced by name in an ensure call) "name"
+   */
+  findValueSetsContainingCode(code, system) {
+    const coding = code != null && typeof code === 'object' ? code : { code, system };
+    return this.findValueSetsContainingCodes([coding])[0];
+  }
+
+  /**
+   * Returns the loaded value sets containing each of a list of codes, e.g. the codings of a patient's
+   * records (see findValueSetsContainingCode).
+   * @param {Array<Object>} codings - objects with "code" and optional "system"
+   * @returns {Array<Array<Object>>} the value sets containing each code
+   */
+  findValueSetsContainingCodes(codings) {
+    const loaded = [];
+    Object.keys(this.valueSets).forEach(oid => {
+      Object.keys(this.valueSets[oid]).forEach(version => {
+        const valueSet = this.valueSets[oid][version];
+        if (valueSet != null && !this.isPlaceholder(valueSet)) {
+          loaded.push(valueSet);
+        }
+      });
     });
-    return results;
+    this.valueSetIndex.update(loaded);
+    return codings.map(({ code, system }) =>
+      this.valueSetIndex.find(code, system).map(valueSet => {
+        const found = { oid: valueSet.oid, version: valueSet.version };
+        if (this.valueSetNames[valueSet.oid] != null) {
+          found.name = this.valueSetNames[valueSet.oid];
+        }
+        return found;
+      })
+    );
+  }
+
+  /**
+   * Returns the code index of a loaded value set, building it if needed.
+   * @param {ValueSet} valueSet - the value set
+   * @returns {CodeIndex} the index of its codes
+   */
+  codeIndexFor(valueSet) {
+    let index = this.codeIndexes.get(valueSet);
+    if (index == null) {
+      index = new CodeIndex(valueSet.codes);
+      this.codeIndexes.set(valueSet, index);
+    }
+    return index;
   }
 }
 
+/**
+ * Validates a code against a loaded value set (see CodeService.validateCode).  The display, if given,
+ * isn't part of the check, but a display that differs from the value set's is pointed out.
+ * @param {CodeIndex} index - the index of the value set's codes
+ * @param {ValueSet} valueSet - the value set
+ * @param {Object} coding - the code to validate
+ * @returns {Object} the result, with the message and display, if any
+ */
+function validateLocally(index, valueSet, coding) {
+  const found = index.find({ code: coding.code, system: coding.system, version: coding.version });
+  const name = `${coding.system}#${coding.code}`;
+  if (found == null) {
+    return { result: false, message: `The code ${name} is not in the value set ${valueSet.oid}` };
+  }
+  const result = { result: true };
+  if (found.display != null) {
+    result.display = found.display;
+    if (coding.display != null && coding.display !== found.display) {
+      result.message = `The display "${coding.display}" of ${name} should be "${found.display}"`;
+    }
+  }
+  return result;
+}
+
 /**
  * Extracts the referenced value sets from a CQL Library and (optionally) its included libraries
  * @param {Object} library - the CQL Library to extract the referenced value sets from
@@ -274,12 +1326,288 @@ function extractSetOfValueSetsFromLibrary(
   return valueSets;
 }
 
+function isOptionsObject(arg) {
+  return arg != null && typeof arg === 'object' && !Array.isArray(arg);
+}
+
+/**
+ * Converts the deprecated positional constructor arguments into constructor options.
+ * @returns {Object} the constructor options
+ */
+function fromPositionalArguments(
+  useDefaultUrl = true,
+  useFHIR = false,
+  vsacSvsUrl = VSAC_SVS_URL_TEMPLATE,
+  vsacFhirUrl = VSAC_FHIR_URL_TEMPLATE,
+  cache = null,
+  cachePolicy = {}
+) {
+  return {
+    api: useFHIR ? 'FHIR' : 'SVS',
+    urls: useDefaultUrl ? {} : { svs: vsacSvsUrl, fhir: vsacFhirUrl },
+    cache,
+    cachePolicy
+  };
+}
+
+/**
+ * Checks the constructor options, throwing an error for unknown, invalid or conflicting options.
+ * @param {Array} args - the constructor arguments, which should be a single options object (or none)
+ * @returns {Object} the options
+ */
+function checkOptions(args) {
+  if (args.length > 1) {
+    throw new Error('Expected a single CodeService options object, but got more arguments');
+  }
+  const options = args[0] || {};
+  const unknown = Object.keys(options).filter(key => !OPTIONS.includes(key));
+  if (unknown.length > 0) {
+    throw new Error(
+      `Unknown CodeService option(s): ${unknown.join(', ')}. Expected one of ${OPTIONS.join(', ')}`
+    );
+  }
+  const isRouter = options.api != null && typeof options.api === 'object';
+  if (options.url != null && options.urls != null) {
+    throw new Error('The CodeService url and urls options conflict; pass one or the other');
+  } else if (isRouter && (options.url != null || options.urls != null)) {
+    throw new Error(
+      'The CodeService url and urls options conflict with a router api, whose sources have their own'
+    );
+  } else if (
+    typeof options.api === 'string' &&
+    options.api.toLowerCase() === 'auto' &&
+    options.url == null
+  ) {
+    throw new Error(`The CodeService api 'auto' requires the url option`);
+  }
+  if (options.urls != null) {
+    const keys = isOptionsObject(options.urls) ? Object.keys(options.urls) : [];
+    if (keys.length === 0 || keys.some(key => !['fhir', 'svs'].includes(key))) {
+      throw new Error(
+        'Expected the CodeService urls option to be an object with fhir and/or svs URLs'
+      );
+    }
+  }
+  [['url', options.url]]
+    .concat(Object.entries(options.urls || {}).map(([key, url]) => [`urls.${key}`, url]))
+    .forEach(([name, url]) => {
+      if (url != null && typeof url !== 'string' && typeof url !== 'function') {
+        throw new Error(
+          `Expected the CodeService ${name} option to be a string or function, but was ${typeof url}`
+        );
+      }
+    });
+  if (options.logLevel != null && options.logger instanceof Logger) {
+    throw new Error(
+      'The CodeService logLevel option conflicts with a Logger, which has its own level'
+    );
+  }
+  return options;
+}
+
+/**
+ * Converts the codeSystemMapping option (code system OIDs mapped to URIs or { uri } objects) to the
+ * layout of vsac-code-systems.json (OIDs mapped to { uri } objects).
+ * @param {Object} mapping - the mapping (optional)
+ * @returns {Object} the converted mapping, or undefined if there is none
+ */
+function toCodeSystemMapping(mapping) {
+  if (mapping == null) {
+    return;
+  } else if (!isOptionsObject(mapping)) {
+    throw new Error(
+      `Expected the CodeService codeSystemMapping option to be an object, but was ${typeof mapping}`
+    );
+  }
+  const converted = {};
+  Object.keys(mapping).forEach(oid => {
+    const uri = typeof mapping[oid] === 'string' ? mapping[oid] : (mapping[oid] || {}).uri;
+    if (typeof uri !== 'string') {
+      throw new Error(`Expected codeSystemMapping['${oid}'] to be a URI or an object with a uri`);
+    }
+    converted[oid] = { uri };
+  });
+  return converted;
+}
+
+/**
+ * Returns the download options that determine which codes a download produces, so that downloads are
+ * only shared between callers that would download the same value set (see sharedDownload).
+ * @param {Object} access - the api and vsacAccess to download with (see apiFor)
+ * @param {Object} options - the download options
+ * @returns {Object} the api, vsacAccess, svsCodeSystemType, codeSystemMapping, pinning and fetch
+ */
+function downloadSettings(access, options) {
+  return {
+    api: access.api,
+    vsacAccess: access.vsacAccess,
+    svsCodeSystemType: options.svsCodeSystemType,
+    codeSystemMapping: options.codeSystemMapping,
+    pinning: options.pinning,
+    fetch: options.fetch
+  };
+}
+
+function sameSettings(a, b) {
+  return Object.keys(a).every(name => a[name] === b[name]);
+}
+
+/**
+ * Returns the release and manifest of a pinning configuration (see setPinning), which are kept with
+ * the value sets downloaded from them.
+ * @param {Object} pinning - the pinning configuration (optional)
+ * @returns {Object} an object with the release and manifest, if pinned
+ */
+function releaseOf(pinning) {
+  const release = {};
+  if (pinning != null && pinning.release != null) {
+    release.release = pinning.release;
+  }
+  if (pinning != null && pinning.manifest != null) {
+    release.manifest = pinning.manifest;
+  }
+  return release;
+}
+
 /**
- * Extracts the oid and version from a url, urn, or oid. Only url supports an embedded version
- * (separately by |); urn and oid will never return a version. If the input value is not a valid
- * urn or VSAC URL, it is assumed to be an oid and returned as-is.
+ * Checks the pinning configuration (see setPinning), keying its pinned versions by oid.
+ * @param {Object} pinning - the pinning configuration (optional)
+ * @returns {Object} the checked configuration, or an empty object if there is none
+ */
+function toPinning(pinning) {
+  if (pinning == null) {
+    return {};
+  } else if (!isOptionsObject(pinning)) {
+    throw new Error(
+      `Expected the pinning configuration to be an object, but was ${typeof pinning}`
+    );
+  }
+  const unknown = Object.keys(pinning).filter(key => !PINNING.includes(key));
+  if (unknown.length > 0) {
+    throw new Error(
+      `Unknown pinning option(s): ${unknown.join(', ')}. Expected one of ${PINNING.join(', ')}`
+    );
+  }
+  ['release', 'manifest'].forEach(key => {
+    if (pinning[key] != null && typeof pinning[key] !== 'string') {
+      throw new Error(`Expected the pinned ${key} to be a string, but was ${typeof pinning[key]}`);
+    }
+  });
+  ['versions', 'systemVersions'].forEach(key => {
+    if (pinning[key] != null && !isOptionsObject(pinning[key])) {
+      throw new Error(`Expected the pinned ${key} to be an object, but was ${typeof pinning[key]}`);
+    }
+  });
+  const checked = Object.assign({}, pinning);
+  if (pinning.versions != null) {
+    checked.versions = {};
+    Object.keys(pinning.versions).forEach(id => {
+      checked.versions[extractOidAndVersion(id)[0]] = pinning.versions[id];
+    });
+  }
+  return checked;
+}
+
+/**
+ * Wraps an error thrown while downloading a value set in the matching ValueSetDownloadError (see
+ * errors.js), with a message saying which value set failed.
+ * @param {Error} err - the error
+ * @param {string} oid - the value set's oid
+ * @param {string} version - the optional version
+ * @returns {ValueSetDownloadError} the error
+ */
+function downloadError(err, oid, version) {
+  const attempts = err != null ? err.attempts : undefined;
+  return toDownloadError(
+    err,
+    `Error downloading valueset: ${oid}${version != null ? ` version ${version}` : ''}` +
+      (attempts > 1 ? ` (failed after ${attempts} attempts)` : ''),
+    { oid, version }
+  );
+}
+
+/**
+ * Counts the codes in a value set database.
+ * @param {Object} vsDB - the value sets, keyed by oid and then version
+ * @returns {number} the number of codes
+ */
+function countCodes(vsDB) {
+  return Object.values(vsDB).reduce(
+    (count, versions) => count + Object.values(versions).reduce((n, vs) => n + vs.codes.length, 0),
+    0
+  );
+}
+
+/**
+ * Throws if the failure policy in the download options is not one of FAILURE_POLICIES.
+ * @param {Object} options - the download options
+ */
+function checkFailurePolicy(options) {
+  const policy = options.failurePolicy;
+  if (policy != null && !FAILURE_POLICIES.includes(policy)) {
+    throw new Error(
+      `Expected failurePolicy to be one of ${FAILURE_POLICIES.join(', ')}, but was ${policy}`
+    );
+  }
+}
+
+/**
+ * Returns the ensure report if no download failed, otherwise throws the errors of the failed
+ * downloads as an array (as ensure* always has), with the report as its "report" property.
+ * @param {Object} report - the report, with "succeeded", "cached" and "failed" arrays
+ * @returns {Object} the report
+ */
+function throwIfFailed(report) {
+  if (report.failed.length > 0) {
+    const errors = report.failed.map(f => f.error);
+    errors.report = report;
+    throw errors;
+  }
+  return report;
+}
+
+/**
+ * Converts a list of value set references into a list of OIDs and (optional) versions.
+ * @param {Array<Object>} valueSetList - an array of objects, each containing an "id" property and
+ *   an optional "version" property
+ * @returns {Array<Object>} an array of objects, each containing "oid" and "version" properties
+ */
+function toOidsAndVersions(valueSetList) {
+  return valueSetList.map(vs => {
+    let version = vs.version;
+    const [oid, embeddedVersion] = extractOidAndVersion(vs.id);
+    if (version == null && embeddedVersion != null) {
+      version = embeddedVersion;
+    }
+    return { oid, version };
+  });
+}
+
+/**
+ * Extracts the download metadata from a cache entry.
+ * @param {Object} entry - the cache entry
+ * @returns {Object} an object with fetchedAt, lastUpdated, effectiveDate, source, release and
+ *   manifest properties
+ */
+function toValueSetMeta(entry) {
+  return {
+    fetchedAt: entry.fetchedAt,
+    lastUpdated: entry.lastUpdated,
+    effectiveDate: entry.effectiveDate,
+    source: entry.source,
+    release: entry.release,
+    manifest: entry.manifest
+  };
+}
+
+/**
+ * Extracts the oid and version from a url, urn, or oid. Only urls support an embedded version
+ * (separately by |); urn and oid will never return a version. VSAC FHIR URLs are converted to their
+ * oid, while other urls (e.g., http://hl7.org/fhir/ValueSet/example) are canonical identifiers and
+ * are returned as-is (minus any embedded version). If the input value is not a valid urn or url, it
+ * is assumed to be an oid and returned as-is.
  * @param {string} id - the urn, url, or oid
- * @returns {[string,string]} the oid and optional version as a pair
+ * @returns {[string,string]} the oid (or canonical url) and optional version as a pair
  */
 function extractOidAndVersion(id) {
   if (id == null) return [];
@@ -293,6 +1621,10 @@ function extractOidAndVersion(id) {
   m = id.match(/^urn:oid:(.+)$/);
   if (m) return [m[1]];
 
+  // then check for other canonical URLs, which may also have an embedded version
+  m = id.match(/^(https?:\/\/[^|]+)(\|(.+))?$/);
+  if (m) return m[3] == null ? [m[1]] : [m[1], m[3]];
+
   // finally just return as-is
   return [id];
 }
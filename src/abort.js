@@ -0,0 +1,149 @@
+const { CancellationError, TimeoutError } = require('./errors');
+
+/**
+ * Returns the error to reject with for an aborted signal: the TimeoutError or CancellationError it
+ * was aborted with, or a CancellationError wrapping any other reason.
+ * @param {AbortSignal} signal - the aborted signal
+ * @returns {Error} the error
+ */
+function abortError(signal) {
+  const reason = signal.reason;
+  if (reason instanceof CancellationError || reason instanceof TimeoutError) {
+    return reason;
+  }
+  return new CancellationError(undefined, { cause: reason });
+}
+
+/**
+ * Throws the abort error (see abortError) if the signal has been aborted.
+ * @param {AbortSignal} signal - the signal (optional)
+ */
+function throwIfAborted(signal) {
+  if (signal != null && signal.aborted) {
+    throw abortError(signal);
+  }
+}
+
+/**
+ * Creates a signal that aborts when the parent signal aborts, or when abort(reason) is called.  Call
+ * done() when finished with the signal, to stop listening to the parent.
+ * @param {AbortSignal} parent - the parent signal (optional)
+ * @returns {Object} { signal, abort, done }
+ */
+function linkedSignal(parent) {
+  const controller = new AbortController();
+  const onAbort = () => controller.abort(parent.reason);
+  if (parent != null) {
+    if (parent.aborted) {
+      onAbort();
+    } else {
+      parent.addEventListener('abort', onAbort, { once: true });
+    }
+  }
+  const abort = reason => controller.abort(reason);
+  const done = () => {
+    if (parent != null) {
+      parent.removeEventListener('abort', onAbort);
+    }
+  };
+  return { signal: controller.signal, abort, done };
+}
+
+/**
+ * Creates a signal that aborts when the parent signal aborts, or with a TimeoutError once the timeout
+ * has passed.  Call done() when finished with the signal, to clear the timer.
+ * @param {AbortSignal} parent - the parent signal (optional)
+ * @param {number} timeout - the timeout in ms (optional)
+ * @param {string} url - the URL of the request being timed, for the error message (optional)
+ * @returns {Object} { signal, done }
+ */
+function timeoutSignal(parent, timeout, url) {
+  if (timeout == null) {
+    return { signal: parent, done: () => {} };
+  }
+  const linked = linkedSignal(parent);
+  const timer = setTimeout(() => {
+    const message =
+      url != null
+        ? `Request to ${url} timed out after ${timeout}ms`
+        : `Value set download timed out after ${timeout}ms`;
+    linked.abort(new TimeoutError(message, { timeout, url }));
+  }, timeout);
+  const done = () => {
+    clearTimeout(timer);
+    linked.done();
+  };
+  return { signal: linked.signal, done };
+}
+
+/**
+ * Settles with the promise, or rejects with the abort error as soon as the signal aborts (for tasks,
+ * such as custom vsacAccess functions, that may not listen to the signal themselves).
+ * @param {Promise} promise - the promise
+ * @param {AbortSignal} signal - the signal (optional)
+ * @returns {Promise} the raced promise
+ */
+function raceSignal(promise, signal) {
+  if (signal == null) {
+    return promise;
+  }
+  return new Promise((resolve, reject) => {
+    const onAbort = () => reject(abortError(signal));
+    if (signal.aborted) {
+      onAbort();
+      return;
+    }
+    signal.addEventListener('abort', onAbort, { once: true });
+    promise.finally(() => signal.removeEventListener('abort', onAbort)).then(resolve, reject);
+  });
+}
+
+/**
+ * Waits for the given time, rejecting early if the signal aborts.
+ * @param {number} ms - the time to wait
+ * @param {AbortSignal} signal - the signal (optional)
+ * @returns {Promise.<undefined,Error>}
+ */
+function sleep(ms, signal) {
+  let timer;
+  const wait = new Promise(resolve => {
+    timer = setTimeout(resolve, ms);
+  });
+  return raceSignal(wait, signal).finally(() => clearTimeout(timer));
+}
+
+/**
+ * Runs a single request, passing it a signal that aborts when options.signal aborts or after
+ * options.requestTimeout ms.  If the signal aborts, rejects with the abort error, even if the request
+ * ignores the signal.
+ * @param {Object} options - the download options, with the optional signal and requestTimeout
+ * @param {string} url - the URL being requested, for error messages (optional)
+ * @param {Function} request - a function (signal) => promise performing the request
+ * @returns {Promise} the result of the request
+ */
+async function runRequest(options, url, request) {
+  throwIfAborted(options.signal);
+  const { signal, done } = timeoutSignal(options.signal, options.requestTimeout, url);
+  try {
+    return await raceSignal(
+      Promise.resolve().then(() => request(signal)),
+      signal
+    );
+  } catch (err) {
+    // e.g., node-fetch rejects with its own AbortError, which is replaced by the reason
+    throwIfAborted(signal);
+    throw err;
+  } finally {
+    done();
+  }
+}
+
+module.exports = {
+  abortError,
+  throwIfAborted,
+  linkedSignal,
+  timeoutSignal,
+  raceSignal,
+  sleep,
+  runRequest
+};
@@ -0,0 +1,233 @@
+const { resolveFetch } = require('./fetch');
+const { AuthenticationError } = require('./errors');
+
+/**
+ * An auth strategy supplies the headers used to authenticate requests to a terminology server.
+ * Strategies implement the following methods:
+ *
+ *   headers(options)  - resolves to an object of headers to add to each request
+ *   refresh(options)  - (optional) called after a request is rejected with a 401; resolves to true if
+ *                       new credentials were obtained, in which case the request is retried once
+ *
+ * Both are passed { fetch }, the fetch implementation of the request, for strategies that make
+ * requests of their own (such as token requests).
+ *
+ * Wherever the library accepts a UMLS API key, it also accepts an auth strategy.
+ */
+
+/**
+ * Authenticates using a UMLS API key, sent as HTTP Basic auth with the username "apikey".  This is
+ * what VSAC expects, and is used whenever a plain API key string is passed in.
+ *
+ * @param {string} apiKey - the UMLS API key
+ */
+class ApiKeyAuth {
+  constructor(apiKey) {
+    if (apiKey == null) {
+      throw new Error('ApiKeyAuth requires an API key');
+    }
+    this.apiKey = apiKey;
+  }
+
+  async headers() {
+    return { Authorization: `Basic ${btoa(`apikey:${this.apiKey}`)}` };
+  }
+}
+
+/**
+ * Authenticates using a bearer token.  The token may be a static string, or a token provider
+ * function that returns (or resolves to) a token.  The provider is called when a token is first
+ * needed, and again with { forceRefresh: true } when a request is rejected with a 401.
+ *
+ * @param {string|Function} token - the token, or a function ({ forceRefresh }) => token
+ */
+class BearerTokenAuth {
+  constructor(token) {
+    if (token == null) {
+      throw new Error('BearerTokenAuth requires a token or token provider');
+    }
+    this.provider = typeof token === 'function' ? token : null;
+    this.token = typeof token === 'function' ? null : Promise.resolve(token);
+  }
+
+  async headers() {
+    if (this.token == null) {
+      this.token = this.requestToken(false);
+    }
+    return { Authorization: `Bearer ${await this.token}` };
+  }
+
+  async refresh() {
+    if (this.provider == null) {
+      return false;
+    }
+    this.token = this.requestToken(true);
+    await this.token;
+    return true;
+  }
+
+  requestToken(forceRefresh) {
+    const token = Promise.resolve(this.provider({ forceRefresh }));
+    // Don't keep a failed token request around; the next request should try again
+    token.catch(() => {
+      if (this.token === token) {
+        this.token = null;
+      }
+    });
+    return token;
+  }
+}
+
+/**
+ * Authenticates using a bearer token obtained through the OAuth2 client credentials grant.  Tokens
+ * are cached until shortly before they expire, and a new token is requested when a request is
+ * rejected with a 401.
+ *
+ * @param {Object} config - the OAuth2 configuration:
+ *   tokenUrl - the token endpoint
+ *   clientId, clientSecret - the client credentials
+ *   scope - (optional) the scope to request
+ *   clientAuthentication - (optional) 'basic' (default) sends the credentials using HTTP Basic auth,
+ *     while 'body' sends them as client_id and client_secret form parameters
+ *   expirySkew - (optional) ms before expiry at which a token is considered expired (default 30000)
+ */
+class OAuth2ClientCredentialsAuth {
+  constructor(config = {}) {
+    ['tokenUrl', 'clientId', 'clientSecret'].forEach(key => {
+      if (config[key] == null) {
+        throw new Error(`OAuth2ClientCredentialsAuth requires ${key}`);
+      }
+    });
+    this.config = Object.assign({ clientAuthentication: 'basic', expirySkew: 30000 }, config);
+    this.token = null;
+  }
+
+  async headers(options = {}) {
+    if (this.token == null || this.token.expiresAt <= Date.now()) {
+      await this.refresh(options);
+    }
+    const { accessToken } = await this.token.request;
+    return { Authorization: `Bearer ${accessToken}` };
+  }
+
+  async refresh(options = {}) {
+    const request = this.requestToken(options);
+    this.token = { request, expiresAt: Infinity };
+    try {
+      const { expiresIn } = await request;
+      if (this.token.request === request && expiresIn != null) {
+        this.token.expiresAt = Date.now() + expiresIn * 1000 - this.config.expirySkew;
+      }
+    } catch (err) {
+      if (this.token.request === request) {
+        this.token = null;
+      }
+      throw err;
+    }
+    return true;
+  }
+
+  async requestToken(options = {}) {
+    const { tokenUrl, clientId, clientSecret, scope, clientAuthentication } = this.config;
+    const params = new URLSearchParams({ grant_type: 'client_credentials' });
+    if (scope != null) {
+      params.set('scope', scope);
+    }
+    const headers = { 'Content-Type': 'application/x-www-form-urlencoded' };
+    if (clientAuthentication === 'body') {
+      params.set('client_id', clientId);
+      params.set('client_secret', clientSecret);
+    } else {
+      headers.Authorization = `Basic ${btoa(
+        `${encodeURIComponent(clientId)}:${encodeURIComponent(clientSecret)}`
+      )}`;
+    }
+
+    const fetch = resolveFetch(options.fetch);
+    const response = await fetch(tokenUrl, { method: 'POST', headers, body: params.toString() });
+    if (!response.ok) {
+      throw new AuthenticationError(`Token request to ${tokenUrl} failed with ${response.status}`, {
+        url: tokenUrl,
+        status: response.status
+      });
+    }
+    const json = await response.json();
+    if (json.access_token == null) {
+      throw new AuthenticationError(
+        `Token response from ${tokenUrl} did not include an access_token`,
+        { url: tokenUrl }
+      );
+    }
+    return { accessToken: json.access_token, expiresIn: json.expires_in };
+  }
+}
+
+/**
+ * Authenticates using arbitrary headers, e.g. an API gateway key.
+ *
+ * @param {Object|Function} headers - the headers, or a function that returns (or resolves to) them
+ */
+class HeaderAuth {
+  constructor(headers) {
+    if (headers == null) {
+      throw new Error('HeaderAuth requires headers');
+    }
+    this.headersOrProvider = headers;
+  }
+
+  async headers() {
+    if (typeof this.headersOrProvider === 'function') {
+      return this.headersOrProvider();
+    }
+    return this.headersOrProvider;
+  }
+}
+
+/**
+ * Converts an API key or auth strategy into an auth strategy.
+ * @param {string|Object} auth - a UMLS API key or an auth strategy
+ * @returns {Object} the auth strategy
+ */
+function toAuth(auth) {
+  if (auth != null && typeof auth.headers === 'function') {
+    return auth;
+  }
+  return new ApiKeyAuth(auth);
+}
+
+/**
+ * Fetches a URL, adding the auth strategy's headers.  If the response is a 401 and the strategy can
+ * refresh its credentials, the request is retried once with the new credentials.
+ * @param {string} url - the URL to fetch
+ * @param {string|Object} auth - a UMLS API key or an auth strategy
+ * @param {Object} options - additional fetch options, and fetch: the fetch implementation to use
+ *   (see fetch.js)
+ * @returns {Promise<Response>} the fetch response
+ */
+async function fetchWithAuth(url, auth, options = {}) {
+  const strategy = toAuth(auth);
+  const fetch = resolveFetch(options.fetch);
+  const init = Object.assign({}, options);
+  delete init.fetch;
+  const doFetch = async () => {
+    const headers = Object.assign({}, init.headers, await strategy.headers({ fetch }));
+    return fetch(url, Object.assign({}, init, { headers }));
+  };
+
+  let response = await doFetch();
+  if (response.status === 401 && typeof strategy.refresh === 'function') {
+    if (await strategy.refresh({ fetch })) {
+      response = await doFetch();
+    }
+  }
+  return response;
+}
+
+module.exports = {
+  ApiKeyAuth,
+  BearerTokenAuth,
+  OAuth2ClientCredentialsAuth,
+  HeaderAuth,
+  toAuth,
+  fetchWithAuth
+};
@@ -0,0 +1,252 @@
+const { Code, ValueSet } = require('cql-execution');
+
+const DEFAULT_CACHE_NAME = 'cql-exec-vsac';
+
+/**
+ * A value set cache adapter persists downloaded value sets between sessions. Adapters store plain
+ * JSON in the same oid -> version -> { oid, version, codes } layout used by the in-memory value set
+ * database, and must implement the following asynchronous methods:
+ *
+ *   load()                   - resolves to the stored value set database (or an empty object)
+ *   save(valueSet, meta)     - stores a single value set under its oid and version, along with its
+ *                              optional download metadata (fetchedAt, lastUpdated, effectiveDate, source,
+ *                              release, manifest)
+ *   clear()                  - removes all stored value sets
+ *
+ * CodeService hydrates its value sets from load() at startup and calls save() after each successful
+ * download.  A failed save() is logged, but doesn't fail the download.  Value sets without a version
+ * are stored under the version '' (see toCacheEntry), since IndexedDB keys can't be undefined.
+ */
+
+/**
+ * A cache adapter that keeps value sets in memory.  Useful for sharing value sets between
+ * CodeService instances and for testing.
+ */
+class MemoryCache {
+  constructor() {
+    this.entries = {};
+  }
+
+  async load() {
+    return JSON.parse(JSON.stringify(this.entries));
+  }
+
+  async save(valueSet, meta) {
+    const entry = toCacheEntry(valueSet, meta);
+    this.entries[entry.oid] = this.entries[entry.oid] || {};
+    this.entries[entry.oid][entry.version] = entry;
+  }
+
+  async clear() {
+    this.entries = {};
+  }
+}
+
+/**
+ * A cache adapter backed by the Web Storage API (e.g., window.localStorage).  Each value set is
+ * stored under its own key so that a single large value set does not require rewriting the others.
+ *
+ * @param {Storage} storage - the Storage object to use (defaults to globalThis.localStorage)
+ * @param {string} prefix - the prefix for keys written by this cache
+ */
+class LocalStorageCache {
+  constructor(storage = globalThis.localStorage, prefix = `${DEFAULT_CACHE_NAME}:`) {
+    if (storage == null) {
+      throw new Error('LocalStorageCache requires a Storage implementation, but none was found');
+    }
+    this.storage = storage;
+    this.prefix = prefix;
+  }
+
+  async load() {
+    const vsDB = {};
+    this.keys().forEach(key => {
+      let entry;
+      try {
+        entry = JSON.parse(this.storage.getItem(key));
+      } catch (err) {
+        // Skip corrupt entries; they will be overwritten on the next download
+        return;
+      }
+      if (isCacheEntry(entry)) {
+        vsDB[entry.oid] = vsDB[entry.oid] || {};
+        vsDB[entry.oid][entry.version] = entry;
+      }
+    });
+    return vsDB;
+  }
+
+  async save(valueSet, meta) {
+    const entry = toCacheEntry(valueSet, meta);
+    this.storage.setItem(`${this.prefix}${entry.oid}|${entry.version}`, JSON.stringify(entry));
+  }
+
+  async clear() {
+    this.keys().forEach(key => this.storage.removeItem(key));
+  }
+
+  keys() {
+    const keys = [];
+    for (let i = 0; i < this.storage.length; i++) {
+      const key = this.storage.key(i);
+      if (key != null && key.startsWith(this.prefix)) {
+        keys.push(key);
+      }
+    }
+    return keys;
+  }
+}
+
+/**
+ * A cache adapter backed by IndexedDB.  Value sets are stored in a single object store keyed by
+ * [oid, version].
+ *
+ * @param {IDBFactory} indexedDB - the IndexedDB factory to use (defaults to globalThis.indexedDB)
+ * @param {string} dbName - the name of the database to open
+ * @param {string} storeName - the name of the object store holding the value sets
+ */
+class IndexedDBCache {
+  constructor(
+    indexedDB = globalThis.indexedDB,
+    dbName = DEFAULT_CACHE_NAME,
+    storeName = 'valueSets'
+  ) {
+    if (indexedDB == null) {
+      throw new Error('IndexedDBCache requires an IndexedDB implementation, but none was found');
+    }
+    this.indexedDB = indexedDB;
+    this.dbName = dbName;
+    this.storeName = storeName;
+    this.db = null;
+  }
+
+  async load() {
+    const entries = await this.transact('readonly', store => store.getAll());
+    const vsDB = {};
+    entries.filter(isCacheEntry).forEach(entry => {
+      vsDB[entry.oid] = vsDB[entry.oid] || {};
+      vsDB[entry.oid][entry.version] = entry;
+    });
+    return vsDB;
+  }
+
+  async save(valueSet, meta) {
+    const entry = toCacheEntry(valueSet, meta);
+    await this.transact('readwrite', store => store.put(entry));
+  }
+
+  async clear() {
+    await this.transact('readwrite', store => store.clear());
+  }
+
+  /**
+   * Closes the underlying database connection.  It will be re-opened on next use.
+   */
+  close() {
+    if (this.db != null) {
+      this.db.close();
+      this.db = null;
+    }
+  }
+
+  async open() {
+    if (this.db == null) {
+      this.db = await new Promise((resolve, reject) => {
+        const request = this.indexedDB.open(this.dbName, 1);
+        request.onupgradeneeded = () => {
+          request.result.createObjectStore(this.storeName, { keyPath: ['oid', 'version'] });
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+      });
+    }
+    return this.db;
+  }
+
+  async transact(mode, operation) {
+    const db = await this.open();
+    return new Promise((resolve, reject) => {
+      const tx = db.transaction(this.storeName, mode);
+      const request = operation(tx.objectStore(this.storeName));
+      tx.oncomplete = () => resolve(request.result);
+      tx.onerror = () => reject(tx.error);
+      tx.onabort = () => reject(tx.error);
+    });
+  }
+}
+
+/**
+ * Converts a value set into the plain JSON form stored by cache adapters.
+ * @param {ValueSet} valueSet - the value set to convert
+ * @param {Object} meta - optional download metadata; its fetchedAt, lastUpdated, effectiveDate,
+ *   source, release and manifest properties are stored alongside the value set when present
+ * @returns {Object} an object with oid, version ('' if the value set has none), and codes properties
+ */
+function toCacheEntry(valueSet, meta = {}) {
+  const entry = {
+    oid: valueSet.oid,
+    version: valueSet.version != null ? valueSet.version : '',
+    codes: valueSet.codes.map(c => {
+      const code = { code: c.code, system: c.system, version: c.version };
+      if (c.display != null) {
+        code.display = c.display;
+      }
+      return code;
+    })
+  };
+  if (meta.fetchedAt != null) {
+    entry.fetchedAt = meta.fetchedAt;
+  }
+  if (meta.lastUpdated != null) {
+    entry.lastUpdated = meta.lastUpdated;
+  }
+  if (meta.effectiveDate != null) {
+    entry.effectiveDate = meta.effectiveDate;
+  }
+  if (meta.source != null) {
+    entry.source = meta.source;
+  }
+  if (meta.release != null) {
+    entry.release = meta.release;
+  }
+  if (meta.manifest != null) {
+    entry.manifest = meta.manifest;
+  }
+  return entry;
+}
+
+function isCacheEntry(entry) {
+  return entry != null && entry.oid != null && Array.isArray(entry.codes);
+}
+
+/**
+ * Rebuilds a plain JSON value set database (as returned by a cache adapter's load function) into
+ * cql-execution ValueSet and Code instances.
+ * @param {Object} cached - the plain oid -> version -> { oid, version, codes } object
+ * @returns {Object} a value set database containing ValueSet instances
+ */
+function hydrateValueSetDB(cached = {}) {
+  const vsDB = {};
+  Object.keys(cached).forEach(oid => {
+    Object.keys(cached[oid]).forEach(version => {
+      const entry = cached[oid][version];
+      if (!isCacheEntry(entry)) {
+        return;
+      }
+      const codes = entry.codes.map(c => new Code(c.code, c.system, c.version, c.display));
+      vsDB[oid] = vsDB[oid] || {};
+      // Value sets without a version are stored under ''
+      const vsVersion = entry.version !== '' ? entry.version : undefined;
+      vsDB[oid][version] = new ValueSet(entry.oid, vsVersion, codes);
+    });
+  });
+  return vsDB;
+}
+
+module.exports = {
+  MemoryCache,
+  LocalStorageCache,
+  IndexedDBCache,
+  hydrateValueSetDB,
+  toCacheEntry
+};
@@ -0,0 +1,167 @@
+/**
+ * Indexes the codes of a value set by system and code, so checking whether a code is in the value set
+ * takes constant time instead of a scan of its codes.  Codes match as in cql-execution (by system and
+ * code), except that a code with a version only matches value set codes with the same version (or
+ * without one).  Indexes aren't updated when the value set's codes change, so they are built for a
+ * value set object once it's loaded (see CodeService.codeIndexFor).
+ *
+ * @param {Array<Code>} codes - the codes of the value set
+ */
+class CodeIndex {
+  constructor(codes = []) {
+    // system|code -> the versions of that code in the value set, mapped to the code
+    this.versions = new Map();
+    // code -> the first code with that code (in any system), for looking up bare (string) codes
+    this.bareCodes = new Map();
+    // The unique codes (by system, code and version), in the order they first appear
+    this.codes = [];
+    codes.forEach(code => {
+      if (code == null) {
+        return;
+      }
+      const key = codeKey(code.system, code.code);
+      if (!this.versions.has(key)) {
+        this.versions.set(key, new Map());
+      }
+      const versions = this.versions.get(key);
+      const version = code.version != null ? code.version : undefined;
+      if (versions.has(version)) {
+        return;
+      }
+      versions.set(version, code);
+      if (!this.bareCodes.has(code.code)) {
+        this.bareCodes.set(code.code, code);
+      }
+      this.codes.push(code);
+    });
+  }
+
+  /**
+   * Determines if a code is in the value set.
+   * @param {Code|Object|string|Array} code - a code (an object with "code", "system" and an optional
+   *   "version"), a bare code string (which matches that code in any system), a concept (an object
+   *   with "codes"), or an array of any of these, which matches if any of them does
+   * @returns {boolean} true if the code is in the value set
+   */
+  has(code) {
+    return this.find(code) != null;
+  }
+
+  /**
+   * Finds the value set's code matching a code (see has).
+   * @param {Code|Object|string|Array} code - the code to look up
+   * @returns {Code} the matching code of the value set, or undefined if there isn't one
+   */
+  find(code) {
+    if (code == null) {
+      return;
+    } else if (typeof code === 'string') {
+      return this.bareCodes.get(code);
+    } else if (Array.isArray(code) || Array.isArray(code.codes)) {
+      const codes = Array.isArray(code) ? code : code.codes;
+      for (const c of codes) {
+        const found = this.find(c);
+        if (found != null) {
+          return found;
+        }
+      }
+      return;
+    }
+    const versions = this.versions.get(codeKey(code.system, code.code));
+    if (versions == null) {
+      return;
+    } else if (code.version == null) {
+      return versions.values().next().value;
+    }
+    return versions.has(code.version) ? versions.get(code.version) : versions.get(undefined);
+  }
+}
+
+/**
+ * An inverted index of the codes of many value sets, for finding the value sets that contain a code.
+ * It's brought up to date with the loaded value sets before each lookup (see update), so only value
+ * sets that were added, removed or replaced since the last lookup are (re)indexed.
+ */
+class ValueSetIndex {
+  constructor() {
+    // The indexed value sets
+    this.valueSets = new Set();
+    // system|code -> the set of value sets containing that code
+    this.bySystemAndCode = new Map();
+    // code -> the set of value sets containing that code (in any system)
+    this.byCode = new Map();
+  }
+
+  /**
+   * Updates the index to cover exactly the given value sets.
+   * @param {Array<ValueSet>} valueSets - the loaded value sets
+   */
+  update(valueSets) {
+    const current = new Set(valueSets);
+    this.valueSets.forEach(valueSet => {
+      if (!current.has(valueSet)) {
+        this.remove(valueSet);
+      }
+    });
+    current.forEach(valueSet => {
+      if (!this.valueSets.has(valueSet)) {
+        this.add(valueSet);
+      }
+    });
+  }
+
+  add(valueSet) {
+    this.valueSets.add(valueSet);
+    valueSet.codes.forEach(code => {
+      if (code != null) {
+        addTo(this.bySystemAndCode, codeKey(code.system, code.code), valueSet);
+        addTo(this.byCode, code.code, valueSet);
+      }
+    });
+  }
+
+  remove(valueSet) {
+    this.valueSets.delete(valueSet);
+    valueSet.codes.forEach(code => {
+      if (code != null) {
+        removeFrom(this.bySystemAndCode, codeKey(code.system, code.code), valueSet);
+        removeFrom(this.byCode, code.code, valueSet);
+      }
+    });
+  }
+
+  /**
+   * Finds the value sets containing a code.
+   * @param {string} code - the code
+   * @param {string} system - the code system; if blank, the code may be in any system
+   * @returns {Array<ValueSet>} the value sets containing the code, in the order they were indexed
+   */
+  find(code, system) {
+    const valueSets =
+      system != null ? this.bySystemAndCode.get(codeKey(system, code)) : this.byCode.get(code);
+    return valueSets != null ? Array.from(valueSets) : [];
+  }
+}
+
+function addTo(map, key, valueSet) {
+  if (!map.has(key)) {
+    map.set(key, new Set());
+  }
+  map.get(key).add(valueSet);
+}
+
+function removeFrom(map, key, valueSet) {
+  const valueSets = map.get(key);
+  if (valueSets != null) {
+    valueSets.delete(valueSet);
+    if (valueSets.size === 0) {
+      map.delete(key);
+    }
+  }
+}
+
+function codeKey(system, code) {
+  return `${system}|${code}`;
+}
+
+module.exports = { CodeIndex, ValueSetIndex };
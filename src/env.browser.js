@@ -0,0 +1,10 @@
+/**
+ * The browser version of env.js (see the "browser" field of package.json): browsers have no
+ * environment variables, so an API key or auth strategy must be passed in.
+ * @returns {undefined}
+ */
+function umlsApiKey() {
+  return;
+}
+
+module.exports = { umlsApiKey };
@@ -0,0 +1,14 @@
+/**
+ * Returns the UMLS API key from the UMLS_API_KEY environment variable, which the ensure functions use
+ * when no API key is passed in.  In browsers, bundlers use env.browser.js instead (see the "browser"
+ * field of package.json), so process.env is never referenced.
+ * @returns {string} the API key, or undefined if it isn't set
+ */
+function umlsApiKey() {
+  if (typeof process === 'undefined' || process.env == null) {
+    return;
+  }
+  return process.env['UMLS_API_KEY'];
+}
+
+module.exports = { umlsApiKey };
@@ -0,0 +1,195 @@
+/**
+ * The base class of the errors thrown when a value set can't be downloaded.  The specific subclass
+ * says why (e.g., ValueSetNotFoundError), while the details say where:
+ *
+ *   oid, version - the value set being downloaded (set on the errors thrown by ensure* methods)
+ *   url - the URL of the failed request (if it was an HTTP request)
+ *   status - the HTTP status (if the server responded)
+ *   attempts - the number of attempts made (see retry.js)
+ *   cause - the underlying error
+ *
+ * @param {string} message - the error message
+ * @param {Object} details - the details listed above
+ */
+class ValueSetDownloadError extends Error {
+  constructor(message, details = {}) {
+    super(message);
+    this.name = 'ValueSetDownloadError';
+    ['oid', 'version', 'url', 'status', 'attempts', 'cause'].forEach(key => {
+      if (details[key] !== undefined) {
+        this[key] = details[key];
+      }
+    });
+  }
+}
+
+/** Thrown when the server rejects the credentials (401 or 403), or there are no credentials. */
+class AuthenticationError extends ValueSetDownloadError {
+  constructor(message, details) {
+    super(message, details);
+    this.name = 'AuthenticationError';
+  }
+}
+
+/** Thrown when the server does not have the value set (404). */
+class ValueSetNotFoundError extends ValueSetDownloadError {
+  constructor(message, details) {
+    super(message, details);
+    this.name = 'ValueSetNotFoundError';
+  }
+}
+
+/**
+ * Thrown when the server keeps rate limiting the requests (429).  The details may include
+ * retryAfter, the number of ms the server asked to wait before trying again.
+ */
+class RateLimitedError extends ValueSetDownloadError {
+  constructor(message, details = {}) {
+    super(message, details);
+    this.name = 'RateLimitedError';
+    if (details.retryAfter != null) {
+      this.retryAfter = details.retryAfter;
+    }
+  }
+}
+
+/** Thrown when the server can't be reached. */
+class NetworkError extends ValueSetDownloadError {
+  constructor(message, details) {
+    super(message, details);
+    this.name = 'NetworkError';
+  }
+}
+
+/** Thrown when the server's response isn't a valid FHIR ValueSet or SVS document. */
+class ParseError extends ValueSetDownloadError {
+  constructor(message, details) {
+    super(message, details);
+    this.name = 'ParseError';
+  }
+}
+
+/**
+ * Thrown when a request, or a whole ensure call, takes longer than its timeout.  The details include
+ * timeout, the timeout (in ms) that was exceeded.
+ */
+class TimeoutError extends ValueSetDownloadError {
+  constructor(message, details = {}) {
+    super(message, details);
+    this.name = 'TimeoutError';
+    this.timeout = details.timeout;
+  }
+}
+
+/**
+ * Thrown when a download is cancelled using an AbortSignal.
+ *
+ * @param {string} message - the error message
+ * @param {Object} options - { cause }, the abort reason passed to AbortController#abort (if any)
+ */
+class CancellationError extends Error {
+  constructor(message = 'Value set download was cancelled', options = {}) {
+    super(message);
+    this.name = 'CancellationError';
+    this.cause = options.cause;
+  }
+}
+
+/**
+ * Creates the error for an unsuccessful HTTP response.  For compatibility with earlier versions, the
+ * message is just the status.
+ * @param {number} status - the HTTP status
+ * @param {Object} details - the error details (see ValueSetDownloadError)
+ * @returns {ValueSetDownloadError} the error
+ */
+function httpError(status, details = {}) {
+  const ErrorType = errorTypeForStatus(status) || ValueSetDownloadError;
+  return new ErrorType(`${status}`, Object.assign({}, details, { status }));
+}
+
+function errorTypeForStatus(status) {
+  if (status === 401 || status === 403) {
+    return AuthenticationError;
+  } else if (status === 404) {
+    return ValueSetNotFoundError;
+  } else if (status === 429) {
+    return RateLimitedError;
+  }
+}
+
+// The messages of the TypeErrors fetch rejects with when a request fails altogether: in Node.js, and
+// in Chrome, Firefox and Safari respectively
+const FETCH_FAILED_MESSAGES = [
+  'fetch failed',
+  'Failed to fetch',
+  'NetworkError when attempting to fetch resource.',
+  'Load failed'
+];
+
+/**
+ * Determines if an error means a request failed altogether (e.g., the server couldn't be reached, the
+ * connection was reset, or the request was aborted or timed out), as opposed to a bug such as an
+ * invalid URL, so the request may succeed if it's tried again.
+ * @param {Error} err - the error the request was rejected with
+ * @returns {boolean} true if the request failed altogether
+ */
+function isNetworkError(err) {
+  if (err == null) {
+    return false;
+  } else if (
+    err instanceof TimeoutError ||
+    err.name === 'FetchError' ||
+    err.name === 'AbortError'
+  ) {
+    return true;
+  }
+  return err instanceof TypeError && FETCH_FAILED_MESSAGES.includes(err.message);
+}
+
+/**
+ * Wraps any error thrown while downloading a value set in a ValueSetDownloadError of the matching
+ * type, with the given message and details.  Errors from custom apis and vsacAccess functions are
+ * classified by their status (or a message that is just a status, e.g. new Error(404)).
+ * @param {Error} err - the error
+ * @param {string} message - the message of the new error
+ * @param {Object} details - the details of the new error, e.g. oid and version
+ * @returns {ValueSetDownloadError} the new error, whose cause is err
+ */
+function toDownloadError(err, message, details = {}) {
+  const original = err instanceof Error ? err : new Error(err);
+  let ErrorType = ValueSetDownloadError;
+  let status = original.status;
+  if (original instanceof ValueSetDownloadError) {
+    ErrorType = original.constructor;
+  } else {
+    if (status == null && /^\d{3}$/.test(original.message)) {
+      status = Number(original.message);
+    }
+    if (status != null) {
+      ErrorType = errorTypeForStatus(status) || ValueSetDownloadError;
+    } else if (original instanceof SyntaxError) {
+      ErrorType = ParseError;
+    } else if (isNetworkError(original)) {
+      ErrorType = NetworkError;
+    }
+  }
+  const inherited = {};
+  ['url', 'attempts', 'retryAfter', 'timeout'].forEach(key => {
+    inherited[key] = original[key];
+  });
+  return new ErrorType(message, Object.assign(inherited, { status }, details, { cause: original }));
+}
+
+module.exports = {
+  ValueSetDownloadError,
+  AuthenticationError,
+  ValueSetNotFoundError,
+  RateLimitedError,
+  NetworkError,
+  ParseError,
+  TimeoutError,
+  CancellationError,
+  httpError,
+  isNetworkError,
+  toDownloadError
+};
@@ -0,0 +1,90 @@
+/**
+ * A minimal event emitter (so that browser bundles don't need a polyfill for Node's events module).
+ * Listeners are called synchronously, in the order they were added, with the event's data object.
+ * An error thrown by a listener is ignored, so a faulty progress bar can't break a download.
+ */
+class EventEmitter {
+  constructor() {
+    this.eventListeners = {};
+  }
+
+  /**
+   * Adds a listener for the given event.
+   * @param {string} event - the event name
+   * @param {Function} listener - a function (data) => undefined
+   * @returns {EventEmitter} this emitter, for chaining
+   */
+  on(event, listener) {
+    if (typeof listener !== 'function') {
+      throw new Error(`Expected listener to be a function, but was ${typeof listener}`);
+    }
+    this.eventListeners[event] = (this.eventListeners[event] || []).concat(listener);
+    return this;
+  }
+
+  /**
+   * Adds a listener that is removed after it is called once.
+   * @param {string} event - the event name
+   * @param {Function} listener - a function (data) => undefined
+   * @returns {EventEmitter} this emitter, for chaining
+   */
+  once(event, listener) {
+    const wrapper = data => {
+      this.off(event, wrapper);
+      listener(data);
+    };
+    wrapper.listener = listener;
+    return this.on(event, wrapper);
+  }
+
+  /**
+   * Removes a listener added with on or once.
+   * @param {string} event - the event name
+   * @param {Function} listener - the listener to remove
+   * @returns {EventEmitter} this emitter, for chaining
+   */
+  off(event, listener) {
+    const listeners = (this.eventListeners[event] || []).filter(
+      l => l !== listener && l.listener !== listener
+    );
+    if (listeners.length > 0) {
+      this.eventListeners[event] = listeners;
+    } else {
+      delete this.eventListeners[event];
+    }
+    return this;
+  }
+
+  /**
+   * Calls the listeners of the given event with the data.
+   * @param {string} event - the event name
+   * @param {Object} data - the event data
+   * @returns {boolean} true if the event had listeners
+   */
+  emit(event, data) {
+    const listeners = this.eventListeners[event] || [];
+    listeners.forEach(listener => {
+      try {
+        listener(data);
+      } catch (err) {
+        // Listeners must not affect downloads
+      }
+    });
+    return listeners.length > 0;
+  }
+}
+
+/**
+ * Emits an event through the emit function in the download options, if there is one.  This is how the
+ * fhir, svs and retry modules report progress to the CodeService that is downloading.
+ * @param {Object} options - the download options, with an optional emit function (event, data)
+ * @param {string} event - the event name
+ * @param {Object} data - the event data
+ */
+function emitEvent(options, event, data) {
+  if (options != null && typeof options.emit === 'function') {
+    options.emit(event, data);
+  }
+}
+
+module.exports = { EventEmitter, emitEvent };
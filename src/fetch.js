@@ -0,0 +1,29 @@
+/**
+ * Returns the fetch implementation used when none is configured: the global fetch where there is one
+ * (browsers, service workers, Deno and Node.js 18+), and node-fetch otherwise.  This is looked up for
+ * each request, so a global fetch installed later (e.g., a polyfill) is still used, and node-fetch is
+ * only loaded where it is needed.
+ * @returns {Function} the fetch implementation
+ */
+function defaultFetch() {
+  if (typeof globalThis.fetch === 'function') {
+    return globalThis.fetch;
+  }
+  return require('node-fetch');
+}
+
+/**
+ * Returns the fetch implementation to use for a request.
+ * @param {Function} fetch - the configured fetch implementation (optional)
+ * @returns {Function} the configured fetch implementation, or the default one (see defaultFetch)
+ */
+function resolveFetch(fetch) {
+  if (fetch == null) {
+    return defaultFetch();
+  } else if (typeof fetch !== 'function') {
+    throw new Error(`Expected fetch to be a function, but was ${typeof fetch}`);
+  }
+  return fetch;
+}
+
+module.exports = { defaultFetch, resolveFetch };
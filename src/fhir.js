@@ -1,35 +1,48 @@
-const fetch = require('node-fetch');
-// const debug = require('debug')('vsac'); // To turn on DEBUG: $ export DEBUG=vsac
+const { fetchWithRetry } = require('./retry');
+const { limit } = require('./limiter');
+const { runRequest } = require('./abort');
+const { ParseError } = require('./errors');
+const { emitEvent } = require('./events');
+const { loggerFor } = require('./logger');
 const { Code, ValueSet } = require('cql-execution');
 
+const EFFECTIVE_DATE_EXTENSION = 'http://hl7.org/fhir/StructureDefinition/valueset-effectiveDate';
+
 /**
  * Asynchronously downloads a value set from VSAC using the provided API key, OID, version, and VSAC URL.
- * Populates the provided value set database (vsDB) with the downloaded value set.
+ * Populates the provided value set database (vsDB) with the downloaded value set.  Instead of an OID,
+ * the canonical URL of a value set (e.g., http://hl7.org/fhir/ValueSet/example) may be passed in, in
+ * which case the value set is expanded using ValueSet/$expand?url=... and stored under the canonical URL.
  *
- * @param {string} apiKey - The API key for accessing VSAC.
- * @param {string} oid - The OID of the value set to download.
+ * @param {string|Object} apiKey - The API key for accessing VSAC, or an auth strategy (see auth.js).
+ * @param {string} oid - The OID (or canonical URL) of the value set to download.
  * @param {string} version - The version of the value set to download.
  * @param {string} vsacUrl - The URL of the VSAC service.
  * @param {Object} vsDB - The value set database to populate with the downloaded value set.
- * @param {Object} options - Reserved for future use.
+ * @param {Object} options - Download options:
+ *   retry - the retry policy for failed requests (see retry.js), or false to not retry.
+ *   limiter - the RequestLimiter every request (including each page) is scheduled through (see limiter.js).
+ *   signal - an AbortSignal that cancels the download (see abort.js).
+ *   requestTimeout - the time (in ms) after which each request (i.e., each page) times out.
+ *   emit - a function (event, data) called with a 'page-fetched' event (offset, count, total) for
+ *     each page, and a 'retry' event for each retried request (see retry.js).
+ *   logger - the Logger requests are logged to (see logger.js).
+ *   pageSize - the number of codes requested per page (the count parameter); by default, the server's.
+ *   pinning - the pinning configuration (see CodeService.setPinning): a value set requested without a
+ *     version is expanded using its manifest (the manifest parameter), and every value set using its
+ *     code system versions (system-version parameters).
+ * @returns {Promise<Object>} Info about the downloaded value set (oid, version, the FHIR meta.lastUpdated,
+ *   and the date of its valueset-effectiveDate extension).
  */
-async function downloadValueSet(
-  apiKey,
-  oid,
-  version,
-  vsacUrl,
-  vsDB = {},
-  options = {
-    /* reserved for future use */
-  }
-) {
-  const pages = await getValueSetPages(apiKey, oid, version, vsacUrl);
+async function downloadValueSet(apiKey, oid, version, vsacUrl, vsDB = {}, options = {}) {
+  const pages = await getValueSetPages(apiKey, oid, version, vsacUrl, 0, options);
   if (pages == null || pages.length === 0) {
     return;
   }
 
-  const id = pages[0].id;
-  version = pages[0].version;
+  // VSAC value sets are stored by OID (their id), but others are stored by their canonical URL
+  const id = isCanonicalUrl(oid) ? oid : pages[0].id;
+  version = pages[0].version != null ? pages[0].version : version;
   const codes = [];
   pages.forEach(page => {
     if (page.expansion && page.expansion.contains) {
@@ -38,28 +51,63 @@ async function downloadValueSet(
   });
   vsDB[id] = {};
   vsDB[id][version] = new ValueSet(id, version, codes);
+  const info = {
+    oid: id,
+    version,
+    lastUpdated: pages[0].meta ? pages[0].meta.lastUpdated : undefined
+  };
+  const effectiveDate = getEffectiveDate(pages[0]);
+  if (effectiveDate != null) {
+    info.effectiveDate = effectiveDate;
+  }
+  return info;
+}
 
+/**
+ * Returns the date a ValueSet version took effect, from its valueset-effectiveDate extension.
+ *
+ * @param {Object} valueSet - The FHIR ValueSet.
+ * @returns {string} The effective date, or undefined if the ValueSet doesn't have one.
+ */
+function getEffectiveDate(valueSet) {
+  const extension = (valueSet.extension || []).find(e => e.url === EFFECTIVE_DATE_EXTENSION);
+  if (extension != null) {
+    return extension.valueDate != null ? extension.valueDate : extension.valueDateTime;
+  }
 }
 
 /**
  * Asynchronously retrieves all pages of a ValueSet expansion from the specified VSAC API.
  *
- * @param {string} apiKey - The API key for accessing the VSAC API.
+ * @param {string|Object} apiKey - The API key for accessing the VSAC API, or an auth strategy.
  * @param {string} oid - The OID of the ValueSet.
  * @param {string} version - The version of the ValueSet.
  * @param {string} vsacUrl - The URL of the VSAC API.
  * @param {number} [offset=0] - The offset for pagination.
+ * @param {Object} [options={}] - The download options (see downloadValueSet).
  * @returns {Promise<Array>} An array of all pages of the ValueSet expansion.
  */
-async function getValueSetPages(apiKey, oid, version, vsacUrl, offset = 0) {
-  const page = await getValueSet(apiKey, oid, version, vsacUrl, offset);
+async function getValueSetPages(apiKey, oid, version, vsacUrl, offset = 0, options = {}) {
+  const page = await getValueSet(apiKey, oid, version, vsacUrl, offset, options);
   if (page && page.expansion) {
     const pTotal = page.expansion.total;
     const pOffset = page.expansion.offset;
     const pLength = page.expansion.contains && page.expansion.contains.length;
+    emitEvent(options, 'page-fetched', {
+      offset: pOffset != null ? pOffset : offset,
+      count: pLength != null ? pLength : 0,
+      total: pTotal
+    });
     if (pTotal != null && pOffset != null && pLength != null && pTotal > pOffset + pLength) {
       // Fetch and append the remaining value set pages
-      const remainingPages = await getValueSetPages(apiKey, oid, version, vsacUrl, offset + pLength);
+      const remainingPages = await getValueSetPages(
+        apiKey,
+        oid,
+        version,
+        vsacUrl,
+        offset + pLength,
+        options
+      );
       return [page, ...remainingPages];
     } else {
       return [page];
@@ -70,50 +118,155 @@ async function getValueSetPages(apiKey, oid, version, vsacUrl, offset = 0) {
 /**
  * Asynchronously fetches a ValueSet from the specified VSAC URL using the provided API key, OID, version, and offset.
  *
- * @param {string} apiKey - The API key for authorization.
+ * @param {string|Object} apiKey - The API key for authorization, or an auth strategy.
  * @param {string} oid - The OID of the ValueSet to fetch.
  * @param {string} version - The version of the ValueSet (optional).
- * @param {string} vsacAccess - The URL of the VSAC with '{{oid}}' as a placeholder for OID, or a function that has parameters (oid, version, offset, apiKey) and returns a valueset
+ * @param {string} vsacAccess - The URL of the VSAC with '{{oid}}' as a placeholder for OID, or a function that has parameters (oid, version, offset, apiKey, signal) and returns a FHIR ValueSet page (deprecated; see resolver.js).
+ *   For canonical URLs, the '/{{oid}}' segment is dropped from the URL and the canonical URL is passed in the url parameter.
  * @param {number} offset - The offset for pagination (default is 0).
+ * @param {Object} options - The download options (see downloadValueSet).
  * @returns {Promise} A Promise that resolves to the JSON response of the fetched ValueSet.
- * @throws {Error} If the response status is not ok.
+ * @throws {Error} If the response status is not ok (after any retries).
  */
-async function getValueSet(apiKey, oid, version, vsacAccess, offset = 0) {
-  // debug(
-  //   `Getting ValueSet: ${oid}${version != null ? ` version ${version}` : ''} (offset: ${offset})`
-  // );
+async function getValueSet(apiKey, oid, version, vsacAccess, offset = 0, options = {}) {
+  loggerFor(options, 'fhir').debug(
+    `Getting ValueSet: ${oid}${version != null ? ` version ${version}` : ''} (offset: ${offset})`
+  );
 
   if (typeof vsacAccess === 'string') {
-    return await fetchValueSet(apiKey, oid, version, vsacAccess, offset);
+    return await fetchValueSet(apiKey, oid, version, vsacAccess, offset, options);
   } else if (typeof vsacAccess === 'function') {
-    return await vsacAccess(oid, version, offset, apiKey);
+    return await limit(options.limiter, () =>
+      runRequest(options, undefined, signal => vsacAccess(oid, version, offset, apiKey, signal))
+    );
   } else {
     throw new Error(`Expected typeof vsacAccess to be a function of string, but was ${typeof vsacAccess}`);
   }
 
 }
 
-async function fetchValueSet(apiKey, oid, version, vsacUrl, offset = 0) {
-  const options = {
-    headers: {
-      Authorization: `Basic ${btoa(`apikey:${apiKey}`)}`
-    }
-  };
+async function fetchValueSet(apiKey, oid, version, vsacUrl, offset = 0, options = {}) {
   const params = new URLSearchParams({ offset });
 
   if (version != null) {
     params.set('valueSetVersion', version);
   }
+  if (options.pageSize != null) {
+    params.set('count', options.pageSize);
+  }
+  const pinning = options.pinning || {};
+  if (version == null && pinning.manifest != null) {
+    params.set('manifest', pinning.manifest);
+  }
+  Object.keys(pinning.systemVersions || {}).forEach(system => {
+    params.append('system-version', `${system}|${pinning.systemVersions[system]}`);
+  });
+
+  const url = operationUrl(vsacUrl, oid, params);
+  const logger = loggerFor(options, 'fhir');
+  logger.debug(`Built Url ${url}`);
 
-  const url = `${vsacUrl.replace('{{oid}}', oid)}?${params}`;
-  console.log(`Built Url ${url}`);
+  const response = await fetchWithRetry(url, apiKey, options);
+  logger.debug(`Response for ${url} is ${response.status}`);
+  try {
+    return await response.json();
+  } catch (err) {
+    throw new ParseError(`Invalid JSON in response from ${url}`, { url, cause: err });
+  }
+}
 
-  const response = await fetch(url, options);
-  console.log(`Response for ${url} is ${response.status}`);
-  if (!response.ok) {
-    throw new Error(response.status);
+/**
+ * Asks a FHIR terminology server whether a code is in a value set, using the ValueSet/$validate-code
+ * operation (so the value set doesn't need to be expanded).  The operation's URL is derived from the
+ * $expand URL template, e.g. https://cts.nlm.nih.gov/fhir/ValueSet/{{oid}}/$validate-code.
+ *
+ * @param {string|Object} apiKey - The API key for accessing the server, or an auth strategy (see auth.js).
+ * @param {string} oid - The OID (or canonical URL) of the value set.
+ * @param {string} version - The version of the value set (optional).
+ * @param {Object} coding - The code to validate: code, system, and optional version and display.
+ * @param {string} vsacUrl - The $expand URL template of the server.
+ * @param {Object} options - Request options: retry, limiter, signal, requestTimeout, emit, logger and
+ *   fetch (see downloadValueSet).
+ * @returns {Promise<Object>} The result (a boolean), and the message and display, if the server gave them.
+ * @throws {ParseError} If the response isn't a Parameters resource with a result.
+ */
+async function validateCode(apiKey, oid, version, coding, vsacUrl, options = {}) {
+  if (typeof vsacUrl !== 'string' || !vsacUrl.includes('$expand')) {
+    throw new Error(
+      `Expected a FHIR $expand URL template to validate codes with, but got ${vsacUrl}`
+    );
   }
-  return response.json();
+  const params = new URLSearchParams({ code: coding.code });
+  [
+    ['system', coding.system],
+    ['systemVersion', coding.version],
+    ['display', coding.display],
+    ['valueSetVersion', version]
+  ].forEach(([name, value]) => {
+    if (value != null) {
+      params.set(name, value);
+    }
+  });
+  const url = operationUrl(vsacUrl.replace('$expand', '$validate-code'), oid, params);
+  const logger = loggerFor(options, 'fhir');
+  logger.debug(`Built Url ${url}`);
+
+  const response = await fetchWithRetry(url, apiKey, options);
+  logger.debug(`Response for ${url} is ${response.status}`);
+  let parameters;
+  try {
+    parameters = await response.json();
+  } catch (err) {
+    throw new ParseError(`Invalid JSON in response from ${url}`, { url, cause: err });
+  }
+  const values = {};
+  if (parameters != null && Array.isArray(parameters.parameter)) {
+    parameters.parameter.forEach(p => {
+      values[p.name] = p.valueBoolean != null ? p.valueBoolean : p.valueString;
+    });
+  }
+  if (typeof values.result !== 'boolean') {
+    throw new ParseError(`Expected a Parameters resource with a result in response from ${url}`, {
+      url
+    });
+  }
+  const result = { result: values.result };
+  ['message', 'display'].forEach(name => {
+    if (values[name] != null) {
+      result[name] = values[name];
+    }
+  });
+  return result;
+}
+
+/**
+ * Builds the URL of an operation on a value set from a URL template with '{{oid}}' as a placeholder.
+ * For canonical URLs, the '/{{oid}}' segment is dropped and the canonical URL is passed in the url
+ * parameter, e.g. https://tx.example.org/fhir/ValueSet/{{oid}}/$expand ->
+ * https://tx.example.org/fhir/ValueSet/$expand?url=...
+ *
+ * @param {string} template - The URL template.
+ * @param {string} oid - The OID (or canonical URL) of the value set.
+ * @param {URLSearchParams} params - The parameters of the operation.
+ * @returns {string} The URL.
+ */
+function operationUrl(template, oid, params) {
+  if (isCanonicalUrl(oid)) {
+    params.set('url', oid);
+    return `${template.replace(/\/?\{\{oid\}\}/, '')}?${params}`;
+  }
+  return `${template.replace('{{oid}}', oid)}?${params}`;
+}
+
+/**
+ * Determines if the value set identifier is a canonical URL (or other URI) rather than an OID.
+ * OIDs never contain a scheme, so anything with one (http:, https:, urn:uuid:, etc.) is a URI.
+ *
+ * @param {string} id - The value set identifier.
+ * @returns {boolean} True if the identifier is a canonical URL.
+ */
+function isCanonicalUrl(id) {
+  return typeof id === 'string' && /^[a-z][a-z0-9+.-]*:/i.test(id);
 }
 
-module.exports = { name: 'FHIR', downloadValueSet };
+module.exports = { name: 'FHIR', downloadValueSet, validateCode, isCanonicalUrl };
@@ -0,0 +1,17 @@
+import { CacheAdapter, CacheEntry, ValueSetMeta } from '../index';
+import { ValueSet } from 'cql-execution';
+
+export interface FileSystemCacheOptions {
+  fileName?: string;
+  lockTimeout?: number;
+  lockStale?: number;
+  lockRetryDelay?: number;
+}
+
+/** A cache adapter that stores value sets in a JSON file (Node.js only). */
+export declare class FileSystemCache implements CacheAdapter {
+  constructor(cacheDir: string, options?: FileSystemCacheOptions);
+  load(): Promise<{ [oid: string]: { [version: string]: CacheEntry } }>;
+  save(valueSet: ValueSet, meta?: ValueSetMeta): Promise<void>;
+  clear(): Promise<void>;
+}
@@ -0,0 +1,230 @@
+const fs = require('fs');
+const path = require('path');
+const { toCacheEntry } = require('./cache');
+
+const DEFAULT_FILE_NAME = 'valueset-db.json';
+
+// A name unique to this process and call, for temporary files and lock tokens
+const uniqueId = () => `${process.pid}.${Math.random().toString(36).slice(2)}`;
+
+/**
+ * A cache adapter for Node.js that stores value sets in a single JSON file using the same layout as
+ * the original cql-exec-vsac valueset-db.json cache (oid -> version -> { oid, version, codes }).
+ *
+ * Writes are atomic (the database is written to a temporary file which is then renamed over the
+ * original) and are serialized across processes using a lock file next to the database, so several
+ * processes can safely share one cache directory.  Since each write re-reads the database while
+ * holding the lock, value sets saved by other processes are never lost.  Value sets saved at the same
+ * time by one FileSystemCache are merged into a single write, rather than each taking the lock.  The lock file holds a token
+ * unique to its holder, so a process only ever removes the lock it took (or the stale lock it found).
+ *
+ * This module requires Node's fs module, so it is not exported from the main (browser-safe) entry.
+ *
+ * @param {string} cacheDir - the directory to store the database in (created if it doesn't exist)
+ * @param {Object} options - optional settings: fileName (default 'valueset-db.json'), lockTimeout
+ *   (ms to wait for the lock, default 10000), lockStale (ms after which a lock left behind by a
+ *   crashed process is broken, default 30000) and lockRetryDelay (ms between attempts, default 20)
+ */
+class FileSystemCache {
+  constructor(cacheDir, options = {}) {
+    if (typeof cacheDir !== 'string' || cacheDir.length === 0) {
+      throw new Error('FileSystemCache requires a cache directory');
+    }
+    this.cacheDir = cacheDir;
+    this.file = path.join(cacheDir, options.fileName || DEFAULT_FILE_NAME);
+    this.lockFile = `${this.file}.lock`;
+    this.lockTimeout = options.lockTimeout != null ? options.lockTimeout : 10000;
+    this.lockStale = options.lockStale != null ? options.lockStale : 30000;
+    this.lockRetryDelay = options.lockRetryDelay != null ? options.lockRetryDelay : 20;
+    // Value sets waiting to be written, and the flush writing them (see flush)
+    this.pending = [];
+    this.flushing = null;
+  }
+
+  async load() {
+    return this.read();
+  }
+
+  save(valueSet, meta) {
+    const entry = toCacheEntry(valueSet, meta);
+    return new Promise((resolve, reject) => {
+      this.pending.push({ entry, resolve, reject });
+      if (this.flushing == null) {
+        this.flushing = this.flush();
+      }
+    });
+  }
+
+  async clear() {
+    await this.withLock(() => this.write({}));
+  }
+
+  /**
+   * Writes the pending value sets to the database file, one locked write per batch.  A batch takes
+   * every value set saved while waiting for the lock, so concurrent saves share a single write.
+   */
+  async flush() {
+    while (this.pending.length > 0) {
+      let batch;
+      try {
+        await this.withLock(async () => {
+          batch = this.pending.splice(0);
+          const vsDB = await this.read();
+          batch.forEach(({ entry }) => {
+            vsDB[entry.oid] = vsDB[entry.oid] || {};
+            vsDB[entry.oid][entry.version] = entry;
+          });
+          await this.write(vsDB);
+        });
+      } catch (err) {
+        // If the lock couldn't be taken, the value sets waiting for it fail with this batch
+        (batch || this.pending.splice(0)).forEach(({ reject }) => reject(err));
+        continue;
+      }
+      batch.forEach(({ resolve }) => resolve());
+    }
+    this.flushing = null;
+  }
+
+  /**
+   * Reads the database file.  A missing file is treated as an empty database.
+   * @returns {Promise<Object>} the parsed value set database
+   */
+  async read() {
+    let json;
+    try {
+      json = await fs.promises.readFile(this.file, 'utf8');
+    } catch (err) {
+      if (err.code === 'ENOENT') {
+        return {};
+      }
+      throw err;
+    }
+    return json.trim().length === 0 ? {} : JSON.parse(json);
+  }
+
+  /**
+   * Atomically replaces the database file.  Callers must hold the lock.
+   * @param {Object} vsDB - the value set database to write
+   */
+  async write(vsDB) {
+    await fs.promises.mkdir(this.cacheDir, { recursive: true });
+    const tmpFile = `${this.file}.${uniqueId()}.tmp`;
+    try {
+      await fs.promises.writeFile(tmpFile, JSON.stringify(vsDB, null, 2), 'utf8');
+      await fs.promises.rename(tmpFile, this.file);
+    } catch (err) {
+      await fs.promises.unlink(tmpFile).catch(() => {});
+      throw err;
+    }
+  }
+
+  /**
+   * Runs the passed in function while holding the cache's lock file.
+   * @param {Function} fn - the (async) function to run
+   * @returns {Promise} the result of fn
+   */
+  async withLock(fn) {
+    const token = await this.acquireLock();
+    try {
+      return await fn();
+    } finally {
+      await this.removeLock(token).catch(() => {});
+    }
+  }
+
+  /**
+   * Creates the lock file, waiting for any other holder to remove it.
+   * @returns {Promise<string>} the token written to the lock file, to remove it with
+   */
+  async acquireLock() {
+    await fs.promises.mkdir(this.cacheDir, { recursive: true });
+    const token = uniqueId();
+    const start = Date.now();
+    for (;;) {
+      try {
+        // The wx flag fails if the file already exists, making lock creation atomic
+        const handle = await fs.promises.open(this.lockFile, 'wx');
+        try {
+          await handle.writeFile(token, 'utf8');
+        } finally {
+          await handle.close();
+        }
+        return token;
+      } catch (err) {
+        if (err.code !== 'EEXIST') {
+          throw err;
+        }
+      }
+      if (await this.breakStaleLock()) {
+        continue;
+      }
+      if (Date.now() - start >= this.lockTimeout) {
+        throw new Error(`Timed out waiting for value set cache lock: ${this.lockFile}`);
+      }
+      await new Promise(resolve => setTimeout(resolve, this.lockRetryDelay));
+    }
+  }
+
+  /**
+   * Removes the lock file if it is older than the configured stale time (e.g., left behind by a
+   * process that crashed while holding it).
+   * @returns {Promise<boolean>} true if the lock no longer exists and acquiring should be retried
+   */
+  async breakStaleLock() {
+    let token;
+    try {
+      // The age and token are read from the same file, even if the lock is replaced meanwhile
+      const handle = await fs.promises.open(this.lockFile, 'r');
+      try {
+        const stat = await handle.stat();
+        if (Date.now() - stat.mtimeMs < this.lockStale) {
+          return false;
+        }
+        token = await handle.readFile('utf8');
+      } finally {
+        await handle.close();
+      }
+    } catch (err) {
+      if (err.code === 'ENOENT') {
+        return true;
+      }
+      throw err;
+    }
+    return this.removeLock(token);
+  }
+
+  /**
+   * Removes the lock file if it still holds the passed in token.  The lock file is moved aside before
+   * its token is checked, so a lock taken by another process in the meantime is never removed: if
+   * the token doesn't match, the lock is put back (unless yet another lock has been taken since).
+   * @param {string} token - the token of the lock to remove
+   * @returns {Promise<boolean>} true if the lock was removed or no longer exists
+   */
+  async removeLock(token) {
+    const moved = `${this.lockFile}.${uniqueId()}.old`;
+    try {
+      await fs.promises.rename(this.lockFile, moved);
+    } catch (err) {
+      if (err.code === 'ENOENT') {
+        return true;
+      }
+      throw err;
+    }
+    try {
+      if ((await fs.promises.readFile(moved, 'utf8')) === token) {
+        return true;
+      }
+      await fs.promises.link(moved, this.lockFile).catch(err => {
+        if (err.code !== 'EEXIST') {
+          throw err;
+        }
+      });
+      return false;
+    } finally {
+      await fs.promises.unlink(moved).catch(() => {});
+    }
+  }
+}
+
+module.exports = { FileSystemCache };
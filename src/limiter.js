@@ -0,0 +1,86 @@
+/**
+ * Limits the requests made to terminology servers, both in how many may be in progress at once and in
+ * how often a new one may be started.  A CodeService shares one limiter across all of its downloads,
+ * so every request (each page of a FHIR expansion, each retry, and each call to a custom vsacAccess
+ * function) waits its turn, no matter how many value sets are being downloaded.
+ *
+ * @param {Object} limits - the limits:
+ *   concurrency - the maximum number of requests in progress at once (default 10)
+ *   requestsPerSecond - the maximum rate at which requests are started (default unlimited).  Starts
+ *     are spread out evenly, so 5 requests per second starts a request at most every 200ms.
+ */
+class RequestLimiter {
+  constructor(limits = {}) {
+    const { concurrency = 10, requestsPerSecond = Infinity } = limits;
+    [
+      ['concurrency', concurrency],
+      ['requestsPerSecond', requestsPerSecond]
+    ].forEach(([name, value]) => {
+      if (typeof value !== 'number' || !(value > 0)) {
+        throw new Error(`Expected ${name} to be a positive number, but was ${value}`);
+      }
+    });
+    this.concurrency = concurrency;
+    this.interval = 1000 / requestsPerSecond;
+    this.active = 0;
+    this.queue = [];
+    this.nextStart = 0;
+    this.timer = null;
+  }
+
+  /**
+   * Runs the task once the limits allow it.
+   * @param {Function} task - a function that returns (or resolves to) the result
+   * @returns {Promise} a promise that settles with the result of the task
+   */
+  schedule(task) {
+    return new Promise((resolve, reject) => {
+      this.queue.push({ task, resolve, reject });
+      this.dequeue();
+    });
+  }
+
+  dequeue() {
+    while (this.queue.length > 0 && this.active < this.concurrency && this.timer == null) {
+      const now = Date.now();
+      if (this.nextStart > now) {
+        this.timer = setTimeout(() => {
+          this.timer = null;
+          this.dequeue();
+        }, this.nextStart - now);
+        return;
+      }
+      this.nextStart = now + this.interval;
+      const { task, resolve, reject } = this.queue.shift();
+      this.active++;
+      const release = () => {
+        this.active--;
+        this.dequeue();
+      };
+      Promise.resolve()
+        .then(task)
+        .then(
+          result => {
+            release();
+            resolve(result);
+          },
+          err => {
+            release();
+            reject(err);
+          }
+        );
+    }
+  }
+}
+
+/**
+ * Runs the task through the limiter, or right away if there is no limiter.
+ * @param {RequestLimiter} limiter - the limiter (optional)
+ * @param {Function} task - a function that returns (or resolves to) the result
+ * @returns {Promise} a promise that settles with the result of the task
+ */
+function limit(limiter, task) {
+  return limiter != null ? limiter.schedule(task) : Promise.resolve().then(task);
+}
+
+module.exports = { RequestLimiter, limit };
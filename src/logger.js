@@ -0,0 +1,208 @@
+const createDebug = require('debug');
+
+/** The log levels, from most to least verbose. 'silent' turns logging off. */
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: Infinity };
+
+const REDACTED = '[REDACTED]';
+// Object keys whose values are never logged (e.g., apiKey, access_token, clientSecret, Authorization)
+const SECRET_KEY = /api[-_]?key|token|secret|password|authorization|credentials/i;
+
+/**
+ * Logs messages from the code service and the fhir, svs and retry modules.  Each message has a level
+ * (debug, info, warn or error), a namespace (e.g., 'vsac:fhir') and optional data.  Messages below the
+ * logger's level are dropped, and API keys and tokens are redacted from the message and data before
+ * they reach the sink.
+ *
+ * The sink may be:
+ *   - an object with debug, info, warn and error methods (e.g., console, or a pino or winston logger),
+ *     which are called with the message (prefixed with the namespace) and the data
+ *   - a function called with each entry: { level, namespace, message, data }
+ *   - null, to log nothing
+ * By default, messages are logged using the debug module, so nothing is logged unless the DEBUG
+ * environment variable (or localStorage.debug, in browsers) enables it, e.g. DEBUG=vsac:*
+ *
+ * @param {Object|Function} sink - the sink described above (defaults to the debug module)
+ * @param {Object} options - the logger options:
+ *   level - the least severe level that is logged (default 'debug')
+ *   namespace - the namespace of the messages (default 'vsac')
+ */
+class Logger {
+  constructor(sink = debugSink, options = {}) {
+    const level = options.level || 'debug';
+    if (LEVELS[level] == null) {
+      throw new Error(
+        `Expected log level to be one of ${Object.keys(LEVELS).join(', ')}, but was ${level}`
+      );
+    }
+    this.sink = sink;
+    this.level = level;
+    this.namespace = options.namespace || 'vsac';
+  }
+
+  /**
+   * Returns a logger for a part of the library, logging to the same sink at the same level.
+   * @param {string} name - the name appended to the namespace, e.g. 'fhir'
+   * @returns {Logger} the child logger
+   */
+  child(name) {
+    return new Logger(this.sink, { level: this.level, namespace: `${this.namespace}:${name}` });
+  }
+
+  debug(message, data) {
+    this.log('debug', message, data);
+  }
+
+  info(message, data) {
+    this.log('info', message, data);
+  }
+
+  warn(message, data) {
+    this.log('warn', message, data);
+  }
+
+  error(message, data) {
+    this.log('error', message, data);
+  }
+
+  log(level, message, data) {
+    if (this.sink == null || LEVELS[level] < LEVELS[this.level]) {
+      return;
+    }
+    const entry = {
+      level,
+      namespace: this.namespace,
+      message: redactString(message),
+      data: redact(data)
+    };
+    if (typeof this.sink === 'function') {
+      this.sink(entry);
+      return;
+    }
+    const method = typeof this.sink[level] === 'function' ? level : 'log';
+    const args = [`[${entry.namespace}] ${entry.message}`];
+    if (entry.data !== undefined) {
+      args.push(entry.data);
+    }
+    this.sink[method](...args);
+  }
+}
+
+const debuggers = new Map();
+
+/**
+ * The default sink, which logs each entry using a debug instance for its namespace.
+ * @param {Object} entry - the log entry
+ */
+function debugSink({ level, namespace, message, data }) {
+  if (!debuggers.has(namespace)) {
+    debuggers.set(namespace, createDebug(namespace));
+  }
+  const debug = debuggers.get(namespace);
+  if (data !== undefined) {
+    debug(`${level}: ${message} %O`, data);
+  } else {
+    debug(`${level}: ${message}`);
+  }
+}
+
+const NO_OP_LOGGER = new Logger(null);
+const DEFAULT_LOGGER = new Logger();
+
+/**
+ * Converts the logger option of the code service into a Logger.
+ * @param {Logger|Object|Function|boolean} logger - a Logger, a sink (see Logger), false to log
+ *   nothing, or null for the default (debug module) logger
+ * @param {Object} options - the logger options (see Logger), used when logger is a sink
+ * @returns {Logger} the logger
+ */
+function toLogger(logger, options = {}) {
+  if (logger instanceof Logger) {
+    return logger;
+  } else if (logger === false) {
+    return NO_OP_LOGGER;
+  } else if (logger == null) {
+    return options.level != null ? new Logger(debugSink, options) : DEFAULT_LOGGER;
+  } else if (typeof logger !== 'function' && typeof logger !== 'object') {
+    throw new Error(`Expected logger to be an object or function, but was ${typeof logger}`);
+  }
+  return new Logger(logger, options);
+}
+
+/**
+ * Returns the logger to use in a module: the child of the logger in the download options, or of the
+ * default logger if there isn't one.
+ * @param {Object} options - the download options, with an optional logger
+ * @param {string} name - the name of the module, e.g. 'fhir'
+ * @returns {Logger} the logger
+ */
+function loggerFor(options, name) {
+  const logger = options != null && options.logger != null ? options.logger : DEFAULT_LOGGER;
+  return logger.child(name);
+}
+
+/**
+ * Redacts secrets from a string: the values of query parameters such as apiKey, key and token,
+ * Basic and Bearer credentials, and the user info of URLs.
+ * @param {string} value - the string
+ * @returns {string} the redacted string
+ */
+function redactString(value) {
+  if (typeof value !== 'string') {
+    return value;
+  }
+  return value
+    .replace(
+      /([?&](?:api[-_]?key|key|token|access_token|id_token|client_secret|password)=)[^&#\s]*/gi,
+      `$1${REDACTED}`
+    )
+    .replace(/\b(Basic|Bearer)\s+[A-Za-z0-9._~+/=-]+/g, `$1 ${REDACTED}`)
+    .replace(/(\/\/)[^/@\s:]+:[^/@\s]+@/g, `$1${REDACTED}@`);
+}
+
+/**
+ * Returns a copy of logged data with secrets redacted: the values of keys that look like they hold
+ * credentials (see SECRET_KEY) are replaced, and strings are redacted using redactString.  Errors
+ * are copied to plain objects (name, message, status, url and cause), and auth strategies (objects
+ * with a headers function) are never logged.
+ * @param {*} data - the data
+ * @returns {*} the redacted data
+ */
+function redact(data, ancestors = new Set()) {
+  if (typeof data === 'string') {
+    return redactString(data);
+  } else if (data == null || typeof data !== 'object' || data instanceof Date) {
+    return data;
+  } else if (ancestors.has(data)) {
+    return '[Circular]';
+  } else if (typeof data.headers === 'function') {
+    return REDACTED;
+  }
+  ancestors.add(data);
+  try {
+    if (Array.isArray(data)) {
+      return data.map(item => redact(item, ancestors));
+    }
+    const source = data instanceof Error ? errorDetails(data) : data;
+    const copy = {};
+    Object.keys(source).forEach(key => {
+      if (source[key] !== undefined) {
+        copy[key] = SECRET_KEY.test(key) ? REDACTED : redact(source[key], ancestors);
+      }
+    });
+    return copy;
+  } finally {
+    ancestors.delete(data);
+  }
+}
+
+function errorDetails(err) {
+  return {
+    name: err.name,
+    message: err.message,
+    status: err.status,
+    url: err.url,
+    cause: err.cause
+  };
+}
+
+module.exports = { Logger, LEVELS, toLogger, loggerFor, redact, redactString };
@@ -0,0 +1,88 @@
+const svs = require('./svs');
+const fhir = require('./fhir');
+const { fetchWithRetry } = require('./retry');
+const { loggerFor } = require('./logger');
+const { apiForAccess } = require('./resolver');
+
+/**
+ * Detects the protocol of a terminology server from its URL: FHIR URLs contain the {{oid}}
+ * placeholder, a $expand operation or a /fhir path segment, while SVS URLs contain RetrieveValueSet
+ * or a /svs path segment.
+ * @param {string} url - the URL (or URL template) of the server
+ * @returns {string} 'FHIR' or 'SVS', or undefined if the URL doesn't say
+ */
+function detectProtocol(url) {
+  if (typeof url !== 'string') {
+    return;
+  } else if (/\{\{oid\}\}|\$expand|\/fhir(\/|$)/i.test(url)) {
+    return 'FHIR';
+  } else if (/RetrieveValueSet|\/svs(\/|$)/i.test(url)) {
+    return 'SVS';
+  }
+}
+
+/**
+ * An api that downloads value sets using the protocol detected from the vsacAccess URL (see
+ * detectProtocol).  If the URL doesn't say, the value set is requested SVS-style (with id and version
+ * parameters) and the response is parsed according to its content type: JSON as a FHIR ValueSet
+ * expansion (whose remaining pages are requested with an offset parameter), and anything else as an
+ * SVS document.  Resolvers may return either (see resolver.js), but other vsacAccess functions are
+ * assumed to take positional arguments, and are passed to the SVS api as in earlier versions.
+ */
+const auto = {
+  name: 'auto',
+
+  async downloadValueSet(apiKey, oid, version, vsacAccess, vsDB = {}, options = {}) {
+    const protocol = detectProtocol(vsacAccess);
+    if (protocol != null || typeof vsacAccess !== 'string') {
+      return apiForAccess(API_BY_NAME[protocol || 'SVS'], vsacAccess, options).downloadValueSet(
+        apiKey,
+        oid,
+        version,
+        vsacAccess,
+        vsDB,
+        options
+      );
+    }
+
+    const params = new URLSearchParams({ id: oid });
+    if (version != null) {
+      params.append('version', version);
+    }
+    const url = `${vsacAccess}?${params}`;
+    const response = await fetchWithRetry(url, apiKey, options);
+    const contentType = response.headers.get('Content-Type') || '';
+    const body = await response.text();
+    loggerFor(options, 'auto').debug(`Detected ${contentType} response for ${url}`);
+    if (/json/i.test(contentType)) {
+      // Serve the first page from the response, and fetch any others from the same URL.  The fhir
+      // api calls pages in a slot of the limiter already, so they aren't scheduled through it again
+      // (which would wait forever once every slot is held by a page waiting for another).
+      const pageOptions = Object.assign({}, options, { limiter: undefined });
+      const pages = (pageOid, pageVersion, offset) =>
+        offset === 0
+          ? JSON.parse(body)
+          : fetchWithRetry(`${url}&offset=${offset}`, apiKey, pageOptions).then(r => r.json());
+      return fhir.downloadValueSet(apiKey, oid, version, pages, vsDB, options);
+    }
+    return svs.downloadValueSet(apiKey, oid, version, () => body, vsDB, options);
+  }
+};
+
+const API_BY_NAME = { FHIR: fhir, SVS: svs, AUTO: auto };
+
+/**
+ * Converts an api option into an api: 'FHIR', 'SVS' or 'auto' (in any case), or an object
+ * implementing downloadValueSet (such as a TerminologyRouter), which is returned as-is.
+ * @param {string|Object} api - the api option
+ * @returns {Object} the api
+ */
+function toApi(api) {
+  const resolved = typeof api === 'string' ? API_BY_NAME[api.toUpperCase()] : api;
+  if (resolved == null || typeof resolved.downloadValueSet !== 'function') {
+    throw new Error(`Expected api to be 'FHIR', 'SVS' or 'auto', but was ${api}`);
+  }
+  return resolved;
+}
+
+module.exports = { detectProtocol, toApi, auto };
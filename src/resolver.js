@@ -0,0 +1,197 @@
+const { Code, ValueSet } = require('cql-execution');
+const svs = require('./svs');
+const fhir = require('./fhir');
+const { limit } = require('./limiter');
+const { runRequest } = require('./abort');
+const { ParseError } = require('./errors');
+const { emitEvent } = require('./events');
+const { loggerFor } = require('./logger');
+
+/**
+ * Resolves value sets using a vsacAccess function (a "resolver") in place of a terminology server.
+ * The resolver is called with a single request object:
+ *   oid - the OID (or canonical URL) of the value set
+ *   version - the requested version of the value set (optional)
+ *   offset - the offset of the requested page of codes (0, unless paging through a FHIR expansion)
+ *   count - the requested number of codes per page (the pageSize download option; optional)
+ *   auth - the API key (or auth strategy; see auth.js) the value sets are downloaded with
+ *   signal - an AbortSignal that aborts when the download is cancelled or times out
+ * and returns (or resolves to) any of:
+ *   - a value set: a cql-execution ValueSet, or an object with "codes" (each with a "code", "system"
+ *     and optional "version"), optional "oid" and "version" (defaulting to the request's), and
+ *     optional "lastUpdated" and "effectiveDate" (see CodeService.getValueSetMeta)
+ *   - a FHIR ValueSet resource with an expansion (as an object or JSON).  If the expansion's total says
+ *     there are more codes, the resolver is called again with the offset of the next page.
+ *   - an SVS RetrieveValueSetResponse document (XML)
+ *   - null or undefined, if it doesn't have the value set
+ *
+ * Resolvers are marked as such with defineResolver.  Other functions are assumed to be written for
+ * earlier versions, and are passed to the FHIR api as (oid, version, offset, apiKey, signal) or the SVS
+ * api as (oid, version, apiKey, signal), returning a FHIR ValueSet page or SVS XML respectively (see
+ * apiForAccess).
+ *
+ * @param {string|Object} apiKey - The API key, or an auth strategy (see auth.js), passed to the resolver as auth.
+ * @param {string} oid - The OID (or canonical URL) of the value set to download.
+ * @param {string} version - The version of the value set to download (optional).
+ * @param {Function} resolve - The resolver, a function (request) => value set.
+ * @param {Object} vsDB - The value set database to populate with the resolved value set.
+ * @param {Object} options - Download options, as accepted by the FHIR and SVS apis, plus:
+ *   pageSize - the number of codes per page, passed to the resolver as count.
+ * @returns {Promise<Object>} Info about the resolved value set (oid and version, plus any lastUpdated
+ *   and effectiveDate), or undefined if the resolver doesn't have it.
+ */
+async function downloadValueSet(apiKey, oid, version, resolve, vsDB = {}, options = {}) {
+  loggerFor(options, 'resolver').debug(
+    `Resolving ValueSet: ${oid}${version != null ? ` version ${version}` : ''}`
+  );
+  const request = (offset, signal) =>
+    resolve({ oid, version, offset, count: options.pageSize, auth: apiKey, signal });
+  const result = normalize(
+    await limit(options.limiter, () =>
+      runRequest(options, undefined, signal => request(0, signal))
+    ),
+    oid,
+    version
+  );
+
+  if (result == null) {
+    return;
+  } else if (typeof result === 'string') {
+    return svs.downloadValueSet(apiKey, oid, version, () => result, vsDB, options);
+  } else if (result.resourceType === 'ValueSet') {
+    // Serve the first page from the result, and request any others from the resolver.  Resolved
+    // expansions may leave out the id, which VSAC value sets are stored by.
+    const first = result.id != null ? result : Object.assign({ id: oid }, result);
+    const pages = (pageOid, pageVersion, offset, pageApiKey, signal) =>
+      offset === 0 ? first : nextPage(offset, signal);
+    const nextPage = async (offset, signal) => {
+      const page = normalize(await request(offset, signal), oid, version);
+      if (page == null || page.resourceType !== 'ValueSet') {
+        throw new ParseError(`Expected a FHIR ValueSet page at offset ${offset} of ${oid}`, {
+          oid,
+          version
+        });
+      }
+      return page;
+    };
+    return fhir.downloadValueSet(apiKey, oid, version, pages, vsDB, options);
+  }
+
+  const id = result.oid != null ? result.oid : oid;
+  const vsVersion = result.version != null ? result.version : version;
+  const codes = result.codes.map(c =>
+    c instanceof Code ? c : new Code(c.code, c.system, c.version)
+  );
+  vsDB[id] = {};
+  vsDB[id][vsVersion] = new ValueSet(id, vsVersion, codes);
+  emitEvent(options, 'page-fetched', { offset: 0, count: codes.length, total: codes.length });
+  return {
+    oid: id,
+    version: vsVersion,
+    lastUpdated: result.lastUpdated,
+    effectiveDate: result.effectiveDate
+  };
+}
+
+/**
+ * Checks what a resolver returned, parsing JSON.  XML is returned as-is, for the SVS api to parse.
+ * @param {*} result - what the resolver returned
+ * @param {string} oid - the OID of the requested value set, for error messages
+ * @param {string} version - the version of the requested value set, for error messages
+ * @returns {string|Object} SVS XML, a FHIR ValueSet, an object with codes, or undefined
+ * @throws {ParseError} If the result isn't one of those
+ */
+function normalize(result, oid, version) {
+  if (result == null) {
+    return;
+  } else if (typeof result === 'string') {
+    const text = result.replace(/^\uFEFF/, '').trim();
+    if (text.length === 0) {
+      return;
+    } else if (text.startsWith('<')) {
+      return text;
+    }
+    try {
+      result = JSON.parse(text);
+    } catch (err) {
+      throw new ParseError(`Expected the value set resolved for ${oid} to be XML or JSON`, {
+        oid,
+        version,
+        cause: err
+      });
+    }
+  }
+  if (result != null && (result.resourceType === 'ValueSet' || Array.isArray(result.codes))) {
+    return result;
+  }
+  throw new ParseError(
+    `Expected the value set resolved for ${oid} to be a value set, a FHIR ValueSet or SVS XML`,
+    { oid, version }
+  );
+}
+
+// Marks functions as resolvers.  A registered symbol, so functions marked by another copy of this
+// module are still recognized.
+const RESOLVER = Symbol.for('browserfy-cql-exec-vsac.resolver');
+
+/**
+ * Marks a function as a resolver (see downloadValueSet), to be called with a single request object
+ * rather than the positional arguments of earlier versions.
+ * @param {Function} resolve - the function, (request) => value set
+ * @returns {Function} the same function, marked as a resolver
+ * @throws {TypeError} If resolve isn't a function
+ */
+function defineResolver(resolve) {
+  if (typeof resolve !== 'function') {
+    throw new TypeError(`Expected the resolver to be a function, but was ${typeof resolve}`);
+  }
+  Object.defineProperty(resolve, RESOLVER, { value: true });
+  return resolve;
+}
+
+/**
+ * Determines if vsacAccess is a resolver (marked by defineResolver), rather than a URL or a function
+ * taking the positional arguments of earlier versions.
+ * @param {*} vsacAccess - the vsacAccess option
+ * @returns {boolean} true if vsacAccess is a resolver
+ */
+function isResolver(vsacAccess) {
+  return typeof vsacAccess === 'function' && vsacAccess[RESOLVER] === true;
+}
+
+// Legacy vsacAccess functions that have been warned about, so each is only warned about once
+const warned = new WeakSet();
+
+/**
+ * Returns the api to download value sets from vsacAccess with: this module for resolvers passed to
+ * the FHIR or SVS api, and the given api otherwise.  Other functions are assumed to take the positional
+ * arguments of earlier versions, and are still passed to the given api, but are deprecated (and warned
+ * about once).
+ * @param {Object} api - the api chosen for the download
+ * @param {string|Function} vsacAccess - the URL or function to download value sets from
+ * @param {Object} options - the download options, with the logger to warn with
+ * @returns {Object} the api
+ */
+function apiForAccess(api, vsacAccess, options = {}) {
+  if (typeof vsacAccess !== 'function' || (api !== fhir && api !== svs)) {
+    return api;
+  } else if (isResolver(vsacAccess)) {
+    return module.exports;
+  }
+  if (!warned.has(vsacAccess)) {
+    warned.add(vsacAccess);
+    loggerFor(options, 'resolver').warn(
+      'vsacAccess functions taking positional arguments are deprecated; pass a function taking a ' +
+        'single request object, marked with defineResolver, instead'
+    );
+  }
+  return api;
+}
+
+module.exports = {
+  name: 'resolver',
+  downloadValueSet,
+  defineResolver,
+  isResolver,
+  apiForAccess
+};
@@ -0,0 +1,144 @@
+const { fetchWithAuth } = require('./auth');
+const { limit } = require('./limiter');
+const { runRequest, sleep, throwIfAborted } = require('./abort');
+const { httpError, isNetworkError, NetworkError, TimeoutError } = require('./errors');
+const { emitEvent } = require('./events');
+const { loggerFor } = require('./logger');
+
+/**
+ * The default retry policy:
+ *   retries - the number of times a failed request is retried (so up to retries + 1 attempts)
+ *   minDelay - the delay (in ms) before the first retry; each retry waits factor times longer
+ *   maxDelay - the maximum delay (in ms) between attempts, including delays requested by Retry-After
+ *   factor - the exponential backoff factor
+ *   jitter - if true, each delay is randomized between half and all of the computed delay, so that
+ *     concurrent downloads don't retry in lockstep
+ *   retryOn - the HTTP statuses that are retried.  Other statuses (e.g., 401 and 404) are not, since
+ *     retrying won't change the outcome.
+ *   networkErrors - if true, requests that fail altogether (network errors and timed out attempts)
+ *     are retried.  Other errors, such as an invalid URL or an AuthenticationError from requesting an
+ *     OAuth2 token, never are.
+ */
+const DEFAULT_RETRY_POLICY = {
+  retries: 3,
+  minDelay: 500,
+  maxDelay: 30000,
+  factor: 2,
+  jitter: true,
+  retryOn: [408, 429, 500, 502, 503, 504],
+  networkErrors: true
+};
+
+/**
+ * Merges a retry policy with the defaults.  A policy of false disables retries.
+ * @param {Object|boolean} retry - the (partial) retry policy
+ * @returns {Object} the complete retry policy
+ */
+function toRetryPolicy(retry) {
+  if (retry === false) {
+    return Object.assign({}, DEFAULT_RETRY_POLICY, { retries: 0 });
+  }
+  return Object.assign({}, DEFAULT_RETRY_POLICY, retry);
+}
+
+/**
+ * Calculates how long to wait before the next attempt.  A Retry-After header (in seconds or as an
+ * HTTP date) takes precedence over the exponential backoff.
+ * @param {number} attempt - the number of the attempt that just failed (starting at 1)
+ * @param {Response} response - the failed response, or undefined if the request errored
+ * @param {Object} policy - the retry policy
+ * @returns {number} the delay in ms
+ */
+function retryDelay(attempt, response, policy) {
+  const retryAfter = response != null ? parseRetryAfter(response.headers.get('Retry-After')) : null;
+  if (retryAfter != null) {
+    return Math.min(retryAfter, policy.maxDelay);
+  }
+  const delay = Math.min(policy.minDelay * Math.pow(policy.factor, attempt - 1), policy.maxDelay);
+  return policy.jitter ? delay / 2 + (Math.random() * delay) / 2 : delay;
+}
+
+function parseRetryAfter(value) {
+  if (value == null || value.trim() === '') {
+    return null;
+  }
+  if (/^\d+$/.test(value.trim())) {
+    return Number(value) * 1000;
+  }
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+/**
+ * Fetches a URL (see fetchWithAuth), retrying network errors and retryable statuses according to the
+ * retry policy.  Unsuccessful responses are thrown as the ValueSetDownloadError matching their status
+ * (see errors.js), with the status as their message (as the fhir and svs modules always have), and
+ * requests that fail altogether as a NetworkError or TimeoutError.  These errors include the url and
+ * the number of attempts made; any other error (e.g., an invalid URL) is thrown as it is.
+ * @param {string} url - the URL to fetch
+ * @param {string|Object} auth - a UMLS API key or an auth strategy
+ * @param {Object} options - the request options:
+ *   retry - the retry policy (see DEFAULT_RETRY_POLICY), or false to not retry
+ *   limiter - the RequestLimiter each attempt is scheduled through (see limiter.js)
+ *   signal - an AbortSignal that cancels the request (including any wait between attempts)
+ *   requestTimeout - the time (in ms) after which an attempt times out (and may be retried)
+ *   emit - a function (event, data) called with a 'retry' event (url, attempt, delay, and the
+ *     status or error of the failed attempt) before waiting to retry
+ *   logger - the Logger retries are logged to (see logger.js)
+ * @returns {Promise<Response>} the successful response
+ */
+async function fetchWithRetry(url, auth, options = {}) {
+  const policy = toRetryPolicy(options.retry);
+  for (let attempt = 1; ; attempt++) {
+    let response, error;
+    try {
+      response = await limit(options.limiter, () =>
+        runRequest(options, url, signal =>
+          fetchWithAuth(url, auth, { signal, fetch: options.fetch })
+        )
+      );
+    } catch (err) {
+      // Cancelled and timed out downloads are not retried, but timed out attempts are
+      throwIfAborted(options.signal);
+      error = err;
+      if (!isNetworkError(err)) {
+        throw err;
+      }
+      if (attempt > policy.retries || !policy.networkErrors) {
+        if (err instanceof TimeoutError) {
+          err.attempts = attempt;
+          throw err;
+        }
+        throw new NetworkError(err.message, { url, attempts: attempt, cause: err });
+      }
+    }
+    if (response != null) {
+      if (response.ok) {
+        return response;
+      }
+      if (attempt > policy.retries || !policy.retryOn.includes(response.status)) {
+        throw httpError(response.status, {
+          url,
+          attempts: attempt,
+          retryAfter: parseRetryAfter(response.headers.get('Retry-After'))
+        });
+      }
+    }
+    const delay = retryDelay(attempt, response, policy);
+    loggerFor(options, 'retry').info(
+      `Retrying ${url} in ${delay}ms (attempt ${attempt} failed with ${
+        response != null ? response.status : error.message
+      })`
+    );
+    emitEvent(options, 'retry', {
+      url,
+      attempt,
+      delay,
+      status: response != null ? response.status : undefined,
+      error
+    });
+    await sleep(delay, options.signal);
+  }
+}
+
+module.exports = { DEFAULT_RETRY_POLICY, toRetryPolicy, retryDelay, fetchWithRetry };
@@ -0,0 +1,182 @@
+const svs = require('./svs');
+const fhir = require('./fhir');
+const { apiForAccess } = require('./resolver');
+const {
+  ValueSetNotFoundError,
+  NetworkError,
+  TimeoutError,
+  CancellationError,
+  isNetworkError
+} = require('./errors');
+const { throwIfAborted } = require('./abort');
+const { toRetryPolicy } = require('./retry');
+
+const APIS = { FHIR: fhir, SVS: svs };
+
+/**
+ * Routes value set downloads across several terminology sources (e.g., a local proxy, then VSAC FHIR,
+ * then VSAC SVS).  Sources are tried in order until one of them has the value set; a source is
+ * skipped when it responds with a 404 or 5xx status (or cannot be reached at all), or returns nothing.
+ * Any other error, such as a 401, is thrown immediately.  If no source has the value set, the error of
+ * the last one is thrown (a ValueSetNotFoundError if it returned nothing).  Since the next source is
+ * tried instead, failures that fall back aren't retried (see retry.js), except by the last source.
+ *
+ * The router implements the same downloadValueSet function as the fhir and svs modules, so it can be
+ * used as a CodeService's api (see CodeService.setRouter).  The vsacAccess argument passed to it is
+ * ignored, since each source has its own.
+ *
+ * @param {Object} config - the router configuration:
+ *   sources - an ordered array of sources, each with a "name", an "api" ('FHIR' or 'SVS') and a
+ *     "vsacAccess" (a URL or function, as accepted by the corresponding api, or a resolver; see
+ *     resolver.js)
+ *   rules - an optional array of routing rules, each with a "match" and the names of the "sources"
+ *     to try (in order, at least one) for matching OIDs.  A match may be a string (where * is a
+ *     wildcard, e.g. '2.16.840.1.113762.*'), a RegExp, or a function (oid) => boolean.  The first
+ *     matching rule wins; OIDs that match no rule are tried against all sources in order.
+ */
+class TerminologyRouter {
+  constructor(config = {}) {
+    const sources = config.sources || [];
+    if (!Array.isArray(sources) || sources.length === 0) {
+      throw new Error('TerminologyRouter requires at least one source');
+    }
+    this.name = 'Router';
+    this.sources = sources.map((source, i) => {
+      const api = typeof source.api === 'string' ? APIS[source.api.toUpperCase()] : source.api;
+      if (api == null || typeof api.downloadValueSet !== 'function') {
+        throw new Error(`Expected source api to be 'FHIR' or 'SVS', but was ${source.api}`);
+      }
+      return { name: source.name || `${api.name}${i}`, api, vsacAccess: source.vsacAccess };
+    });
+    this.rules = (config.rules || []).map(rule => {
+      const ruleSources = rule.sources || [];
+      if (!Array.isArray(ruleSources) || ruleSources.length === 0) {
+        throw new Error('Routing rules require at least one source');
+      }
+      const unknown = ruleSources.filter(name => !this.sources.some(s => s.name === name));
+      if (unknown.length > 0) {
+        throw new Error(`Routing rule refers to unknown source(s): ${unknown.join(', ')}`);
+      }
+      return { matches: toMatcher(rule.match), sources: ruleSources };
+    });
+  }
+
+  /**
+   * Returns the sources to try (in order) for the given OID.
+   * @param {string} oid - the OID of the value set
+   * @returns {Array<Object>} the sources to try
+   */
+  sourcesFor(oid) {
+    const rule = this.rules.find(r => r.matches(oid));
+    if (rule == null) {
+      return this.sources;
+    }
+    return rule.sources.map(name => this.sources.find(s => s.name === name));
+  }
+
+  /**
+   * Asynchronously downloads a value set from the first source that has it, populating vsDB.
+   *
+   * @param {string} apiKey - The API key for accessing the sources.
+   * @param {string} oid - The OID of the value set to download.
+   * @param {string} version - The version of the value set to download (optional).
+   * @param {*} vsacAccess - Ignored; each source has its own vsacAccess.
+   * @param {Object} vsDB - The value set database to populate with the downloaded value set.
+   * @param {Object} options - Options passed through to each source's api.
+   * @returns {Promise<Object>} Info about the downloaded value set, including the name of the source
+   *   that satisfied it.
+   */
+  async downloadValueSet(apiKey, oid, version, vsacAccess, vsDB = {}, options = {}) {
+    let lastError;
+    const sources = this.sourcesFor(oid);
+    for (const [i, source] of sources.entries()) {
+      const downloaded = {};
+      const sourceOptions = i < sources.length - 1 ? withoutFallBackRetries(options) : options;
+      try {
+        const api = apiForAccess(source.api, source.vsacAccess, sourceOptions);
+        const info = await api.downloadValueSet(
+          apiKey,
+          oid,
+          version,
+          source.vsacAccess,
+          downloaded,
+          sourceOptions
+        );
+        if (Object.keys(downloaded).length === 0) {
+          // The source returned nothing, so it doesn't have the value set
+          lastError = new ValueSetNotFoundError(
+            `Value set ${oid} was not found in source ${source.name}`,
+            { oid, version }
+          );
+          continue;
+        }
+        Object.keys(downloaded).forEach(id => {
+          vsDB[id] = Object.assign(vsDB[id] || {}, downloaded[id]);
+        });
+        return Object.assign({}, info, { source: source.name });
+      } catch (err) {
+        // A cancelled download is rethrown rather than tried again with the next source
+        throwIfAborted(options.signal);
+        if (!shouldFallBack(err)) {
+          throw err;
+        }
+        lastError = err;
+      }
+    }
+    throw lastError;
+  }
+}
+
+/**
+ * Determines if an error from a source means the next source should be tried: the source doesn't have
+ * the value set (404) or is unavailable (5xx, network failures and timeouts).  The fhir and svs
+ * modules throw errors whose message is the HTTP status.  Any other error (e.g., a cancellation, a
+ * response that couldn't be parsed or a bug) is rethrown.
+ * @param {Error} err - the error thrown by the source
+ * @returns {boolean} true if the next source should be tried
+ */
+function shouldFallBack(err) {
+  if (err == null || err instanceof CancellationError || err.name === 'AbortError') {
+    return false;
+  } else if (err instanceof NetworkError || err instanceof TimeoutError || isNetworkError(err)) {
+    return true;
+  }
+  const status = Number(err.status != null ? err.status : err.message);
+  return status === 404 || status >= 500;
+}
+
+/**
+ * Returns the options to download from a source that can fall back to another with: the same options,
+ * but with a retry policy that doesn't retry the failures that fall back.
+ * @param {Object} options - the download options
+ * @returns {Object} the options for the source
+ */
+function withoutFallBackRetries(options) {
+  if (options.retry === false) {
+    return options;
+  }
+  const policy = toRetryPolicy(options.retry);
+  return Object.assign({}, options, {
+    retry: Object.assign(policy, {
+      retryOn: policy.retryOn.filter(status => !shouldFallBack({ status })),
+      networkErrors: false
+    })
+  });
+}
+
+function toMatcher(match) {
+  if (typeof match === 'function') {
+    return match;
+  } else if (match instanceof RegExp) {
+    return oid => match.test(oid);
+  } else if (typeof match === 'string') {
+    const escaped = match.replace(/[.+?^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*');
+    const regex = new RegExp(`^${escaped}$`);
+    return oid => regex.test(oid);
+  }
+  throw new Error(
+    `Expected routing rule match to be a string, RegExp or function, but was ${match}`
+  );
+}
+
+module.exports = { TerminologyRouter };
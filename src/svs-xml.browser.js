@@ -0,0 +1,50 @@
+/* global DOMParser */
+/**
+ * Parses the XML of an SVS RetrieveValueSet (or RetrieveMultipleValueSets) response using the
+ * DOMParser of the browser.  This is the browser version of svs-xml.js (see the "browser" field of
+ * package.json).
+ *
+ * @param {string} xmlString - the XML of the response
+ * @returns {Object} the value set: { oid, version, concepts }, where each concept has a code,
+ *   codeSystem and (optional) codeSystemVersion
+ */
+function parseSVSXML(xmlString) {
+  if (typeof DOMParser === 'undefined') {
+    throw new Error('Parsing SVS responses requires DOMParser, which this environment lacks');
+  }
+  const doc = new DOMParser().parseFromString(xmlString, 'text/xml');
+  const parserError = doc.getElementsByTagName('parsererror')[0];
+  if (parserError != null) {
+    throw new Error(`Invalid XML: ${parserError.textContent}`);
+  }
+
+  // SVS elements are namespaced (VSAC uses the ns0 prefix), so they're found by their local names
+  const response = doc.documentElement;
+  const multiple = response != null && response.localName === 'RetrieveMultipleValueSetsResponse';
+  if (response == null || (!multiple && response.localName !== 'RetrieveValueSetResponse')) {
+    throw new Error('Expected a RetrieveValueSetResponse element');
+  }
+  // RetrieveMultipleValueSets (used to pin a release; see svs.js) describes each value set
+  const valueSetName = multiple ? 'DescribedValueSet' : 'ValueSet';
+  const valueSet = response.getElementsByTagNameNS('*', valueSetName)[0];
+  if (valueSet == null) {
+    throw new Error('Expected a ValueSet element');
+  }
+  const concepts = Array.from(valueSet.getElementsByTagNameNS('*', 'Concept'));
+  return {
+    oid: attribute(valueSet, 'ID'),
+    version: attribute(valueSet, 'version'),
+    concepts: concepts.map(concept => ({
+      code: attribute(concept, 'code'),
+      codeSystem: attribute(concept, 'codeSystem'),
+      codeSystemVersion: attribute(concept, 'codeSystemVersion')
+    }))
+  };
+}
+
+// Missing attributes are undefined, as they are when parsed by xml2js
+function attribute(element, name) {
+  return element.hasAttribute(name) ? element.getAttribute(name) : undefined;
+}
+
+module.exports = { parseSVSXML };
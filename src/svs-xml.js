@@ -0,0 +1,46 @@
+const { parseString } = require('xml2js');
+const { stripPrefix } = require('xml2js').processors;
+
+/**
+ * Parses the XML of an SVS RetrieveValueSet (or RetrieveMultipleValueSets) response using xml2js.
+ * In browsers, bundlers use svs-xml.browser.js instead (see the "browser" field of package.json),
+ * which parses it using DOMParser, so xml2js and its Node.js dependencies aren't bundled.
+ *
+ * @param {string} xmlString - the XML of the response
+ * @returns {Object} the value set: { oid, version, concepts }, where each concept has a code,
+ *   codeSystem and (optional) codeSystemVersion
+ */
+function parseSVSXML(xmlString) {
+  // xml2js calls back synchronously, unless the async option is set
+  let parsedXML, error;
+  parseString(xmlString, { tagNameProcessors: [stripPrefix] }, (err, res) => {
+    error = err;
+    parsedXML = res;
+  });
+  if (error != null) {
+    throw error;
+  }
+
+  // RetrieveMultipleValueSets (used to pin a release; see svs.js) describes each value set
+  const multiple = parsedXML['RetrieveMultipleValueSetsResponse'];
+  const valueSets =
+    multiple != null
+      ? multiple['DescribedValueSet']
+      : parsedXML['RetrieveValueSetResponse']['ValueSet'];
+  if (valueSets == null || valueSets.length === 0) {
+    throw new Error('Expected a ValueSet element');
+  }
+  const valueSet = valueSets[0];
+  const conceptList = valueSet['ConceptList'][0]['Concept'] || [];
+  return {
+    oid: valueSet['$']['ID'],
+    version: valueSet['$']['version'],
+    concepts: conceptList.map(concept => ({
+      code: concept['$']['code'],
+      codeSystem: concept['$']['codeSystem'],
+      codeSystemVersion: concept['$']['codeSystemVersion']
+    }))
+  };
+}
+
+module.exports = { parseSVSXML };
@@ -1,20 +1,36 @@
-const fetch = require('node-fetch');
-const parseString = require('xml2js').parseString;
-// const debug = require('debug')('vsac'); // To turn on DEBUG: $ export DEBUG=vsac
 const { Code, ValueSet } = require('cql-execution');
 const vsacCS = require('./vsac-code-systems');
+const { isCanonicalUrl } = require('./fhir');
+const { fetchWithRetry } = require('./retry');
+const { limit } = require('./limiter');
+const { runRequest } = require('./abort');
+const { ParseError } = require('./errors');
+const { emitEvent } = require('./events');
+const { loggerFor } = require('./logger');
+const { parseSVSXML } = require('./svs-xml');
 
 /**
  * Asynchronously downloads a value set from VSAC using the provided API key, OID, and optional version.
  *
- * @param {string} apiKey - The API key for accessing the VSAC service.
+ * @param {string|Object} apiKey - The API key for accessing the VSAC service, or an auth strategy (see auth.js).
  * @param {string} oid - The OID of the value set to be downloaded.
  * @param {string} version - The version of the value set to be downloaded (optional).
- * @param {string} vsacAccess - The URL of the VSAC service or a function that has parameters (oid, version, apiKey) and returns a valueset
+ * @param {string} vsacAccess - The URL of the VSAC service or a function that has parameters (oid, version, apiKey, signal) and returns SVS XML (deprecated; see resolver.js)
  * @param {object} vsDB - The object representing the valueset database.
  * @param {object} options - Additional options for downloading the value set (default: { svsCodeSystemType: 'url' }).
+ *   retry - the retry policy for failed requests (see retry.js), or false to not retry.
+ *   limiter - the RequestLimiter the request is scheduled through (see limiter.js).
+ *   signal - an AbortSignal that cancels the download (see abort.js).
+ *   requestTimeout - the time (in ms) after which the request times out.
+ *   emit - a function (event, data) called with a single 'page-fetched' event (offset, count, total)
+ *     once the value set is parsed, and a 'retry' event for each retried request (see retry.js).
+ *   logger - the Logger requests are logged to (see logger.js).
+ *   codeSystemMapping - code system OIDs mapped to { uri } objects, in addition to vsac-code-systems.json.
+ *   fetch - the fetch implementation used for requests (see auth.js).
+ *   pinning - the pinning configuration (see CodeService.setPinning); if it pins a release, a value set
+ *     requested without a version is requested from that release, using RetrieveMultipleValueSets.
  *
- * @returns {Promise<void>} - A Promise that resolves once the value set is downloaded and parsed into the vsDB.
+ * @returns {Promise<Object>} - A Promise that resolves to info about the value set (oid and version) once it is downloaded and parsed into the vsDB.
  */
 async function downloadValueSet(
   apiKey,
@@ -24,44 +40,52 @@ async function downloadValueSet(
   vsDB = {},
   options = { svsCodeSystemType: 'url' }
 ) {
-  // debug(`Getting ValueSet: ${oid}${version != null ? ` version ${version}` : ''}`);
+  loggerFor(options, 'svs').debug(
+    `Getting ValueSet: ${oid}${version != null ? ` version ${version}` : ''}`
+  );
 
+  if (isCanonicalUrl(oid)) {
+    throw new Error(`SVS only supports value set OIDs, but got canonical URL ${oid}`);
+  }
   let data;
   if (typeof vsacAccess === 'string') {
-    data = await fetchValueSet(apiKey, oid, version, vsacAccess);
+    data = await fetchValueSet(apiKey, oid, version, vsacAccess, options);
   } else if (typeof vsacAccess === 'function') {
-    data = await vsacAccess(oid, version, apiKey);
+    data = await limit(options.limiter, () =>
+      runRequest(options, undefined, signal => vsacAccess(oid, version, apiKey, signal))
+    );
   } else {
     throw new Error(`Expected typeof vsacUrl to be a function of string, but was ${typeof vsacAccess}`);
   }
-  parseVSACXML(data, vsDB, options);
-
+  let info;
+  try {
+    info = parseVSACXML(data, vsDB, options);
+  } catch (err) {
+    throw new ParseError(`Invalid SVS response for ${oid}`, { oid, version, cause: err });
+  }
+  // SVS returns the whole value set at once, so it is reported as a single page
+  const count = info != null ? vsDB[info.oid][info.version].codes.length : 0;
+  emitEvent(options, 'page-fetched', { offset: 0, count, total: count });
+  return info;
 }
 
 
-async function fetchValueSet(apiKey, oid, version, vsacUrl) {
+async function fetchValueSet(apiKey, oid, version, vsacUrl, options = {}) {
   const params = new URLSearchParams({ id: oid });
+  const release = options.pinning != null ? options.pinning.release : undefined;
   if (version != null) {
     params.append('version', version);
+  } else if (release != null) {
+    // Only RetrieveMultipleValueSets takes a release, so it's used instead of RetrieveValueSet
+    params.append('release', release);
+    vsacUrl = vsacUrl.replace(/RetrieveValueSet$/, 'RetrieveMultipleValueSets');
   }
-  const requestOptions = {
-    headers: {
-      Authorization: `Basic ${btoa(`apikey:${apiKey}`)}`
-    }
-  };
-
   const url = `${vsacUrl}?${params}`;
-  // debug(`Built Url ${url}`);
-
-  const response = await fetch(
-    url,
-    requestOptions
-  );
+  const logger = loggerFor(options, 'svs');
+  logger.debug(`Built Url ${url}`);
 
-  // console.log(response.text,response.status);
-  if (!response.ok) {
-    throw new Error(response.status);
-  }
+  const response = await fetchWithRetry(url, apiKey, options);
+  logger.debug(`Response for ${url} is ${response.status}`);
   return await response.text();
 }
 
@@ -87,41 +111,29 @@ function getVSACCodeSystem(codeSystems, system) {
 
 /**
  * Take in a string containing a string of the XML response from a VSAC SVS
- * response and parse it into a vsDB object. This code makes strong
- * assumptions about the structure of the message.
+ * response and parse it into a vsDB object.
  *
  * @param {string} xmlString - The XML response string from VSAC SVS.
  * @param {Object} [vsDB={}] - The object to store the parsed data.
  * @param {Object} [options={ svsCodeSystemType: 'url' }] - Additional options for parsing.
+ * @returns {Object|undefined} - The oid and version of the parsed value set.
  */
 function parseVSACXML(xmlString, vsDB = {}, options = { svsCodeSystemType: 'url' }) {
   if (typeof xmlString === 'undefined' || xmlString == null || xmlString.trim().length == 0) {
     return;
   }
-  // Parse the XML string.
-  let parsedXML;
-  parseString(xmlString, (err, res) => {
-    parsedXML = res;
-  });
-
-  // Pull out the OID and version for this valueset.
-  const vsOID = parsedXML['ns0:RetrieveValueSetResponse']['ns0:ValueSet'][0]['$']['ID'];
-  const vsVersion = parsedXML['ns0:RetrieveValueSetResponse']['ns0:ValueSet'][0]['$']['version'];
-
-  // Grab the list of codes.
-  const conceptList =
-    parsedXML['ns0:RetrieveValueSetResponse']['ns0:ValueSet'][0]['ns0:ConceptList'][0][
-      'ns0:Concept'
-      ];
+  // Parse the XML string (using xml2js, or DOMParser in browsers; see svs-xml.js).
+  const { oid: vsOID, version: vsVersion, concepts } = parseSVSXML(xmlString);
 
   // Loop over the codes and build the JSON.
   const codeList = [];
-  for (let concept in conceptList) {
-    let system = conceptList[concept]['$']['codeSystem'];
-    const code = conceptList[concept]['$']['code'];
-    const version = conceptList[concept]['$']['codeSystemVersion'];
+  const codeSystems = Object.assign({}, vsacCS, options.codeSystemMapping);
+  for (const concept of concepts) {
+    let system = concept.codeSystem;
+    const code = concept.code;
+    const version = concept.codeSystemVersion;
     const systemOid = `urn:oid:${system}`;
-    const systemUri = getVSACCodeSystem(vsacCS, system);
+    const systemUri = getVSACCodeSystem(codeSystems, system);
 
     if (options.svsCodeSystemType === 'oid') {
       // Keep the oid system as is
@@ -149,6 +161,7 @@ function parseVSACXML(xmlString, vsDB = {}, options = { svsCodeSystemType: 'url'
   vsDB[vsOID] = {};
   let myCodes = codeList.map(elem => new Code(elem.code, elem.system, elem.version));
   vsDB[vsOID][vsVersion] = new ValueSet(vsOID, vsVersion, myCodes);
+  return { oid: vsOID, version: vsVersion };
 }
 
 
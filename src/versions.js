@@ -0,0 +1,88 @@
+// e.g., 2021-03-04 or 2021-03-04T01:00:20-05:00
+const ISO_DATE = /^\d{4}-\d{2}-\d{2}(T[\d:.]+(Z|[+-]\d{2}:\d{2})?)?$/;
+// e.g., 20210304, as VSAC versions its value sets
+const COMPACT_DATE = /^(\d{4})(0[1-9]|1[0-2])(0[1-9]|[12]\d|3[01])$/;
+// e.g., 9, 1.10, v2.0.1 or 1.0.0-beta.2+build.5
+const SEMVER = /^v?(\d+(?:\.\d+)*)(?:-([0-9A-Za-z.-]+))?(?:\+[0-9A-Za-z.-]+)?$/;
+
+/**
+ * Compares two value set versions, for finding the most recent one.  Versions that are both dates
+ * (ISO 8601 dates, or YYYYMMDD as used by VSAC) are compared chronologically, and versions that are
+ * both numbers or semantic versions are compared numerically, segment by segment (so 1.10 is more
+ * recent than 1.9, and a pre-release such as 2.0.0-beta is older than 2.0.0).  Other versions are
+ * compared as strings, with any runs of digits compared numerically.  Missing versions are the oldest.
+ *
+ * @param {string} a - a version
+ * @param {string} b - another version
+ * @returns {number} a negative number if a is older than b, a positive number if it's more recent,
+ *   or 0 if they're equivalent
+ */
+function compareVersions(a, b) {
+  if (a == null || b == null) {
+    return (a == null ? 0 : 1) - (b == null ? 0 : 1);
+  }
+  a = String(a);
+  b = String(b);
+  const dateA = toDate(a);
+  const dateB = toDate(b);
+  if (dateA != null && dateB != null) {
+    return Math.sign(dateA - dateB);
+  }
+  const semverA = a.match(SEMVER);
+  const semverB = b.match(SEMVER);
+  if (semverA != null && semverB != null) {
+    return compareSemver(semverA, semverB);
+  }
+  return a.localeCompare(b, 'en', { numeric: true });
+}
+
+function toDate(version) {
+  const compact = version.match(COMPACT_DATE);
+  if (compact != null) {
+    return Date.UTC(Number(compact[1]), Number(compact[2]) - 1, Number(compact[3]));
+  } else if (ISO_DATE.test(version)) {
+    const date = Date.parse(version);
+    return Number.isNaN(date) ? null : date;
+  }
+}
+
+function compareSemver([, numbersA, preA], [, numbersB, preB]) {
+  const byNumbers = compareIdentifiers(numbersA.split('.'), numbersB.split('.'), '0');
+  if (byNumbers !== 0) {
+    return byNumbers;
+  } else if (preA == null || preB == null) {
+    // A release is more recent than its pre-releases
+    return (preA == null ? 1 : 0) - (preB == null ? 1 : 0);
+  }
+  return compareIdentifiers(preA.split('.'), preB.split('.'));
+}
+
+/**
+ * Compares dot-separated identifiers as semver does: numbers numerically (and before other
+ * identifiers), others as strings, and a shorter list before a longer one it's a prefix of (unless
+ * missing identifiers are filled in).
+ */
+function compareIdentifiers(a, b, missing) {
+  for (let i = 0; i < Math.max(a.length, b.length); i++) {
+    const x = i < a.length ? a[i] : missing;
+    const y = i < b.length ? b[i] : missing;
+    if (x == null || y == null) {
+      return x == null ? -1 : 1;
+    }
+    const numericX = /^\d+$/.test(x);
+    const numericY = /^\d+$/.test(y);
+    if (numericX && numericY) {
+      const diff = Math.sign(Number(x) - Number(y));
+      if (diff !== 0) {
+        return diff;
+      }
+    } else if (numericX || numericY) {
+      return numericX ? -1 : 1;
+    } else if (x !== y) {
+      return x < y ? -1 : 1;
+    }
+  }
+  return 0;
+}
+
+module.exports = { compareVersions };
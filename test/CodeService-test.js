@@ -1,5 +1,8 @@
 const cs = require('../src/CodeService');
+const { FileSystemCache } = require('../src/fs-cache');
+const { AuthenticationError } = require('../src/errors');
 const { Code, ValueSet } = require('cql-execution');
+const fs = require('fs');
 const path = require('path');
 const process = require('process');
 const chai = require('chai');
@@ -9,6 +12,7 @@ const should = chai.should();
 const sandbox = require('sinon').createSandbox();
 const temp = require('temp');
 const TOBACCO_VS_DB = require('./fixtures/2.16.840.1.113883.3.600.2390-vsdb.json');
+const FIXTURES = path.join(__dirname, 'fixtures');
 
 // Automatically track and cleanup files at exit
 temp.track();
@@ -16,11 +20,16 @@ temp.track();
 describe('CodeService', () => {
   let service, tmpCache;
 
-  beforeEach(() => {
-    // Create a temporary cache folder and construct the code service using it
+  beforeEach(async () => {
+    // Create a temporary cache folder holding the fixture value sets, and construct the code
+    // service using it
     tmpCache = temp.mkdirSync('cql-exec-vsac-test');
-    service = new cs.CodeService(tmpCache);
-    service.loadValueSetsFromFile(path.join(__dirname, 'fixtures', 'valueset-db.json'));
+    fs.copyFileSync(
+      path.join(FIXTURES, 'valueset-db.json'),
+      path.join(tmpCache, 'valueset-db.json')
+    );
+    service = new cs.CodeService({ cache: new FileSystemCache(tmpCache) });
+    await service.cacheLoaded;
     // Replace the CodeService API with a mock
     service.api = {
       downloadValueSet: sandbox.stub()
@@ -38,28 +47,32 @@ describe('CodeService', () => {
       service.valueSets.should.be.empty;
     });
 
-    it('should have empty value sets when constructed with cache but loadCache flag is false', () => {
-      service = new cs.CodeService(path.join(__dirname, 'fixtures'), false);
+    it('should have empty value sets when constructed without a cache', async () => {
+      service = new cs.CodeService({ cache: null });
+      await service.cacheLoaded;
       service.valueSets.should.be.empty;
     });
 
-    it('should have value sets when constructed with cache and loadCache flag is true', () => {
-      service = new cs.CodeService(path.join(__dirname, 'fixtures'), true);
+    it('should have value sets when constructed with a cache', async () => {
+      service = new cs.CodeService({ cache: new FileSystemCache(FIXTURES) });
+      await service.cacheLoaded;
       service.valueSets.should.not.be.empty;
     });
 
     it('should default to SVS API', () => {
-      service = new cs.CodeService(path.join(__dirname, 'fixtures'), true);
+      service = new cs.CodeService();
       service.api.name.should.equal('SVS');
     });
 
     it('should use SVS API when useFHIR is false', () => {
-      service = new cs.CodeService(path.join(__dirname, 'fixtures'), true, false);
+      sandbox.stub(console, 'log');
+      service = new cs.CodeService(true, false);
       service.api.name.should.equal('SVS');
     });
 
     it('should use FHIR API when useFHIR is true', () => {
-      service = new cs.CodeService(path.join(__dirname, 'fixtures'), true, true);
+      sandbox.stub(console, 'log');
+      service = new cs.CodeService(true, true);
       service.api.name.should.equal('FHIR');
     });
   });
@@ -731,8 +744,9 @@ describe('CodeService', () => {
 
     const doDownloadTestWithAPIKey = async (vsList, withVersion = false) => {
       service.api.downloadValueSet.callsFake(
-        async (apiKey, oid, version, output, vsDB = {}, caching = true) => {
-          return path.join(service.cache, `${oid}.xml`);
+        async (apiKey, oid, version, vsacAccess, vsDB = {}) => {
+          const vsVersion = version != null ? version : '1';
+          vsDB[oid] = { [vsVersion]: new ValueSet(oid, vsVersion, []) };
         }
       );
       await service.ensureValueSetsWithAPIKey(vsList, 'testkey');
@@ -752,13 +766,12 @@ describe('CodeService', () => {
 
     it('should download and cache successful value sets before throwing error', async () => {
       service.api.downloadValueSet.callsFake(
-        async (apiKey, oid, version, output, vsDB = {}, caching = true) => {
+        async (apiKey, oid, version, vsacAccess, vsDB = {}) => {
           if (oid === '1.2.3.4.5.6.7.8.9.10') {
             throw new Error(404); // Not Found
           } else if (oid === '2.16.840.1.113883.3.600.2390') {
             Object.assign(vsDB, TOBACCO_VS_DB);
           }
-          return path.join(service.cache, `${oid}.xml`);
         }
       );
 
@@ -787,8 +800,9 @@ describe('CodeService', () => {
         const vs2 = service.findValueSet('2.16.840.1.113883.3.600.2390', '20210304');
         vs2.codes.should.have.length(26);
         // Test that the value sets were properly written to the cache
-        const cached = require(path.join(tmpCache, 'valueset-db.json'));
-        JSON.parse(JSON.stringify(service.valueSets)).should.eql(cached);
+        const cached = JSON.parse(fs.readFileSync(path.join(tmpCache, 'valueset-db.json'), 'utf8'));
+        Object.keys(cached).should.have.members(Object.keys(service.valueSets));
+        cached['2.16.840.1.113883.3.600.2390']['20210304'].codes.should.have.length(26);
         // Test that the error was thrown
         error.should.have.length(1);
         error[0].should.be.an('error');
@@ -813,7 +827,10 @@ describe('CodeService', () => {
           await service.ensureValueSetsWithAPIKey(vsList, null);
           should.fail(0, 1, 'This code should never be executed');
         } catch (error) {
-          error.should.eql('Failed to download value sets since UMLS_API_KEY is not set.');
+          error.should.be.an.instanceof(AuthenticationError);
+          error.message.should.equal(
+            'Failed to download value sets since UMLS_API_KEY is not set.'
+          );
         }
       } finally {
         process.env['UMLS_API_KEY'] = oldAPIKey;
@@ -822,7 +839,7 @@ describe('CodeService', () => {
 
     it('should error if invalid API Key is supplied', async () => {
       service.api.downloadValueSet.callsFake(
-        async (apiKey, oid, version, output, vsDB = {}, caching = true) => {
+        async (apiKey, oid, version, vsacAccess, vsDB = {}) => {
           throw new Error(401); // Unauthorized
         }
       );
@@ -840,14 +857,15 @@ describe('CodeService', () => {
         should.fail(0, 1, 'This code should never be executed');
       } catch (error) {
         error.should.have.length(1);
-        error[0].should.be.an('error');
+        error[0].should.be.an.instanceof(AuthenticationError);
+        error[0].status.should.equal(401);
         error[0].message.should.contain('2.16.840.1.113883.3.526.3.1032');
       }
     });
 
     it('should error if value set is not found', async () => {
       service.api.downloadValueSet.callsFake(
-        async (apiKey, oid, version, output, vsDB = {}, caching = true) => {
+        async (apiKey, oid, version, vsacAccess, vsDB = {}) => {
           throw new Error(404); // Not Found
         }
       );
@@ -0,0 +1,225 @@
+const { CancellationError, TimeoutError } = require('../src/errors');
+const fhir = require('../src/fhir');
+const svs = require('../src/svs');
+const { CodeService } = require('../src/CodeService');
+const path = require('path');
+const nock = require('nock');
+const chai = require('chai');
+const chaiAsPromised = require('chai-as-promised');
+chai.use(chaiAsPromised);
+chai.should();
+const sandbox = require('sinon').createSandbox();
+
+const TOBACCO_OID = '2.16.840.1.113883.3.600.2390';
+const FHIR_URL = 'https://tx.example.org/fhir/ValueSet/{{oid}}/$expand';
+const SVS_URL = 'https://tx.example.org/svs/RetrieveValueSet';
+const FHIR_FIXTURE = path.join(__dirname, 'fixtures', `${TOBACCO_OID}.json`);
+
+const delay = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Returns a (positional) vsacAccess function that never resolves, recording the signals it was passed.
+ */
+function hangingAccess() {
+  const signals = [];
+  const access = (oid, version, ...args) => {
+    signals.push(args[args.length - 1]);
+    return new Promise(() => {});
+  };
+  return { access, signals };
+}
+
+describe('Cancellation and timeouts', () => {
+  beforeEach(() => {
+    sandbox.stub(console, 'log');
+  });
+
+  afterEach(() => {
+    nock.cleanAll();
+    sandbox.restore();
+  });
+
+  const downloadFHIR = (vsacAccess, options) =>
+    fhir.downloadValueSet('testkey', TOBACCO_OID, undefined, vsacAccess, {}, options);
+
+  const downloadSVS = (vsacAccess, options) =>
+    svs.downloadValueSet('testkey', TOBACCO_OID, undefined, vsacAccess, {}, options);
+
+  const expand = (offset = 0) =>
+    nock('https://tx.example.org').get(`/fhir/ValueSet/${TOBACCO_OID}/$expand`).query({ offset });
+
+  describe('fhir#downloadValueSet', () => {
+    it('should cancel an in-flight request', async () => {
+      expand().delay(1000).replyWithFile(200, FHIR_FIXTURE);
+      const controller = new AbortController();
+      const download = downloadFHIR(FHIR_URL, {
+        signal: controller.signal
+      });
+      setTimeout(() => controller.abort(), 10);
+      const err = await download.should.be.rejectedWith(CancellationError);
+      err.cause.name.should.equal('AbortError');
+    });
+
+    it('should reject right away if already cancelled', async () => {
+      const tx = expand().replyWithFile(200, FHIR_FIXTURE);
+      const controller = new AbortController();
+      controller.abort(new CancellationError('Navigated away'));
+      await downloadFHIR(FHIR_URL, {
+        signal: controller.signal
+      }).should.be.rejectedWith(CancellationError, 'Navigated away');
+      tx.isDone().should.be.false;
+    });
+
+    it('should stop fetching pages once cancelled', async () => {
+      const page = require('./fixtures/2.16.840.1.113883.3.600.2390.json');
+      const firstPage = JSON.parse(JSON.stringify(page));
+      firstPage.expansion.contains = page.expansion.contains.slice(0, 10);
+      const controller = new AbortController();
+      expand().reply(200, () => {
+        controller.abort();
+        return firstPage;
+      });
+      const secondPage = expand(10).reply(200, page);
+      await downloadFHIR(FHIR_URL, {
+        signal: controller.signal
+      }).should.be.rejectedWith(CancellationError);
+      secondPage.isDone().should.be.false;
+    });
+
+    it('should time out hung requests, retrying them', async () => {
+      expand().delay(1000).replyWithFile(200, FHIR_FIXTURE);
+      expand().replyWithFile(200, FHIR_FIXTURE);
+      const vsDB = {};
+      await fhir.downloadValueSet('testkey', TOBACCO_OID, undefined, FHIR_URL, vsDB, {
+        requestTimeout: 20,
+        retry: { minDelay: 1 }
+      });
+      vsDB.should.have.property(TOBACCO_OID);
+    });
+
+    it('should reject with a TimeoutError once out of retries', async () => {
+      expand().delay(1000).replyWithFile(200, FHIR_FIXTURE);
+      const err = await downloadFHIR(FHIR_URL, {
+        requestTimeout: 20,
+        retry: false
+      }).should.be.rejectedWith(TimeoutError, /timed out after 20ms/);
+      err.timeout.should.equal(20);
+      err.url.should.contain(TOBACCO_OID);
+      err.attempts.should.equal(1);
+    });
+
+    it('should not wait out the backoff once cancelled', async () => {
+      const controller = new AbortController();
+      expand().reply(503, () => {
+        setTimeout(() => controller.abort(), 10);
+      });
+      const start = Date.now();
+      await downloadFHIR(FHIR_URL, {
+        signal: controller.signal,
+        retry: { minDelay: 60000 }
+      }).should.be.rejectedWith(CancellationError);
+      (Date.now() - start).should.be.below(1000);
+    });
+
+    it('should pass the signal to custom vsacAccess functions and time them out', async () => {
+      const { access, signals } = hangingAccess();
+      await fhir
+        .downloadValueSet('testkey', TOBACCO_OID, undefined, access, {}, { requestTimeout: 10 })
+        .should.be.rejectedWith(TimeoutError);
+      signals.should.have.length(1);
+      signals[0].aborted.should.be.true;
+    });
+  });
+
+  describe('svs#downloadValueSet', () => {
+    it('should cancel an in-flight request', async () => {
+      nock('https://tx.example.org')
+        .get('/svs/RetrieveValueSet')
+        .query({ id: TOBACCO_OID })
+        .delay(1000)
+        .replyWithFile(200, path.join(__dirname, 'fixtures', `${TOBACCO_OID}.xml`));
+      const controller = new AbortController();
+      setTimeout(() => controller.abort(), 10);
+      await downloadSVS(SVS_URL, {
+        svsCodeSystemType: 'url',
+        signal: controller.signal
+      }).should.be.rejectedWith(CancellationError);
+    });
+
+    it('should pass the signal to custom vsacAccess functions', async () => {
+      const { access, signals } = hangingAccess();
+      const controller = new AbortController();
+      setTimeout(() => controller.abort(), 10);
+      await downloadSVS(access, {
+        signal: controller.signal
+      }).should.be.rejectedWith(CancellationError);
+      signals[0].aborted.should.be.true;
+    });
+  });
+
+  describe('CodeService', () => {
+    const valueSets = [
+      { name: 'Tobacco', id: TOBACCO_OID },
+      { name: 'Other', id: '1.2.3' }
+    ];
+
+    it('should reject ensure with a CancellationError when cancelled', async () => {
+      const { access } = hangingAccess();
+      const service = new CodeService(false, true, undefined, access);
+      const controller = new AbortController();
+      setTimeout(() => controller.abort(), 10);
+      await service
+        .ensureValueSetsWithAPIKey(valueSets, 'testkey', { signal: controller.signal })
+        .should.be.rejectedWith(CancellationError);
+    });
+
+    it('should reject ensure with a TimeoutError after the overall timeout', async () => {
+      const { access, signals } = hangingAccess();
+      const service = new CodeService(false, true, undefined, access);
+      const err = await service
+        .ensureValueSetsWithAPIKey(valueSets, 'testkey', { timeout: 20 })
+        .should.be.rejectedWith(TimeoutError, 'Value set download timed out after 20ms');
+      err.timeout.should.equal(20);
+      signals.should.have.length(2);
+      signals.every(s => s.aborted).should.be.true;
+    });
+
+    it('should keep the value sets downloaded before the timeout', async () => {
+      const service = new CodeService(false, true, undefined, FHIR_URL);
+      expand().replyWithFile(200, FHIR_FIXTURE);
+      nock('https://tx.example.org')
+        .get('/fhir/ValueSet/1.2.3/$expand')
+        .query({ offset: 0 })
+        .delay(1000)
+        .reply(200, {});
+      await service
+        .ensureValueSetsWithAPIKey(valueSets, 'testkey', { timeout: 50 })
+        .should.be.rejectedWith(TimeoutError);
+      service.findValueSet(TOBACCO_OID).codes.should.have.length(26);
+    });
+
+    it('should cancel custom apis that ignore the signal', async () => {
+      const service = new CodeService();
+      service.api = { downloadValueSet: () => delay(1000) };
+      const controller = new AbortController();
+      setTimeout(() => controller.abort(), 10);
+      await service
+        .ensureValueSetsInLibraryWithAPIKey(
+          { valueSets: { Other: { name: 'Other', id: '1.2.3' } } },
+          false,
+          'testkey',
+          { signal: controller.signal }
+        )
+        .should.be.rejectedWith(CancellationError);
+    });
+
+    it('should still reject with the download errors when not aborted', async () => {
+      const service = new CodeService(false, true, undefined, FHIR_URL);
+      expand().reply(404);
+      const errors = await service.ensureValueSetsWithAPIKey([valueSets[0]], 'testkey', {
+        timeout: 1000
+      }).should.be.rejected;
+      errors.should.have.length(1);
+    });
+  });
+});
@@ -0,0 +1,322 @@
+const {
+  ApiKeyAuth,
+  BearerTokenAuth,
+  OAuth2ClientCredentialsAuth,
+  HeaderAuth,
+  toAuth
+} = require('../src/auth');
+const fhir = require('../src/fhir');
+const svs = require('../src/svs');
+const { CodeService } = require('../src/CodeService');
+const path = require('path');
+const process = require('process');
+const nock = require('nock');
+const chai = require('chai');
+const chaiAsPromised = require('chai-as-promised');
+chai.use(chaiAsPromised);
+const should = chai.should();
+const sandbox = require('sinon').createSandbox();
+
+const TOBACCO_OID = '2.16.840.1.113883.3.600.2390';
+const FHIR_URL = 'https://tx.example.org/fhir/ValueSet/{{oid}}/$expand';
+const SVS_URL = 'https://tx.example.org/svs/RetrieveValueSet';
+const FHIR_FIXTURE = path.join(__dirname, 'fixtures', `${TOBACCO_OID}.json`);
+const SVS_FIXTURE = path.join(__dirname, 'fixtures', `${TOBACCO_OID}.xml`);
+
+describe('Auth', () => {
+  beforeEach(() => {
+    sandbox.stub(console, 'log');
+  });
+
+  afterEach(() => {
+    nock.cleanAll();
+    sandbox.restore();
+  });
+
+  const expandWithHeader = (name, value) =>
+    nock('https://tx.example.org', { reqheaders: { [name]: value } })
+      .get(`/fhir/ValueSet/${TOBACCO_OID}/$expand`)
+      .query({ offset: 0 });
+
+  describe('#toAuth', () => {
+    it('should wrap API keys in ApiKeyAuth', () => {
+      toAuth('testkey').should.be.an.instanceof(ApiKeyAuth);
+    });
+
+    it('should pass auth strategies through', () => {
+      const auth = new HeaderAuth({ 'X-Api-Key': 'abc' });
+      toAuth(auth).should.equal(auth);
+    });
+
+    it('should throw if there are no credentials', () => {
+      should.throw(() => toAuth(undefined), /requires an API key/);
+    });
+  });
+
+  describe('ApiKeyAuth', () => {
+    it('should send the API key using Basic auth for FHIR and SVS', async () => {
+      nock('https://tx.example.org')
+        .get(`/fhir/ValueSet/${TOBACCO_OID}/$expand`)
+        .basicAuth({ user: 'apikey', pass: 'testkey' })
+        .query({ offset: 0 })
+        .replyWithFile(200, FHIR_FIXTURE)
+        .get('/svs/RetrieveValueSet')
+        .basicAuth({ user: 'apikey', pass: 'testkey' })
+        .query({ id: TOBACCO_OID })
+        .replyWithFile(200, SVS_FIXTURE);
+
+      const vsDB = {};
+      await fhir.downloadValueSet(
+        new ApiKeyAuth('testkey'),
+        TOBACCO_OID,
+        undefined,
+        FHIR_URL,
+        vsDB
+      );
+      vsDB.should.have.property(TOBACCO_OID);
+      const svsDB = {};
+      await svs.downloadValueSet(new ApiKeyAuth('testkey'), TOBACCO_OID, undefined, SVS_URL, svsDB);
+      svsDB.should.have.property(TOBACCO_OID);
+    });
+  });
+
+  describe('BearerTokenAuth', () => {
+    it('should send a static bearer token', async () => {
+      expandWithHeader('Authorization', 'Bearer abc').replyWithFile(200, FHIR_FIXTURE);
+      const vsDB = {};
+      await fhir.downloadValueSet(
+        new BearerTokenAuth('abc'),
+        TOBACCO_OID,
+        undefined,
+        FHIR_URL,
+        vsDB
+      );
+      vsDB.should.have.property(TOBACCO_OID);
+    });
+
+    it('should send a static bearer token with SVS', async () => {
+      nock('https://tx.example.org', { reqheaders: { Authorization: 'Bearer abc' } })
+        .get('/svs/RetrieveValueSet')
+        .query({ id: TOBACCO_OID })
+        .replyWithFile(200, SVS_FIXTURE);
+      const vsDB = {};
+      await svs.downloadValueSet(new BearerTokenAuth('abc'), TOBACCO_OID, undefined, SVS_URL, vsDB);
+      vsDB.should.have.property(TOBACCO_OID);
+    });
+
+    it('should not retry a static token on 401', async () => {
+      expandWithHeader('Authorization', 'Bearer abc').reply(401);
+      await fhir
+        .downloadValueSet(new BearerTokenAuth('abc'), TOBACCO_OID, undefined, FHIR_URL, {})
+        .should.be.rejectedWith('401');
+    });
+
+    it('should get tokens from a provider and cache them', async () => {
+      const provider = sandbox.stub().resolves('abc');
+      const auth = new BearerTokenAuth(provider);
+      (await auth.headers()).should.eql({ Authorization: 'Bearer abc' });
+      (await auth.headers()).should.eql({ Authorization: 'Bearer abc' });
+      sandbox.assert.calledOnce(provider);
+      sandbox.assert.calledWith(provider, { forceRefresh: false });
+    });
+
+    it('should refresh the token from the provider on 401 and retry', async () => {
+      const provider = sandbox.stub();
+      provider.onFirstCall().returns('expired');
+      provider.onSecondCall().resolves('fresh');
+      expandWithHeader('Authorization', 'Bearer expired').reply(401);
+      expandWithHeader('Authorization', 'Bearer fresh').replyWithFile(200, FHIR_FIXTURE);
+
+      const vsDB = {};
+      await fhir.downloadValueSet(
+        new BearerTokenAuth(provider),
+        TOBACCO_OID,
+        undefined,
+        FHIR_URL,
+        vsDB
+      );
+      vsDB.should.have.property(TOBACCO_OID);
+      sandbox.assert.calledWith(provider.secondCall, { forceRefresh: true });
+    });
+
+    it('should only retry once', async () => {
+      const provider = sandbox.stub().resolves('bad');
+      expandWithHeader('Authorization', 'Bearer bad').times(2).reply(401);
+      await fhir
+        .downloadValueSet(new BearerTokenAuth(provider), TOBACCO_OID, undefined, FHIR_URL, {})
+        .should.be.rejectedWith('401');
+      sandbox.assert.calledTwice(provider);
+    });
+
+    it('should ask the provider again after a failed token request', async () => {
+      const provider = sandbox.stub();
+      provider.onFirstCall().rejects(new Error('offline'));
+      provider.onSecondCall().resolves('abc');
+      const auth = new BearerTokenAuth(provider);
+      await auth.headers().should.be.rejectedWith('offline');
+      (await auth.headers()).should.eql({ Authorization: 'Bearer abc' });
+    });
+  });
+
+  describe('OAuth2ClientCredentialsAuth', () => {
+    const config = {
+      tokenUrl: 'https://auth.example.org/token',
+      clientId: 'client',
+      clientSecret: 'secret',
+      scope: 'system/ValueSet.read'
+    };
+
+    const tokenEndpoint = (body = /.*/) =>
+      nock('https://auth.example.org')
+        .post('/token', body)
+        .basicAuth({ user: 'client', pass: 'secret' });
+
+    it('should require a token URL and client credentials', () => {
+      should.throw(() => new OAuth2ClientCredentialsAuth({ clientId: 'a' }), /tokenUrl/);
+      should.throw(
+        () => new OAuth2ClientCredentialsAuth({ tokenUrl: 'x', clientId: 'a' }),
+        /clientSecret/
+      );
+    });
+
+    it('should request a token using the client credentials grant', async () => {
+      tokenEndpoint('grant_type=client_credentials&scope=system%2FValueSet.read').reply(200, {
+        access_token: 'abc',
+        expires_in: 3600
+      });
+      expandWithHeader('Authorization', 'Bearer abc').replyWithFile(200, FHIR_FIXTURE);
+
+      const vsDB = {};
+      await fhir.downloadValueSet(
+        new OAuth2ClientCredentialsAuth(config),
+        TOBACCO_OID,
+        undefined,
+        FHIR_URL,
+        vsDB
+      );
+      vsDB.should.have.property(TOBACCO_OID);
+    });
+
+    it('should send credentials in the body when configured to', async () => {
+      nock('https://auth.example.org')
+        .post('/token', body => body.client_id === 'client' && body.client_secret === 'secret')
+        .reply(200, { access_token: 'abc' });
+      const auth = new OAuth2ClientCredentialsAuth(
+        Object.assign({}, config, { clientAuthentication: 'body' })
+      );
+      (await auth.headers()).should.eql({ Authorization: 'Bearer abc' });
+    });
+
+    it('should reuse tokens until they expire', async () => {
+      tokenEndpoint().reply(200, { access_token: 'abc', expires_in: 3600 });
+      tokenEndpoint().reply(200, { access_token: 'def', expires_in: 3600 });
+      const auth = new OAuth2ClientCredentialsAuth(config);
+      const [h1, h2] = await Promise.all([auth.headers(), auth.headers()]);
+      h1.should.eql({ Authorization: 'Bearer abc' });
+      h2.should.eql({ Authorization: 'Bearer abc' });
+      (await auth.headers()).should.eql({ Authorization: 'Bearer abc' });
+
+      // Expire the token
+      auth.token.expiresAt = Date.now() - 1;
+      (await auth.headers()).should.eql({ Authorization: 'Bearer def' });
+    });
+
+    it('should request a new token on 401 and retry', async () => {
+      tokenEndpoint().reply(200, { access_token: 'revoked', expires_in: 3600 });
+      tokenEndpoint().reply(200, { access_token: 'fresh', expires_in: 3600 });
+      expandWithHeader('Authorization', 'Bearer revoked').reply(401);
+      expandWithHeader('Authorization', 'Bearer fresh').replyWithFile(200, FHIR_FIXTURE);
+
+      const vsDB = {};
+      await fhir.downloadValueSet(
+        new OAuth2ClientCredentialsAuth(config),
+        TOBACCO_OID,
+        undefined,
+        FHIR_URL,
+        vsDB
+      );
+      vsDB.should.have.property(TOBACCO_OID);
+    });
+
+    it('should reject if the token request fails', async () => {
+      tokenEndpoint().reply(400, { error: 'invalid_client' });
+      const auth = new OAuth2ClientCredentialsAuth(config);
+      await auth.headers().should.be.rejectedWith('400');
+      should.not.exist(auth.token);
+    });
+
+    it('should reject if the token response has no access token', async () => {
+      tokenEndpoint().reply(200, { token_type: 'bearer' });
+      const auth = new OAuth2ClientCredentialsAuth(config);
+      await auth.headers().should.be.rejectedWith(/did not include an access_token/);
+    });
+  });
+
+  describe('HeaderAuth', () => {
+    it('should send custom headers', async () => {
+      expandWithHeader('X-Api-Key', 'abc').replyWithFile(200, FHIR_FIXTURE);
+      const vsDB = {};
+      await fhir.downloadValueSet(
+        new HeaderAuth({ 'X-Api-Key': 'abc' }),
+        TOBACCO_OID,
+        undefined,
+        FHIR_URL,
+        vsDB
+      );
+      vsDB.should.have.property(TOBACCO_OID);
+    });
+
+    it('should support header provider functions', async () => {
+      const auth = new HeaderAuth(async () => ({ 'X-Api-Key': 'abc' }));
+      (await auth.headers()).should.eql({ 'X-Api-Key': 'abc' });
+    });
+  });
+
+  describe('CodeService', () => {
+    let service, oldAPIKey;
+
+    beforeEach(() => {
+      oldAPIKey = process.env['UMLS_API_KEY'];
+      delete process.env['UMLS_API_KEY'];
+      service = new CodeService(false, true, undefined, FHIR_URL);
+    });
+
+    afterEach(() => {
+      if (oldAPIKey !== undefined) {
+        process.env['UMLS_API_KEY'] = oldAPIKey;
+      }
+    });
+
+    it('should not require a UMLS API key when an auth strategy is set', async () => {
+      expandWithHeader('Authorization', 'Bearer abc').replyWithFile(200, FHIR_FIXTURE);
+      service.setAuth(new BearerTokenAuth('abc'));
+      await service.ensureValueSetsWithAPIKey([{ name: 'Tobacco', id: TOBACCO_OID }]);
+      service.findValueSet(TOBACCO_OID).codes.should.have.length(26);
+    });
+
+    it('should prefer the auth strategy over an API key', async () => {
+      service.api = { downloadValueSet: sandbox.stub().resolves() };
+      const auth = new BearerTokenAuth('abc');
+      service.setAuth(auth);
+      await service.ensureValueSetsWithAPIKey([{ name: 'Tobacco', id: TOBACCO_OID }], 'testkey');
+      sandbox.assert.calledWith(service.api.downloadValueSet, auth, TOBACCO_OID);
+    });
+
+    it('should accept an auth strategy in place of the API key', async () => {
+      service.api = { downloadValueSet: sandbox.stub().resolves() };
+      const auth = new HeaderAuth({ 'X-Api-Key': 'abc' });
+      await service.ensureValueSetsWithAPIKey([{ name: 'Tobacco', id: TOBACCO_OID }], auth);
+      sandbox.assert.calledWith(service.api.downloadValueSet, auth, TOBACCO_OID);
+    });
+
+    it('should still require an API key when no auth strategy is set', async () => {
+      await service
+        .ensureValueSetsWithAPIKey([{ name: 'Tobacco', id: TOBACCO_OID }])
+        .should.be.rejectedWith(/UMLS_API_KEY is not set/);
+    });
+
+    it('should reject invalid auth strategies', () => {
+      should.throw(() => service.setAuth('testkey'), /auth strategy/);
+    });
+  });
+});
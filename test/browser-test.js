@@ -0,0 +1,395 @@
+const { parseString } = require('xml2js');
+const { Response } = require('node-fetch');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const { execFileSync } = require('child_process');
+const vsac = require('../index');
+const { build } = require('../scripts/build-esm');
+const temp = require('temp');
+const chai = require('chai');
+const chaiAsPromised = require('chai-as-promised');
+chai.use(chaiAsPromised);
+chai.should();
+const sandbox = require('sinon').createSandbox();
+
+const ROOT = path.join(__dirname, '..');
+const BROWSER_FIELD = require('../package.json').browser;
+const TOBACCO_OID = '2.16.840.1.113883.3.600.2390';
+const SVS_XML = fs.readFileSync(path.join(__dirname, 'fixtures', `${TOBACCO_OID}.xml`), 'utf8');
+const valueSets = [{ name: 'Tobacco', id: TOBACCO_OID }];
+
+// A minimal DOMParser, supporting what svs-xml.browser.js uses, since Node.js doesn't have one
+class FakeElement {
+  constructor(name, node) {
+    this.localName = name.split(':').pop();
+    this.attributes = (typeof node === 'object' && node.$) || {};
+    this.children = ((typeof node === 'object' && node.$$) || []).map(
+      child => new FakeElement(child['#name'], child)
+    );
+  }
+
+  hasAttribute(name) {
+    return name in this.attributes;
+  }
+
+  getAttribute(name) {
+    return this.hasAttribute(name) ? this.attributes[name] : null;
+  }
+
+  getElementsByTagNameNS(namespace, localName) {
+    const found = [];
+    const visit = element =>
+      element.children.forEach(child => {
+        if (child.localName === localName) {
+          found.push(child);
+        }
+        visit(child);
+      });
+    visit(this);
+    return found;
+  }
+}
+
+class FakeDOMParser {
+  parseFromString(xml) {
+    let result, error;
+    parseString(xml, { explicitChildren: true, preserveChildrenOrder: true }, (err, res) => {
+      error = err;
+      result = res;
+    });
+    if (error != null) {
+      const parserError = { textContent: error.message };
+      return { documentElement: null, getElementsByTagName: () => [parserError] };
+    }
+    const name = Object.keys(result)[0];
+    const root = new FakeElement(name, result[name]);
+    return { documentElement: root, getElementsByTagName: () => [] };
+  }
+}
+
+/**
+ * Loads a module of the package the way a bundler targeting browsers would (applying the "browser"
+ * field of package.json), in a context with browser globals and no Node.js globals (process, Buffer,
+ * require, etc.).  cql-execution, a peer dependency, is shared with the tests.
+ */
+function loadInBrowser(file, globals) {
+  const context = vm.createContext(Object.assign({}, globals));
+  context.window = context.globalThis = context;
+  const modules = new Map();
+  const loaded = [];
+
+  const load = file => {
+    if (!modules.has(file)) {
+      const module = { exports: {} };
+      modules.set(file, module);
+      loaded.push(file);
+      const code = fs.readFileSync(file, 'utf8');
+      if (file.endsWith('.json')) {
+        module.exports = JSON.parse(code.replace(/^\uFEFF/, ''));
+      } else {
+        const fn = vm.compileFunction(code, ['exports', 'require', 'module'], {
+          filename: file,
+          parsingContext: context
+        });
+        fn.call(module.exports, module.exports, requireFrom(path.dirname(file)), module);
+      }
+    }
+    return modules.get(file).exports;
+  };
+
+  const requireFrom = dir => specifier => {
+    if (BROWSER_FIELD[specifier] === false) {
+      return {};
+    } else if (specifier === 'cql-execution') {
+      return require('cql-execution');
+    } else if (specifier.startsWith('.')) {
+      const resolved = ['', '.js', '.json', '/index.js']
+        .map(extension => path.resolve(dir, specifier) + extension)
+        .find(candidate => fs.existsSync(candidate) && fs.statSync(candidate).isFile());
+      const browserFile = BROWSER_FIELD[`./${path.relative(ROOT, resolved)}`];
+      return load(browserFile != null ? path.join(ROOT, browserFile) : resolved);
+    }
+    let pkgFile;
+    try {
+      pkgFile = require.resolve(`${specifier}/package.json`, { paths: [dir] });
+    } catch (err) {
+      throw new Error(`Cannot load ${specifier} in browsers`);
+    }
+    const pkg = require(pkgFile);
+    const entry = typeof pkg.browser === 'string' ? pkg.browser : pkg.main || 'index.js';
+    return requireFrom(path.dirname(pkgFile))(`./${entry}`);
+  };
+
+  return { exports: load(file), loaded, context };
+}
+
+describe('Browser entry', () => {
+  let fetch;
+
+  beforeEach(() => {
+    fetch = sandbox.spy(
+      async () => new Response(SVS_XML, { headers: { 'Content-Type': 'text/xml' } })
+    );
+  });
+
+  afterEach(() => {
+    sandbox.restore();
+  });
+
+  const loadEntry = (globals = {}) =>
+    loadInBrowser(
+      path.join(ROOT, 'index.js'),
+      Object.assign(
+        {
+          console,
+          setTimeout,
+          clearTimeout,
+          URL,
+          URLSearchParams,
+          AbortController,
+          AbortSignal,
+          btoa,
+          fetch,
+          DOMParser: FakeDOMParser
+        },
+        // Node.js only has a global DOMException from version 17
+        typeof DOMException !== 'undefined' ? { DOMException } : {},
+        globals
+      )
+    );
+
+  it('should load without Node.js globals or modules', () => {
+    const { exports, loaded, context } = loadEntry();
+    Object.keys(exports).should.eql(Object.keys(vsac));
+    ['process', 'Buffer', 'require', 'global', 'setImmediate'].forEach(name => {
+      (typeof context[name]).should.equal('undefined');
+    });
+    const files = loaded.map(file => path.relative(ROOT, file));
+    files.should.include.members(['src/env.browser.js', 'src/svs-xml.browser.js']);
+    files.should.not.include.members(['src/env.js', 'src/svs-xml.js']);
+    files.filter(file => /xml2js|node-fetch/.test(file)).should.be.empty;
+  });
+
+  it('should download SVS value sets using the global fetch and DOMParser', async () => {
+    const { CodeService } = loadEntry().exports;
+    const service = new CodeService();
+    await service.ensureValueSetsWithAPIKey(valueSets, 'testkey');
+    fetch.calledOnce.should.be.true;
+    // Copy the value set from the browser context, whose objects don't have should
+    const valueSet = JSON.parse(JSON.stringify(service.findValueSet(TOBACCO_OID)));
+    valueSet.version.should.equal('20210304');
+    valueSet.codes.should.have.length(26);
+    valueSet.codes[0].should.include({
+      code: '160603005',
+      system: 'http://snomed.info/sct',
+      version: '2023-09'
+    });
+  });
+
+  it('should parse SVS responses like the Node.js parser', () => {
+    const { parseSVSXML } = loadInBrowser(path.join(ROOT, 'src/svs-xml.browser.js'), {
+      DOMParser: FakeDOMParser
+    }).exports;
+    const parsed = JSON.parse(JSON.stringify(parseSVSXML(SVS_XML)));
+    parsed.should.eql(require('../src/svs-xml').parseSVSXML(SVS_XML));
+    parsed.concepts.should.have.length(26);
+  });
+
+  it('should parse SVS RetrieveMultipleValueSets responses', () => {
+    const { parseSVSXML } = loadInBrowser(path.join(ROOT, 'src/svs-xml.browser.js'), {
+      DOMParser: FakeDOMParser
+    }).exports;
+    const multiple = SVS_XML.replace(
+      /RetrieveValueSetResponse/g,
+      'RetrieveMultipleValueSetsResponse'
+    ).replace(/ns0:ValueSet\b/g, 'ns0:DescribedValueSet');
+    JSON.parse(JSON.stringify(parseSVSXML(multiple))).should.eql(
+      require('../src/svs-xml').parseSVSXML(SVS_XML)
+    );
+  });
+
+  it('should not read the API key from the environment', async () => {
+    sandbox.stub(process, 'env').value(Object.assign({}, process.env, { UMLS_API_KEY: 'testkey' }));
+    const { CodeService } = loadEntry().exports;
+    await Promise.resolve(
+      new CodeService().ensureValueSetsWithAPIKey(valueSets)
+    ).should.be.rejectedWith(/UMLS_API_KEY is not set/);
+    fetch.called.should.be.false;
+  });
+
+  it('should report invalid SVS responses', async () => {
+    fetch = async () => new Response('<ns0:RetrieveValueSetResponse', { status: 200 });
+    const { CodeService } = loadEntry({ fetch }).exports;
+    const errors = await Promise.resolve(
+      new CodeService({ retry: false }).ensureValueSetsWithAPIKey(valueSets, 'testkey')
+    ).should.be.rejected;
+    errors[0].name.should.equal('ParseError');
+    errors[0].cause.cause.message.should.match(/Invalid XML/);
+  });
+
+  it('should report missing DOMParser support', async () => {
+    const { CodeService } = loadEntry({ DOMParser: undefined }).exports;
+    const errors = await Promise.resolve(
+      new CodeService().ensureValueSetsWithAPIKey(valueSets, 'testkey')
+    ).should.be.rejected;
+    errors[0].name.should.equal('ParseError');
+    errors[0].cause.cause.message.should.match(/requires DOMParser/);
+  });
+});
+
+describe('ES module build', () => {
+  before(() => {
+    build();
+  });
+
+  // Runs a script in a separate process, since the tests are CommonJS
+  const run = (args, script) =>
+    JSON.parse(
+      execFileSync(process.execPath, args.concat('-e', script), { cwd: ROOT, encoding: 'utf8' })
+    );
+
+  it('should export the same names as the CommonJS entry', () => {
+    // The script's paths are given explicitly, since import.meta.url isn't set for -e scripts before
+    // Node.js 17
+    const { names, defaultNames, loaded } = run(
+      ['--input-type=module'],
+      `
+      import vsac, * as esm from 'browserfy-cql-exec-vsac';
+      import { FileSystemCache } from 'browserfy-cql-exec-vsac/src/fs-cache';
+      import { createRequire } from 'module';
+      const require = createRequire(${JSON.stringify(path.join(ROOT, 'index.js'))});
+      console.log(
+        JSON.stringify({
+          names: Object.keys(esm).filter(name => name !== 'default'),
+          defaultNames: Object.keys(vsac),
+          // Only the ES modules are loaded, not a second copy of the CommonJS modules
+          loaded: Object.keys(require.cache).filter(file => !file.includes('node_modules'))
+        })
+      );
+      `
+    );
+    names.should.have.members(Object.keys(vsac));
+    defaultNames.should.have.members(Object.keys(vsac));
+    loaded.should.be.empty;
+  });
+
+  it('should download value sets in Node.js', () => {
+    const tmpCache = temp.mkdirSync('cql-exec-vsac-test');
+    const { codes, cached } = run(
+      ['--input-type=module'],
+      `
+      import { CodeService } from 'browserfy-cql-exec-vsac';
+      import { FileSystemCache } from 'browserfy-cql-exec-vsac/src/fs-cache';
+      import { createRequire } from 'module';
+      const require = createRequire(${JSON.stringify(path.join(ROOT, 'index.js'))});
+      const { Response } = require('node-fetch');
+      const fetch = async () =>
+        new Response(${JSON.stringify(SVS_XML)}, { headers: { 'Content-Type': 'text/xml' } });
+      const cache = new FileSystemCache(${JSON.stringify(tmpCache)});
+      const service = new CodeService({ fetch, cache });
+      service
+        .ensureValueSetsWithAPIKey(${JSON.stringify(valueSets)}, 'testkey')
+        .then(async () => {
+          const codes = service.findValueSet('${TOBACCO_OID}').codes.length;
+          const cached = Object.keys(await cache.load());
+          console.log(JSON.stringify({ codes, cached }));
+        });
+      `
+    );
+    codes.should.equal(26);
+    cached.should.eql([TOBACCO_OID]);
+  });
+
+  it('should load in browsers without Node.js globals or modules', () => {
+    // Loads the ES modules the way a bundler targeting browsers would (applying the "browser" field of
+    // package.json), in a context with browser globals and no Node.js globals, using the same fake
+    // DOMParser as the CommonJS tests.
+    const { names, loaded, packages, codes } = run(
+      ['--experimental-vm-modules', '--no-warnings'],
+      `
+      const vm = require('vm');
+      const fs = require('fs');
+      const path = require('path');
+      const { parseString } = require('xml2js');
+      const { Response } = require('node-fetch');
+      const ROOT = ${JSON.stringify(ROOT)};
+      const BROWSER_FIELD = require('./package.json').browser;
+      ${FakeElement}
+      ${FakeDOMParser}
+      const context = vm.createContext({
+        console,
+        setTimeout,
+        clearTimeout,
+        URL,
+        URLSearchParams,
+        AbortController,
+        AbortSignal,
+        btoa,
+        DOMParser: FakeDOMParser,
+        fetch: async () =>
+          new Response(${JSON.stringify(SVS_XML)}, { headers: { 'Content-Type': 'text/xml' } })
+      });
+      // Node.js only has a global DOMException from version 17
+      if (typeof DOMException !== 'undefined') {
+        context.DOMException = DOMException;
+      }
+      context.window = context.globalThis = context;
+      const modules = new Map();
+      const packages = [];
+      const load = file => {
+        if (!modules.has(file)) {
+          const code = fs.readFileSync(file, 'utf8');
+          modules.set(file, new vm.SourceTextModule(code, { identifier: file, context }));
+        }
+        return modules.get(file);
+      };
+      const synthetic = value =>
+        new vm.SyntheticModule(['default'], function () { this.setExport('default', value); }, {
+          context
+        });
+      const link = (specifier, referencing) => {
+        if (BROWSER_FIELD[specifier] === false) {
+          return synthetic({});
+        } else if (!specifier.startsWith('.')) {
+          if (!packages.includes(specifier)) {
+            packages.push(specifier);
+          }
+          return synthetic(require(specifier));
+        }
+        const resolved = path.resolve(path.dirname(referencing.identifier), specifier);
+        const relative = './' + path.relative(ROOT, resolved).split(path.sep).join('/');
+        const browserFile = BROWSER_FIELD[relative];
+        return load(browserFile != null ? path.join(ROOT, browserFile) : resolved);
+      };
+      (async () => {
+        const entry = load(path.join(ROOT, 'esm', 'index.mjs'));
+        await entry.link(link);
+        await entry.evaluate();
+        const service = new entry.namespace.CodeService();
+        await service.ensureValueSetsWithAPIKey(${JSON.stringify(valueSets)}, 'testkey');
+        console.log(
+          JSON.stringify({
+            names: Object.keys(entry.namespace),
+            loaded: Array.from(modules.keys(), file =>
+              path.relative(ROOT, file).split(path.sep).join('/')
+            ),
+            packages,
+            codes: service.findValueSet('${TOBACCO_OID}').codes.length
+          })
+        );
+      })().catch(err => {
+        console.error(err);
+        process.exit(1);
+      });
+      `
+    );
+    names.should.have.members(Object.keys(vsac).concat('default'));
+    loaded.should.include.members(['esm/src/env.browser.mjs', 'esm/src/svs-xml.browser.mjs']);
+    loaded.should.not.include.members(['esm/src/env.mjs', 'esm/src/svs-xml.mjs']);
+    loaded.filter(file => !file.startsWith('esm/')).should.be.empty;
+    // The CommonJS packages, whose browser entries are tested above, are loaded from Node.js
+    packages.should.have.members(['cql-execution', 'debug']);
+    codes.should.equal(26);
+  });
+});
@@ -0,0 +1,204 @@
+const { CodeService } = require('../src/CodeService');
+const { MemoryCache } = require('../src/cache');
+const { Code, ValueSet } = require('cql-execution');
+const chai = require('chai');
+const chaiAsPromised = require('chai-as-promised');
+chai.use(chaiAsPromised);
+const should = chai.should();
+const sandbox = require('sinon').createSandbox();
+const VS_DB = require('./fixtures/valueset-db.json');
+
+const HDL_OID = '2.16.840.1.113883.3.464.1003.104.12.1013';
+const HOUR = 60 * 60 * 1000;
+
+describe('Cache policy', () => {
+  let cache, downloaded;
+
+  // Builds a code service using a cache pre-populated with the valueset-db.json fixture, where each
+  // entry was fetched the given number of ms ago.
+  const createService = async (cachePolicy, age) => {
+    cache = new MemoryCache();
+    cache.entries = JSON.parse(JSON.stringify(VS_DB));
+    if (age != null) {
+      Object.values(cache.entries).forEach(versions =>
+        Object.values(versions).forEach(entry => (entry.fetchedAt = Date.now() - age))
+      );
+    }
+    const service = new CodeService(true, true, undefined, undefined, cache, cachePolicy);
+    await service.cacheLoaded;
+    service.api = { downloadValueSet: sandbox.stub().callsFake(fakeDownload) };
+    return service;
+  };
+
+  const fakeDownload = async (apiKey, oid, version, access, vsDB) => {
+    vsDB[oid] = { 20230101: downloaded };
+    return { oid, version: '20230101', lastUpdated: '2023-01-01T00:00:00.000Z' };
+  };
+
+  beforeEach(() => {
+    downloaded = new ValueSet(HDL_OID, '20230101', [new Code('2093-3', 'http://loinc.org')]);
+  });
+
+  afterEach(() => {
+    sandbox.restore();
+  });
+
+  it('should reject an unknown revalidate mode', () => {
+    should.throw(
+      () => new CodeService(true, true, undefined, undefined, null, { revalidate: 'sometimes' }),
+      /revalidate/
+    );
+  });
+
+  it('should never expire value sets by default', async () => {
+    const service = await createService({}, 1000 * HOUR);
+    await service.ensureValueSetsWithAPIKey([{ name: 'HDL', id: HDL_OID }], 'testkey');
+    sandbox.assert.notCalled(service.api.downloadValueSet);
+  });
+
+  it('should not re-download unversioned value sets within the ttl', async () => {
+    const service = await createService({ ttl: 2 * HOUR }, HOUR);
+    await service.ensureValueSetsWithAPIKey([{ name: 'HDL', id: HDL_OID }], 'testkey');
+    sandbox.assert.notCalled(service.api.downloadValueSet);
+  });
+
+  it('should re-download unversioned value sets after the ttl', async () => {
+    const service = await createService({ ttl: HOUR }, 2 * HOUR);
+    await service.ensureValueSetsWithAPIKey([{ name: 'HDL', id: HDL_OID }], 'testkey');
+    sandbox.assert.calledOnce(service.api.downloadValueSet);
+    sandbox.assert.calledWith(service.api.downloadValueSet, 'testkey', HDL_OID, undefined);
+    service.findValueSet(HDL_OID).should.equal(downloaded);
+  });
+
+  it('should treat value sets with an unknown download time as stale', async () => {
+    const service = await createService({ ttl: 1000 * HOUR });
+    await service.ensureValueSetsWithAPIKey([{ name: 'HDL', id: HDL_OID }], 'testkey');
+    sandbox.assert.calledOnce(service.api.downloadValueSet);
+  });
+
+  it('should treat versioned value sets as immutable', async () => {
+    const service = await createService({ ttl: HOUR }, 2 * HOUR);
+    await service.ensureValueSetsWithAPIKey(
+      [
+        { name: 'HDL', id: HDL_OID, version: '20170320' },
+        { name: 'HDL', id: `http://cts.nlm.nih.gov/fhir/ValueSet/${HDL_OID}|20200401` }
+      ],
+      'testkey'
+    );
+    sandbox.assert.notCalled(service.api.downloadValueSet);
+  });
+
+  it('should support per-value set ttls', async () => {
+    const service = await createService({ ttl: { [HDL_OID]: HOUR, default: Infinity } }, 2 * HOUR);
+    await service.ensureValueSetsWithAPIKey(
+      [
+        { name: 'HDL', id: HDL_OID },
+        { name: 'LDL', id: '2.16.840.1.113883.3.464.1003.104.12.1012' }
+      ],
+      'testkey'
+    );
+    sandbox.assert.calledOnce(service.api.downloadValueSet);
+    sandbox.assert.calledWith(service.api.downloadValueSet, 'testkey', HDL_OID);
+  });
+
+  it('should support ttl functions', async () => {
+    const ttl = sandbox.stub().returns(HOUR);
+    const service = await createService({ ttl }, 2 * HOUR);
+    await service.ensureValueSetsWithAPIKey([{ name: 'HDL', id: HDL_OID }], 'testkey');
+    sandbox.assert.calledWith(ttl, HDL_OID);
+    sandbox.assert.calledOnce(service.api.downloadValueSet);
+  });
+
+  it('should persist the download time and lastUpdated date', async () => {
+    const service = await createService({ ttl: HOUR }, 2 * HOUR);
+    await service.ensureValueSetsWithAPIKey([{ name: 'HDL', id: HDL_OID }], 'testkey');
+    const entry = cache.entries[HDL_OID]['20230101'];
+    entry.lastUpdated.should.equal('2023-01-01T00:00:00.000Z');
+    entry.fetchedAt.should.be.closeTo(Date.now(), 1000);
+    service.isStale(HDL_OID).should.be.false;
+  });
+
+  it('should keep the loaded value set when the lastUpdated date has not changed', async () => {
+    const service = await createService({ ttl: HOUR }, 2 * HOUR);
+    await service.ensureValueSetsWithAPIKey([{ name: 'HDL', id: HDL_OID }], 'testkey');
+    const original = service.findValueSet(HDL_OID);
+    downloaded = new ValueSet(HDL_OID, '20230101', [new Code('2093-3', 'http://loinc.org')]);
+    await service.refreshValueSetsWithAPIKey([{ name: 'HDL', id: HDL_OID }], 'testkey');
+    service.findValueSet(HDL_OID).should.equal(original);
+  });
+
+  it('should replace the loaded value set when a download has no lastUpdated date', async () => {
+    const service = await createService({ ttl: HOUR }, 2 * HOUR);
+    service.api.downloadValueSet.callsFake(async (apiKey, oid, version, access, vsDB) => {
+      vsDB[oid] = { 20230101: downloaded };
+      return { oid, version: '20230101' };
+    });
+    await service.ensureValueSetsWithAPIKey([{ name: 'HDL', id: HDL_OID }], 'testkey');
+    downloaded = new ValueSet(HDL_OID, '20230101', [new Code('2085-9', 'http://loinc.org')]);
+    await service.refreshValueSetsWithAPIKey([{ name: 'HDL', id: HDL_OID }], 'testkey');
+    service.findValueSet(HDL_OID).should.equal(downloaded);
+    cache.entries[HDL_OID]['20230101'].codes.map(c => c.code).should.eql(['2085-9']);
+  });
+
+  describe('background revalidation', () => {
+    it('should resolve immediately and serve the stale value set until refreshed', async () => {
+      const service = await createService({ ttl: HOUR, revalidate: 'background' }, 2 * HOUR);
+      let finishDownload;
+      const gate = new Promise(resolve => (finishDownload = resolve));
+      service.api.downloadValueSet.callsFake(async (...args) => {
+        await gate;
+        return fakeDownload(...args);
+      });
+      const stale = service.findValueSet(HDL_OID);
+      await service.ensureValueSetsWithAPIKey([{ name: 'HDL', id: HDL_OID }], 'testkey');
+      service.findValueSet(HDL_OID).should.equal(stale);
+      finishDownload();
+      await service.waitForRevalidations();
+      sandbox.assert.calledOnce(service.api.downloadValueSet);
+      service.findValueSet(HDL_OID).should.equal(downloaded);
+    });
+
+    it('should only revalidate a value set once at a time', async () => {
+      const service = await createService({ ttl: HOUR, revalidate: 'background' }, 2 * HOUR);
+      await service.ensureValueSetsWithAPIKey([{ name: 'HDL', id: HDL_OID }], 'testkey');
+      await service.ensureValueSetsWithAPIKey([{ name: 'HDL', id: HDL_OID }], 'testkey');
+      await service.waitForRevalidations();
+      sandbox.assert.calledOnce(service.api.downloadValueSet);
+    });
+
+    it('should keep serving the stale value set if revalidation fails', async () => {
+      const service = await createService({ ttl: HOUR, revalidate: 'background' }, 2 * HOUR);
+      service.api.downloadValueSet.rejects(new Error(503));
+      const stale = service.findValueSet(HDL_OID);
+      await service.ensureValueSetsWithAPIKey([{ name: 'HDL', id: HDL_OID }], 'testkey');
+      await service.waitForRevalidations();
+      service.findValueSet(HDL_OID).should.equal(stale);
+      service.isStale(HDL_OID).should.be.true;
+    });
+
+    it('should still wait for value sets that are not loaded at all', async () => {
+      const service = await createService({ ttl: HOUR, revalidate: 'background' }, 2 * HOUR);
+      await service.ensureValueSetsWithAPIKey([{ name: 'New', id: '1.2.3' }], 'testkey');
+      sandbox.assert.calledOnce(service.api.downloadValueSet);
+      sandbox.assert.calledWith(service.api.downloadValueSet, 'testkey', '1.2.3');
+    });
+  });
+
+  describe('#refreshValueSetsWithAPIKey', () => {
+    it('should re-download value sets even if they are fresh and versioned', async () => {
+      const service = await createService({}, 0);
+      await service.refreshValueSetsWithAPIKey(
+        [{ name: 'HDL', id: HDL_OID, version: '20170320' }],
+        'testkey'
+      );
+      sandbox.assert.calledWith(service.api.downloadValueSet, 'testkey', HDL_OID, '20170320');
+    });
+
+    it('should error if no API Key is supplied', async () => {
+      const service = await createService({}, 0);
+      await service
+        .refreshValueSetsWithAPIKey([{ name: 'HDL', id: HDL_OID }], null)
+        .should.be.rejectedWith(/UMLS_API_KEY/);
+    });
+  });
+});
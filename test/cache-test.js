@@ -0,0 +1,224 @@
+const { CodeService } = require('../src/CodeService');
+const {
+  MemoryCache,
+  LocalStorageCache,
+  IndexedDBCache,
+  hydrateValueSetDB
+} = require('../src/cache');
+const { Code, ValueSet } = require('cql-execution');
+const { IDBFactory } = require('fake-indexeddb');
+const chai = require('chai');
+const chaiAsPromised = require('chai-as-promised');
+chai.use(chaiAsPromised);
+const should = chai.should();
+const sandbox = require('sinon').createSandbox();
+const VS_DB = require('./fixtures/valueset-db.json');
+
+const HDL_OID = '2.16.840.1.113883.3.464.1003.104.12.1013';
+const TOBACCO_OID = '2.16.840.1.113883.3.600.2390';
+
+class FakeStorage {
+  constructor() {
+    this.items = new Map();
+  }
+  get length() {
+    return this.items.size;
+  }
+  key(i) {
+    return Array.from(this.items.keys())[i];
+  }
+  getItem(key) {
+    return this.items.has(key) ? this.items.get(key) : null;
+  }
+  setItem(key, value) {
+    this.items.set(key, String(value));
+  }
+  removeItem(key) {
+    this.items.delete(key);
+  }
+}
+
+function tobaccoValueSet() {
+  return new ValueSet(TOBACCO_OID, '20210304', [
+    new Code('160603005', 'http://snomed.info/sct', '2023-09', 'Light cigarette smoker'),
+    new Code('160604004', 'http://snomed.info/sct', '2023-09')
+  ]);
+}
+
+describe('Cache', () => {
+  afterEach(() => {
+    sandbox.restore();
+  });
+
+  describe('#hydrateValueSetDB', () => {
+    it('should rebuild ValueSet and Code instances from plain JSON', () => {
+      const vsDB = hydrateValueSetDB(VS_DB);
+      const vs = vsDB[HDL_OID]['20170320'];
+      vs.should.be.an.instanceof(ValueSet);
+      vs.codes[0].should.be.an.instanceof(Code);
+      vs.should.eql(
+        new ValueSet(HDL_OID, '20170320', [
+          new Code('2093-3', 'http://loinc.org', '2.58'),
+          new Code('48620-9', 'http://loinc.org', '2.58')
+        ])
+      );
+    });
+
+    it('should skip malformed entries', () => {
+      const vsDB = hydrateValueSetDB({ FOO: { 1: { oid: 'FOO' } } });
+      vsDB.should.be.empty;
+    });
+  });
+
+  const adapters = {
+    MemoryCache: () => new MemoryCache(),
+    LocalStorageCache: () => new LocalStorageCache(new FakeStorage()),
+    IndexedDBCache: () => new IndexedDBCache(new IDBFactory())
+  };
+
+  Object.keys(adapters).forEach(name => {
+    describe(name, () => {
+      let cache;
+
+      beforeEach(() => {
+        cache = adapters[name]();
+      });
+
+      afterEach(() => {
+        if (cache.close) cache.close();
+      });
+
+      it('should load an empty database when nothing has been saved', async () => {
+        const vsDB = await cache.load();
+        vsDB.should.be.empty;
+      });
+
+      it('should round-trip saved value sets', async () => {
+        await cache.save(tobaccoValueSet());
+        const vsDB = hydrateValueSetDB(await cache.load());
+        vsDB.should.eql({ [TOBACCO_OID]: { 20210304: tobaccoValueSet() } });
+      });
+
+      it('should store multiple versions of the same value set', async () => {
+        await cache.save(new ValueSet(HDL_OID, '20170320', []));
+        await cache.save(new ValueSet(HDL_OID, '20200401', []));
+        const vsDB = await cache.load();
+        Object.keys(vsDB[HDL_OID]).should.have.members(['20170320', '20200401']);
+      });
+
+      it('should store value sets without a version under an empty version', async () => {
+        const url = 'http://example.org/fhir/ValueSet/smokers';
+        await cache.save(new ValueSet(url, undefined, [new Code('123', 'http://snomed.info/sct')]));
+        const loaded = await cache.load();
+        loaded[url][''].version.should.equal('');
+        const vs = hydrateValueSetDB(loaded)[url][''];
+        should.not.exist(vs.version);
+        vs.codes.should.have.length(1);
+      });
+
+      it('should clear saved value sets', async () => {
+        await cache.save(tobaccoValueSet());
+        await cache.clear();
+        const vsDB = await cache.load();
+        vsDB.should.be.empty;
+      });
+    });
+  });
+
+  describe('LocalStorageCache', () => {
+    it('should ignore keys without its prefix', async () => {
+      const storage = new FakeStorage();
+      storage.setItem('other', '{"oid":"FOO","version":"1","codes":[]}');
+      const cache = new LocalStorageCache(storage);
+      await cache.save(tobaccoValueSet());
+      await cache.clear();
+      storage.getItem('other').should.exist;
+      (await cache.load()).should.be.empty;
+    });
+
+    it('should skip corrupt entries', async () => {
+      const storage = new FakeStorage();
+      const cache = new LocalStorageCache(storage);
+      storage.setItem('cql-exec-vsac:FOO|1', '{not json');
+      await cache.save(tobaccoValueSet());
+      Object.keys(await cache.load()).should.eql([TOBACCO_OID]);
+    });
+
+    it('should throw if no Storage is available', () => {
+      should.throw(() => new LocalStorageCache(null), /Storage implementation/);
+    });
+  });
+
+  describe('CodeService with cache', () => {
+    let cache, service;
+
+    beforeEach(async () => {
+      cache = new MemoryCache();
+      cache.entries = JSON.parse(JSON.stringify(VS_DB));
+      service = new CodeService(true, false, undefined, undefined, cache);
+      service.api = { downloadValueSet: sandbox.stub() };
+      await service.cacheLoaded;
+    });
+
+    it('should hydrate value sets from the cache at startup', () => {
+      const vs = service.findValueSet(HDL_OID, '20170320');
+      vs.should.be.an.instanceof(ValueSet);
+      vs.codes[0].should.be.an.instanceof(Code);
+      vs.codes.should.have.length(2);
+    });
+
+    it('should not download value sets that were loaded from the cache', async () => {
+      await service.ensureValueSetsWithAPIKey([{ name: 'HDL', id: HDL_OID }], 'testkey');
+      sandbox.assert.notCalled(service.api.downloadValueSet);
+    });
+
+    it('should write downloaded value sets through to the cache', async () => {
+      service.api.downloadValueSet.callsFake(async (apiKey, oid, version, access, vsDB) => {
+        vsDB[TOBACCO_OID] = { 20210304: tobaccoValueSet() };
+      });
+      await service.ensureValueSetsWithAPIKey([{ name: 'Tobacco', id: TOBACCO_OID }], 'testkey');
+      service.findValueSet(TOBACCO_OID).should.eql(tobaccoValueSet());
+      cache.entries[TOBACCO_OID]['20210304'].codes.should.have.length(2);
+      // Previously cached value sets remain
+      cache.entries[HDL_OID].should.exist;
+    });
+
+    it('should keep other versions when downloading a new version', async () => {
+      service.api.downloadValueSet.callsFake(async (apiKey, oid, version, access, vsDB) => {
+        vsDB[HDL_OID] = { 20220101: new ValueSet(HDL_OID, '20220101', []) };
+      });
+      await service.ensureValueSetsWithAPIKey(
+        [{ name: 'HDL', id: HDL_OID, version: '20220101' }],
+        'testkey'
+      );
+      service.findValueSets(HDL_OID).should.have.length(3);
+    });
+
+    it('should not write failed downloads to the cache', async () => {
+      service.api.downloadValueSet.rejects(new Error(404));
+      await service.ensureValueSetsWithAPIKey([{ name: 'Tobacco', id: TOBACCO_OID }], 'testkey')
+        .should.be.rejected;
+      should.not.exist(cache.entries[TOBACCO_OID]);
+    });
+
+    it('should log, but not fail downloads, if the cache fails to save', async () => {
+      const warnings = [];
+      service.setLogger(entry => warnings.push(entry), { level: 'warn' });
+      sandbox.stub(cache, 'save').rejects(new Error('QuotaExceededError'));
+      service.api.downloadValueSet.callsFake(async (apiKey, oid, version, access, vsDB) => {
+        vsDB[TOBACCO_OID] = { 20210304: tobaccoValueSet() };
+      });
+      await service.ensureValueSetsWithAPIKey([{ name: 'Tobacco', id: TOBACCO_OID }], 'testkey');
+      service.findValueSet(TOBACCO_OID).should.eql(tobaccoValueSet());
+      warnings.should.have.length(1);
+      warnings[0].message.should.match(/Failed to cache valueset .* QuotaExceededError/);
+    });
+
+    it('should reject ensure calls if the cache fails to load', async () => {
+      const badCache = new MemoryCache();
+      sandbox.stub(badCache, 'load').rejects(new Error('boom'));
+      service = new CodeService(true, false, undefined, undefined, badCache);
+      await service.ensureValueSetsWithAPIKey([], 'testkey').should.be.rejectedWith('boom');
+    });
+  });
+});
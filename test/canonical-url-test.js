@@ -0,0 +1,175 @@
+const fhir = require('../src/fhir');
+const svs = require('../src/svs');
+const { CodeService } = require('../src/CodeService');
+const { Code, ValueSet } = require('cql-execution');
+const nock = require('nock');
+const chai = require('chai');
+const chaiAsPromised = require('chai-as-promised');
+chai.use(chaiAsPromised);
+const should = chai.should();
+const sandbox = require('sinon').createSandbox();
+
+const CANONICAL = 'http://hl7.org/fhir/us/core/ValueSet/us-core-smoking-status-observation-codes';
+const TX_URL = 'https://tx.example.org/fhir/ValueSet/{{oid}}/$expand';
+
+function smokingStatusPage(version = '6.1.0') {
+  return {
+    resourceType: 'ValueSet',
+    id: 'us-core-smoking-status-observation-codes',
+    url: CANONICAL,
+    version,
+    meta: { lastUpdated: '2023-06-01T00:00:00Z' },
+    expansion: {
+      total: 2,
+      offset: 0,
+      contains: [
+        { system: 'http://loinc.org', code: '72166-2', display: 'Tobacco smoking status' },
+        { system: 'http://loinc.org', code: '11367-0', display: 'History of Tobacco use' }
+      ]
+    }
+  };
+}
+
+describe('Canonical URLs', () => {
+  beforeEach(() => {
+    sandbox.stub(console, 'log');
+  });
+
+  afterEach(() => {
+    nock.cleanAll();
+    sandbox.restore();
+  });
+
+  describe('fhir#isCanonicalUrl', () => {
+    it('should distinguish canonical URLs from OIDs', () => {
+      fhir.isCanonicalUrl(CANONICAL).should.be.true;
+      fhir.isCanonicalUrl('urn:uuid:4b8f9a3e-0000-0000-0000-000000000000').should.be.true;
+      fhir.isCanonicalUrl('2.16.840.1.113883.3.600.2390').should.be.false;
+      fhir.isCanonicalUrl(undefined).should.be.false;
+    });
+  });
+
+  describe('fhir#downloadValueSet', () => {
+    it('should expand a value set by canonical URL', async () => {
+      const tx = nock('https://tx.example.org')
+        .get('/fhir/ValueSet/$expand')
+        .query({ offset: 0, url: CANONICAL })
+        .reply(200, smokingStatusPage());
+
+      const vsDB = {};
+      const info = await fhir.downloadValueSet('testkey', CANONICAL, undefined, TX_URL, vsDB);
+      tx.isDone().should.be.true;
+      info.should.eql({
+        oid: CANONICAL,
+        version: '6.1.0',
+        lastUpdated: '2023-06-01T00:00:00Z'
+      });
+      vsDB.should.eql({
+        [CANONICAL]: {
+          '6.1.0': new ValueSet(CANONICAL, '6.1.0', [
+            new Code('72166-2', 'http://loinc.org'),
+            new Code('11367-0', 'http://loinc.org')
+          ])
+        }
+      });
+    });
+
+    it('should expand a value set by canonical URL and version', async () => {
+      nock('https://tx.example.org')
+        .get('/fhir/ValueSet/$expand')
+        .query({ offset: 0, url: CANONICAL, valueSetVersion: '5.0.1' })
+        .reply(200, smokingStatusPage('5.0.1'));
+
+      const vsDB = {};
+      await fhir.downloadValueSet('testkey', CANONICAL, '5.0.1', TX_URL, vsDB);
+      vsDB[CANONICAL]['5.0.1'].codes.should.have.length(2);
+    });
+
+    it('should fall back to the requested version if the server omits it', async () => {
+      const page = smokingStatusPage();
+      delete page.version;
+      nock('https://tx.example.org')
+        .get('/fhir/ValueSet/$expand')
+        .query({ offset: 0, url: CANONICAL, valueSetVersion: '6.1.0' })
+        .reply(200, page);
+
+      const vsDB = {};
+      await fhir.downloadValueSet('testkey', CANONICAL, '6.1.0', TX_URL, vsDB);
+      vsDB[CANONICAL]['6.1.0'].version.should.equal('6.1.0');
+    });
+
+    it('should support URL templates without an {{oid}} placeholder', async () => {
+      nock('https://tx.example.org')
+        .get('/fhir/ValueSet/$expand')
+        .query({ offset: 0, url: CANONICAL })
+        .reply(200, smokingStatusPage());
+
+      const vsDB = {};
+      await fhir.downloadValueSet(
+        'testkey',
+        CANONICAL,
+        undefined,
+        'https://tx.example.org/fhir/ValueSet/$expand',
+        vsDB
+      );
+      vsDB.should.have.property(CANONICAL);
+    });
+  });
+
+  describe('svs#downloadValueSet', () => {
+    it('should reject canonical URLs', async () => {
+      await svs
+        .downloadValueSet('testkey', CANONICAL, undefined, 'https://vsac.example.org/svs', {})
+        .should.be.rejectedWith(/only supports value set OIDs/);
+    });
+  });
+
+  describe('CodeService', () => {
+    let service;
+
+    beforeEach(() => {
+      service = new CodeService(false, true, undefined, TX_URL);
+    });
+
+    it('should download and find value sets by canonical URL', async () => {
+      nock('https://tx.example.org')
+        .get('/fhir/ValueSet/$expand')
+        .query({ offset: 0, url: CANONICAL })
+        .reply(200, smokingStatusPage());
+
+      await service.ensureValueSetsWithAPIKey([{ name: 'Smoking', id: CANONICAL }], 'testkey');
+      service.findValueSet(CANONICAL).codes.should.have.length(2);
+      service.findValueSets(CANONICAL, '6.1.0').should.have.length(1);
+      service.findValueSets(`${CANONICAL}|6.1.0`).should.have.length(1);
+      service.findValueSets(`${CANONICAL}|5.0.1`).should.be.empty;
+    });
+
+    it('should pass embedded canonical versions to the api', async () => {
+      service.api = { downloadValueSet: sandbox.stub().resolves() };
+      await service.ensureValueSetsWithAPIKey(
+        [{ name: 'Smoking', id: `${CANONICAL}|5.0.1` }],
+        'testkey'
+      );
+      sandbox.assert.calledWith(service.api.downloadValueSet, 'testkey', CANONICAL, '5.0.1');
+    });
+
+    it('should not download canonical value sets it already has', async () => {
+      service.valueSets[CANONICAL] = { '6.1.0': new ValueSet(CANONICAL, '6.1.0', []) };
+      service.api = { downloadValueSet: sandbox.stub().resolves() };
+      await service.ensureValueSetsWithAPIKey(
+        [{ name: 'Smoking', id: `${CANONICAL}|6.1.0` }],
+        'testkey'
+      );
+      sandbox.assert.notCalled(service.api.downloadValueSet);
+    });
+
+    it('should still resolve VSAC FHIR URLs to OIDs', () => {
+      service.valueSets['2.16.840.1.113883.3.600.2390'] = {
+        20210304: new ValueSet('2.16.840.1.113883.3.600.2390', '20210304', [])
+      };
+      should.exist(
+        service.findValueSet('http://cts.nlm.nih.gov/fhir/ValueSet/2.16.840.1.113883.3.600.2390')
+      );
+    });
+  });
+});
@@ -0,0 +1,190 @@
+const { CodeIndex, ValueSetIndex } = require('../src/code-index');
+const { CodeService } = require('../src/CodeService');
+const { Code, Concept, ValueSet } = require('cql-execution');
+const chai = require('chai');
+chai.should();
+
+const OID = '2.16.840.1.113883.3.464.1003.104.12.1013';
+const SNOMED = 'http://snomed.info/sct';
+const LOINC = 'http://loinc.org';
+
+describe('Code indexes', () => {
+  describe('CodeIndex', () => {
+    const index = new CodeIndex([
+      new Code('123', SNOMED, '2023-09'),
+      new Code('123', SNOMED, '2023-09'),
+      new Code('123', SNOMED, '2024-03'),
+      new Code('456', LOINC),
+      null
+    ]);
+
+    it('should match codes by system and code', () => {
+      index.has(new Code('123', SNOMED)).should.be.true;
+      index.has({ code: '456', system: LOINC }).should.be.true;
+      index.has(new Code('123', LOINC)).should.be.false;
+      index.has(new Code('789', SNOMED)).should.be.false;
+    });
+
+    it('should match versioned codes by version', () => {
+      index.has(new Code('123', SNOMED, '2024-03')).should.be.true;
+      index.has(new Code('123', SNOMED, '2022-03')).should.be.false;
+      // The value set's code has no version, so any version matches
+      index.has(new Code('456', LOINC, '2.76')).should.be.true;
+    });
+
+    it('should match bare codes in any system', () => {
+      index.has('456').should.be.true;
+      index.has('789').should.be.false;
+    });
+
+    it('should match concepts and arrays if any of their codes match', () => {
+      index.has(new Concept([new Code('789', SNOMED), new Code('456', LOINC)])).should.be.true;
+      index.has([new Code('789', SNOMED), '123']).should.be.true;
+      index.has([new Code('789', SNOMED)]).should.be.false;
+      index.has(null).should.be.false;
+    });
+
+    it('should find the matching codes', () => {
+      index.find(new Code('123', SNOMED, '2024-03')).version.should.equal('2024-03');
+      index.find(new Code('123', SNOMED)).version.should.equal('2023-09');
+      index.find(new Code('456', LOINC, '2.76')).code.should.equal('456');
+      (index.find('789') === undefined).should.be.true;
+    });
+
+    it('should list the unique codes in order', () => {
+      index.codes
+        .map(c => [c.code, c.version])
+        .should.eql([
+          ['123', '2023-09'],
+          ['123', '2024-03'],
+          ['456', undefined]
+        ]);
+    });
+  });
+
+  describe('ValueSetIndex', () => {
+    const smokers = new ValueSet('1.2.1', '1', [new Code('123', SNOMED), new Code('456', LOINC)]);
+    const smokersV2 = new ValueSet('1.2.1', '2', [new Code('456', LOINC)]);
+    const tests = new ValueSet('1.2.2', '1', [new Code('456', LOINC), new Code('123', LOINC)]);
+
+    it('should find the value sets containing a code', () => {
+      const index = new ValueSetIndex();
+      index.update([smokers, smokersV2, tests]);
+      index.find('456', LOINC).should.eql([smokers, smokersV2, tests]);
+      index.find('123', SNOMED).should.eql([smokers]);
+      index.find('789', SNOMED).should.eql([]);
+    });
+
+    it('should find codes in any system', () => {
+      const index = new ValueSetIndex();
+      index.update([smokers, tests]);
+      index.find('123').should.eql([smokers, tests]);
+    });
+
+    it('should only reindex value sets that changed', () => {
+      const index = new ValueSetIndex();
+      index.update([smokers, tests]);
+      const replaced = new ValueSet('1.2.2', '1', [new Code('789', SNOMED)]);
+      index.update([smokers, replaced]);
+      index.find('456', LOINC).should.eql([smokers]);
+      index.find('789', SNOMED).should.eql([replaced]);
+      index.bySystemAndCode.has(`${LOINC}|123`).should.be.false;
+    });
+  });
+
+  describe('CodeService', () => {
+    let service;
+
+    beforeEach(() => {
+      service = new CodeService({ cache: null });
+      service.valueSets[OID] = {
+        1: new ValueSet(OID, '1', [new Code('123', SNOMED), new Code('123', SNOMED)]),
+        2: new ValueSet(OID, '2', [new Code('123', SNOMED), new Code('456', LOINC)])
+      };
+    });
+
+    it('should check codes against the most recent version by default', () => {
+      service.isCodeInValueSet(OID, undefined, new Code('456', LOINC)).should.be.true;
+      service.isCodeInValueSet(OID, '1', new Code('456', LOINC)).should.be.false;
+      service.isCodeInValueSet(`urn:oid:${OID}`, '1', new Code('123', SNOMED)).should.be.true;
+    });
+
+    it('should not find codes in value sets that are not loaded', () => {
+      service.isCodeInValueSet('1.2.3', undefined, new Code('123', SNOMED)).should.be.false;
+      service.areCodesInValueSet('1.2.3', undefined, ['123']).should.eql([false]);
+    });
+
+    it('should check batches of codes', () => {
+      service
+        .areCodesInValueSet(OID, '1', [new Code('123', SNOMED), new Code('456', LOINC), '123'])
+        .should.eql([true, false, true]);
+      service
+        .areCodesInValueSets([
+          { id: OID, version: '1', code: new Code('456', LOINC) },
+          { id: OID, code: new Code('456', LOINC) },
+          { id: '1.2.3', code: '123' }
+        ])
+        .should.eql([false, true, false]);
+    });
+
+    it('should build indexes on first use', () => {
+      const valueSet = service.valueSets[OID]['2'];
+      service.codeIndexes.has(valueSet).should.be.false;
+      service.isCodeInValueSet(OID, '2', '123');
+      const index = service.codeIndexes.get(valueSet);
+      index.should.be.an.instanceOf(CodeIndex);
+      service.isCodeInValueSet(OID, '2', '456');
+      service.codeIndexFor(valueSet).should.equal(index);
+    });
+
+    it('should use a new index when a value set is replaced', async () => {
+      service.isCodeInValueSet(OID, '2', new Code('789', SNOMED)).should.be.false;
+      await service.storeValueSets({
+        [OID]: { 2: new ValueSet(OID, '2', [new Code('789', SNOMED)]) }
+      });
+      service.isCodeInValueSet(OID, '2', new Code('789', SNOMED)).should.be.true;
+      service.isCodeInValueSet(OID, '2', new Code('456', LOINC)).should.be.false;
+    });
+
+    it('should find the loaded value sets containing a code', async () => {
+      service.valueSets['1.2.3'] = { 1: new ValueSet('1.2.3', '1', [new Code('456', LOINC)]) };
+      service.registerPlaceholder('1.2.4');
+      await service.ensureValueSetsWithAPIKey([{ name: 'Smokers', id: `urn:oid:${OID}` }]);
+      service.findValueSetsContainingCode('456', LOINC).should.eql([
+        { oid: OID, version: '2', name: 'Smokers' },
+        { oid: '1.2.3', version: '1' }
+      ]);
+      service
+        .findValueSetsContainingCode(new Code('123', SNOMED))
+        .map(({ version }) => version)
+        .should.eql(['1', '2']);
+      service.findValueSetsContainingCode('123').should.have.length(2);
+      service.findValueSetsContainingCode('123', LOINC).should.eql([]);
+    });
+
+    it('should find the value sets containing each of a list of codes', () => {
+      service
+        .findValueSetsContainingCodes([
+          { code: '456', system: LOINC },
+          { code: '789', system: SNOMED }
+        ])
+        .should.eql([[{ oid: OID, version: '2' }], []]);
+    });
+
+    it('should find codes in value sets loaded after the last lookup', () => {
+      service.findValueSetsContainingCode('789', SNOMED).should.eql([]);
+      service.valueSets[OID]['2'] = new ValueSet(OID, '2', [new Code('789', SNOMED)]);
+      service.findValueSetsContainingCode('789', SNOMED).should.eql([{ oid: OID, version: '2' }]);
+      service.findValueSetsContainingCode('456', LOINC).should.eql([]);
+    });
+
+    it('should expand value sets without duplicate codes', () => {
+      service.expandValueSet(OID, '1').should.have.length(1);
+      service
+        .expandValueSet(OID)
+        .map(c => c.code)
+        .should.eql(['123', '456']);
+      service.expandValueSet('1.2.3').should.eql([]);
+    });
+  });
+});
@@ -0,0 +1,222 @@
+const { CodeService } = require('../src/CodeService');
+const { CancellationError } = require('../src/errors');
+const { Code, ValueSet } = require('cql-execution');
+const chai = require('chai');
+const chaiAsPromised = require('chai-as-promised');
+chai.use(chaiAsPromised);
+chai.should();
+const sandbox = require('sinon').createSandbox();
+
+const TOBACCO_OID = '2.16.840.1.113883.3.600.2390';
+const OTHER_OID = '2.16.840.1.113883.3.526.3.1032';
+
+/**
+ * Returns a fake api whose downloads wait until release() is called, so tests can start several
+ * ensure calls while downloads are in flight.
+ */
+function gatedApi() {
+  let release;
+  const gate = new Promise(resolve => {
+    release = resolve;
+  });
+  const api = {
+    downloadValueSet: sandbox.spy(async (apiKey, oid, version, vsacAccess, vsDB) => {
+      const failure = await gate;
+      if (failure != null) {
+        throw failure;
+      }
+      version = version || '1';
+      vsDB[oid] = { [version]: new ValueSet(oid, version, [new Code('123', 'http://loinc.org')]) };
+      return { oid, version };
+    })
+  };
+  return { api, release };
+}
+
+describe('In-flight download de-duplication', () => {
+  let service;
+
+  beforeEach(() => {
+    service = new CodeService();
+  });
+
+  afterEach(() => {
+    sandbox.restore();
+  });
+
+  it('should share downloads between concurrent ensure calls', async () => {
+    const { api, release } = gatedApi();
+    service.api = api;
+    const first = service.ensureValueSetsWithAPIKey(
+      [
+        { name: 'Tobacco', id: TOBACCO_OID },
+        { name: 'Other', id: OTHER_OID }
+      ],
+      'testkey'
+    );
+    const second = service.ensureValueSetsWithAPIKey(
+      [{ name: 'Tobacco', id: TOBACCO_OID }],
+      'testkey'
+    );
+    await Promise.resolve();
+    service.inFlight.size.should.equal(2);
+    release();
+    await Promise.all([first, second]);
+    sandbox.assert.calledTwice(api.downloadValueSet);
+    sandbox.assert.calledWith(api.downloadValueSet.firstCall, 'testkey', TOBACCO_OID);
+    sandbox.assert.calledWith(api.downloadValueSet.secondCall, 'testkey', OTHER_OID);
+    service.findValueSet(TOBACCO_OID).codes.should.have.length(1);
+    service.inFlight.size.should.equal(0);
+  });
+
+  it('should not share downloads of different versions', async () => {
+    const { api, release } = gatedApi();
+    service.api = api;
+    const first = service.ensureValueSetsWithAPIKey(
+      [{ name: 'Tobacco', id: TOBACCO_OID, version: '1' }],
+      'testkey'
+    );
+    const second = service.ensureValueSetsWithAPIKey(
+      [{ name: 'Tobacco', id: TOBACCO_OID, version: '2' }],
+      'testkey'
+    );
+    release();
+    await Promise.all([first, second]);
+    sandbox.assert.calledTwice(api.downloadValueSet);
+    service.findValueSets(TOBACCO_OID).should.have.length(2);
+  });
+
+  it('should not share downloads between calls with different options', async () => {
+    const { api, release } = gatedApi();
+    const other = gatedApi();
+    service.api = api;
+    const first = service.ensureValueSetsWithAPIKey(
+      [{ name: 'Tobacco', id: TOBACCO_OID }],
+      'testkey',
+      { svsCodeSystemType: 'oid' }
+    );
+    const second = service.ensureValueSetsWithAPIKey(
+      [{ name: 'Tobacco', id: TOBACCO_OID }],
+      'testkey',
+      { svsCodeSystemType: 'url', api: other.api }
+    );
+    const third = service.ensureValueSetsWithAPIKey(
+      [{ name: 'Tobacco', id: TOBACCO_OID }],
+      'testkey',
+      { svsCodeSystemType: 'url' }
+    );
+    release();
+    other.release();
+    await Promise.all([first, second, third]);
+    sandbox.assert.calledTwice(api.downloadValueSet);
+    sandbox.assert.calledOnce(other.api.downloadValueSet);
+    api.downloadValueSet.firstCall.args[5].svsCodeSystemType.should.equal('oid');
+    api.downloadValueSet.secondCall.args[5].svsCodeSystemType.should.equal('url');
+    service.inFlight.size.should.equal(0);
+  });
+
+  it('should report a failed shared download to every caller', async () => {
+    const { api, release } = gatedApi();
+    service.api = api;
+    const first = service.ensureValueSetsWithAPIKey(
+      [
+        { name: 'Tobacco', id: TOBACCO_OID },
+        { name: 'Other', id: OTHER_OID }
+      ],
+      'testkey'
+    );
+    const second = service.ensureValueSetsWithAPIKey(
+      [{ name: 'Tobacco', id: TOBACCO_OID }],
+      'testkey'
+    );
+    release(new Error(503));
+
+    const firstErrors = await first.should.be.rejected;
+    const secondErrors = await second.should.be.rejected;
+    firstErrors.should.have.length(2);
+    secondErrors.should.have.length(1);
+    secondErrors[0].message.should.contain(TOBACCO_OID);
+    secondErrors[0].cause.message.should.equal('503');
+    sandbox.assert.calledTwice(api.downloadValueSet);
+  });
+
+  it('should download again after a shared download has failed', async () => {
+    const failing = gatedApi();
+    service.api = failing.api;
+    const first = service.ensureValueSetsWithAPIKey(
+      [{ name: 'Tobacco', id: TOBACCO_OID }],
+      'testkey'
+    );
+    failing.release(new Error(503));
+    await first.should.be.rejected;
+
+    const succeeding = gatedApi();
+    service.api = succeeding.api;
+    succeeding.release();
+    await service.ensureValueSetsWithAPIKey([{ name: 'Tobacco', id: TOBACCO_OID }], 'testkey');
+    sandbox.assert.calledOnce(succeeding.api.downloadValueSet);
+  });
+
+  it('should let a caller stop waiting without cancelling the shared download', async () => {
+    const { api, release } = gatedApi();
+    service.api = api;
+    const first = service.ensureValueSetsWithAPIKey(
+      [{ name: 'Tobacco', id: TOBACCO_OID }],
+      'testkey'
+    );
+    const controller = new AbortController();
+    const second = service.ensureValueSetsWithAPIKey(
+      [{ name: 'Tobacco', id: TOBACCO_OID }],
+      'testkey',
+      { signal: controller.signal }
+    );
+    controller.abort();
+    await second.should.be.rejectedWith(CancellationError);
+    release();
+    await first;
+    service.findValueSet(TOBACCO_OID).should.exist;
+  });
+
+  it('should download again if the caller that started the download cancelled it', async () => {
+    const { api, release } = gatedApi();
+    service.api = api;
+    const controller = new AbortController();
+    const first = service.ensureValueSetsWithAPIKey(
+      [{ name: 'Tobacco', id: TOBACCO_OID }],
+      'testkey',
+      { signal: controller.signal }
+    );
+    const second = service.ensureValueSetsWithAPIKey(
+      [{ name: 'Tobacco', id: TOBACCO_OID }],
+      'testkey'
+    );
+    await Promise.resolve();
+    controller.abort();
+    await first.should.be.rejectedWith(CancellationError);
+    release();
+    await second;
+    sandbox.assert.calledTwice(api.downloadValueSet);
+    service.findValueSet(TOBACCO_OID).should.exist;
+  });
+
+  it('should share downloads with background revalidation', async () => {
+    const { api, release } = gatedApi();
+    service = new CodeService(true, false, undefined, undefined, null, {
+      ttl: 0,
+      revalidate: 'background'
+    });
+    service.api = api;
+    service.valueSets[TOBACCO_OID] = { 1: new ValueSet(TOBACCO_OID, '1', []) };
+    service.setValueSetMeta(TOBACCO_OID, '1', { fetchedAt: 0 });
+
+    await service.ensureValueSetsWithAPIKey([{ name: 'Tobacco', id: TOBACCO_OID }], 'testkey');
+    const refresh = service.refreshValueSetsWithAPIKey(
+      [{ name: 'Tobacco', id: TOBACCO_OID }],
+      'testkey'
+    );
+    release();
+    await Promise.all([refresh, service.waitForRevalidations()]);
+    sandbox.assert.calledOnce(api.downloadValueSet);
+    service.valueSetMeta[TOBACCO_OID]['1'].fetchedAt.should.be.above(0);
+  });
+});
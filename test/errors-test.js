@@ -0,0 +1,271 @@
+const {
+  ValueSetDownloadError,
+  AuthenticationError,
+  ValueSetNotFoundError,
+  RateLimitedError,
+  NetworkError,
+  ParseError,
+  TimeoutError,
+  isNetworkError,
+  toDownloadError
+} = require('../src/errors');
+const { OAuth2ClientCredentialsAuth } = require('../src/auth');
+const fhir = require('../src/fhir');
+const svs = require('../src/svs');
+const { CodeService } = require('../src/CodeService');
+const { ValueSet } = require('cql-execution');
+const path = require('path');
+const nock = require('nock');
+const chai = require('chai');
+const chaiAsPromised = require('chai-as-promised');
+chai.use(chaiAsPromised);
+chai.should();
+const sandbox = require('sinon').createSandbox();
+
+const TOBACCO_OID = '2.16.840.1.113883.3.600.2390';
+const OTHER_OID = '2.16.840.1.113883.3.526.3.1032';
+const FHIR_URL = 'https://tx.example.org/fhir/ValueSet/{{oid}}/$expand';
+const SVS_URL = 'https://tx.example.org/svs/RetrieveValueSet';
+const NO_RETRY = { retry: false };
+
+describe('Errors', () => {
+  beforeEach(() => {
+    sandbox.stub(console, 'log');
+  });
+
+  afterEach(() => {
+    nock.cleanAll();
+    sandbox.restore();
+  });
+
+  const expand = (oid = TOBACCO_OID, query = {}) =>
+    nock('https://tx.example.org')
+      .get(`/fhir/ValueSet/${oid}/$expand`)
+      .query(Object.assign({ offset: 0 }, query));
+
+  const downloadFHIR = (options = NO_RETRY, apiKey = 'testkey') =>
+    fhir.downloadValueSet(apiKey, TOBACCO_OID, undefined, FHIR_URL, {}, options);
+
+  describe('fhir#downloadValueSet', () => {
+    [
+      [401, AuthenticationError],
+      [403, AuthenticationError],
+      [404, ValueSetNotFoundError],
+      [429, RateLimitedError],
+      [500, ValueSetDownloadError]
+    ].forEach(([status, ErrorType]) => {
+      it(`should reject ${status} responses with a ${ErrorType.name}`, async () => {
+        expand().reply(status);
+        const err = await downloadFHIR().should.be.rejectedWith(ErrorType, `${status}`);
+        err.should.be.an.instanceof(ValueSetDownloadError);
+        err.status.should.equal(status);
+        err.url.should.equal(
+          `https://tx.example.org/fhir/ValueSet/${TOBACCO_OID}/$expand?offset=0`
+        );
+        err.attempts.should.equal(1);
+      });
+    });
+
+    it('should include how long a rate limited client should wait', async () => {
+      expand().reply(429, '', { 'Retry-After': '120' });
+      const err = await downloadFHIR().should.be.rejectedWith(RateLimitedError);
+      err.retryAfter.should.equal(120000);
+    });
+
+    it('should reject unreachable servers with a NetworkError', async () => {
+      expand().replyWithError({ code: 'ECONNREFUSED', message: 'connect ECONNREFUSED' });
+      const err = await downloadFHIR().should.be.rejectedWith(NetworkError, /ECONNREFUSED/);
+      err.url.should.contain(TOBACCO_OID);
+      err.cause.name.should.equal('FetchError');
+    });
+
+    it('should reject invalid JSON with a ParseError', async () => {
+      expand().reply(200, '<html>Maintenance</html>');
+      const err = await downloadFHIR().should.be.rejectedWith(ParseError, /Invalid JSON/);
+      err.url.should.contain(TOBACCO_OID);
+      err.cause.should.be.an.instanceof(Error);
+    });
+
+    it('should reject failed OAuth2 token requests with an AuthenticationError', async () => {
+      nock('https://auth.example.org').post('/token').reply(401);
+      const auth = new OAuth2ClientCredentialsAuth({
+        tokenUrl: 'https://auth.example.org/token',
+        clientId: 'client',
+        clientSecret: 'wrong'
+      });
+      const err = await downloadFHIR({ retry: { minDelay: 1 } }, auth).should.be.rejectedWith(
+        AuthenticationError
+      );
+      err.status.should.equal(401);
+      err.url.should.equal('https://auth.example.org/token');
+    });
+  });
+
+  describe('svs#downloadValueSet', () => {
+    const retrieve = () =>
+      nock('https://tx.example.org').get('/svs/RetrieveValueSet').query({ id: TOBACCO_OID });
+
+    it('should reject 404 responses with a ValueSetNotFoundError', async () => {
+      retrieve().reply(404);
+      await svs
+        .downloadValueSet('testkey', TOBACCO_OID, undefined, SVS_URL, {}, NO_RETRY)
+        .should.be.rejectedWith(ValueSetNotFoundError, '404');
+    });
+
+    it('should reject unexpected documents with a ParseError', async () => {
+      retrieve().reply(200, '<html>Maintenance</html>');
+      const err = await svs
+        .downloadValueSet('testkey', TOBACCO_OID, undefined, SVS_URL, {}, NO_RETRY)
+        .should.be.rejectedWith(ParseError, `Invalid SVS response for ${TOBACCO_OID}`);
+      err.oid.should.equal(TOBACCO_OID);
+    });
+  });
+
+  describe('#toDownloadError', () => {
+    it('should keep the type and details of download errors', () => {
+      const cause = new RateLimitedError('429', {
+        status: 429,
+        url: 'u',
+        attempts: 4,
+        retryAfter: 5
+      });
+      const err = toDownloadError(cause, 'Error downloading valueset: 1.2.3', { oid: '1.2.3' });
+      err.should.be.an.instanceof(RateLimitedError);
+      err.message.should.equal('Error downloading valueset: 1.2.3');
+      err.should.include({ oid: '1.2.3', status: 429, url: 'u', attempts: 4, retryAfter: 5 });
+      err.cause.should.equal(cause);
+    });
+
+    it('should keep the timeout of timeout errors', () => {
+      const cause = new TimeoutError('Request timed out', { timeout: 20 });
+      toDownloadError(cause, 'Error').timeout.should.equal(20);
+    });
+
+    it('should classify errors whose message is a status', () => {
+      toDownloadError(new Error(401), 'Error').should.be.an.instanceof(AuthenticationError);
+      toDownloadError(new Error('404'), 'Error').status.should.equal(404);
+    });
+
+    it('should classify other errors', () => {
+      toDownloadError(new SyntaxError('bad'), 'Error').should.be.an.instanceof(ParseError);
+      toDownloadError(new TypeError('fetch failed'), 'Error').should.be.an.instanceof(NetworkError);
+      const err = toDownloadError('oops', 'Error');
+      err.constructor.should.equal(ValueSetDownloadError);
+      err.cause.message.should.equal('oops');
+    });
+  });
+
+  describe('#isNetworkError', () => {
+    it('should recognize failed and aborted requests', () => {
+      const fetchError = Object.assign(new Error('socket hang up'), { name: 'FetchError' });
+      isNetworkError(fetchError).should.be.true;
+      isNetworkError(new TypeError('Failed to fetch')).should.be.true;
+      isNetworkError(new TimeoutError('Timed out')).should.be.true;
+      isNetworkError(Object.assign(new Error('aborted'), { name: 'AbortError' })).should.be.true;
+    });
+
+    it('should not recognize other errors', () => {
+      isNetworkError(new TypeError('Only absolute URLs are supported')).should.be.false;
+      isNetworkError(new AuthenticationError('401')).should.be.false;
+      isNetworkError(new Error('fetch failed')).should.be.false;
+      isNetworkError(undefined).should.be.false;
+    });
+  });
+
+  describe('CodeService', () => {
+    let service;
+
+    beforeEach(() => {
+      service = new CodeService(false, true, undefined, FHIR_URL);
+      service.setRetryPolicy(false);
+    });
+
+    it('should resolve with a report of the downloaded and cached value sets', async () => {
+      service.valueSets[OTHER_OID] = { 20170320: new ValueSet(OTHER_OID, '20170320', []) };
+      expand().replyWithFile(200, path.join(__dirname, 'fixtures', `${TOBACCO_OID}.json`));
+
+      const report = await service.ensureValueSetsWithAPIKey(
+        [
+          { name: 'Tobacco', id: TOBACCO_OID },
+          { name: 'Other', id: OTHER_OID }
+        ],
+        'testkey'
+      );
+      report.should.eql({
+        succeeded: [{ oid: TOBACCO_OID, version: '20210304' }],
+        cached: [{ oid: OTHER_OID, version: '20170320' }],
+        failed: []
+      });
+
+      const again = await service.ensureValueSetsWithAPIKey(
+        [{ name: 'Tobacco', id: TOBACCO_OID, version: '20210304' }],
+        'testkey'
+      );
+      again.should.eql({
+        succeeded: [],
+        cached: [{ oid: TOBACCO_OID, version: '20210304' }],
+        failed: []
+      });
+    });
+
+    it('should reject with typed errors and attach the report', async () => {
+      service.valueSets[OTHER_OID] = { 20170320: new ValueSet(OTHER_OID, '20170320', []) };
+      expand(TOBACCO_OID, { valueSetVersion: '20210304' }).reply(404);
+      expand('1.2.3').reply(401);
+
+      const errors = await service.ensureValueSetsWithAPIKey(
+        [
+          { name: 'Tobacco', id: TOBACCO_OID, version: '20210304' },
+          { name: 'Missing', id: '1.2.3' },
+          { name: 'Other', id: OTHER_OID }
+        ],
+        'testkey'
+      ).should.be.rejected;
+      errors.should.have.length(2);
+      errors[0].should.be.an.instanceof(ValueSetNotFoundError);
+      errors[0].message.should.equal(`Error downloading valueset: ${TOBACCO_OID} version 20210304`);
+      errors[0].should.include({ oid: TOBACCO_OID, version: '20210304', status: 404 });
+      errors[0].url.should.contain(TOBACCO_OID);
+      errors[0].cause.message.should.equal('404');
+      errors[1].should.be.an.instanceof(AuthenticationError);
+      errors[1].should.include({ oid: '1.2.3', status: 401 });
+
+      errors.report.succeeded.should.be.empty;
+      errors.report.cached.should.eql([{ oid: OTHER_OID, version: '20170320' }]);
+      errors.report.failed.should.eql([
+        { oid: TOBACCO_OID, version: '20210304', error: errors[0] },
+        { oid: '1.2.3', version: undefined, error: errors[1] }
+      ]);
+    });
+
+    it('should classify errors thrown by custom apis', async () => {
+      service.api = { downloadValueSet: sandbox.stub().rejects(new Error(404)) };
+      const errors = await service.ensureValueSetsWithAPIKey(
+        [{ name: 'X', id: '1.2.3' }],
+        'testkey'
+      ).should.be.rejected;
+      errors[0].should.be.an.instanceof(ValueSetNotFoundError);
+      errors[0].status.should.equal(404);
+    });
+
+    it('should reject with an AuthenticationError when there are no credentials', async () => {
+      await service
+        .ensureValueSetsWithAPIKey([{ name: 'X', id: '1.2.3' }], null)
+        .should.be.rejectedWith(AuthenticationError, /UMLS_API_KEY is not set/);
+      await service
+        .refreshValueSetsWithAPIKey([{ name: 'X', id: '1.2.3' }], null)
+        .should.be.rejectedWith(AuthenticationError, /UMLS_API_KEY is not set/);
+    });
+
+    it('should resolve refreshes with a report', async () => {
+      service.api = {
+        downloadValueSet: sandbox.stub().resolves({ oid: '1.2.3', version: '2' })
+      };
+      const report = await service.refreshValueSetsWithAPIKey(
+        [{ name: 'X', id: '1.2.3' }],
+        'testkey'
+      );
+      report.should.eql({ succeeded: [{ oid: '1.2.3', version: '2' }], cached: [], failed: [] });
+    });
+  });
+});
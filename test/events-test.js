@@ -0,0 +1,241 @@
+const { EventEmitter } = require('../src/events');
+const { CodeService } = require('../src/CodeService');
+const { ValueSetNotFoundError } = require('../src/errors');
+const fhir = require('../src/fhir');
+const svs = require('../src/svs');
+const { ValueSet } = require('cql-execution');
+const path = require('path');
+const nock = require('nock');
+const chai = require('chai');
+const chaiAsPromised = require('chai-as-promised');
+chai.use(chaiAsPromised);
+chai.should();
+const sandbox = require('sinon').createSandbox();
+
+const TOBACCO_OID = '2.16.840.1.113883.3.600.2390';
+const OTHER_OID = '2.16.840.1.113883.3.526.3.1032';
+const FHIR_URL = 'https://tx.example.org/fhir/ValueSet/{{oid}}/$expand';
+const SVS_URL = 'https://tx.example.org/svs/RetrieveValueSet';
+const PAGES = require('./fixtures/2.16.840.1.113883.3.600.2390-pages.json');
+
+/**
+ * Returns an emit function for download options, and the events it was called with.
+ */
+function recorder() {
+  const events = [];
+  const emit = (event, data) => events.push([event, data]);
+  return { emit, events };
+}
+
+describe('Events', () => {
+  beforeEach(() => {
+    sandbox.stub(console, 'log');
+  });
+
+  afterEach(() => {
+    nock.cleanAll();
+    sandbox.restore();
+  });
+
+  const expand = (offset = 0, oid = TOBACCO_OID) =>
+    nock('https://tx.example.org').get(`/fhir/ValueSet/${oid}/$expand`).query({ offset });
+
+  const downloadFHIR = options =>
+    fhir.downloadValueSet('testkey', TOBACCO_OID, undefined, FHIR_URL, {}, options);
+
+  describe('EventEmitter', () => {
+    it('should call listeners in order with the event data', () => {
+      const emitter = new EventEmitter();
+      const calls = [];
+      emitter.on('test', data => calls.push(['first', data]));
+      emitter.on('test', data => calls.push(['second', data]));
+      emitter.emit('test', { a: 1 }).should.be.true;
+      emitter.emit('other', {}).should.be.false;
+      calls.should.eql([
+        ['first', { a: 1 }],
+        ['second', { a: 1 }]
+      ]);
+    });
+
+    it('should remove listeners', () => {
+      const emitter = new EventEmitter();
+      const listener = sandbox.spy();
+      const onceListener = sandbox.spy();
+      emitter.on('test', listener).once('test', onceListener);
+      emitter.emit('test', {});
+      emitter.off('test', listener);
+      emitter.emit('test', {});
+      sandbox.assert.calledOnce(listener);
+      sandbox.assert.calledOnce(onceListener);
+      emitter.emit('test', {}).should.be.false;
+    });
+
+    it('should remove once listeners before they are called', () => {
+      const emitter = new EventEmitter();
+      const listener = sandbox.spy();
+      emitter.once('test', listener);
+      emitter.off('test', listener);
+      emitter.emit('test', {});
+      sandbox.assert.notCalled(listener);
+    });
+
+    it('should ignore errors thrown by listeners', () => {
+      const emitter = new EventEmitter();
+      const listener = sandbox.spy();
+      emitter.on('test', () => {
+        throw new Error('oops');
+      });
+      emitter.on('test', listener);
+      emitter.emit('test', {});
+      sandbox.assert.calledOnce(listener);
+    });
+
+    it('should reject listeners that are not functions', () => {
+      (() => new EventEmitter().on('test', 'oops')).should.throw(
+        'Expected listener to be a function, but was string'
+      );
+    });
+  });
+
+  describe('fhir#downloadValueSet', () => {
+    it('should emit page-fetched for each page of the expansion', async () => {
+      expand(0).reply(200, PAGES[0]);
+      expand(10).reply(200, PAGES[1]);
+      expand(20).reply(200, PAGES[2]);
+      const { emit, events } = recorder();
+      await downloadFHIR({ emit });
+      events.should.eql([
+        ['page-fetched', { offset: 0, count: 10, total: 26 }],
+        ['page-fetched', { offset: 10, count: 10, total: 26 }],
+        ['page-fetched', { offset: 20, count: 6, total: 26 }]
+      ]);
+    });
+
+    it('should emit retry before retrying a request', async () => {
+      expand().reply(503);
+      expand().replyWithFile(200, path.join(__dirname, 'fixtures', `${TOBACCO_OID}.json`));
+      const { emit, events } = recorder();
+      await downloadFHIR({
+        emit,
+        retry: { minDelay: 1, jitter: false }
+      });
+      events.map(([event]) => event).should.eql(['retry', 'page-fetched']);
+      events[0][1].should.eql({
+        url: `https://tx.example.org/fhir/ValueSet/${TOBACCO_OID}/$expand?offset=0`,
+        attempt: 1,
+        delay: 1,
+        status: 503,
+        error: undefined
+      });
+    });
+
+    it('should include the error of failed attempts in retry events', async () => {
+      expand().replyWithError('connect ECONNREFUSED');
+      expand().replyWithFile(200, path.join(__dirname, 'fixtures', `${TOBACCO_OID}.json`));
+      const { emit, events } = recorder();
+      await downloadFHIR({
+        emit,
+        retry: { minDelay: 1 }
+      });
+      events[0][1].error.message.should.contain('ECONNREFUSED');
+    });
+  });
+
+  describe('svs#downloadValueSet', () => {
+    it('should emit a single page-fetched event', async () => {
+      nock('https://tx.example.org')
+        .get('/svs/RetrieveValueSet')
+        .query({ id: TOBACCO_OID })
+        .replyWithFile(200, path.join(__dirname, 'fixtures', `${TOBACCO_OID}.xml`));
+      const { emit, events } = recorder();
+      await svs.downloadValueSet('testkey', TOBACCO_OID, undefined, SVS_URL, {}, { emit });
+      events.should.eql([['page-fetched', { offset: 0, count: 26, total: 26 }]]);
+    });
+  });
+
+  describe('CodeService', () => {
+    let service, events;
+
+    beforeEach(() => {
+      service = new CodeService(false, true, undefined, FHIR_URL);
+      service.setRetryPolicy(false);
+      events = [];
+      [
+        'download-start',
+        'page-fetched',
+        'download-complete',
+        'download-failed',
+        'cache-hit',
+        'retry'
+      ].forEach(event => service.on(event, data => events.push([event, data])));
+    });
+
+    it('should emit the lifecycle of each download', async () => {
+      expand(0).reply(200, PAGES[0]);
+      expand(10).reply(200, PAGES[1]);
+      expand(20).reply(200, PAGES[2]);
+      await service.ensureValueSetsWithAPIKey([{ name: 'Tobacco', id: TOBACCO_OID }], 'testkey');
+
+      events
+        .map(([event]) => event)
+        .should.eql([
+          'download-start',
+          'page-fetched',
+          'page-fetched',
+          'page-fetched',
+          'download-complete'
+        ]);
+      events[0][1].should.eql({ oid: TOBACCO_OID, version: undefined });
+      events[3][1].should.eql({
+        oid: TOBACCO_OID,
+        version: undefined,
+        offset: 20,
+        count: 6,
+        total: 26
+      });
+      const complete = events[4][1];
+      complete.should.include({ oid: TOBACCO_OID, version: '20210304', codes: 26 });
+      complete.duration.should.be.at.least(0);
+    });
+
+    it('should emit cache-hit for value sets that are already loaded', async () => {
+      service.valueSets[OTHER_OID] = { 1: new ValueSet(OTHER_OID, '1', []) };
+      await service.ensureValueSetsWithAPIKey([{ name: 'Other', id: OTHER_OID }], 'testkey');
+      events.should.eql([['cache-hit', { oid: OTHER_OID, version: '1' }]]);
+    });
+
+    it('should emit download-failed with the typed error', async () => {
+      expand().reply(404);
+      const errors = await service.ensureValueSetsWithAPIKey(
+        [{ name: 'Tobacco', id: TOBACCO_OID }],
+        'testkey'
+      ).should.be.rejected;
+      events.map(([event]) => event).should.eql(['download-start', 'download-failed']);
+      const { error } = events[1][1];
+      error.should.be.an.instanceof(ValueSetNotFoundError);
+      error.message.should.equal(errors[0].message);
+    });
+
+    it('should emit the events of a shared download once', async () => {
+      expand().replyWithFile(200, path.join(__dirname, 'fixtures', `${TOBACCO_OID}.json`));
+      await Promise.all([
+        service.ensureValueSetsWithAPIKey([{ name: 'Tobacco', id: TOBACCO_OID }], 'testkey'),
+        service.ensureValueSetsWithAPIKey([{ name: 'Tobacco', id: TOBACCO_OID }], 'testkey')
+      ]);
+      events
+        .map(([event]) => event)
+        .should.eql(['download-start', 'page-fetched', 'download-complete']);
+    });
+
+    it('should include the source of routed downloads', async () => {
+      service.api = {
+        downloadValueSet: async (apiKey, oid, version, vsacAccess, vsDB) => {
+          vsDB[oid] = { 1: new ValueSet(oid, '1', []) };
+          return { oid, version: '1', source: 'proxy' };
+        }
+      };
+      await service.ensureValueSetsWithAPIKey([{ name: 'Other', id: OTHER_OID }], 'testkey');
+      events[1][1].should.include({ version: '1', codes: 0, source: 'proxy' });
+    });
+  });
+});
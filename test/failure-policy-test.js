@@ -0,0 +1,183 @@
+const { CodeService } = require('../src/CodeService');
+const { MemoryCache } = require('../src/cache');
+const { ValueSetNotFoundError } = require('../src/errors');
+const { Code, ValueSet } = require('cql-execution');
+const chai = require('chai');
+const chaiAsPromised = require('chai-as-promised');
+chai.use(chaiAsPromised);
+chai.should();
+const sandbox = require('sinon').createSandbox();
+
+const TOBACCO_OID = '2.16.840.1.113883.3.600.2390';
+const OTHER_OID = '2.16.840.1.113883.3.526.3.1032';
+const MISSING_OID = '1.2.3';
+
+const valueSets = [
+  { name: 'Tobacco', id: TOBACCO_OID },
+  { name: 'Missing', id: MISSING_OID },
+  { name: 'Other', id: OTHER_OID }
+];
+
+/**
+ * Returns a fake api that fails to download MISSING_OID right away, and downloads the other value
+ * sets after the given delay (or never, if the delay is null), recording the signals it was passed.
+ */
+function fakeApi(delay = 0) {
+  const signals = [];
+  const api = {
+    downloadValueSet: sandbox.spy((apiKey, oid, version, vsacAccess, vsDB, options) => {
+      signals.push(options.signal);
+      if (oid === MISSING_OID) {
+        return Promise.reject(new Error(404));
+      } else if (delay == null) {
+        return new Promise(() => {});
+      }
+      return new Promise(resolve => setTimeout(resolve, delay)).then(() => {
+        version = version || '1';
+        vsDB[oid] = {
+          [version]: new ValueSet(oid, version, [new Code('123', 'http://loinc.org')])
+        };
+        return { oid, version };
+      });
+    })
+  };
+  return { api, signals };
+}
+
+describe('Failure policies', () => {
+  let service;
+
+  beforeEach(() => {
+    service = new CodeService();
+  });
+
+  afterEach(() => {
+    sandbox.restore();
+  });
+
+  describe('collect', () => {
+    it('should wait for all downloads before rejecting by default', async () => {
+      service.api = fakeApi(10).api;
+      const errors = await service.ensureValueSetsWithAPIKey(valueSets, 'testkey').should.be
+        .rejected;
+      errors.should.have.length(1);
+      errors[0].should.be.an.instanceof(ValueSetNotFoundError);
+      errors.report.succeeded.should.have.length(2);
+      service.findValueSet(TOBACCO_OID).should.exist;
+      service.findValueSet(OTHER_OID).should.exist;
+    });
+  });
+
+  describe('fail-fast', () => {
+    it('should cancel the remaining downloads and reject with the first failure', async () => {
+      const { api, signals } = fakeApi(null);
+      service.api = api;
+      const errors = await service.ensureValueSetsWithAPIKey(valueSets, 'testkey', {
+        failurePolicy: 'fail-fast'
+      }).should.be.rejected;
+      errors.should.have.length(1);
+      errors[0].oid.should.equal(MISSING_OID);
+      errors.report.succeeded.should.be.empty;
+      errors.report.failed.should.have.length(1);
+      signals.should.have.length(3);
+      signals.every(s => s.aborted).should.be.true;
+      service.inFlight.size.should.equal(0);
+    });
+
+    it('should not cancel downloads shared with other ensure calls', async () => {
+      const { api } = fakeApi(10);
+      service.api = api;
+      const other = service.ensureValueSetsWithAPIKey([valueSets[0]], 'testkey');
+      await service.ensureValueSetsWithAPIKey(valueSets, 'testkey', { failurePolicy: 'fail-fast' })
+        .should.be.rejected;
+      await other;
+      service.findValueSet(TOBACCO_OID).should.exist;
+    });
+  });
+
+  describe('tolerate', () => {
+    it('should resolve with the failures as warnings', async () => {
+      service.api = fakeApi().api;
+      const report = await service.ensureValueSetsWithAPIKey(valueSets, 'testkey', {
+        failurePolicy: 'tolerate'
+      });
+      report.succeeded.should.have.length(2);
+      report.failed.should.have.length(1);
+      report.warnings.should.have.length(1);
+      report.warnings[0].should.equal(report.failed[0].error);
+      report.warnings[0].should.be.an.instanceof(ValueSetNotFoundError);
+    });
+
+    it('should also apply to refreshes', async () => {
+      service.api = fakeApi().api;
+      const report = await service.refreshValueSetsWithAPIKey(valueSets, 'testkey', {
+        failurePolicy: 'tolerate'
+      });
+      report.warnings.should.have.length(1);
+    });
+  });
+
+  it('should reject unknown failure policies', async () => {
+    await service
+      .ensureValueSetsWithAPIKey(valueSets, 'testkey', { failurePolicy: 'ignore' })
+      .should.be.rejectedWith(/Expected failurePolicy to be one of collect, fail-fast, tolerate/);
+  });
+
+  describe('placeholders', () => {
+    it('should register empty value sets for failed downloads', async () => {
+      service.api = fakeApi().api;
+      await service.ensureValueSetsWithAPIKey(
+        [...valueSets, { name: 'Versioned', id: MISSING_OID, version: '2' }],
+        'testkey',
+        { failurePolicy: 'tolerate', placeholders: true }
+      );
+      const placeholder = service.findValueSet(MISSING_OID);
+      placeholder.should.be.an.instanceof(ValueSet);
+      placeholder.codes.should.be.empty;
+      service.isPlaceholder(placeholder).should.be.true;
+      service.findValueSet(MISSING_OID, '2').version.should.equal('2');
+      service.findValueSet(MISSING_OID, '2').codes.should.be.empty;
+      service.isPlaceholder(service.findValueSet(TOBACCO_OID)).should.be.false;
+    });
+
+    it('should register placeholders even when rejecting', async () => {
+      service.api = fakeApi().api;
+      await service.ensureValueSetsWithAPIKey(valueSets, 'testkey', { placeholders: true }).should
+        .be.rejected;
+      service.findValueSet(MISSING_OID).codes.should.be.empty;
+    });
+
+    it('should not replace value sets that are already loaded', async () => {
+      service.api = fakeApi().api;
+      const loaded = new ValueSet(MISSING_OID, '1', [new Code('123', 'http://loinc.org')]);
+      service.valueSets[MISSING_OID] = { 1: loaded };
+      await service.refreshValueSetsWithAPIKey([valueSets[1]], 'testkey', {
+        failurePolicy: 'tolerate',
+        placeholders: true
+      });
+      service.findValueSets(MISSING_OID).should.eql([loaded]);
+    });
+
+    it('should not cache placeholders, and download them again', async () => {
+      const cache = new MemoryCache();
+      sandbox.spy(cache, 'save');
+      service = new CodeService(true, false, undefined, undefined, cache);
+      service.api = fakeApi().api;
+      const options = { failurePolicy: 'tolerate', placeholders: true };
+      await service.ensureValueSetsWithAPIKey(valueSets, 'testkey', options);
+      sandbox.assert.calledTwice(cache.save);
+
+      service.api = {
+        downloadValueSet: sandbox.spy(async (apiKey, oid, version, vsacAccess, vsDB) => {
+          vsDB[oid] = { 3: new ValueSet(oid, '3', [new Code('456', 'http://loinc.org')]) };
+          return { oid, version: '3' };
+        })
+      };
+      const report = await service.ensureValueSetsWithAPIKey(valueSets, 'testkey', options);
+      sandbox.assert.calledOnce(service.api.downloadValueSet);
+      report.succeeded.should.eql([{ oid: MISSING_OID, version: '3' }]);
+      service.findValueSets(MISSING_OID).should.have.length(1);
+      service.findValueSet(MISSING_OID).codes.should.have.length(1);
+    });
+  });
+});
@@ -0,0 +1,132 @@
+const { defaultFetch, resolveFetch } = require('../src/fetch');
+const { OAuth2ClientCredentialsAuth } = require('../src/auth');
+const { CodeService } = require('../src/CodeService');
+const fs = require('fs');
+const path = require('path');
+const nodeFetch = require('node-fetch');
+const chai = require('chai');
+const chaiAsPromised = require('chai-as-promised');
+chai.use(chaiAsPromised);
+chai.should();
+const sandbox = require('sinon').createSandbox();
+
+const TOBACCO_OID = '2.16.840.1.113883.3.600.2390';
+const FHIR_URL = 'https://tx.example.org/fhir/ValueSet/{{oid}}/$expand';
+const PAGES = require('./fixtures/2.16.840.1.113883.3.600.2390-pages.json');
+const SVS_XML = fs.readFileSync(path.join(__dirname, 'fixtures', `${TOBACCO_OID}.xml`), 'utf8');
+const valueSets = [{ name: 'Tobacco', id: TOBACCO_OID }];
+
+describe('Fetch', () => {
+  afterEach(() => {
+    sandbox.restore();
+    delete globalThis.fetch;
+  });
+
+  // A transport serving the fixtures, in place of the network
+  const transport = () =>
+    sandbox.spy(async (url, init = {}) => {
+      const { searchParams, pathname } = new URL(url);
+      if (pathname === '/token') {
+        return new nodeFetch.Response(JSON.stringify({ access_token: 'abc', expires_in: 3600 }), {
+          headers: { 'Content-Type': 'application/json' }
+        });
+      } else if (init.headers.Authorization == null) {
+        return new nodeFetch.Response('', { status: 401 });
+      } else if (pathname.endsWith('$expand')) {
+        const page = PAGES[Number(searchParams.get('offset')) / 10];
+        return new nodeFetch.Response(JSON.stringify(page), {
+          headers: { 'Content-Type': 'application/fhir+json' }
+        });
+      }
+      return new nodeFetch.Response(SVS_XML, { headers: { 'Content-Type': 'text/xml' } });
+    });
+
+  describe('#defaultFetch', () => {
+    it('should use the global fetch where there is one', () => {
+      const fetch = () => {};
+      globalThis.fetch = fetch;
+      defaultFetch().should.equal(fetch);
+    });
+
+    it('should use node-fetch otherwise', () => {
+      defaultFetch().should.equal(nodeFetch);
+    });
+  });
+
+  describe('#resolveFetch', () => {
+    it('should use the configured fetch, or the default one', () => {
+      const fetch = () => {};
+      resolveFetch(fetch).should.equal(fetch);
+      resolveFetch(undefined).should.equal(nodeFetch);
+    });
+
+    it('should reject fetches that are not functions', () => {
+      (() => resolveFetch({})).should.throw(/Expected fetch to be a function, but was object/);
+    });
+  });
+
+  describe('CodeService', () => {
+    it('should fetch every page of a FHIR expansion', async () => {
+      const fetch = transport();
+      const service = new CodeService({ api: 'FHIR', url: FHIR_URL, fetch });
+      await service.ensureValueSetsWithAPIKey(valueSets, 'testkey');
+      service.findValueSet(TOBACCO_OID).codes.should.have.length(26);
+      fetch.callCount.should.equal(3);
+      fetch.args
+        .map(([url]) => new URL(url).searchParams.get('offset'))
+        .should.eql(['0', '10', '20']);
+    });
+
+    it('should fetch SVS value sets', async () => {
+      const fetch = transport();
+      const service = new CodeService({ fetch });
+      await service.ensureValueSetsWithAPIKey(valueSets, 'testkey');
+      service.findValueSet(TOBACCO_OID).codes.should.have.length(26);
+      fetch.calledOnce.should.be.true;
+    });
+
+    it('should fetch value sets from a detected protocol', async () => {
+      const fetch = transport();
+      const service = new CodeService({ api: 'auto', url: 'https://proxy.example.org/vs', fetch });
+      await service.ensureValueSetsWithAPIKey(valueSets, 'testkey');
+      service.findValueSet(TOBACCO_OID).codes.should.have.length(26);
+    });
+
+    it('should fetch auth tokens', async () => {
+      const fetch = transport();
+      const auth = new OAuth2ClientCredentialsAuth({
+        tokenUrl: 'https://auth.example.org/token',
+        clientId: 'client',
+        clientSecret: 'secret'
+      });
+      const service = new CodeService({ api: 'FHIR', url: FHIR_URL, auth, fetch });
+      await service.ensureValueSetsWithAPIKey(valueSets);
+      fetch.firstCall.args[0].should.equal('https://auth.example.org/token');
+      fetch.secondCall.args[1].headers.Authorization.should.equal('Bearer abc');
+    });
+
+    it('should use the global fetch by default', async () => {
+      globalThis.fetch = transport();
+      const service = new CodeService();
+      await service.ensureValueSetsWithAPIKey(valueSets, 'testkey');
+      globalThis.fetch.calledOnce.should.be.true;
+    });
+
+    it('should use the fetch chosen for an ensure call', async () => {
+      const fetch = transport();
+      const service = new CodeService({ fetch: () => Promise.reject(new Error('unused')) });
+      await service.ensureValueSetsWithAPIKey(valueSets, 'testkey', { fetch });
+      fetch.calledOnce.should.be.true;
+    });
+
+    it('should set and validate the fetch', () => {
+      const fetch = transport();
+      const service = new CodeService();
+      service.setFetch(fetch);
+      service.fetch.should.equal(fetch);
+      (() => service.setFetch('fetch')).should.throw(/Expected fetch to be a function/);
+      service.setFetch(null);
+      (service.fetch === null).should.be.true;
+    });
+  });
+});
@@ -1,23 +1,16 @@
 const fhir = require('../src/fhir');
 const { Code, ValueSet } = require('cql-execution');
 const path = require('path');
-const fs = require('fs-extra');
 const nock = require('nock');
 const chai = require('chai');
 const should = chai.should();
-const temp = require('temp');
+const FHIR_URL = 'https://cts.nlm.nih.gov/fhir/ValueSet/{{oid}}/$expand';
 const TOBACCO_VS_DB = fixVSDBFixture(require('./fixtures/2.16.840.1.113883.3.600.2390-vsdb.json'));
 const SYSTOLIC_VS_DB = fixVSDBFixture(
   require('./fixtures/2.16.840.1.113883.3.526.3.1032-vsdb.json')
 );
 
 describe('FHIR', () => {
-  let tmpCache;
-
-  beforeEach(() => {
-    tmpCache = temp.mkdirSync('cql-exec-vsac-test');
-  });
-
   afterEach(function () {
     // Clean up vars, check and clean nock, delete tmp folder
     nock.isDone();
@@ -37,16 +30,11 @@ describe('FHIR', () => {
         'testkey',
         '2.16.840.1.113883.3.600.2390',
         undefined,
-        tmpCache,
-        vsDB,
-        true
+        FHIR_URL,
+        vsDB
       );
-      // Should cache the JSON response
-      const expectedJSONFile = path.join(tmpCache, '2.16.840.1.113883.3.600.2390.json');
-      result.should.equal(expectedJSONFile);
-      const jsonContents = await fs.readJson(expectedJSONFile);
-      jsonContents.should.have.length(1);
-      jsonContents[0].title.should.equal('Current Tobacco Smoker');
+      // Should return the oid and version of the downloaded value set
+      result.should.include({ oid: '2.16.840.1.113883.3.600.2390', version: '20210304' });
       // Should add the results to the VS DB
       vsDB.should.eql(TOBACCO_VS_DB);
     });
@@ -63,16 +51,11 @@ describe('FHIR', () => {
         'testkey',
         '2.16.840.1.113883.3.600.2390',
         '20210304',
-        tmpCache,
-        vsDB,
-        true
+        FHIR_URL,
+        vsDB
       );
-      // Should cache the JSON response
-      const expectedJSONFile = path.join(tmpCache, '2.16.840.1.113883.3.600.2390.json');
-      result.should.equal(expectedJSONFile);
-      const jsonContents = await fs.readJson(expectedJSONFile);
-      jsonContents.should.have.length(1);
-      jsonContents[0].title.should.equal('Current Tobacco Smoker');
+      // Should return the oid and version of the downloaded value set
+      result.should.include({ oid: '2.16.840.1.113883.3.600.2390', version: '20210304' });
       // Should add the results to the VS DB
       vsDB.should.eql(TOBACCO_VS_DB);
     });
@@ -94,18 +77,10 @@ describe('FHIR', () => {
           'testkey',
           '2.16.840.1.113883.3.526.3.1032',
           undefined,
-          tmpCache,
-          vsDB,
-          true
+          FHIR_URL,
+          vsDB
         ),
-        fhir.downloadValueSet(
-          'testkey',
-          '2.16.840.1.113883.3.600.2390',
-          undefined,
-          tmpCache,
-          vsDB,
-          true
-        )
+        fhir.downloadValueSet('testkey', '2.16.840.1.113883.3.600.2390', undefined, FHIR_URL, vsDB)
       ]);
       // Should add the results to the VS DB
       Object.keys(vsDB).should.have.length(2);
@@ -118,9 +93,7 @@ describe('FHIR', () => {
     });
 
     it('should download large value sets in pages', async () => {
-      const pages = fs.readJsonSync(
-        path.join(__dirname, 'fixtures', '2.16.840.1.113883.3.600.2390-pages.json')
-      );
+      const pages = require('./fixtures/2.16.840.1.113883.3.600.2390-pages.json');
       nock('https://cts.nlm.nih.gov')
         // Page 1
         .get('/fhir/ValueSet/2.16.840.1.113883.3.600.2390/$expand')
@@ -152,16 +125,11 @@ describe('FHIR', () => {
         'testkey',
         '2.16.840.1.113883.3.600.2390',
         '20210304',
-        tmpCache,
-        vsDB,
-        true
+        FHIR_URL,
+        vsDB
       );
-      // Should cache the JSON response
-      const expectedJSONFile = path.join(tmpCache, '2.16.840.1.113883.3.600.2390.json');
-      result.should.equal(expectedJSONFile);
-      const jsonContents = await fs.readJson(expectedJSONFile);
-      jsonContents.should.have.length(3);
-      jsonContents[0].title.should.equal('Current Tobacco Smoker');
+      // Should return the oid and version of the downloaded value set
+      result.should.include({ oid: '2.16.840.1.113883.3.600.2390', version: '20210304' });
       // Should add the results to the VS DB
       vsDB.should.eql(TOBACCO_VS_DB);
     });
@@ -175,18 +143,10 @@ describe('FHIR', () => {
 
       const vsDB = {};
       try {
-        await fhir.downloadValueSet(
-          'testkey',
-          '1.2.3.4.5.6.7.8.9.10',
-          '20170320',
-          tmpCache,
-          vsDB,
-          true
-        );
+        await fhir.downloadValueSet('testkey', '1.2.3.4.5.6.7.8.9.10', '20170320', FHIR_URL, vsDB);
         should.fail(0, 1, 'This code should never be executed');
       } catch (error) {
         vsDB.should.be.empty;
-        fs.existsSync(path.join(tmpCache, '1.2.3.4.5.6.7.8.9.10.xml')).should.be.false;
         error.should.be.an('error');
         error.message.should.equal('404');
       }
@@ -0,0 +1,210 @@
+const { FileSystemCache } = require('../src/fs-cache');
+const { CodeService } = require('../src/CodeService');
+const { Code, ValueSet } = require('cql-execution');
+const { execFile } = require('child_process');
+const fs = require('fs');
+const path = require('path');
+const chai = require('chai');
+const chaiAsPromised = require('chai-as-promised');
+chai.use(chaiAsPromised);
+const should = chai.should();
+const sandbox = require('sinon').createSandbox();
+const temp = require('temp');
+const VS_DB = require('./fixtures/valueset-db.json');
+const TOBACCO_VS_DB = require('./fixtures/2.16.840.1.113883.3.600.2390-vsdb.json');
+
+// Automatically track and cleanup files at exit
+temp.track();
+
+const HDL_OID = '2.16.840.1.113883.3.464.1003.104.12.1013';
+const TOBACCO_OID = '2.16.840.1.113883.3.600.2390';
+
+describe('FileSystemCache', () => {
+  let tmpCache, cache;
+
+  beforeEach(() => {
+    tmpCache = temp.mkdirSync('cql-exec-vsac-test');
+    cache = new FileSystemCache(tmpCache);
+  });
+
+  afterEach(() => {
+    sandbox.restore();
+  });
+
+  it('should require a cache directory', () => {
+    should.throw(() => new FileSystemCache(), /cache directory/);
+  });
+
+  it('should load an empty database when there is no file', async () => {
+    (await cache.load()).should.be.empty;
+  });
+
+  it('should load the legacy valueset-db.json layout', async () => {
+    cache = new FileSystemCache(path.join(__dirname, 'fixtures'));
+    (await cache.load()).should.eql(VS_DB);
+  });
+
+  it('should write value sets in the legacy valueset-db.json layout', async () => {
+    const vs = TOBACCO_VS_DB[TOBACCO_OID]['20210304'];
+    await cache.save(
+      new ValueSet(
+        vs.oid,
+        vs.version,
+        vs.codes.map(c => new Code(c.code, c.system, c.version))
+      )
+    );
+    const written = JSON.parse(fs.readFileSync(path.join(tmpCache, 'valueset-db.json'), 'utf8'));
+    written.should.eql(TOBACCO_VS_DB);
+  });
+
+  it('should create the cache directory if needed', async () => {
+    const nested = path.join(tmpCache, 'a', 'b');
+    cache = new FileSystemCache(nested);
+    await cache.save(new ValueSet(HDL_OID, '20170320', []));
+    fs.existsSync(path.join(nested, 'valueset-db.json')).should.be.true;
+  });
+
+  it('should clear the database', async () => {
+    await cache.save(new ValueSet(HDL_OID, '20170320', []));
+    await cache.clear();
+    (await cache.load()).should.be.empty;
+  });
+
+  it('should not leave temporary or lock files behind', async () => {
+    await cache.save(new ValueSet(HDL_OID, '20170320', []));
+    fs.readdirSync(tmpCache).should.eql(['valueset-db.json']);
+  });
+
+  it('should not lose value sets saved concurrently by different instances', async () => {
+    const other = new FileSystemCache(tmpCache);
+    const saves = [];
+    for (let i = 0; i < 20; i++) {
+      saves.push((i % 2 ? cache : other).save(new ValueSet(`1.2.3.${i}`, '1', [])));
+    }
+    await Promise.all(saves);
+    Object.keys(await cache.load()).should.have.length(20);
+  });
+
+  it('should merge value sets saved concurrently into one write', async () => {
+    const codes = [];
+    for (let i = 0; i < 3000; i++) {
+      codes.push(new Code(`${i}`, 'http://snomed.info/sct'));
+    }
+    const write = sandbox.spy(cache, 'write');
+    const saves = [];
+    for (let i = 0; i < 60; i++) {
+      saves.push(cache.save(new ValueSet(`1.2.3.${i}`, '1', codes)));
+    }
+    await Promise.all(saves);
+    sandbox.assert.calledOnce(write);
+    const vsDB = await cache.load();
+    Object.keys(vsDB).should.have.length(60);
+    vsDB['1.2.3.59']['1'].codes.should.have.length(3000);
+  });
+
+  it('should not lose value sets saved concurrently by different processes', async () => {
+    const script = `
+      const { FileSystemCache } = require(${JSON.stringify(require.resolve('../src/fs-cache'))});
+      const { ValueSet } = require('cql-execution');
+      const cache = new FileSystemCache(process.argv[1]);
+      const prefix = process.argv[2];
+      Promise.all([0, 1, 2, 3, 4].map(i => cache.save(new ValueSet(prefix + i, '1', []))))
+        .catch(err => { console.error(err); process.exit(1); });
+    `;
+    const run = prefix =>
+      new Promise((resolve, reject) => {
+        execFile(
+          process.execPath,
+          ['-e', script, tmpCache, prefix],
+          { cwd: path.join(__dirname, '..') },
+          err => (err ? reject(err) : resolve())
+        );
+      });
+    await Promise.all([run('1.1.'), run('2.2.')]);
+    Object.keys(await cache.load()).should.have.length(10);
+  });
+
+  it('should wait for a held lock and then write', async () => {
+    fs.writeFileSync(path.join(tmpCache, 'valueset-db.json.lock'), '');
+    const saving = cache.save(new ValueSet(HDL_OID, '20170320', []));
+    setTimeout(() => fs.unlinkSync(path.join(tmpCache, 'valueset-db.json.lock')), 50);
+    await saving;
+    (await cache.load()).should.have.property(HDL_OID);
+  });
+
+  it('should time out if the lock is never released', async () => {
+    fs.writeFileSync(path.join(tmpCache, 'valueset-db.json.lock'), '');
+    cache = new FileSystemCache(tmpCache, { lockTimeout: 50 });
+    await cache
+      .save(new ValueSet(HDL_OID, '20170320', []))
+      .should.be.rejectedWith(/Timed out waiting for value set cache lock/);
+  });
+
+  it('should break stale locks', async () => {
+    const lockFile = path.join(tmpCache, 'valueset-db.json.lock');
+    fs.writeFileSync(lockFile, '');
+    const old = new Date(Date.now() - 60000);
+    fs.utimesSync(lockFile, old, old);
+    await cache.save(new ValueSet(HDL_OID, '20170320', []));
+    (await cache.load()).should.have.property(HDL_OID);
+  });
+
+  it('should not remove a lock taken by another process', async () => {
+    const lockFile = path.join(tmpCache, 'valueset-db.json.lock');
+    // As if this cache's lock were broken as stale, and then taken by another process
+    await cache.withLock(async () => fs.writeFileSync(lockFile, 'other'));
+    fs.readFileSync(lockFile, 'utf8').should.equal('other');
+  });
+
+  it('should not break a lock that was replaced after it was found stale', async () => {
+    const lockFile = path.join(tmpCache, 'valueset-db.json.lock');
+    fs.writeFileSync(lockFile, 'crashed');
+    const old = new Date(Date.now() - 60000);
+    fs.utimesSync(lockFile, old, old);
+    const rename = fs.promises.rename;
+    sandbox.stub(fs.promises, 'rename').callsFake(async (from, to) => {
+      // Another process breaks the stale lock and takes its own first
+      if (from === lockFile && fs.readFileSync(lockFile, 'utf8') === 'crashed') {
+        fs.writeFileSync(lockFile, 'other');
+      }
+      return rename(from, to);
+    });
+    cache = new FileSystemCache(tmpCache, { lockTimeout: 50 });
+    await cache
+      .save(new ValueSet(HDL_OID, '20170320', []))
+      .should.be.rejectedWith(/Timed out waiting for value set cache lock/);
+    fs.readFileSync(lockFile, 'utf8').should.equal('other');
+    fs.readdirSync(tmpCache).should.eql(['valueset-db.json.lock']);
+  });
+
+  describe('with CodeService', () => {
+    it('should hydrate a CodeService from an existing valueset-db.json', async () => {
+      const service = new CodeService(
+        true,
+        false,
+        undefined,
+        undefined,
+        new FileSystemCache(path.join(__dirname, 'fixtures'))
+      );
+      await service.cacheLoaded;
+      service.findValueSets(HDL_OID).should.have.length(2);
+      service.findValueSet(HDL_OID, '20170320').should.be.an.instanceof(ValueSet);
+    });
+
+    it('should write downloaded value sets to valueset-db.json', async () => {
+      const service = new CodeService(true, false, undefined, undefined, cache);
+      service.api = {
+        downloadValueSet: sandbox.stub().callsFake(async (apiKey, oid, version, access, vsDB) => {
+          vsDB[TOBACCO_OID] = { 20210304: new ValueSet(TOBACCO_OID, '20210304', []) };
+        })
+      };
+      await service.ensureValueSetsWithAPIKey([{ name: 'Tobacco', id: TOBACCO_OID }], 'testkey');
+      const written = JSON.parse(fs.readFileSync(path.join(tmpCache, 'valueset-db.json'), 'utf8'));
+      const entry = written[TOBACCO_OID]['20210304'];
+      entry.should.include({ oid: TOBACCO_OID, version: '20210304' });
+      entry.codes.should.eql([]);
+      // The download time is stored alongside the legacy properties
+      entry.fetchedAt.should.be.a('number');
+    });
+  });
+});
@@ -0,0 +1,175 @@
+const { RequestLimiter } = require('../src/limiter');
+const { CodeService } = require('../src/CodeService');
+const { TerminologyRouter } = require('../src/router');
+const nock = require('nock');
+const chai = require('chai');
+const chaiAsPromised = require('chai-as-promised');
+chai.use(chaiAsPromised);
+const should = chai.should();
+const sandbox = require('sinon').createSandbox();
+
+const FHIR_URL = 'https://tx.example.org/fhir/ValueSet/{{oid}}/$expand';
+
+const delay = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Returns a vsacAccess function serving single-code pages of value sets with the given number of
+ * codes, recording the highest number of requests in progress at once.
+ */
+function pagedAccess(codesPerValueSet, ms = 5, stats = { calls: 0, active: 0, maxActive: 0 }) {
+  const access = async (oid, version, offset) => {
+    stats.calls++;
+    stats.active++;
+    stats.maxActive = Math.max(stats.maxActive, stats.active);
+    await delay(ms);
+    stats.active--;
+    return {
+      resourceType: 'ValueSet',
+      id: oid,
+      version: '1',
+      expansion: {
+        total: codesPerValueSet,
+        offset,
+        contains: [{ system: 'http://snomed.info/sct', code: `${offset}` }]
+      }
+    };
+  };
+  return { access, stats };
+}
+
+describe('RequestLimiter', () => {
+  afterEach(() => {
+    nock.cleanAll();
+    sandbox.restore();
+  });
+
+  describe('#constructor', () => {
+    it('should reject invalid limits', () => {
+      should.throw(() => new RequestLimiter({ concurrency: 0 }), /concurrency/);
+      should.throw(() => new RequestLimiter({ requestsPerSecond: '5' }), /requestsPerSecond/);
+    });
+  });
+
+  describe('#schedule', () => {
+    it('should limit the number of tasks in progress', async () => {
+      const limiter = new RequestLimiter({ concurrency: 2 });
+      let active = 0;
+      let maxActive = 0;
+      const task = async i => {
+        active++;
+        maxActive = Math.max(maxActive, active);
+        await delay(5);
+        active--;
+        return i;
+      };
+      const results = await Promise.all([1, 2, 3, 4, 5].map(i => limiter.schedule(() => task(i))));
+      results.should.eql([1, 2, 3, 4, 5]);
+      maxActive.should.equal(2);
+    });
+
+    it('should limit the rate at which tasks start', async () => {
+      const limiter = new RequestLimiter({ requestsPerSecond: 50 });
+      const starts = [];
+      await Promise.all([1, 2, 3, 4].map(() => limiter.schedule(() => starts.push(Date.now()))));
+      // 4 starts, 20ms apart (allowing for timer imprecision)
+      (starts[3] - starts[0]).should.be.at.least(55);
+    });
+
+    it('should pass on rejections and keep going', async () => {
+      const limiter = new RequestLimiter({ concurrency: 1 });
+      const failed = limiter.schedule(() => Promise.reject(new Error('boom')));
+      const succeeded = limiter.schedule(() => 'ok');
+      await failed.should.be.rejectedWith('boom');
+      (await succeeded).should.equal('ok');
+      limiter.active.should.equal(0);
+    });
+
+    it('should pass on synchronous errors', async () => {
+      const limiter = new RequestLimiter();
+      await limiter
+        .schedule(() => {
+          throw new Error('boom');
+        })
+        .should.be.rejectedWith('boom');
+    });
+  });
+
+  describe('with CodeService', () => {
+    const valueSets = n =>
+      Array.from({ length: n }, (_, i) => ({ name: `VS ${i}`, id: `2.16.840.1.${i}` }));
+
+    it('should limit concurrency across value sets and pages', async () => {
+      const { access, stats } = pagedAccess(3);
+      const service = new CodeService(false, true, undefined, access);
+      service.setRequestLimits({ concurrency: 3 });
+      await service.ensureValueSetsWithAPIKey(valueSets(10), 'testkey');
+      stats.calls.should.equal(30);
+      stats.maxActive.should.equal(3);
+      service.findValueSet('2.16.840.1.9').codes.should.have.length(3);
+    });
+
+    it('should limit 10 requests at once by default', async () => {
+      const { access, stats } = pagedAccess(1);
+      const service = new CodeService(false, true, undefined, access);
+      await service.ensureValueSetsWithAPIKey(valueSets(25), 'testkey');
+      stats.maxActive.should.equal(10);
+    });
+
+    it('should throttle requests across ensure calls', async () => {
+      const { access, stats } = pagedAccess(2, 0);
+      const service = new CodeService(false, true, undefined, access);
+      service.setRequestLimits({ requestsPerSecond: 100 });
+      const start = Date.now();
+      await Promise.all([
+        service.ensureValueSetsWithAPIKey(valueSets(2), 'testkey'),
+        service.ensureValueSetsWithAPIKey([{ name: 'Other', id: '1.2.3' }], 'testkey')
+      ]);
+      stats.calls.should.equal(6);
+      // 6 starts, 10ms apart (allowing for timer imprecision)
+      (Date.now() - start).should.be.at.least(45);
+    });
+
+    it('should schedule each attempt of a request', async () => {
+      sandbox.stub(console, 'log');
+      const service = new CodeService(false, true, undefined, FHIR_URL);
+      service.setRetryPolicy({ minDelay: 1 });
+      const schedule = sandbox.spy(service.limiter, 'schedule');
+      nock('https://tx.example.org')
+        .get('/fhir/ValueSet/1.2.3/$expand')
+        .query({ offset: 0 })
+        .reply(503)
+        .get('/fhir/ValueSet/1.2.3/$expand')
+        .query({ offset: 0 })
+        .reply(200, {
+          resourceType: 'ValueSet',
+          id: '1.2.3',
+          version: '1',
+          expansion: { total: 1, offset: 0, contains: [{ system: 'x', code: 'y' }] }
+        });
+      await service.ensureValueSetsWithAPIKey([{ name: 'VS', id: '1.2.3' }], 'testkey');
+      sandbox.assert.calledTwice(schedule);
+    });
+
+    it('should share the limiter with every source of a router', async () => {
+      const stats = { calls: 0, active: 0, maxActive: 0 };
+      const a = pagedAccess(1, 5, stats);
+      const b = pagedAccess(1, 5, stats);
+      const service = new CodeService();
+      service.setRouter(
+        new TerminologyRouter({
+          sources: [
+            { name: 'a', api: 'FHIR', vsacAccess: a.access },
+            { name: 'b', api: 'FHIR', vsacAccess: b.access }
+          ],
+          rules: [{ match: '2.16.840.1.1*', sources: ['b'] }]
+        })
+      );
+      service.setRequestLimits({ concurrency: 2 });
+      await service.ensureValueSetsWithAPIKey(valueSets(20), 'testkey');
+      service.getValueSetSource('2.16.840.1.0').should.equal('a');
+      service.getValueSetSource('2.16.840.1.10').should.equal('b');
+      stats.calls.should.equal(20);
+      stats.maxActive.should.equal(2);
+    });
+  });
+});
@@ -0,0 +1,196 @@
+const { CodeService } = require('../src/CodeService');
+const { TerminologyRouter } = require('../src/router');
+const { BearerTokenAuth } = require('../src/auth');
+const { Logger } = require('../src/logger');
+const { auto } = require('../src/protocol');
+const fhir = require('../src/fhir');
+const svs = require('../src/svs');
+const path = require('path');
+const nock = require('nock');
+const nodeFetch = require('node-fetch');
+const chai = require('chai');
+const chaiAsPromised = require('chai-as-promised');
+chai.use(chaiAsPromised);
+chai.should();
+const sandbox = require('sinon').createSandbox();
+
+const TOBACCO_OID = '2.16.840.1.113883.3.600.2390';
+const SVS_FIXTURE = path.join(__dirname, 'fixtures', `${TOBACCO_OID}.xml`);
+const valueSets = [{ name: 'Tobacco', id: TOBACCO_OID }];
+
+describe('CodeService options', () => {
+  afterEach(() => {
+    nock.cleanAll();
+    sandbox.restore();
+  });
+
+  const vsacSVS = () =>
+    nock('https://vsac.nlm.nih.gov')
+      .get('/vsac/svs/RetrieveValueSet')
+      .query({ id: TOBACCO_OID })
+      .basicAuth({ user: 'apikey', pass: 'testkey' })
+      .replyWithFile(200, SVS_FIXTURE);
+
+  describe('#constructor', () => {
+    it('should default to the VSAC SVS api', () => {
+      const service = new CodeService({});
+      service.api.should.equal(svs);
+      service.vsacAccess.should.equal('https://vsac.nlm.nih.gov/vsac/svs/RetrieveValueSet');
+      service.vsacUrls.FHIR.should.equal('https://cts.nlm.nih.gov/fhir/ValueSet/{{oid}}/$expand');
+      (service.cache === null).should.be.true;
+      service.cachePolicy.should.eql({ ttl: Infinity, revalidate: 'blocking' });
+    });
+
+    it('should use the api and urls', () => {
+      const service = new CodeService({
+        api: 'FHIR',
+        urls: { fhir: 'https://tx.example.org/fhir/ValueSet/{{oid}}/$expand' }
+      });
+      service.api.should.equal(fhir);
+      service.vsacAccess.should.equal('https://tx.example.org/fhir/ValueSet/{{oid}}/$expand');
+      service.vsacUrls.SVS.should.equal('https://vsac.nlm.nih.gov/vsac/svs/RetrieveValueSet');
+    });
+
+    it('should use the url for the chosen api', () => {
+      const service = new CodeService({ api: 'auto', url: 'https://proxy.example.org/valuesets' });
+      service.api.should.equal(auto);
+      service.vsacAccess.should.equal('https://proxy.example.org/valuesets');
+    });
+
+    it('should use a router api', () => {
+      const router = new TerminologyRouter({ sources: [{ api: 'FHIR', vsacAccess: 'x' }] });
+      new CodeService({ api: router }).api.should.equal(router);
+    });
+
+    it('should use the auth, logger and request options', () => {
+      const logger = new Logger(null);
+      const service = new CodeService({
+        auth: new BearerTokenAuth('token'),
+        logger,
+        concurrency: 2,
+        requestsPerSecond: 5,
+        retry: { retries: 1 },
+        cachePolicy: { ttl: 1000 }
+      });
+      service.auth.should.be.instanceOf(BearerTokenAuth);
+      service.logger.should.equal(logger);
+      service.limiter.concurrency.should.equal(2);
+      service.limiter.interval.should.equal(200);
+      service.retryPolicy.retries.should.equal(1);
+      service.cachePolicy.ttl.should.equal(1000);
+    });
+
+    it('should download using the auth option', async () => {
+      const service = new CodeService({ auth: 'testkey' });
+      vsacSVS();
+      await service.ensureValueSetsWithAPIKey(valueSets);
+      service.findValueSet(TOBACCO_OID).codes.should.have.length(26);
+    });
+
+    it('should use the log level for a sink', () => {
+      const entries = [];
+      const service = new CodeService({ logger: entry => entries.push(entry), logLevel: 'warn' });
+      service.logger.level.should.equal('warn');
+    });
+
+    it('should reject unknown options', () => {
+      (() => new CodeService({ useFHIR: true, apiKey: 'testkey' })).should.throw(
+        /Unknown CodeService option\(s\): useFHIR, apiKey\. Expected one of api, urls, url/
+      );
+    });
+
+    it('should reject conflicting options', () => {
+      (() => new CodeService({ url: 'https://a.example.org', urls: { svs: 'x' } })).should.throw(
+        /url and urls options conflict/
+      );
+      const router = new TerminologyRouter({ sources: [{ api: 'FHIR', vsacAccess: 'x' }] });
+      (() => new CodeService({ api: router, url: 'https://a.example.org' })).should.throw(
+        /conflict with a router api/
+      );
+      (() => new CodeService({ logger: new Logger(), logLevel: 'warn' })).should.throw(
+        /logLevel option conflicts with a Logger/
+      );
+      (() => new CodeService({ api: 'auto' })).should.throw(/api 'auto' requires the url option/);
+    });
+
+    it('should reject invalid options', () => {
+      (() => new CodeService({ api: 'CTS2' })).should.throw(/Expected api to be/);
+      (() => new CodeService({ urls: { cts2: 'x' } })).should.throw(/fhir and\/or svs URLs/);
+      (() => new CodeService({ url: 42 })).should.throw(/url option to be a string or function/);
+      (() => new CodeService({ fetch: 'fetch' })).should.throw(/Expected fetch to be a function/);
+      (() => new CodeService({ concurrency: 0 })).should.throw();
+      (() => new CodeService({ logLevel: 'loud' })).should.throw(/Expected log level/);
+      (() => new CodeService({ cachePolicy: { revalidate: 'never' } })).should.throw(
+        /cachePolicy.revalidate/
+      );
+      (() => new CodeService({ codeSystemMapping: { '1.2.3': 42 } })).should.throw(
+        /codeSystemMapping\['1.2.3'\]/
+      );
+      (() => new CodeService({}, { api: 'FHIR' })).should.throw(/single CodeService options/);
+    });
+  });
+
+  describe('positional arguments', () => {
+    it('should still be supported', () => {
+      const service = new CodeService(
+        false,
+        true,
+        'https://svs.example.org',
+        'https://fhir.example.org',
+        null,
+        { ttl: 1000 }
+      );
+      service.api.should.equal(fhir);
+      service.vsacAccess.should.equal('https://fhir.example.org');
+      service.vsacUrls.SVS.should.equal('https://svs.example.org');
+      service.cachePolicy.ttl.should.equal(1000);
+    });
+
+    it('should use the default urls if useDefaultUrl is true', () => {
+      const service = new CodeService(true, false, 'https://svs.example.org');
+      service.vsacAccess.should.equal('https://vsac.nlm.nih.gov/vsac/svs/RetrieveValueSet');
+    });
+
+    it('should log a deprecation warning', () => {
+      const warn = sandbox.stub(Logger.prototype, 'warn');
+      new CodeService(true, false);
+      warn.calledOnce.should.be.true;
+      warn.firstCall.args[0].should.match(/Positional CodeService arguments are deprecated/);
+      new CodeService({});
+      warn.calledOnce.should.be.true;
+    });
+  });
+
+  describe('codeSystemMapping', () => {
+    it('should map additional SVS code systems', async () => {
+      const service = new CodeService({
+        codeSystemMapping: { '2.16.840.1.113883.6.96': 'http://example.org/sct' }
+      });
+      vsacSVS();
+      await service.ensureValueSetsWithAPIKey(valueSets, 'testkey');
+      service.findValueSet(TOBACCO_OID).codes[0].system.should.equal('http://example.org/sct');
+    });
+
+    it('should accept objects with a uri', () => {
+      const service = new CodeService({
+        codeSystemMapping: { '1.2.3': { name: 'Example', uri: 'http://example.org/cs' } }
+      });
+      service.codeSystemMapping.should.eql({ '1.2.3': { uri: 'http://example.org/cs' } });
+    });
+  });
+
+  describe('fetch', () => {
+    it('should be used for requests', async () => {
+      const fetch = sandbox.spy(nodeFetch);
+      const service = new CodeService({ fetch });
+      vsacSVS();
+      await service.ensureValueSetsWithAPIKey(valueSets, 'testkey');
+      fetch.calledOnce.should.be.true;
+      fetch.firstCall.args[0].should.match(
+        /RetrieveValueSet\?id=2\.16\.840\.1\.113883\.3\.600\.2390/
+      );
+      fetch.firstCall.args[1].should.not.have.property('fetch');
+      service.findValueSet(TOBACCO_OID).codes.should.have.length(26);
+    });
+  });
+});
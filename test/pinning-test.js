@@ -0,0 +1,205 @@
+const { CodeService } = require('../src/CodeService');
+const { MemoryCache } = require('../src/cache');
+const { parseSVSXML } = require('../src/svs-xml');
+const { Code, ValueSet } = require('cql-execution');
+const fs = require('fs');
+const path = require('path');
+const nock = require('nock');
+const chai = require('chai');
+const chaiAsPromised = require('chai-as-promised');
+chai.use(chaiAsPromised);
+chai.should();
+const sandbox = require('sinon').createSandbox();
+
+const TOBACCO_OID = '2.16.840.1.113883.3.600.2390';
+const PAGES = require('./fixtures/2.16.840.1.113883.3.600.2390-pages.json');
+const SVS_XML = fs.readFileSync(path.join(__dirname, 'fixtures', `${TOBACCO_OID}.xml`), 'utf8');
+// The same value set, as RetrieveMultipleValueSets describes it
+const MULTIPLE_SVS_XML = SVS_XML.replace(
+  /RetrieveValueSetResponse/g,
+  'RetrieveMultipleValueSetsResponse'
+).replace(/ns0:ValueSet\b/g, 'ns0:DescribedValueSet');
+const RELEASE = 'eCQM Update 2021-05-06';
+const MANIFEST = 'http://cts.nlm.nih.gov/fhir/Library/ecqm-update-2021-05-06';
+const SNOMED = 'http://snomed.info/sct';
+const valueSets = [{ name: 'Tobacco', id: TOBACCO_OID }];
+
+describe('Pinning', () => {
+  beforeEach(() => {
+    sandbox.stub(console, 'log');
+  });
+
+  afterEach(() => {
+    nock.cleanAll();
+    sandbox.restore();
+  });
+
+  const expand = () => nock('https://cts.nlm.nih.gov').get(`/fhir/ValueSet/${TOBACCO_OID}/$expand`);
+  const expandAllPages = query =>
+    [0, 10, 20].forEach((offset, i) =>
+      expand().query(Object.assign({ offset }, query)).reply(200, PAGES[i])
+    );
+
+  describe('SVS', () => {
+    it('should request value sets from the pinned release', async () => {
+      nock('https://vsac.nlm.nih.gov')
+        .get('/vsac/svs/RetrieveMultipleValueSets')
+        .query({ id: TOBACCO_OID, release: RELEASE })
+        .reply(200, MULTIPLE_SVS_XML);
+      const service = new CodeService({ pinning: { release: RELEASE } });
+      await service.ensureValueSetsWithAPIKey(valueSets, 'testkey');
+      service.findValueSet(TOBACCO_OID, '20210304').codes.should.have.length(26);
+      nock.isDone().should.be.true;
+    });
+
+    it('should request value sets with a version by their version', async () => {
+      nock('https://vsac.nlm.nih.gov')
+        .get('/vsac/svs/RetrieveValueSet')
+        .query({ id: TOBACCO_OID, version: '20210304' })
+        .reply(200, SVS_XML);
+      const service = new CodeService({ pinning: { release: RELEASE } });
+      await service.ensureValueSetsWithAPIKey(
+        [{ name: 'Tobacco', id: TOBACCO_OID, version: '20210304' }],
+        'testkey'
+      );
+      nock.isDone().should.be.true;
+    });
+
+    it('should not use value sets cached from another release', async () => {
+      const previous = 'eCQM Update 2020-05-07';
+      const retrieve = release =>
+        nock('https://vsac.nlm.nih.gov')
+          .get('/vsac/svs/RetrieveMultipleValueSets')
+          .query({ id: TOBACCO_OID, release });
+      retrieve(RELEASE).reply(200, MULTIPLE_SVS_XML);
+      retrieve(previous).reply(200, MULTIPLE_SVS_XML.replace('20210304', '20200422'));
+      const cache = new MemoryCache();
+      const current = new CodeService({ cache, pinning: { release: RELEASE } });
+      await current.ensureValueSetsWithAPIKey(valueSets, 'testkey');
+      cache.entries[TOBACCO_OID]['20210304'].release.should.equal(RELEASE);
+
+      const historical = new CodeService({ cache, pinning: { release: previous } });
+      await historical.cacheLoaded;
+      (historical.findValueSet(TOBACCO_OID) === undefined).should.be.true;
+      const report = await historical.ensureValueSetsWithAPIKey(valueSets, 'testkey');
+      report.succeeded.should.eql([{ oid: TOBACCO_OID, version: '20200422' }]);
+      historical.findValueSet(TOBACCO_OID).version.should.equal('20200422');
+      nock.isDone().should.be.true;
+
+      // Each release finds its own value sets in the shared cache
+      const again = new CodeService({ cache, pinning: { release: RELEASE } });
+      (await again.ensureValueSetsWithAPIKey(valueSets, 'testkey')).cached.should.eql([
+        { oid: TOBACCO_OID, version: '20210304' }
+      ]);
+      again.getValueSetMeta(TOBACCO_OID).release.should.equal(RELEASE);
+    });
+
+    it('should parse RetrieveMultipleValueSets responses', () => {
+      parseSVSXML(MULTIPLE_SVS_XML).should.eql(parseSVSXML(SVS_XML));
+      (() =>
+        parseSVSXML(
+          '<RetrieveMultipleValueSetsResponse></RetrieveMultipleValueSetsResponse>'
+        )).should.throw('Expected a ValueSet element');
+    });
+  });
+
+  describe('FHIR', () => {
+    it('should expand value sets with the pinned manifest and code system versions', async () => {
+      const systemVersion = [`${SNOMED}|2021-03`, 'http://loinc.org|2.70'];
+      expandAllPages({ manifest: MANIFEST, 'system-version': systemVersion });
+      const service = new CodeService({
+        api: 'FHIR',
+        pinning: {
+          manifest: MANIFEST,
+          systemVersions: { [SNOMED]: '2021-03', 'http://loinc.org': '2.70' }
+        }
+      });
+      await service.ensureValueSetsWithAPIKey(valueSets, 'testkey');
+      nock.isDone().should.be.true;
+    });
+
+    it('should not send the manifest for value sets with a version', async () => {
+      expandAllPages({ valueSetVersion: '20210304', 'system-version': `${SNOMED}|2021-03` });
+      const service = new CodeService({
+        api: 'FHIR',
+        pinning: { manifest: MANIFEST, systemVersions: { [SNOMED]: '2021-03' } }
+      });
+      await service.ensureValueSetsWithAPIKey(
+        [{ name: 'Tobacco', id: TOBACCO_OID, version: '20210304' }],
+        'testkey'
+      );
+      nock.isDone().should.be.true;
+    });
+  });
+
+  describe('versions', () => {
+    it('should download unversioned library references at the pinned version', async () => {
+      expandAllPages({ valueSetVersion: '20210304' });
+      const service = new CodeService({
+        api: 'FHIR',
+        pinning: { versions: { [`urn:oid:${TOBACCO_OID}`]: '20210304' } }
+      });
+      const library = { valueSets: { Tobacco: { name: 'Tobacco', id: `urn:oid:${TOBACCO_OID}` } } };
+      const report = await service.ensureValueSetsInLibraryWithAPIKey(library, true, 'testkey');
+      report.succeeded.should.eql([{ oid: TOBACCO_OID, version: '20210304' }]);
+      nock.isDone().should.be.true;
+    });
+
+    it('should look up unversioned references at the pinned version', async () => {
+      const service = new CodeService({ pinning: { versions: { [TOBACCO_OID]: '1' } } });
+      await service.storeValueSets({
+        [TOBACCO_OID]: {
+          1: new ValueSet(TOBACCO_OID, '1', [new Code('123', SNOMED)]),
+          2: new ValueSet(TOBACCO_OID, '2', [new Code('456', SNOMED)])
+        }
+      });
+      service.findValueSet(TOBACCO_OID).version.should.equal('1');
+      service.findValueSetsByOid(TOBACCO_OID).should.have.length(1);
+      service.findValueSet(TOBACCO_OID, '2').version.should.equal('2');
+      service.isCodeInValueSet(TOBACCO_OID, undefined, '456').should.be.false;
+      service.setPinning(null);
+      service.findValueSet(TOBACCO_OID).version.should.equal('2');
+    });
+
+    it('should not download pinned versions that are already loaded', async () => {
+      const service = new CodeService({
+        cachePolicy: { ttl: 0 },
+        pinning: { versions: { [TOBACCO_OID]: '1' } }
+      });
+      await service.storeValueSets({
+        [TOBACCO_OID]: { 1: new ValueSet(TOBACCO_OID, '1', []) }
+      });
+      service.isStale(TOBACCO_OID).should.be.false;
+      const report = await service.ensureValueSetsWithAPIKey(valueSets, 'testkey');
+      report.cached.should.eql([{ oid: TOBACCO_OID, version: '1' }]);
+    });
+
+    it('should validate codes against the pinned version', async () => {
+      nock('https://cts.nlm.nih.gov')
+        .get(`/fhir/ValueSet/${TOBACCO_OID}/$validate-code`)
+        .query({ code: '123', system: SNOMED, valueSetVersion: '1' })
+        .reply(200, {
+          resourceType: 'Parameters',
+          parameter: [{ name: 'result', valueBoolean: true }]
+        });
+      const service = new CodeService({ pinning: { versions: { [TOBACCO_OID]: '1' } } });
+      (await service.validateCode(TOBACCO_OID, { code: '123', system: SNOMED }, 'testkey')).result
+        .should.be.true;
+    });
+  });
+
+  it('should reject invalid pinning configurations', () => {
+    (() => new CodeService({ pinning: 'eCQM Update 2021-05-06' })).should.throw(
+      'Expected the pinning configuration to be an object, but was string'
+    );
+    (() => new CodeService({ pinning: { profile: 'Latest eCQM' } })).should.throw(
+      /Unknown pinning option\(s\): profile/
+    );
+    (() => new CodeService({ pinning: { release: 2021 } })).should.throw(
+      'Expected the pinned release to be a string, but was number'
+    );
+    (() => new CodeService({ pinning: { versions: '20210304' } })).should.throw(
+      'Expected the pinned versions to be an object, but was string'
+    );
+  });
+});
@@ -0,0 +1,205 @@
+const { detectProtocol, toApi, auto } = require('../src/protocol');
+const { CodeService } = require('../src/CodeService');
+const { TerminologyRouter } = require('../src/router');
+const fhir = require('../src/fhir');
+const svs = require('../src/svs');
+const path = require('path');
+const nock = require('nock');
+const chai = require('chai');
+const chaiAsPromised = require('chai-as-promised');
+chai.use(chaiAsPromised);
+chai.should();
+
+const TOBACCO_OID = '2.16.840.1.113883.3.600.2390';
+const FHIR_FIXTURE = path.join(__dirname, 'fixtures', `${TOBACCO_OID}.json`);
+const SVS_FIXTURE = path.join(__dirname, 'fixtures', `${TOBACCO_OID}.xml`);
+const PAGES = require('./fixtures/2.16.840.1.113883.3.600.2390-pages.json');
+const valueSets = [{ name: 'Tobacco', id: TOBACCO_OID }];
+
+describe('API selection', () => {
+  afterEach(() => {
+    nock.cleanAll();
+  });
+
+  const vsacSVS = () =>
+    nock('https://vsac.nlm.nih.gov')
+      .get('/vsac/svs/RetrieveValueSet')
+      .query({ id: TOBACCO_OID })
+      .replyWithFile(200, SVS_FIXTURE);
+
+  const vsacFHIR = () =>
+    nock('https://cts.nlm.nih.gov')
+      .get(`/fhir/ValueSet/${TOBACCO_OID}/$expand`)
+      .query({ offset: 0 })
+      .replyWithFile(200, FHIR_FIXTURE);
+
+  describe('#detectProtocol', () => {
+    it('should detect FHIR URLs', () => {
+      detectProtocol('https://tx.example.org/ValueSet/{{oid}}/$expand').should.equal('FHIR');
+      detectProtocol('https://tx.example.org/r4/ValueSet/$expand').should.equal('FHIR');
+      detectProtocol('https://tx.example.org/fhir').should.equal('FHIR');
+    });
+
+    it('should detect SVS URLs', () => {
+      detectProtocol('https://vsac.nlm.nih.gov/vsac/svs/RetrieveValueSet').should.equal('SVS');
+      detectProtocol('https://proxy.example.org/svs/').should.equal('SVS');
+    });
+
+    it('should not detect other URLs or functions', () => {
+      (detectProtocol('https://proxy.example.org/valuesets') === undefined).should.be.true;
+      (detectProtocol(() => {}) === undefined).should.be.true;
+    });
+  });
+
+  describe('#toApi', () => {
+    it('should convert names to apis', () => {
+      toApi('FHIR').should.equal(fhir);
+      toApi('svs').should.equal(svs);
+      toApi('auto').should.equal(auto);
+      const router = new TerminologyRouter({ sources: [{ api: 'FHIR', vsacAccess: 'x' }] });
+      toApi(router).should.equal(router);
+    });
+
+    it('should reject unknown apis', () => {
+      (() => toApi('CTS2')).should.throw(
+        /Expected api to be 'FHIR', 'SVS' or 'auto', but was CTS2/
+      );
+      (() => toApi({})).should.throw(/Expected api/);
+    });
+  });
+
+  describe('CodeService', () => {
+    it('should use the SVS api unless useFHIR is true', async () => {
+      const service = new CodeService();
+      service.api.should.equal(svs);
+      service.vsacAccess.should.equal('https://vsac.nlm.nih.gov/vsac/svs/RetrieveValueSet');
+      vsacSVS();
+      await service.ensureValueSetsWithAPIKey(valueSets, 'testkey');
+      service.findValueSet(TOBACCO_OID).codes.should.have.length(26);
+    });
+
+    it('should use the FHIR api when useFHIR is true', () => {
+      const service = new CodeService(true, true);
+      service.api.should.equal(fhir);
+      service.vsacAccess.should.equal('https://cts.nlm.nih.gov/fhir/ValueSet/{{oid}}/$expand');
+    });
+
+    it('should use the custom URL of the chosen api', () => {
+      const service = new CodeService(
+        false,
+        false,
+        'https://svs.example.org',
+        'https://fhir.example.org'
+      );
+      service.vsacAccess.should.equal('https://svs.example.org');
+      service.setApi('FHIR');
+      service.api.should.equal(fhir);
+      service.vsacAccess.should.equal('https://fhir.example.org');
+    });
+
+    it('should use the api chosen for an ensure call', async () => {
+      const service = new CodeService(true, true);
+      vsacSVS();
+      await service.ensureValueSetsWithAPIKey(valueSets, 'testkey', { api: 'SVS' });
+      service.findValueSet(TOBACCO_OID).codes.should.have.length(26);
+      service.api.should.equal(fhir);
+    });
+
+    it('should use the URL chosen for an ensure call', async () => {
+      const service = new CodeService();
+      nock('https://tx.example.org')
+        .get(`/fhir/ValueSet/${TOBACCO_OID}/$expand`)
+        .query({ offset: 0 })
+        .replyWithFile(200, FHIR_FIXTURE);
+      await service.ensureValueSetsWithAPIKey(valueSets, 'testkey', {
+        api: 'FHIR',
+        vsacAccess: 'https://tx.example.org/fhir/ValueSet/{{oid}}/$expand'
+      });
+      service.findValueSet(TOBACCO_OID).codes.should.have.length(26);
+    });
+
+    it('should reject unknown apis before downloading', async () => {
+      const service = new CodeService();
+      await service
+        .ensureValueSetsWithAPIKey(valueSets, 'testkey', { api: 'CTS2' })
+        .should.be.rejectedWith(/Expected api to be 'FHIR', 'SVS' or 'auto', but was CTS2/);
+    });
+
+    it('should detect the protocol from the URL', async () => {
+      const service = new CodeService(true, true);
+      service.setApi('auto');
+      service.api.should.equal(auto);
+      vsacFHIR();
+      await service.ensureValueSetsWithAPIKey(valueSets, 'testkey');
+      service.findValueSet(TOBACCO_OID).codes.should.have.length(26);
+
+      vsacSVS();
+      await service.refreshValueSetsWithAPIKey(valueSets, 'testkey', {
+        vsacAccess: 'https://vsac.nlm.nih.gov/vsac/svs/RetrieveValueSet'
+      });
+    });
+  });
+
+  describe('auto#downloadValueSet', () => {
+    const proxy = (query = {}) =>
+      nock('https://proxy.example.org')
+        .get('/valuesets')
+        .query(Object.assign({ id: TOBACCO_OID }, query));
+
+    const download = (vsDB, options = {}) =>
+      auto.downloadValueSet(
+        'testkey',
+        TOBACCO_OID,
+        undefined,
+        'https://proxy.example.org/valuesets',
+        vsDB,
+        Object.assign({ retry: false }, options)
+      );
+
+    it('should parse XML responses as SVS', async () => {
+      proxy().replyWithFile(200, SVS_FIXTURE, { 'Content-Type': 'text/xml' });
+      const vsDB = {};
+      const info = await download(vsDB, { svsCodeSystemType: 'url' });
+      info.should.eql({ oid: TOBACCO_OID, version: '20210304' });
+      vsDB[TOBACCO_OID]['20210304'].codes.should.have.length(26);
+    });
+
+    it('should parse JSON responses as FHIR, fetching the remaining pages', async () => {
+      proxy().reply(200, PAGES[0], { 'Content-Type': 'application/fhir+json' });
+      proxy({ offset: 10 }).reply(200, PAGES[1]);
+      proxy({ offset: 20 }).reply(200, PAGES[2]);
+      const vsDB = {};
+      const info = await download(vsDB);
+      info.version.should.equal('20210304');
+      vsDB[TOBACCO_OID]['20210304'].codes.should.have.length(26);
+    });
+
+    it('should fetch the remaining pages with a single request slot', async () => {
+      proxy().reply(200, PAGES[0], { 'Content-Type': 'application/fhir+json' });
+      proxy({ offset: 10 }).reply(200, PAGES[1]);
+      proxy({ offset: 20 }).reply(200, PAGES[2]);
+      const service = new CodeService({
+        api: 'auto',
+        url: 'https://proxy.example.org/valuesets',
+        concurrency: 1,
+        retry: false
+      });
+      await service.ensureValueSetsWithAPIKey(valueSets, 'testkey', { timeout: 1000 });
+      service.findValueSet(TOBACCO_OID, '20210304').codes.should.have.length(26);
+    });
+
+    it('should pass the version', async () => {
+      proxy({ version: '20210304' }).replyWithFile(200, SVS_FIXTURE, {
+        'Content-Type': 'text/xml'
+      });
+      await auto.downloadValueSet(
+        'testkey',
+        TOBACCO_OID,
+        '20210304',
+        'https://proxy.example.org/valuesets',
+        {},
+        { retry: false }
+      );
+    });
+  });
+});
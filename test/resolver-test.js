@@ -0,0 +1,222 @@
+const { CodeService } = require('../src/CodeService');
+const { TerminologyRouter } = require('../src/router');
+const { Logger } = require('../src/logger');
+const { ParseError } = require('../src/errors');
+const { defineResolver } = require('../src/resolver');
+const { Code, ValueSet } = require('cql-execution');
+const fs = require('fs');
+const path = require('path');
+const nock = require('nock');
+const chai = require('chai');
+const chaiAsPromised = require('chai-as-promised');
+chai.use(chaiAsPromised);
+chai.should();
+const sandbox = require('sinon').createSandbox();
+
+const TOBACCO_OID = '2.16.840.1.113883.3.600.2390';
+const PAGES = require('./fixtures/2.16.840.1.113883.3.600.2390-pages.json');
+const SVS_XML = fs.readFileSync(path.join(__dirname, 'fixtures', `${TOBACCO_OID}.xml`), 'utf8');
+const valueSets = [{ name: 'Tobacco', id: TOBACCO_OID }];
+const NO_RETRY = { retry: false };
+
+describe('Resolvers', () => {
+  beforeEach(() => {
+    sandbox.stub(console, 'log');
+  });
+
+  afterEach(() => {
+    nock.cleanAll();
+    sandbox.restore();
+  });
+
+  // A resolver serving the FHIR expansion fixture, a page at a time
+  const fhirResolver = () => defineResolver(sandbox.spy(async ({ offset }) => PAGES[offset / 10]));
+
+  it('should only accept functions as resolvers', () => {
+    const resolve = () => null;
+    defineResolver(resolve).should.equal(resolve);
+    (() => defineResolver('https://valuesets.example.org')).should.throw(
+      TypeError,
+      'Expected the resolver to be a function, but was string'
+    );
+  });
+
+  it('should pass a single request object to the resolver', async () => {
+    const resolve = defineResolver(sandbox.spy(async () => null));
+    const service = new CodeService({ api: 'FHIR', url: defineResolver(resolve) });
+    await service.ensureValueSetsWithAPIKey(
+      [{ name: 'Tobacco', id: TOBACCO_OID, version: '20210304' }],
+      'testkey',
+      { pageSize: 10, timeout: 1000 }
+    );
+    resolve.calledOnce.should.be.true;
+    resolve.firstCall.args.should.have.length(1);
+    const request = resolve.firstCall.args[0];
+    request.should.include({
+      oid: TOBACCO_OID,
+      version: '20210304',
+      offset: 0,
+      count: 10,
+      auth: 'testkey'
+    });
+    request.signal.should.be.an.instanceOf(AbortSignal);
+  });
+
+  it('should store value sets returned as objects with codes', async () => {
+    const resolve = async ({ oid }) => ({
+      version: '1',
+      codes: [
+        { code: '123', system: 'http://snomed.info/sct' },
+        new Code('456', 'http://loinc.org')
+      ]
+    });
+    const service = new CodeService({ url: defineResolver(resolve) });
+    const report = await service.ensureValueSetsWithAPIKey(valueSets, 'testkey');
+    report.succeeded.should.eql([{ oid: TOBACCO_OID, version: '1' }]);
+    const valueSet = service.findValueSet(TOBACCO_OID, '1');
+    valueSet.codes.map(c => c.code).should.eql(['123', '456']);
+    valueSet.codes[0].should.be.an.instanceOf(Code);
+  });
+
+  it('should store cql-execution ValueSets', async () => {
+    const resolve = () =>
+      new ValueSet(TOBACCO_OID, '2', [new Code('123', 'http://snomed.info/sct')]);
+    const service = new CodeService({ api: 'FHIR', url: defineResolver(resolve) });
+    await service.ensureValueSetsWithAPIKey(valueSets, 'testkey');
+    service.findValueSet(TOBACCO_OID, '2').codes.should.have.length(1);
+  });
+
+  it('should page through FHIR ValueSets', async () => {
+    const resolve = fhirResolver();
+    const service = new CodeService({ url: defineResolver(resolve) });
+    const pages = [];
+    service.on('page-fetched', ({ offset, count, total }) => pages.push([offset, count, total]));
+    await service.ensureValueSetsWithAPIKey(valueSets, 'testkey');
+    resolve.args.map(([request]) => request.offset).should.eql([0, 10, 20]);
+    pages.should.eql([
+      [0, 10, 26],
+      [10, 10, 26],
+      [20, 6, 26]
+    ]);
+    service.findValueSet(TOBACCO_OID, '20210304').codes.should.have.length(26);
+  });
+
+  it('should parse FHIR ValueSets returned as JSON', async () => {
+    const resolve = async ({ offset }) => JSON.stringify(PAGES[offset / 10]);
+    const service = new CodeService({ url: defineResolver(resolve) });
+    await service.ensureValueSetsWithAPIKey(valueSets, 'testkey');
+    service.findValueSet(TOBACCO_OID, '20210304').codes.should.have.length(26);
+  });
+
+  it('should store FHIR ValueSets without an id under the requested OID', async () => {
+    const resolve = async () => ({
+      resourceType: 'ValueSet',
+      version: '3',
+      expansion: { contains: [{ code: '123', system: 'http://snomed.info/sct' }] }
+    });
+    const service = new CodeService({ url: defineResolver(resolve) });
+    await service.ensureValueSetsWithAPIKey(valueSets, 'testkey');
+    service.findValueSet(TOBACCO_OID, '3').codes.should.have.length(1);
+  });
+
+  it('should parse SVS XML', async () => {
+    const resolve = async () => SVS_XML;
+    const service = new CodeService({ api: 'FHIR', url: defineResolver(resolve) });
+    await service.ensureValueSetsWithAPIKey(valueSets, 'testkey', { svsCodeSystemType: 'oid' });
+    const valueSet = service.findValueSet(TOBACCO_OID, '20210304');
+    valueSet.codes.should.have.length(26);
+    valueSet.codes[0].system.should.equal('urn:oid:2.16.840.1.113883.6.96');
+  });
+
+  it('should reject results that are not value sets', async () => {
+    const service = new CodeService({
+      url: defineResolver(async () => ({ id: TOBACCO_OID })),
+      retry: false
+    });
+    const errors = await service.ensureValueSetsWithAPIKey(valueSets, 'testkey').should.be.rejected;
+    errors[0].should.be.an.instanceOf(ParseError);
+    errors[0].cause.message.should.match(/to be a value set, a FHIR ValueSet or SVS XML/);
+  });
+
+  it('should reject later pages that are not FHIR ValueSets', async () => {
+    const resolve = async ({ offset }) => (offset === 0 ? PAGES[0] : SVS_XML);
+    const service = new CodeService({ url: defineResolver(resolve), retry: false });
+    const errors = await service.ensureValueSetsWithAPIKey(valueSets, 'testkey').should.be.rejected;
+    errors[0].should.be.an.instanceOf(ParseError);
+    errors[0].cause.message.should.match(/Expected a FHIR ValueSet page at offset 10/);
+  });
+
+  it('should fall back to the next source when a resolver returns nothing', async () => {
+    const service = new CodeService({
+      api: new TerminologyRouter({
+        sources: [
+          { name: 'local', api: 'FHIR', vsacAccess: defineResolver(() => undefined) },
+          { name: 'backup', api: 'SVS', vsacAccess: defineResolver(() => SVS_XML) }
+        ]
+      })
+    });
+    await service.ensureValueSetsWithAPIKey(valueSets, 'testkey', NO_RETRY);
+    service.findValueSet(TOBACCO_OID, '20210304').codes.should.have.length(26);
+  });
+
+  it('should use resolvers with the auto api', async () => {
+    const service = new CodeService({ api: 'auto', url: fhirResolver() });
+    await service.ensureValueSetsWithAPIKey(valueSets, 'testkey');
+    service.findValueSet(TOBACCO_OID, '20210304').codes.should.have.length(26);
+  });
+
+  it('should request pages of the requested size from FHIR servers', async () => {
+    nock('https://tx.example.org')
+      .get(`/fhir/ValueSet/${TOBACCO_OID}/$expand`)
+      .query({ offset: 0, count: 50 })
+      .reply(200, PAGES[0]);
+    nock('https://tx.example.org')
+      .get(`/fhir/ValueSet/${TOBACCO_OID}/$expand`)
+      .query({ offset: 10, count: 50 })
+      .reply(200, PAGES[1]);
+    nock('https://tx.example.org')
+      .get(`/fhir/ValueSet/${TOBACCO_OID}/$expand`)
+      .query({ offset: 20, count: 50 })
+      .reply(200, PAGES[2]);
+    const service = new CodeService({
+      api: 'FHIR',
+      url: 'https://tx.example.org/fhir/ValueSet/{{oid}}/$expand'
+    });
+    await service.ensureValueSetsWithAPIKey(valueSets, 'testkey', { pageSize: 50 });
+    nock.isDone().should.be.true;
+  });
+
+  describe('positional vsacAccess functions', () => {
+    it('should still be called with positional arguments, and warned about once', async () => {
+      const entries = [];
+      const logger = new Logger(entry => entries.push(entry));
+      const access = sandbox.spy(async (oid, version, offset, apiKey) => PAGES[offset / 10]);
+      const service = new CodeService({ api: 'FHIR', url: access, logger });
+      await service.ensureValueSetsWithAPIKey(valueSets, 'testkey');
+      await service.refreshValueSetsWithAPIKey(valueSets, 'testkey');
+      access.firstCall.args.slice(0, 4).should.eql([TOBACCO_OID, undefined, 0, 'testkey']);
+      const warnings = entries.filter(entry => /deprecated/.test(entry.message));
+      warnings.should.have.length(1);
+      warnings[0].level.should.equal('warn');
+    });
+
+    it('should not be mistaken for resolvers when declared with one parameter', async () => {
+      const entries = [];
+      const logger = new Logger(entry => entries.push(entry));
+      const access = sandbox.spy(async oid => SVS_XML);
+      const service = new CodeService({ url: access, logger });
+      await service.ensureValueSetsWithAPIKey(valueSets, 'testkey');
+      access.firstCall.args.slice(0, 3).should.eql([TOBACCO_OID, undefined, 'testkey']);
+      service.findValueSet(TOBACCO_OID, '20210304').codes.should.have.length(26);
+      entries.filter(entry => /deprecated/.test(entry.message)).should.have.length(1);
+    });
+
+    it('should still be passed to the SVS api', async () => {
+      const access = sandbox.spy(async (oid, version, apiKey) => SVS_XML);
+      const service = new CodeService({ url: access });
+      await service.ensureValueSetsWithAPIKey(valueSets, 'testkey');
+      access.firstCall.args.slice(0, 3).should.eql([TOBACCO_OID, undefined, 'testkey']);
+      service.findValueSet(TOBACCO_OID, '20210304').codes.should.have.length(26);
+    });
+  });
+});
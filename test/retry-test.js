@@ -0,0 +1,248 @@
+const { DEFAULT_RETRY_POLICY, toRetryPolicy, retryDelay } = require('../src/retry');
+const fhir = require('../src/fhir');
+const svs = require('../src/svs');
+const { CodeService } = require('../src/CodeService');
+const { NetworkError } = require('../src/errors');
+const { Headers } = require('node-fetch');
+const path = require('path');
+const nock = require('nock');
+const chai = require('chai');
+const chaiAsPromised = require('chai-as-promised');
+chai.use(chaiAsPromised);
+const should = chai.should();
+const sandbox = require('sinon').createSandbox();
+
+const TOBACCO_OID = '2.16.840.1.113883.3.600.2390';
+const FHIR_URL = 'https://tx.example.org/fhir/ValueSet/{{oid}}/$expand';
+const SVS_URL = 'https://tx.example.org/svs/RetrieveValueSet';
+const FAST_RETRY = { retry: { minDelay: 1, jitter: false } };
+
+describe('Retry', () => {
+  beforeEach(() => {
+    sandbox.stub(console, 'log');
+  });
+
+  afterEach(() => {
+    nock.cleanAll();
+    sandbox.restore();
+  });
+
+  const expand = (offset = 0) =>
+    nock('https://tx.example.org').get(`/fhir/ValueSet/${TOBACCO_OID}/$expand`).query({ offset });
+
+  const retrieve = () =>
+    nock('https://tx.example.org').get('/svs/RetrieveValueSet').query({ id: TOBACCO_OID });
+
+  describe('#toRetryPolicy', () => {
+    it('should merge the policy with the defaults', () => {
+      toRetryPolicy({ retries: 5 }).should.eql(
+        Object.assign({}, DEFAULT_RETRY_POLICY, { retries: 5 })
+      );
+      toRetryPolicy(undefined).should.eql(DEFAULT_RETRY_POLICY);
+    });
+
+    it('should disable retries for false', () => {
+      toRetryPolicy(false).retries.should.equal(0);
+    });
+  });
+
+  describe('#retryDelay', () => {
+    const policy = toRetryPolicy({ minDelay: 100, maxDelay: 1000, jitter: false });
+    const response = retryAfter => ({
+      headers: new Headers(retryAfter != null ? { 'Retry-After': retryAfter } : {})
+    });
+
+    it('should back off exponentially up to the maximum delay', () => {
+      retryDelay(1, undefined, policy).should.equal(100);
+      retryDelay(2, response(), policy).should.equal(200);
+      retryDelay(3, response(), policy).should.equal(400);
+      retryDelay(5, response(), policy).should.equal(1000);
+    });
+
+    it('should add jitter', () => {
+      sandbox.stub(Math, 'random').returns(0.5);
+      retryDelay(2, undefined, Object.assign({}, policy, { jitter: true })).should.equal(150);
+    });
+
+    it('should honour Retry-After in seconds', () => {
+      retryDelay(1, response('0'), policy).should.equal(0);
+      retryDelay(1, response('1'), policy).should.equal(1000);
+      retryDelay(1, response('120'), policy).should.equal(1000);
+    });
+
+    it('should honour Retry-After dates', () => {
+      const delay = retryDelay(1, response(new Date(Date.now() + 600).toUTCString()), policy);
+      delay.should.be.within(0, 600);
+      retryDelay(1, response(new Date(0).toUTCString()), policy).should.equal(0);
+    });
+
+    it('should ignore invalid Retry-After values', () => {
+      retryDelay(1, response('soon'), policy).should.equal(100);
+    });
+  });
+
+  describe('fhir#downloadValueSet', () => {
+    it('should retry 429 and 503 responses', async () => {
+      expand().reply(429);
+      expand().reply(503);
+      expand().replyWithFile(200, path.join(__dirname, 'fixtures', `${TOBACCO_OID}.json`));
+
+      const vsDB = {};
+      await fhir.downloadValueSet('testkey', TOBACCO_OID, undefined, FHIR_URL, vsDB, FAST_RETRY);
+      vsDB[TOBACCO_OID]['20210304'].codes.should.have.length(26);
+      nock.isDone().should.be.true;
+    });
+
+    it('should retry failed pages without refetching earlier ones', async () => {
+      const page = require('./fixtures/2.16.840.1.113883.3.600.2390.json');
+      const firstPage = JSON.parse(JSON.stringify(page));
+      firstPage.expansion.contains = page.expansion.contains.slice(0, 10);
+      const secondPage = JSON.parse(JSON.stringify(page));
+      secondPage.expansion.offset = 10;
+      secondPage.expansion.contains = page.expansion.contains.slice(10);
+      expand().reply(200, firstPage);
+      expand(10).reply(502);
+      expand(10).reply(200, secondPage);
+
+      const vsDB = {};
+      await fhir.downloadValueSet('testkey', TOBACCO_OID, undefined, FHIR_URL, vsDB, FAST_RETRY);
+      vsDB[TOBACCO_OID]['20210304'].codes.should.have.length(26);
+    });
+
+    it('should wait as long as Retry-After asks', async () => {
+      expand().reply(429, '', { 'Retry-After': '0' });
+      expand().replyWithFile(200, path.join(__dirname, 'fixtures', `${TOBACCO_OID}.json`));
+
+      // The backoff alone would exceed the test timeout
+      const vsDB = {};
+      await fhir.downloadValueSet('testkey', TOBACCO_OID, undefined, FHIR_URL, vsDB, {
+        retry: { minDelay: 60000 }
+      });
+      vsDB.should.have.property(TOBACCO_OID);
+    });
+
+    it('should give up after the configured number of retries', async () => {
+      const tx = expand().times(3).reply(503);
+      const options = { retry: { retries: 2, minDelay: 1 } };
+      const err = await fhir
+        .downloadValueSet('testkey', TOBACCO_OID, undefined, FHIR_URL, {}, options)
+        .should.be.rejectedWith('503');
+      err.status.should.equal(503);
+      err.attempts.should.equal(3);
+      err.url.should.contain(TOBACCO_OID);
+      tx.isDone().should.be.true;
+    });
+
+    it('should retry network errors', async () => {
+      expand().replyWithError({ code: 'ECONNRESET', message: 'socket hang up' });
+      expand().replyWithFile(200, path.join(__dirname, 'fixtures', `${TOBACCO_OID}.json`));
+      const vsDB = {};
+      await fhir.downloadValueSet('testkey', TOBACCO_OID, undefined, FHIR_URL, vsDB, FAST_RETRY);
+      vsDB.should.have.property(TOBACCO_OID);
+    });
+
+    it('should not retry errors other than network errors', async () => {
+      const fetch = sandbox.stub().rejects(new TypeError('Only absolute URLs are supported'));
+      const options = Object.assign({ fetch }, FAST_RETRY);
+      await fhir
+        .downloadValueSet('testkey', TOBACCO_OID, undefined, FHIR_URL, {}, options)
+        .should.be.rejectedWith(TypeError, 'Only absolute URLs are supported');
+      sandbox.assert.calledOnce(fetch);
+    });
+
+    it('should not retry network errors when networkErrors is false', async () => {
+      expand().replyWithError({ code: 'ECONNRESET', message: 'socket hang up' });
+      const retry = { minDelay: 1, networkErrors: false };
+      const err = await fhir
+        .downloadValueSet('testkey', TOBACCO_OID, undefined, FHIR_URL, {}, { retry })
+        .should.be.rejectedWith(NetworkError);
+      err.attempts.should.equal(1);
+    });
+
+    it('should not retry 401 or 404', async () => {
+      expand().reply(401);
+      let err = await fhir
+        .downloadValueSet('testkey', TOBACCO_OID, undefined, FHIR_URL, {}, FAST_RETRY)
+        .should.be.rejectedWith('401');
+      err.attempts.should.equal(1);
+
+      expand().reply(404);
+      err = await fhir
+        .downloadValueSet('testkey', TOBACCO_OID, undefined, FHIR_URL, {}, FAST_RETRY)
+        .should.be.rejectedWith('404');
+      err.attempts.should.equal(1);
+    });
+
+    it('should not retry when retries are disabled', async () => {
+      expand().reply(503);
+      const err = await fhir
+        .downloadValueSet('testkey', TOBACCO_OID, undefined, FHIR_URL, {}, { retry: false })
+        .should.be.rejectedWith('503');
+      err.attempts.should.equal(1);
+    });
+  });
+
+  describe('svs#downloadValueSet', () => {
+    it('should retry 429 and 503 responses', async () => {
+      retrieve().reply(503);
+      retrieve().reply(429, '', { 'Retry-After': '0' });
+      retrieve().replyWithFile(200, path.join(__dirname, 'fixtures', `${TOBACCO_OID}.xml`));
+
+      const vsDB = {};
+      await svs.downloadValueSet('testkey', TOBACCO_OID, undefined, SVS_URL, vsDB, {
+        svsCodeSystemType: 'url',
+        retry: { minDelay: 1 }
+      });
+      vsDB[TOBACCO_OID]['20210304'].codes.should.have.length(26);
+    });
+
+    it('should not retry 404', async () => {
+      retrieve().reply(404);
+      const err = await svs
+        .downloadValueSet('testkey', TOBACCO_OID, undefined, SVS_URL, {}, FAST_RETRY)
+        .should.be.rejectedWith('404');
+      err.attempts.should.equal(1);
+    });
+  });
+
+  describe('CodeService', () => {
+    let service;
+
+    beforeEach(() => {
+      service = new CodeService(false, true, undefined, FHIR_URL);
+    });
+
+    it('should use the retry policy set on the service', async () => {
+      service.setRetryPolicy({ retries: 1, minDelay: 1 });
+      expand().times(2).reply(503);
+      const errors = await service.ensureValueSetsWithAPIKey(
+        [{ name: 'Tobacco', id: TOBACCO_OID }],
+        'testkey'
+      ).should.be.rejected;
+      errors.should.have.length(1);
+      errors[0].message.should.equal(
+        `Error downloading valueset: ${TOBACCO_OID} (failed after 2 attempts)`
+      );
+      errors[0].attempts.should.equal(2);
+      errors[0].cause.message.should.equal('503');
+    });
+
+    it('should prefer a retry policy passed to ensure', async () => {
+      service.setRetryPolicy({ retries: 5, minDelay: 1 });
+      expand().reply(503);
+      const errors = await service.ensureValueSetsWithAPIKey(
+        [{ name: 'Tobacco', id: TOBACCO_OID }],
+        'testkey',
+        {
+          retry: false
+        }
+      ).should.be.rejected;
+      errors[0].message.should.equal(`Error downloading valueset: ${TOBACCO_OID}`);
+      errors[0].attempts.should.equal(1);
+    });
+
+    it('should reject invalid retry policies', () => {
+      should.throw(() => service.setRetryPolicy(3), /Expected retry policy/);
+    });
+  });
+});
@@ -0,0 +1,332 @@
+const { TerminologyRouter } = require('../src/router');
+const { CodeService } = require('../src/CodeService');
+const { ValueSetNotFoundError, CancellationError } = require('../src/errors');
+const path = require('path');
+const nock = require('nock');
+const chai = require('chai');
+const chaiAsPromised = require('chai-as-promised');
+chai.use(chaiAsPromised);
+const should = chai.should();
+const sandbox = require('sinon').createSandbox();
+
+const TOBACCO_OID = '2.16.840.1.113883.3.600.2390';
+const PROXY_FHIR_URL = 'https://proxy.example.org/fhir/ValueSet/{{oid}}/$expand';
+const VSAC_FHIR_URL = 'https://cts.nlm.nih.gov/fhir/ValueSet/{{oid}}/$expand';
+const VSAC_SVS_URL = 'https://vsac.nlm.nih.gov/vsac/svs/RetrieveValueSet';
+
+describe('TerminologyRouter', () => {
+  let router;
+
+  beforeEach(() => {
+    sandbox.stub(console, 'log');
+    router = new TerminologyRouter({
+      sources: [
+        { name: 'proxy', api: 'FHIR', vsacAccess: PROXY_FHIR_URL },
+        { name: 'vsac-fhir', api: 'FHIR', vsacAccess: VSAC_FHIR_URL },
+        { name: 'vsac-svs', api: 'SVS', vsacAccess: VSAC_SVS_URL }
+      ]
+    });
+  });
+
+  afterEach(() => {
+    nock.cleanAll();
+    sandbox.restore();
+  });
+
+  const replyFromVsacFhir = () =>
+    nock('https://cts.nlm.nih.gov')
+      .get(`/fhir/ValueSet/${TOBACCO_OID}/$expand`)
+      .query({ offset: 0 })
+      .replyWithFile(200, path.join(__dirname, 'fixtures', `${TOBACCO_OID}.json`));
+
+  describe('#constructor', () => {
+    it('should require at least one source', () => {
+      should.throw(() => new TerminologyRouter({ sources: [] }), /at least one source/);
+    });
+
+    it('should reject unknown apis', () => {
+      should.throw(
+        () => new TerminologyRouter({ sources: [{ api: 'CTS2', vsacAccess: 'x' }] }),
+        /'FHIR' or 'SVS'/
+      );
+    });
+
+    it('should reject rules referring to unknown sources', () => {
+      should.throw(
+        () =>
+          new TerminologyRouter({
+            sources: [{ name: 'a', api: 'FHIR', vsacAccess: VSAC_FHIR_URL }],
+            rules: [{ match: '1.2.*', sources: ['b'] }]
+          }),
+        /unknown source\(s\): b/
+      );
+    });
+
+    it('should require rules to have at least one source', () => {
+      should.throw(
+        () =>
+          new TerminologyRouter({
+            sources: [{ name: 'a', api: 'FHIR', vsacAccess: VSAC_FHIR_URL }],
+            rules: [{ match: '1.2.*', sources: [] }]
+          }),
+        /at least one source/
+      );
+    });
+
+    it('should default source names from the api', () => {
+      router = new TerminologyRouter({ sources: [{ api: 'svs', vsacAccess: VSAC_SVS_URL }] });
+      router.sources[0].name.should.equal('SVS0');
+    });
+  });
+
+  describe('#downloadValueSet', () => {
+    it('should use the first source that has the value set', async () => {
+      const proxy = nock('https://proxy.example.org')
+        .get(`/fhir/ValueSet/${TOBACCO_OID}/$expand`)
+        .query({ offset: 0 })
+        .replyWithFile(200, path.join(__dirname, 'fixtures', `${TOBACCO_OID}.json`));
+
+      const vsDB = {};
+      const info = await router.downloadValueSet('testkey', TOBACCO_OID, undefined, null, vsDB);
+      info.source.should.equal('proxy');
+      info.version.should.equal('20210304');
+      vsDB[TOBACCO_OID]['20210304'].codes.should.have.length(26);
+      proxy.isDone().should.be.true;
+    });
+
+    it('should fall back to the next source on 404', async () => {
+      nock('https://proxy.example.org')
+        .get(`/fhir/ValueSet/${TOBACCO_OID}/$expand`)
+        .query({ offset: 0 })
+        .reply(404);
+      replyFromVsacFhir();
+
+      const vsDB = {};
+      const info = await router.downloadValueSet('testkey', TOBACCO_OID, undefined, null, vsDB);
+      info.source.should.equal('vsac-fhir');
+      vsDB[TOBACCO_OID]['20210304'].codes.should.have.length(26);
+    });
+
+    it('should fall back through all sources on 5xx', async () => {
+      nock('https://proxy.example.org')
+        .get(`/fhir/ValueSet/${TOBACCO_OID}/$expand`)
+        .query({ offset: 0 })
+        .reply(502);
+      nock('https://cts.nlm.nih.gov')
+        .get(`/fhir/ValueSet/${TOBACCO_OID}/$expand`)
+        .query({ offset: 0 })
+        .reply(503);
+      nock('https://vsac.nlm.nih.gov')
+        .get('/vsac/svs/RetrieveValueSet')
+        .query({ id: TOBACCO_OID })
+        .replyWithFile(200, path.join(__dirname, 'fixtures', `${TOBACCO_OID}.xml`));
+
+      const vsDB = {};
+      const info = await router.downloadValueSet('testkey', TOBACCO_OID, undefined, null, vsDB);
+      info.source.should.equal('vsac-svs');
+      vsDB[TOBACCO_OID]['20210304'].codes.should.have.length(26);
+    });
+
+    it('should fall back when a source cannot be reached', async () => {
+      // nock disables net connect, so the unmocked proxy fails with a network error
+      replyFromVsacFhir();
+      const info = await router.downloadValueSet('testkey', TOBACCO_OID, undefined, null, {});
+      info.source.should.equal('vsac-fhir');
+    });
+
+    it('should only retry failures that fall back with the last source', async () => {
+      nock('https://proxy.example.org')
+        .get(`/fhir/ValueSet/${TOBACCO_OID}/$expand`)
+        .query({ offset: 0 })
+        .reply(503);
+      nock('https://cts.nlm.nih.gov')
+        .get(`/fhir/ValueSet/${TOBACCO_OID}/$expand`)
+        .query({ offset: 0 })
+        .reply(503);
+      nock('https://vsac.nlm.nih.gov').get('/vsac/svs/RetrieveValueSet').query(true).reply(503);
+      nock('https://vsac.nlm.nih.gov')
+        .get('/vsac/svs/RetrieveValueSet')
+        .query({ id: TOBACCO_OID })
+        .replyWithFile(200, path.join(__dirname, 'fixtures', `${TOBACCO_OID}.xml`));
+
+      const retries = [];
+      const emit = (event, data) => event === 'retry' && retries.push(data.url);
+      const options = { retry: { minDelay: 1 }, emit };
+      const info = await router.downloadValueSet(
+        'testkey',
+        TOBACCO_OID,
+        undefined,
+        null,
+        {},
+        options
+      );
+      info.source.should.equal('vsac-svs');
+      retries.should.have.length(1);
+      retries[0].should.contain('vsac.nlm.nih.gov');
+      nock.isDone().should.be.true;
+    });
+
+    it('should not fall back on 401', async () => {
+      nock('https://proxy.example.org')
+        .get(`/fhir/ValueSet/${TOBACCO_OID}/$expand`)
+        .query({ offset: 0 })
+        .reply(401);
+      const vsacFhir = replyFromVsacFhir();
+
+      await router
+        .downloadValueSet('wrongkey', TOBACCO_OID, undefined, null, {})
+        .should.be.rejectedWith('401');
+      vsacFhir.isDone().should.be.false;
+    });
+
+    it('should not fall back on a response that cannot be parsed', async () => {
+      nock('https://proxy.example.org')
+        .get(`/fhir/ValueSet/${TOBACCO_OID}/$expand`)
+        .query({ offset: 0 })
+        .reply(200, '<html>Not a value set</html>');
+      const vsacFhir = replyFromVsacFhir();
+
+      await router.downloadValueSet('testkey', TOBACCO_OID, undefined, null, {}).should.be.rejected;
+      vsacFhir.isDone().should.be.false;
+    });
+
+    it('should not fall back when the download is cancelled', async () => {
+      const controller = new AbortController();
+      const next = sandbox.stub().rejects(new Error(404));
+      router = new TerminologyRouter({
+        sources: [
+          {
+            name: 'a',
+            api: 'FHIR',
+            vsacAccess: sandbox.stub().callsFake(async () => {
+              controller.abort();
+              throw new Error(503);
+            })
+          },
+          { name: 'b', api: 'FHIR', vsacAccess: next }
+        ]
+      });
+      await router
+        .downloadValueSet('testkey', '1.2.3', undefined, null, {}, { signal: controller.signal })
+        .should.be.rejectedWith(CancellationError);
+      sandbox.assert.notCalled(next);
+    });
+
+    it('should not fall back on errors that are not network failures', async () => {
+      const next = sandbox.stub().rejects(new Error(404));
+      router = new TerminologyRouter({
+        sources: [
+          {
+            name: 'a',
+            api: 'FHIR',
+            vsacAccess: sandbox.stub().rejects(new TypeError('access is not a function'))
+          },
+          { name: 'b', api: 'FHIR', vsacAccess: next }
+        ]
+      });
+      await router
+        .downloadValueSet('testkey', '1.2.3', undefined, null, {})
+        .should.be.rejectedWith(TypeError, 'access is not a function');
+      sandbox.assert.notCalled(next);
+    });
+
+    it('should throw the last error if no source has the value set', async () => {
+      router = new TerminologyRouter({
+        sources: [
+          { name: 'a', api: 'FHIR', vsacAccess: sandbox.stub().rejects(new Error(503)) },
+          { name: 'b', api: 'FHIR', vsacAccess: sandbox.stub().rejects(new Error(404)) }
+        ]
+      });
+      await router
+        .downloadValueSet('testkey', '1.2.3', undefined, null, {})
+        .should.be.rejectedWith('404');
+    });
+
+    it('should fall back when a source returns nothing', async () => {
+      const empty = sandbox.stub().resolves(undefined);
+      router = new TerminologyRouter({
+        sources: [
+          { name: 'empty', api: 'FHIR', vsacAccess: empty },
+          { name: 'vsac-fhir', api: 'FHIR', vsacAccess: VSAC_FHIR_URL }
+        ]
+      });
+      replyFromVsacFhir();
+      const info = await router.downloadValueSet('testkey', TOBACCO_OID, undefined, null, {});
+      sandbox.assert.calledOnce(empty);
+      info.source.should.equal('vsac-fhir');
+    });
+
+    it('should throw a ValueSetNotFoundError if the last source returns nothing', async () => {
+      router = new TerminologyRouter({
+        sources: [
+          { name: 'a', api: 'FHIR', vsacAccess: sandbox.stub().rejects(new Error(503)) },
+          { name: 'b', api: 'FHIR', vsacAccess: sandbox.stub().resolves(undefined) }
+        ]
+      });
+      const downloading = router.downloadValueSet('testkey', '1.2.3', '1', null, {});
+      const err = await downloading.should.be.rejected;
+      err.should.be.an.instanceOf(ValueSetNotFoundError);
+      err.should.include({ oid: '1.2.3', version: '1' });
+      err.message.should.equal('Value set 1.2.3 was not found in source b');
+    });
+
+    it('should route OIDs according to the first matching rule', async () => {
+      const proxy = sandbox.stub().rejects(new Error(500));
+      router = new TerminologyRouter({
+        sources: [
+          { name: 'proxy', api: 'FHIR', vsacAccess: proxy },
+          { name: 'vsac-fhir', api: 'FHIR', vsacAccess: VSAC_FHIR_URL }
+        ],
+        rules: [
+          { match: '2.16.840.1.113762.*', sources: ['proxy'] },
+          { match: /^2\.16\.840\.1\.113883\./, sources: ['vsac-fhir'] }
+        ]
+      });
+      replyFromVsacFhir();
+      const info = await router.downloadValueSet('testkey', TOBACCO_OID, undefined, null, {});
+      info.source.should.equal('vsac-fhir');
+      sandbox.assert.notCalled(proxy);
+
+      await router
+        .downloadValueSet('testkey', '2.16.840.1.113762.1.4.1', undefined, null, {})
+        .should.be.rejectedWith('500');
+      sandbox.assert.calledOnce(proxy);
+    });
+
+    it('should try all sources for OIDs that match no rule', () => {
+      router = new TerminologyRouter({
+        sources: [
+          { name: 'a', api: 'FHIR', vsacAccess: VSAC_FHIR_URL },
+          { name: 'b', api: 'SVS', vsacAccess: VSAC_SVS_URL }
+        ],
+        rules: [{ match: oid => oid.startsWith('9.'), sources: ['b'] }]
+      });
+      router
+        .sourcesFor('9.1')
+        .map(s => s.name)
+        .should.eql(['b']);
+      router
+        .sourcesFor('1.2')
+        .map(s => s.name)
+        .should.eql(['a', 'b']);
+    });
+  });
+
+  describe('with CodeService', () => {
+    it('should record which source satisfied each value set', async () => {
+      nock('https://proxy.example.org')
+        .get(`/fhir/ValueSet/${TOBACCO_OID}/$expand`)
+        .query({ offset: 0 })
+        .reply(404);
+      replyFromVsacFhir();
+
+      const service = new CodeService();
+      service.setRouter(router);
+      await service.ensureValueSetsWithAPIKey([{ name: 'Tobacco', id: TOBACCO_OID }], 'testkey');
+      service.findValueSet(TOBACCO_OID).codes.should.have.length(26);
+      service.getValueSetSource(TOBACCO_OID).should.equal('vsac-fhir');
+      service.getValueSetSource(TOBACCO_OID, '20210304').should.equal('vsac-fhir');
+      should.not.exist(service.getValueSetSource('1.2.3'));
+    });
+  });
+});
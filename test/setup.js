@@ -1,13 +1,21 @@
 const nock = require('nock');
 
+// nock intercepts the http module, which the native fetch of Node.js 18+ doesn't use, so the tests
+// run with node-fetch, the default where there is no global fetch (see src/fetch.js)
+const globalFetch = globalThis.fetch;
+
 // Root hook to run before all test suites
 before(function () {
   // These tests should never reach out to the network.  If they do, we've done something wrong!
   nock.disableNetConnect();
+  delete globalThis.fetch;
 });
 
 // Root hook to run after all test suites
 after(function () {
   nock.restore();
   nock.enableNetConnect();
+  if (globalFetch !== undefined) {
+    globalThis.fetch = globalFetch;
+  }
 });
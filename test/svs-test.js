@@ -1,11 +1,10 @@
 const svs = require('../src/svs');
 const { Code, ValueSet } = require('cql-execution');
 const path = require('path');
-const fs = require('fs-extra');
 const nock = require('nock');
 const chai = require('chai');
 const should = chai.should();
-const temp = require('temp');
+const SVS_URL = 'https://vsac.nlm.nih.gov/vsac/svs/RetrieveValueSet';
 const TOBACCO_VS_DB = fixVSDBFixture(require('./fixtures/2.16.840.1.113883.3.600.2390-vsdb.json'));
 const TOBACCO_OID_VS_DB = fixVSDBFixture(
   require('./fixtures/2.16.840.1.113883.3.600.2390-oid-vsdb.json')
@@ -24,12 +23,6 @@ const SYSTOLIC_OID_URI_VS_DB = fixVSDBFixture(
 );
 
 describe('SVS', () => {
-  let tmpCache;
-
-  beforeEach(() => {
-    tmpCache = temp.mkdirSync('cql-exec-vsac-test');
-  });
-
   afterEach(function () {
     // Clean up vars, check and clean nock, delete tmp folder
     nock.isDone();
@@ -51,15 +44,11 @@ describe('SVS', () => {
         'testkey',
         '2.16.840.1.113883.3.600.2390',
         undefined,
-        tmpCache,
-        vsDB,
-        true
+        SVS_URL,
+        vsDB
       );
-      // Should cache the XML response
-      const expectedXMLFile = path.join(tmpCache, '2.16.840.1.113883.3.600.2390.xml');
-      result.should.equal(expectedXMLFile);
-      const xmlContents = await fs.readFile(expectedXMLFile, 'utf-8');
-      xmlContents.should.match(/<\?xml(.|\n|\r)*displayName="Current Tobacco Smoker"/m);
+      // Should return the oid and version of the downloaded value set
+      result.should.include({ oid: '2.16.840.1.113883.3.600.2390', version: '20210304' });
       // Should add the results to the VS DB
       vsDB.should.eql(TOBACCO_VS_DB);
     });
@@ -79,15 +68,11 @@ describe('SVS', () => {
         'testkey',
         '2.16.840.1.113883.3.600.2390',
         '20210304',
-        tmpCache,
-        vsDB,
-        true
+        SVS_URL,
+        vsDB
       );
-      // Should cache the XML response
-      const expectedXMLFile = path.join(tmpCache, '2.16.840.1.113883.3.600.2390.xml');
-      result.should.equal(expectedXMLFile);
-      const xmlContents = await fs.readFile(expectedXMLFile, 'utf-8');
-      xmlContents.should.match(/<\?xml(.|\n|\r)*displayName="Current Tobacco Smoker"/m);
+      // Should return the oid and version of the downloaded value set
+      result.should.include({ oid: '2.16.840.1.113883.3.600.2390', version: '20210304' });
       // Should add the results to the VS DB
       vsDB.should.eql(TOBACCO_VS_DB);
     });
@@ -109,22 +94,8 @@ describe('SVS', () => {
 
       const vsDB = {};
       await Promise.all([
-        svs.downloadValueSet(
-          'testkey',
-          '2.16.840.1.113883.3.526.3.1032',
-          undefined,
-          tmpCache,
-          vsDB,
-          true
-        ),
-        svs.downloadValueSet(
-          'testkey',
-          '2.16.840.1.113883.3.600.2390',
-          undefined,
-          tmpCache,
-          vsDB,
-          true
-        )
+        svs.downloadValueSet('testkey', '2.16.840.1.113883.3.526.3.1032', undefined, SVS_URL, vsDB),
+        svs.downloadValueSet('testkey', '2.16.840.1.113883.3.600.2390', undefined, SVS_URL, vsDB)
       ]);
       // Should add the results to the VS DB
       Object.keys(vsDB).should.have.length(2);
@@ -157,18 +128,16 @@ describe('SVS', () => {
           'testkey',
           '2.16.840.1.113883.3.526.3.1032',
           undefined,
-          tmpCache,
+          SVS_URL,
           vsDB,
-          true,
           {}
         ),
         svs.downloadValueSet(
           'testkey',
           '2.16.840.1.113883.3.600.2390',
           undefined,
-          tmpCache,
+          SVS_URL,
           vsDB,
-          true,
           {}
         )
       ]);
@@ -203,20 +172,13 @@ describe('SVS', () => {
           'testkey',
           '2.16.840.1.113883.3.526.3.1032',
           undefined,
-          tmpCache,
+          SVS_URL,
           vsDB,
-          true,
           { svsCodeSystemType: 'oid' }
         ),
-        svs.downloadValueSet(
-          'testkey',
-          '2.16.840.1.113883.3.600.2390',
-          undefined,
-          tmpCache,
-          vsDB,
-          true,
-          { svsCodeSystemType: 'oid' }
-        )
+        svs.downloadValueSet('testkey', '2.16.840.1.113883.3.600.2390', undefined, SVS_URL, vsDB, {
+          svsCodeSystemType: 'oid'
+        })
       ]);
       // Should add the results to the VS DB
       Object.keys(vsDB).should.have.length(2);
@@ -249,20 +211,13 @@ describe('SVS', () => {
           'testkey',
           '2.16.840.1.113883.3.526.3.1032',
           undefined,
-          tmpCache,
+          SVS_URL,
           vsDB,
-          true,
           { svsCodeSystemType: 'both' }
         ),
-        svs.downloadValueSet(
-          'testkey',
-          '2.16.840.1.113883.3.600.2390',
-          undefined,
-          tmpCache,
-          vsDB,
-          true,
-          { svsCodeSystemType: 'both' }
-        )
+        svs.downloadValueSet('testkey', '2.16.840.1.113883.3.600.2390', undefined, SVS_URL, vsDB, {
+          svsCodeSystemType: 'both'
+        })
       ]);
       // Should add the results to the VS DB
       Object.keys(vsDB).should.have.length(2);
@@ -286,18 +241,10 @@ describe('SVS', () => {
 
       const vsDB = {};
       try {
-        await svs.downloadValueSet(
-          'testkey',
-          '1.2.3.4.5.6.7.8.9.10',
-          '20170320',
-          tmpCache,
-          vsDB,
-          true
-        );
+        await svs.downloadValueSet('testkey', '1.2.3.4.5.6.7.8.9.10', '20170320', SVS_URL, vsDB);
         should.fail(0, 1, 'This code should never be executed');
       } catch (error) {
         vsDB.should.be.empty;
-        fs.existsSync(path.join(tmpCache, '1.2.3.4.5.6.7.8.9.10.xml')).should.be.false;
         error.should.be.an('error');
         error.message.should.equal('404');
       }
@@ -0,0 +1,19 @@
+const { execFileSync } = require('child_process');
+const path = require('path');
+require('chai').should();
+
+describe('Type declarations', () => {
+  it('should type-check the usage examples', function () {
+    // Compiling with tsc takes a few seconds
+    this.timeout(60000);
+    const tsc = require.resolve('typescript/bin/tsc');
+    const project = path.join(__dirname, 'types', 'tsconfig.json');
+    let output = '';
+    try {
+      execFileSync(process.execPath, [tsc, '-p', project], { encoding: 'utf8' });
+    } catch (err) {
+      output = err.stdout || err.message;
+    }
+    output.should.equal('');
+  });
+});
@@ -0,0 +1,7 @@
+// cql-execution's declarations import luxon's DateTime, but luxon has no declarations of its own
+declare module 'luxon' {
+  export class DateTime<IsValid = boolean> {
+    [key: string]: any;
+    static [key: string]: any;
+  }
+}
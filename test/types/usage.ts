@@ -0,0 +1,177 @@
+// Type-checked (but not run) by test/types-test.js, to check the declarations in index.d.ts
+import {
+  CodeService,
+  TerminologyRouter,
+  MemoryCache,
+  IndexedDBCache,
+  OAuth2ClientCredentialsAuth,
+  ValueSetDownloadError,
+  RateLimitedError,
+  Logger,
+  DownloadErrors,
+  DownloadReport,
+  FHIRAccessFunction,
+  SVSAccessFunction,
+  VSACValueSet,
+  ValueSetDB,
+  ValueSetResolver,
+  ValidateCodeResult,
+  compareVersions,
+  defineResolver
+} from 'browserfy-cql-exec-vsac';
+import { FileSystemCache } from 'browserfy-cql-exec-vsac/src/fs-cache';
+import { Code, ValueSet } from 'cql-execution';
+
+const TOBACCO = '2.16.840.1.113883.3.600.2390';
+
+async function main() {
+  const service = new CodeService({
+    api: 'FHIR',
+    urls: { fhir: 'https://tx.example.org/fhir/ValueSet/{{oid}}/$expand' },
+    auth: new OAuth2ClientCredentialsAuth({
+      tokenUrl: 'https://auth.example.org/token',
+      clientId: 'client',
+      clientSecret: 'secret'
+    }),
+    cache: new MemoryCache(),
+    cachePolicy: { ttl: oid => (oid === TOBACCO ? 1000 : Infinity), revalidate: 'background' },
+    logger: console,
+    logLevel: 'warn',
+    concurrency: 2,
+    retry: { retries: 1 },
+    codeSystemMapping: {
+      '1.2.3': 'http://example.org/cs',
+      '1.2.4': { uri: 'http://example.org/cs2' }
+    },
+    fetch: (url, init) => fetch(url, init)
+  });
+  await service.cacheLoaded;
+
+  // ensure* methods resolve to a report, and reject with the download errors
+  try {
+    const report: DownloadReport = await service.ensureValueSetsWithAPIKey(
+      [{ name: 'Tobacco', id: TOBACCO, version: '20210304' }],
+      'key',
+      {
+        svsCodeSystemType: 'both',
+        failurePolicy: 'fail-fast',
+        signal: new AbortController().signal
+      }
+    );
+    report.succeeded.forEach(({ oid, version }) => `${oid} ${version}`);
+    (report.warnings || []).map(warning => warning.status);
+  } catch (err) {
+    const errors = err as DownloadErrors;
+    errors.report.failed.map(({ oid, error }) => `${oid}: ${error.message}`);
+    errors.filter(error => error instanceof RateLimitedError).map(error => error.retryAfter);
+  }
+  await service.refreshValueSetsWithAPIKey([{ id: TOBACCO }], undefined, { api: 'SVS' });
+
+  // The found value sets are cql-execution ValueSets, with Codes
+  const valueSet: VSACValueSet | undefined = service.findValueSet(TOBACCO);
+  const base: ValueSet | undefined = valueSet;
+  const codes: Code[] = valueSet != null ? valueSet.codes : [];
+  codes.map(code => code.system);
+  service.expandValueSet(TOBACCO).map(code => code.code);
+  const inValueSet: boolean = service.isCodeInValueSet(TOBACCO, undefined, codes[0]);
+  service.areCodesInValueSet(TOBACCO, '20210304', [
+    { code: '123', system: 'http://snomed.info/sct' },
+    '456'
+  ]);
+  service.areCodesInValueSets([{ id: TOBACCO, code: { codes } }]).filter(Boolean);
+  service.findValueSetsContainingCode('123', 'http://snomed.info/sct').map(({ name }) => name);
+  service.findValueSetsContainingCode(codes[0]);
+  service
+    .findValueSetsContainingCodes([{ code: '123', system: 'http://snomed.info/sct' }])
+    .map(found => found.map(({ oid, version }) => `${oid}|${version}`));
+  const effectiveDate: string | undefined = service.getValueSetMeta(TOBACCO)?.effectiveDate;
+  service.setVersionComparator((a, b) => compareVersions(a, b) || 0);
+  new CodeService({ compareVersions: (a, b) => (a ?? '').localeCompare(b ?? '') });
+  service.setVersionComparator(null);
+  new CodeService({ pinning: { release: 'eCQM Update 2021-05-06', versions: { [TOBACCO]: '1' } } });
+  service.setPinning({
+    manifest: 'http://cts.nlm.nih.gov/fhir/Library/ecqm-update-2021-05-06',
+    systemVersions: { 'http://snomed.info/sct': '2021-03' }
+  });
+  const pinned: string | undefined = service.pinnedVersion(TOBACCO);
+  const { result, message }: ValidateCodeResult = await service.validateCode(
+    TOBACCO,
+    { code: '123', system: 'http://snomed.info/sct', display: 'Smoker' },
+    undefined,
+    { cacheResults: 'negative', signal: new AbortController().signal }
+  );
+  const db: ValueSetDB = service.valueSets;
+  Object.keys(db[TOBACCO]).map(version => db[TOBACCO][version].oid);
+
+  // Events are typed
+  service
+    .on('download-complete', ({ oid, codes, duration }) => `${oid} ${codes} ${duration}`)
+    .on('retry', ({ url, delay }) => `${url} ${delay}`)
+    .once('download-failed', ({ error }) => error instanceof ValueSetDownloadError);
+
+  // Resolvers take a single request, and may return a value set, a FHIR ValueSet or SVS XML
+  const resolver: ValueSetResolver = defineResolver(
+    async ({ oid, version, offset, count, auth, signal }) =>
+      offset === 0
+        ? { oid, version, codes: [{ code: '123', system: 'http://snomed.info/sct' }] }
+        : null
+  );
+  new CodeService({ api: 'FHIR', url: resolver });
+  await service.ensureValueSetsWithAPIKey([{ id: TOBACCO }], 'key', { pageSize: 100 });
+
+  // The deprecated access callbacks differ between FHIR and SVS
+  const fhirAccess: FHIRAccessFunction = async (oid, version, offset) => ({
+    resourceType: 'ValueSet',
+    expansion: { offset, total: 0, contains: [] }
+  });
+  const svsAccess: SVSAccessFunction = async (oid, version, apiKey, signal) => '<xml/>';
+  service.setApi('fhir', fhirAccess);
+  new CodeService({ api: 'SVS', url: svsAccess });
+  new CodeService({ api: 'auto', url: 'https://proxy.example.org/valuesets' });
+  const router = new TerminologyRouter({
+    sources: [
+      { name: 'local', api: 'FHIR', vsacAccess: fhirAccess },
+      {
+        name: 'vsac',
+        api: 'SVS',
+        vsacAccess: 'https://vsac.nlm.nih.gov/vsac/svs/RetrieveValueSet'
+      }
+    ],
+    rules: [{ match: '2.16.840.1.113762.*', sources: ['vsac'] }]
+  });
+  service.setRouter(router);
+  const info = await router.downloadValueSet('key', TOBACCO, undefined, fhirAccess);
+  const downloadedEffectiveDate: string | undefined = info?.effectiveDate;
+
+  service.setLogger(new Logger(entry => entry.message, { level: 'info' }));
+  service.setFetch(null);
+  new CodeService({ cache: new IndexedDBCache(indexedDB) });
+  new CodeService({ cache: new FileSystemCache('vsac_cache', { lockTimeout: 1000 }) });
+
+  // The positional constructor is deprecated, but still typed
+  new CodeService(true, true, undefined, undefined, new MemoryCache(), { ttl: 1000 });
+
+  // Generics for the Code type of the value sets
+  class DisplayCode extends Code {
+    display!: string;
+  }
+  const displayService = new CodeService<DisplayCode>();
+  displayService.expandValueSet(TOBACCO).map(code => code.display.toUpperCase());
+
+  // @ts-expect-error - svsCodeSystemType is 'url', 'oid' or 'both'
+  await service.ensureValueSetsWithAPIKey([], 'key', { svsCodeSystemType: 'uri' });
+  // @ts-expect-error - unknown constructor options
+  new CodeService({ useFHIR: true });
+  // @ts-expect-error - an FHIR access function takes an offset
+  const wrongAccess: FHIRAccessFunction = async (oid: string, version: string, apiKey: number) =>
+    '';
+  // @ts-expect-error - value set references need an id
+  await service.ensureValueSetsWithAPIKey([{ name: 'Tobacco' }]);
+  // @ts-expect-error - pinned versions are strings
+  service.setPinning({ versions: { [TOBACCO]: 20210304 } });
+  // @ts-expect-error - unknown events
+  service.on('downloaded', () => {});
+  return [base, wrongAccess, inValueSet, result, message, effectiveDate, pinned];
+}
+
+main();
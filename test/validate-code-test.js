@@ -0,0 +1,174 @@
+const { CodeService } = require('../src/CodeService');
+const { AuthenticationError, NotFoundError, ParseError } = require('../src/errors');
+const { Code, ValueSet } = require('cql-execution');
+const nock = require('nock');
+const chai = require('chai');
+const chaiAsPromised = require('chai-as-promised');
+chai.use(chaiAsPromised);
+chai.should();
+const sandbox = require('sinon').createSandbox();
+
+const TOBACCO_OID = '2.16.840.1.113883.3.600.2390';
+const SNOMED = 'http://snomed.info/sct';
+const SMOKER = { code: '77176002', system: SNOMED };
+
+const parameters = (result, extra = {}) => ({
+  resourceType: 'Parameters',
+  parameter: [
+    { name: 'result', valueBoolean: result },
+    ...Object.keys(extra).map(name => ({ name, valueString: extra[name] }))
+  ]
+});
+
+describe('Code validation', () => {
+  let service;
+
+  beforeEach(() => {
+    sandbox.stub(console, 'log');
+    service = new CodeService({ retry: false });
+  });
+
+  afterEach(() => {
+    nock.cleanAll();
+    sandbox.restore();
+  });
+
+  const validateCode = () =>
+    nock('https://cts.nlm.nih.gov').get(`/fhir/ValueSet/${TOBACCO_OID}/$validate-code`);
+
+  describe('loaded value sets', () => {
+    beforeEach(() => {
+      service.valueSets[TOBACCO_OID] = {
+        20210304: new ValueSet(TOBACCO_OID, '20210304', [
+          new Code('77176002', SNOMED, '2023-09', 'Smoker'),
+          new Code('8517006', SNOMED)
+        ])
+      };
+    });
+
+    it('should validate codes without asking the server', async () => {
+      const result = await service.validateCode(TOBACCO_OID, SMOKER);
+      result.should.eql({ result: true, display: 'Smoker' });
+      (await service.validateCode(`urn:oid:${TOBACCO_OID}`, { code: '8517006', system: SNOMED }))
+        .result.should.be.true;
+    });
+
+    it('should explain codes that are not in the value set', async () => {
+      const result = await service.validateCode(TOBACCO_OID, { code: '123', system: SNOMED });
+      result.should.eql({
+        result: false,
+        message: `The code ${SNOMED}#123 is not in the value set ${TOBACCO_OID}`
+      });
+    });
+
+    it('should check the code system version', async () => {
+      const coding = Object.assign({ version: '2022-03' }, SMOKER);
+      (await service.validateCode(TOBACCO_OID, coding)).result.should.be.false;
+    });
+
+    it('should point out a different display', async () => {
+      const coding = Object.assign({ display: 'Smokes' }, SMOKER);
+      const result = await service.validateCode(TOBACCO_OID, coding);
+      result.result.should.be.true;
+      result.message.should.equal(`The display "Smokes" of ${SNOMED}#77176002 should be "Smoker"`);
+    });
+  });
+
+  describe('value sets that are not loaded', () => {
+    it('should ask the server', async () => {
+      validateCode()
+        .query({ code: '77176002', system: SNOMED, display: 'Smoker' })
+        .basicAuth({ user: 'apikey', pass: 'testkey' })
+        .reply(200, parameters(true, { display: 'Smoker (finding)', message: 'Wrong display' }));
+      const coding = Object.assign({ display: 'Smoker' }, SMOKER);
+      const result = await service.validateCode(TOBACCO_OID, coding, 'testkey');
+      result.should.eql({ result: true, display: 'Smoker (finding)', message: 'Wrong display' });
+      nock.isDone().should.be.true;
+    });
+
+    it('should ask about versions of the value set and code system', async () => {
+      validateCode()
+        .query({ code: '77176002', system: SNOMED, systemVersion: '2023-09', valueSetVersion: '1' })
+        .reply(200, parameters(false));
+      const coding = Object.assign({ version: '2023-09' }, SMOKER);
+      const result = await service.validateCode(TOBACCO_OID, coding, 'testkey', { version: '1' });
+      result.should.eql({ result: false });
+    });
+
+    it('should ask about canonical URLs by url', async () => {
+      const url = 'http://example.org/fhir/ValueSet/smokers';
+      nock('https://tx.example.org')
+        .get('/fhir/ValueSet/$validate-code')
+        .query({ code: '77176002', system: SNOMED, url })
+        .reply(200, parameters(true));
+      const result = await service.validateCode(url, SMOKER, 'testkey', {
+        url: 'https://tx.example.org/fhir/ValueSet/{{oid}}/$expand'
+      });
+      result.result.should.be.true;
+    });
+
+    it('should use the FHIR URL of the service', async () => {
+      service = new CodeService({
+        api: 'FHIR',
+        url: 'https://tx.example.org/fhir/ValueSet/{{oid}}/$expand'
+      });
+      nock('https://tx.example.org')
+        .get(`/fhir/ValueSet/${TOBACCO_OID}/$validate-code`)
+        .query(true)
+        .reply(200, parameters(true));
+      (await service.validateCode(TOBACCO_OID, SMOKER, 'testkey')).result.should.be.true;
+    });
+
+    it('should ask the server about placeholders', async () => {
+      service.registerPlaceholder(TOBACCO_OID);
+      validateCode().query(true).reply(200, parameters(true));
+      (await service.validateCode(TOBACCO_OID, SMOKER, 'testkey')).result.should.be.true;
+    });
+
+    it('should only remember answers when asked to', async () => {
+      validateCode().query(true).times(3).reply(200, parameters(false));
+      await service.validateCode(TOBACCO_OID, SMOKER, 'testkey');
+      await service.validateCode(TOBACCO_OID, SMOKER, 'testkey', { cacheResults: 'positive' });
+      await service.validateCode(TOBACCO_OID, SMOKER, 'testkey', { cacheResults: 'positive' });
+      nock.isDone().should.be.true;
+    });
+
+    it('should remember answers', async () => {
+      validateCode().query(true).reply(200, parameters(false));
+      const first = await service.validateCode(TOBACCO_OID, SMOKER, 'testkey', {
+        cacheResults: 'negative'
+      });
+      const second = await service.validateCode(TOBACCO_OID, SMOKER, 'testkey');
+      second.should.eql(first);
+      validateCode().query(true).reply(200, parameters(true));
+      service.clearValidatedCodes();
+      (await service.validateCode(TOBACCO_OID, SMOKER, 'testkey')).result.should.be.true;
+    });
+
+    it('should reject without credentials', async () => {
+      await service
+        .validateCode(TOBACCO_OID, SMOKER, null)
+        .should.be.rejectedWith(AuthenticationError, /UMLS_API_KEY is not set/);
+    });
+
+    it('should reject with the error of a failed request', async () => {
+      validateCode().query(true).reply(404);
+      await service
+        .validateCode(TOBACCO_OID, SMOKER, 'testkey')
+        .should.be.rejectedWith(NotFoundError);
+    });
+
+    it('should reject responses without a result', async () => {
+      validateCode().query(true).reply(200, { resourceType: 'OperationOutcome' });
+      await service
+        .validateCode(TOBACCO_OID, SMOKER, 'testkey')
+        .should.be.rejectedWith(ParseError, /Expected a Parameters resource with a result/);
+    });
+
+    it('should reject servers without a FHIR URL template', async () => {
+      await service
+        .validateCode(TOBACCO_OID, SMOKER, 'testkey', { url: () => null })
+        .should.be.rejectedWith(/Expected a FHIR \$expand URL template/);
+    });
+  });
+});
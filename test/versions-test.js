@@ -0,0 +1,146 @@
+const { compareVersions } = require('../src/versions');
+const { CodeService } = require('../src/CodeService');
+const { MemoryCache } = require('../src/cache');
+const { defineResolver } = require('../src/resolver');
+const { Code, ValueSet } = require('cql-execution');
+const chai = require('chai');
+chai.should();
+const sandbox = require('sinon').createSandbox();
+
+const TOBACCO_OID = '2.16.840.1.113883.3.600.2390';
+const PAGES = require('./fixtures/2.16.840.1.113883.3.600.2390-pages.json');
+const SNOMED = 'http://snomed.info/sct';
+
+describe('Value set versions', () => {
+  describe('compareVersions', () => {
+    const sorted = versions => versions.slice().sort(compareVersions);
+
+    it('should compare VSAC date versions chronologically, not as strings', () => {
+      compareVersions('20170320', '9').should.be.above(0);
+      sorted(['20210304', '20170320', '20190315']).should.eql(['20170320', '20190315', '20210304']);
+    });
+
+    it('should compare ISO dates chronologically', () => {
+      compareVersions('2021-03-04', '2020-12-31').should.be.above(0);
+      compareVersions('2021-03-04', '20210304').should.equal(0);
+      compareVersions('2021-03-04T01:00:00Z', '2021-03-04T02:00:00+02:00').should.be.above(0);
+    });
+
+    it('should compare numeric and semantic versions segment by segment', () => {
+      sorted(['1.10', '1.9', '2', '10']).should.eql(['1.9', '1.10', '2', '10']);
+      compareVersions('v2.0.1', '2.0.0').should.be.above(0);
+      compareVersions('1.0', '1.0.0').should.equal(0);
+      compareVersions('1.0.0+build.5', '1.0.0').should.equal(0);
+    });
+
+    it('should order pre-releases before their releases', () => {
+      sorted(['2.0.0', '2.0.0-beta.11', '2.0.0-alpha', '2.0.0-beta.2', '1.9.9']).should.eql([
+        '1.9.9',
+        '2.0.0-alpha',
+        '2.0.0-beta.2',
+        '2.0.0-beta.11',
+        '2.0.0'
+      ]);
+    });
+
+    it('should compare other versions as strings with numeric runs', () => {
+      compareVersions('Release 10', 'Release 9').should.be.above(0);
+      compareVersions('eCQM Update 2021-05-06', 'eCQM Update 2020-05-07').should.be.above(0);
+    });
+
+    it('should treat missing versions as the oldest', () => {
+      compareVersions(undefined, '1').should.be.below(0);
+      compareVersions('1', null).should.be.above(0);
+      compareVersions(undefined, null).should.equal(0);
+    });
+  });
+
+  describe('CodeService', () => {
+    let service;
+
+    beforeEach(() => {
+      sandbox.stub(console, 'log');
+      service = new CodeService({ cache: null });
+    });
+
+    afterEach(() => {
+      sandbox.restore();
+    });
+
+    const load = (...versions) =>
+      service.storeValueSets(
+        {
+          [TOBACCO_OID]: versions.reduce((db, version) => {
+            db[version] = new ValueSet(TOBACCO_OID, version, [new Code('123', SNOMED)]);
+            return db;
+          }, {})
+        },
+        {}
+      );
+
+    it('should find the most recent version by version', async () => {
+      await load('9', '20170320', '10');
+      service.findValueSet(TOBACCO_OID).version.should.equal('20170320');
+      service.findValueSet(`urn:oid:${TOBACCO_OID}`, '9').version.should.equal('9');
+    });
+
+    it('should find the most recent version by effective date first', async () => {
+      await load('20170320', '9');
+      service.valueSetMeta[TOBACCO_OID]['9'].effectiveDate = '2018-01-01';
+      service.valueSetMeta[TOBACCO_OID]['20170320'].effectiveDate = '2017-03-20';
+      service.findValueSet(TOBACCO_OID).version.should.equal('9');
+      // Without an effective date for both versions, the versions are compared
+      delete service.valueSetMeta[TOBACCO_OID]['20170320'].effectiveDate;
+      service.findValueSet(TOBACCO_OID).version.should.equal('20170320');
+    });
+
+    it('should find the same version whatever the load order', async () => {
+      await load('1.0', '1.0.0');
+      const first = service.findValueSet(TOBACCO_OID).version;
+      service = new CodeService({ cache: null });
+      await load('1.0.0', '1.0');
+      service.findValueSet(TOBACCO_OID).version.should.equal(first);
+    });
+
+    it('should use a custom version comparator', async () => {
+      const asStrings = (a, b) => a.localeCompare(b);
+      service = new CodeService({ cache: null, compareVersions: asStrings });
+      await load('10', '9');
+      service.findValueSet(TOBACCO_OID).version.should.equal('9');
+      service.setVersionComparator(null);
+      service.findValueSet(TOBACCO_OID).version.should.equal('10');
+    });
+
+    it('should reject version comparators that are not functions', () => {
+      (() => service.setVersionComparator('semver')).should.throw(
+        'Expected compareVersions to be a function, but was string'
+      );
+      (() => new CodeService({ compareVersions: true })).should.throw(/to be a function/);
+    });
+
+    it('should keep the lastUpdated and effective dates of FHIR value sets', async () => {
+      service = new CodeService({
+        cache: null,
+        url: defineResolver(async ({ offset }) => PAGES[offset / 10])
+      });
+      await service.ensureValueSetsWithAPIKey([{ name: 'Tobacco', id: TOBACCO_OID }], 'testkey');
+      service.getValueSetMeta(TOBACCO_OID).should.include({
+        lastUpdated: '2021-03-04T01:00:20.000-05:00',
+        effectiveDate: '2021-03-04'
+      });
+      (service.getValueSetMeta('1.2.3') === undefined).should.be.true;
+    });
+
+    it('should keep effective dates in the cache', async () => {
+      const cache = new MemoryCache();
+      service = new CodeService({
+        cache,
+        url: defineResolver(async ({ offset }) => PAGES[offset / 10])
+      });
+      await service.ensureValueSetsWithAPIKey([{ name: 'Tobacco', id: TOBACCO_OID }], 'testkey');
+      const hydrated = new CodeService({ cache });
+      await hydrated.cacheLoaded;
+      hydrated.getValueSetMeta(TOBACCO_OID, '20210304').effectiveDate.should.equal('2021-03-04');
+    });
+  });
+});